@@ -0,0 +1,146 @@
+const AssignmentService = require('../services/AssignmentService');
+const WorkflowEngine = require('../services/WorkflowEngine');
+const { createTestRepositories } = require('./helpers/memory');
+
+const engine = new WorkflowEngine();
+const standard = engine.getDefinition('other');
+const initialReview = engine.resolveStage(standard, 'initial_review').stage;
+const assessment = engine.resolveStage(standard, 'assessment').stage;
+const resolution = engine.resolveStage(standard, 'resolution').stage;
+
+const seed = {
+  officers: [
+    { id: 'o1', name: 'Asha', department: 'Public Works', specialization: 'roads', status: 'active', capacity: 2 },
+    { id: 'o2', name: 'Ravi', department: 'Water & Sewerage', specialization: 'drainage', status: 'on_leave', capacity: 3 },
+    { id: 'o3', name: 'Meena', department: 'Public Works', specialization: 'roads', status: 'active', capacity: 1 }
+  ],
+  contractors: [
+    { id: 'k1', name: 'BuildRight', department: 'Public Works', specialization: 'paving', status: 'active', capacity: 1 }
+  ],
+  complaints: [
+    { id: 'c1', title: 'Pothole on MG Road', category: 'other', status: 'pending', priority_score: 0.6 },
+    { id: 'c2', title: 'Broken footpath', category: 'other', status: 'in_progress', priority_score: 0.4 },
+    { id: 'c3', title: 'Fixed drain cover', category: 'other', status: 'resolved', priority_score: 0.3 },
+    { id: 'c4', title: 'Fallen signboard', category: 'other', status: 'pending', priority_score: 0.5 }
+  ],
+  complaint_workflow: [
+    {
+      complaint_id: 'c1',
+      workflow_key: standard.key,
+      stage_data: { initial_review: { status: 'in_progress', assigned_officer_id: 'o1', timestamp: '2026-03-01T09:00:00.000Z' } }
+    },
+    {
+      complaint_id: 'c2',
+      workflow_key: standard.key,
+      stage_data: {
+        initial_review: { status: 'completed', assigned_officer_id: 'o3' },
+        assessment: { status: 'in_progress', assigned_officer_id: 'o1' },
+        resolution: { status: 'pending', assigned_contractor_id: 'k1' }
+      }
+    },
+    {
+      // Closed complaints free their assignees
+      complaint_id: 'c3',
+      workflow_key: standard.key,
+      stage_data: { assessment: { status: 'in_progress', assigned_officer_id: 'o3' } }
+    }
+  ]
+};
+
+describe('AssignmentService', () => {
+  let service;
+
+  beforeEach(() => {
+    const { repositories } = createTestRepositories(seed);
+    service = new AssignmentService({ repositories, workflowEngine: engine });
+  });
+
+  describe('getOpenAssignments', () => {
+    it('lists assignments on open stages of open complaints', async () => {
+      const assignments = await service.getOpenAssignments();
+      const summary = assignments.map(({ type, assignee_id: assignee, complaint_id: complaint, stage_key: stage }) =>
+        `${type}:${assignee}:${complaint}:${stage}`);
+
+      expect(summary.sort()).toEqual([
+        'contractor:k1:c2:resolution',
+        'officer:o1:c1:initial_review',
+        'officer:o1:c2:assessment'
+      ]);
+      expect(assignments.find(item => item.complaint_id === 'c1')).toMatchObject({
+        complaint_title: 'Pothole on MG Road',
+        stage_name: initialReview.name,
+        stage_status: 'in_progress',
+        assigned_at: '2026-03-01T09:00:00.000Z'
+      });
+    });
+  });
+
+  describe('getWorkload', () => {
+    it('summarises open assignments against capacity for everyone registered', async () => {
+      const { officers, contractors } = await service.getWorkload();
+
+      expect(officers.map(({ id, openAssignments, utilization, available }) => ({ id, openAssignments, utilization, available })))
+        .toEqual([
+          { id: 'o1', openAssignments: 2, utilization: 100, available: false },
+          { id: 'o3', openAssignments: 0, utilization: 0, available: true },
+          { id: 'o2', openAssignments: 0, utilization: 0, available: false }
+        ]);
+      expect(contractors).toEqual([
+        expect.objectContaining({ id: 'k1', openAssignments: 1, utilization: 100, available: false })
+      ]);
+    });
+
+    it('filters by registry type and department', async () => {
+      const workload = await service.getWorkload({ type: 'officer', department: 'Water & Sewerage' });
+
+      expect(Object.keys(workload)).toEqual(['officers']);
+      expect(workload.officers.map(officer => officer.id)).toEqual(['o2']);
+    });
+  });
+
+  describe('validateStageAssignments', () => {
+    it('accepts an active assignee with spare capacity', async () => {
+      expect(await service.validateStageAssignments(assessment, { assigned_officer_id: 'o3' }, 'c4'))
+        .toEqual({ valid: true });
+    });
+
+    it('accepts payloads without assignments', async () => {
+      expect(await service.validateStageAssignments(initialReview, { notes: 'Checked photos' }, 'c4'))
+        .toEqual({ valid: true });
+    });
+
+    it('rejects an assignment type the stage does not take', async () => {
+      expect(await service.validateStageAssignments(initialReview, { assigned_contractor_id: 'k1' }, 'c4')).toEqual({
+        valid: false,
+        status: 400,
+        message: `${initialReview.name} does not take a contractor assignment`
+      });
+    });
+
+    it('rejects unknown and inactive assignees', async () => {
+      expect(await service.validateStageAssignments(assessment, { assigned_officer_id: 'o9' }, 'c4'))
+        .toEqual({ valid: false, status: 400, message: 'Unknown officer: o9' });
+      expect(await service.validateStageAssignments(assessment, { assigned_officer_id: 'o2' }, 'c4'))
+        .toEqual({ valid: false, status: 400, message: 'Ravi is on_leave and cannot be assigned' });
+    });
+
+    it('refuses a new assignment past capacity unless forced', async () => {
+      expect(await service.validateStageAssignments(assessment, { assigned_officer_id: 'o1' }, 'c4')).toEqual({
+        valid: false,
+        status: 409,
+        code: 'CAPACITY_EXCEEDED',
+        message: 'Asha is at capacity (2/2 open assignments)'
+      });
+      expect(await service.validateStageAssignments(resolution, { assigned_contractor_id: 'k1' }, 'c4'))
+        .toMatchObject({ valid: false, code: 'CAPACITY_EXCEEDED' });
+
+      expect(await service.validateStageAssignments(assessment, { assigned_officer_id: 'o1', force_assignment: true }, 'c4'))
+        .toEqual({ valid: true });
+    });
+
+    it('lets a full assignee take another stage of a complaint they already hold', async () => {
+      expect(await service.validateStageAssignments(assessment, { assigned_officer_id: 'o1' }, 'c1'))
+        .toEqual({ valid: true });
+    });
+  });
+});
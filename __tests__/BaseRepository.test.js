@@ -0,0 +1,96 @@
+const { createTestRepositories } = require('./helpers/memory');
+const { RepositoryError } = require('../repositories');
+
+const seed = () => ({
+  complaints: [
+    { id: 'c1', title: 'Pothole', category: 'roads', status: 'pending', created_at: '2026-01-01T00:00:00.000Z' },
+    { id: 'c2', title: 'Garbage', category: 'garbage', status: 'resolved', created_at: '2026-01-02T00:00:00.000Z' },
+    { id: 'c3', title: 'Streetlight', category: 'roads', status: 'pending', created_at: '2026-01-03T00:00:00.000Z' }
+  ]
+});
+
+describe('BaseRepository', () => {
+  let repositories;
+
+  beforeEach(() => {
+    ({ repositories } = createTestRepositories(seed()));
+  });
+
+  describe('findById', () => {
+    it('returns the row', async () => {
+      const complaint = await repositories.complaints.findById('c1');
+      expect(complaint).toMatchObject({ id: 'c1', title: 'Pothole' });
+    });
+
+    it('returns only the selected columns', async () => {
+      const complaint = await repositories.complaints.findById('c1', 'id, status');
+      expect(complaint).toEqual({ id: 'c1', status: 'pending' });
+    });
+
+    it('returns null when no row matches', async () => {
+      await expect(repositories.complaints.findById('missing')).resolves.toBeNull();
+    });
+  });
+
+  describe('findAll', () => {
+    it('lists newest first by default', async () => {
+      const complaints = await repositories.complaints.findAll();
+      expect(complaints.map(c => c.id)).toEqual(['c3', 'c2', 'c1']);
+    });
+
+    it('applies equality filters, skipping null and undefined values', async () => {
+      const complaints = await repositories.complaints.findAll({
+        filters: { category: 'roads', status: undefined, ward_id: null },
+        ascending: true
+      });
+      expect(complaints.map(c => c.id)).toEqual(['c1', 'c3']);
+    });
+
+    it('pages with limit and offset', async () => {
+      const page = await repositories.complaints.findAll({ limit: 1, offset: 1 });
+      expect(page.map(c => c.id)).toEqual(['c2']);
+    });
+  });
+
+  describe('count', () => {
+    it('counts every row', async () => {
+      await expect(repositories.complaints.count()).resolves.toBe(3);
+    });
+
+    it('counts rows matching the filters', async () => {
+      await expect(repositories.complaints.count({ status: 'pending' })).resolves.toBe(2);
+      await expect(repositories.complaints.count({ status: 'rejected' })).resolves.toBe(0);
+    });
+  });
+
+  describe('update', () => {
+    it('returns the updated row', async () => {
+      const updated = await repositories.complaints.update('c1', { status: 'in_progress' });
+      expect(updated).toMatchObject({ id: 'c1', status: 'in_progress' });
+      await expect(repositories.complaints.findById('c1', 'status')).resolves.toEqual({ status: 'in_progress' });
+    });
+
+    it('returns null when no row matches', async () => {
+      await expect(repositories.complaints.update('missing', { status: 'resolved' })).resolves.toBeNull();
+    });
+  });
+
+  describe('create and delete', () => {
+    it('inserts with table defaults and deletes by id', async () => {
+      const created = await repositories.complaints.create({ title: 'New' });
+      expect(created).toMatchObject({ title: 'New', status: 'pending', vote_count: 0 });
+      expect(created.id).toEqual(expect.any(String));
+
+      await repositories.complaints.delete(created.id);
+      await expect(repositories.complaints.findById(created.id)).resolves.toBeNull();
+    });
+
+    it('raises a RepositoryError carrying the database error code', async () => {
+      await expect(repositories.complaints.create({ id: 'c1', title: 'Duplicate' })).rejects.toMatchObject({
+        name: 'RepositoryError',
+        code: '23505'
+      });
+      await expect(repositories.complaints.create({ id: 'c1' })).rejects.toBeInstanceOf(RepositoryError);
+    });
+  });
+});
@@ -0,0 +1,143 @@
+const ComplaintSearchService = require('../services/ComplaintSearchService');
+const { createTestRepositories } = require('./helpers/memory');
+
+const complaint = (id, fields = {}) => ({
+  id,
+  title: `Complaint ${id}`,
+  description: '',
+  category: 'pothole',
+  status: 'pending',
+  created_at: '2024-03-01T10:00:00.000Z',
+  ...fields
+});
+
+const seed = () => [
+  complaint('c01', { priority_score: 0.9 }),
+  complaint('c02', { priority_score: 0.5 }),
+  complaint('c03', { priority_score: 0.5 }),
+  complaint('c04', { priority_score: 0.5 }),
+  complaint('c05', { priority_score: 0.5 }),
+  complaint('c06', { priority_score: null }),
+  complaint('c07', { priority_score: null }),
+  complaint('c08', { priority_score: 0.2 })
+];
+
+describe('ComplaintSearchService', () => {
+  let service;
+
+  const createService = (complaints) => {
+    const { repositories } = createTestRepositories({ complaints });
+    service = new ComplaintSearchService({ repositories });
+  };
+
+  /**
+   * Follow nextCursor until the last page
+   * @returns {Array<Array<string>>} Ids on each page
+   */
+  const allPages = async (params) => {
+    const pages = [];
+    let cursor;
+    do {
+      const result = await service.search({ ...params, cursor });
+      expect(result.success).toBe(true);
+      pages.push(result.complaints.map(row => row.id));
+      cursor = result.pagination.nextCursor;
+    } while (cursor);
+    return pages;
+  };
+
+  beforeEach(() => createService(seed()));
+
+  describe('keyset pagination', () => {
+    it('pages through a run of equal sort values without gaps or repeats', async () => {
+      // Page boundaries fall inside the four complaints scored 0.5
+      const pages = await allPages({ sort: 'priority', limit: 2 });
+
+      expect(pages).toEqual([['c01', 'c05'], ['c04', 'c03'], ['c02', 'c08'], ['c07', 'c06']]);
+    });
+
+    it('gives the same order whatever the page size', async () => {
+      const single = (await allPages({ sort: 'priority', limit: 100 })).flat();
+      for (const limit of [1, 3, 5]) {
+        expect((await allPages({ sort: 'priority', limit })).flat()).toEqual(single);
+      }
+    });
+
+    it('sorts missing values last and pages through them by id', async () => {
+      const pages = await allPages({ sort: 'priority', limit: 3 });
+      expect(pages.flat().slice(-2)).toEqual(['c07', 'c06']);
+      expect(pages[pages.length - 1]).toEqual(['c07', 'c06']);
+    });
+
+    it('keeps missing values last in ascending date order too', async () => {
+      createService([
+        complaint('a', { created_at: '2024-03-02T00:00:00.000Z' }),
+        complaint('b', { created_at: null }),
+        complaint('c', { created_at: '2024-03-01T00:00:00.000Z' }),
+        complaint('d', { created_at: '2024-03-01T00:00:00.000Z' })
+      ]);
+      expect((await allPages({ sort: 'oldest', limit: 1 })).flat()).toEqual(['c', 'd', 'a', 'b']);
+    });
+
+    it('reports the last page without a cursor', async () => {
+      const result = await service.search({ sort: 'priority', limit: 8 });
+      expect(result.pagination).toEqual({ sort: 'priority', limit: 8, hasMore: false, nextCursor: null });
+    });
+
+    it('rejects a cursor reused with a different sort', async () => {
+      const { pagination } = await service.search({ sort: 'priority', limit: 2 });
+
+      const result = await service.search({ sort: 'newest', cursor: pagination.nextCursor });
+      expect(result).toEqual({
+        success: false,
+        code: 'INVALID_CURSOR',
+        error: 'cursor is invalid or was issued for a different sort'
+      });
+    });
+
+    it('rejects malformed and tampered cursors', async () => {
+      const encode = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+      for (const cursor of [
+        'not-base64-json',
+        encode({ s: 'priority', v: 0.5, id: 'c01),status.eq.resolved' }),
+        encode({ s: 'priority', v: '0.5', id: 'c01' }),
+        encode({ s: 'newest', v: 'yesterday', id: 'c01' })
+      ]) {
+        const sort = cursor === 'not-base64-json' ? 'newest' : JSON.parse(Buffer.from(cursor, 'base64url')).s;
+        expect((await service.search({ sort, cursor })).code).toBe('INVALID_CURSOR');
+      }
+    });
+  });
+
+  describe('text search', () => {
+    beforeEach(() => createService([
+      complaint('t1', { title: 'Deep pothole on Main Road', description: 'Water logging after rain' }),
+      complaint('t2', { title: 'Streetlight broken', description: 'Main road dark at night', category: 'streetlight' }),
+      complaint('t3', { title: 'Garbage pile', description: 'Near the road market', category: 'garbage' }),
+      complaint('t4', { title: 'Road blocked', location_address: 'Main Street, Ward 4' })
+    ]));
+
+    const ids = async (q, params = {}) => (await service.search({ q, sort: 'newest', ...params })).complaints
+      .map(row => row.id)
+      .sort();
+
+    it('matches every plain word', async () => {
+      expect(await ids('main road')).toEqual(['t1', 't2', 't4']);
+    });
+
+    it('supports websearch phrases, exclusions and OR', async () => {
+      expect(await ids('"main road"')).toEqual(['t1', 't2']);
+      expect(await ids('road -main')).toEqual(['t3']);
+      expect(await ids('streetlight or garbage')).toEqual(['t2', 't3']);
+    });
+
+    it('combines text with filters', async () => {
+      expect(await ids('road', { category: 'garbage,streetlight' })).toEqual(['t2', 't3']);
+    });
+
+    it('rejects overly long text', async () => {
+      expect((await service.search({ q: 'x'.repeat(201) })).code).toBe('QUERY_TOO_LONG');
+    });
+  });
+});
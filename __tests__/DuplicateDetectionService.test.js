@@ -0,0 +1,67 @@
+const DuplicateDetectionService = require('../services/DuplicateDetectionService');
+const { createTestRepositories } = require('./helpers/memory');
+
+const seed = () => ({
+  complaints: [
+    { id: 'canonical', user_id: 'u1', category: 'pothole', status: 'pending', vote_count: 1, image_urls: ['a.jpg'] },
+    { id: 'dup1', user_id: 'u2', category: 'pothole', status: 'pending', vote_count: 2, image_urls: ['b.jpg'] },
+    { id: 'dup2', user_id: 'u3', category: 'pothole', status: 'in_progress', vote_count: 1 }
+  ],
+  complaint_votes: [
+    { id: 'v1', complaint_id: 'canonical', user_id: 'u4', vote_type: 'upvote' },
+    { id: 'v2', complaint_id: 'dup1', user_id: 'u4', vote_type: 'upvote' },
+    { id: 'v3', complaint_id: 'dup1', guest_device_id: 'g1', vote_type: 'upvote' },
+    { id: 'v4', complaint_id: 'dup2', user_id: 'u5', vote_type: 'upvote' },
+    { id: 'v5', complaint_id: 'dup2', user_id: 'u6', vote_type: 'downvote' }
+  ]
+});
+
+describe('DuplicateDetectionService.mergeComplaints', () => {
+  let repositories;
+  let priorityScoringService;
+  let service;
+
+  beforeEach(() => {
+    ({ repositories } = createTestRepositories(seed()));
+    priorityScoringService = { scheduleRescore: jest.fn() };
+    service = new DuplicateDetectionService({ repositories, priorityScoringService });
+  });
+
+  it('moves votes once per voter and marks duplicates merged', async () => {
+    const result = await service.mergeComplaints('canonical', ['dup1', 'dup2'], { mergedBy: 'admin' });
+
+    expect(result.merged).toEqual([
+      { id: 'dup1', movedVotes: 1, droppedVotes: 1 },
+      { id: 'dup2', movedVotes: 2, droppedVotes: 0 }
+    ]);
+    expect(result.canonical.image_urls).toEqual(['a.jpg', 'b.jpg']);
+    expect(result.reporterCount).toBe(3);
+
+    const duplicate = await repositories.complaints.findById('dup1');
+    expect(duplicate).toMatchObject({ status: 'merged', merged_into_id: 'canonical' });
+    expect((await repositories.votes.listForComplaint('canonical')).map(vote => vote.id).sort())
+      .toEqual(['v1', 'v3', 'v4', 'v5']);
+  });
+
+  it('recounts the canonical vote count and zeroes the duplicates', async () => {
+    // A drifted stored count is corrected rather than added to
+    await repositories.complaints.update('canonical', { vote_count: 7 });
+
+    const result = await service.mergeComplaints('canonical', ['dup1', 'dup2']);
+
+    expect(result.canonical.vote_count).toBe(3);
+    expect(await repositories.votes.countForComplaint('canonical', 'upvote')).toBe(3);
+    expect((await repositories.complaints.findById('dup1')).vote_count).toBe(0);
+    expect((await repositories.complaints.findById('dup2')).vote_count).toBe(0);
+  });
+
+  it('schedules a re-score of the canonical complaint', async () => {
+    await service.mergeComplaints('canonical', ['dup1']);
+    expect(priorityScoringService.scheduleRescore).toHaveBeenCalledWith('canonical');
+  });
+
+  it('fails for a missing canonical complaint without re-scoring', async () => {
+    await expect(service.mergeComplaints('missing', ['dup1'])).rejects.toThrow(/not found/);
+    expect(priorityScoringService.scheduleRescore).not.toHaveBeenCalled();
+  });
+});
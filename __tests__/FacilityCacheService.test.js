@@ -0,0 +1,202 @@
+const FacilityCacheService = require('../services/FacilityCacheService');
+const geohash = require('../utils/geohash');
+const { createTestRepositories } = require('./helpers/memory');
+
+const HOUR = 60 * 60 * 1000;
+
+// Two points inside one precision-6 cell and one just north of it
+const cellHash = geohash.encode(12.9716, 77.5946, 6);
+const cellBounds = geohash.decodeBounds(cellHash);
+const center = geohash.decodeCenter(cellHash);
+const pointA = { latitude: center.latitude + 0.001, longitude: center.longitude - 0.001 };
+const pointB = { latitude: center.latitude - 0.001, longitude: center.longitude + 0.001 };
+const northPoint = { latitude: cellBounds.maxLat + 0.001, longitude: center.longitude };
+
+const facilities = [
+  { name: 'Near Clinic', latitude: center.latitude + 0.002, longitude: center.longitude - 0.001 },
+  { name: 'Far Hospital', latitude: center.latitude + 0.012, longitude: center.longitude },
+  { name: 'No location', latitude: null, longitude: null }
+];
+
+describe('FacilityCacheService', () => {
+  let repositories;
+  let fetch;
+
+  const createService = (config = {}) => new FacilityCacheService({ repositories, config: { ttlHours: 1, ...config } });
+  const lookup = (service, point, radius = 1000, facilityType = 'hospital') =>
+    service.getFacilities({ ...point, facilityType, radius }, fetch);
+
+  beforeEach(() => {
+    ({ repositories } = createTestRepositories());
+    fetch = jest.fn(async () => ({ result: facilities, source: 'google' }));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('getCell', () => {
+    it('keys lookups by geohash cell, facility type and bucketed radius', () => {
+      const service = createService();
+      const cell = service.getCell(pointA.latitude, pointA.longitude, 'hospital', 1100);
+
+      expect(cell).toMatchObject({ key: `${cellHash}:hospital:1250`, geohash: cellHash, center, radius: 1250 });
+      expect(service.getCell(pointB.latitude, pointB.longitude, 'hospital', 1250).key).toBe(cell.key);
+      expect(service.getCell(pointB.latitude, pointB.longitude, 'school', 1250).key).toBe(`${cellHash}:school:1250`);
+      expect(service.getCell(northPoint.latitude, northPoint.longitude, 'hospital', 1100).geohash).not.toBe(cellHash);
+    });
+
+    it('widens the search radius by the half-diagonal of the cell', () => {
+      const cell = createService().getCell(pointA.latitude, pointA.longitude, 'hospital', 1000);
+
+      // A precision-6 cell is about 1.2km x 0.6km, so its half-diagonal is about 670m
+      expect(cell.searchRadius - cell.radius).toBeGreaterThan(600);
+      expect(cell.searchRadius - cell.radius).toBeLessThan(700);
+    });
+  });
+
+  describe('getFacilities', () => {
+    it('fetches a cell once from its centre and re-measures for each point', async () => {
+      const service = createService();
+
+      const first = await lookup(service, pointA);
+      expect(first.cache).toBe('miss');
+      expect(fetch).toHaveBeenCalledWith({
+        latitude: center.latitude,
+        longitude: center.longitude,
+        radius: service.getCell(pointA.latitude, pointA.longitude, 'hospital', 1000).searchRadius
+      });
+      expect(first.result.map(facility => facility.name)).toEqual(['Near Clinic']);
+      expect(first.result[0].distance).toBeCloseTo(111, 0);
+
+      const second = await lookup(service, pointB, 800);
+      expect(second.cache).toBe('memory');
+      expect(second.source).toBe('google');
+      expect(second.result[0].distance).toBeCloseTo(398, -1);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('fetches again for another cell, facility type or radius bucket', async () => {
+      const service = createService();
+
+      await lookup(service, pointA);
+      await lookup(service, northPoint);
+      await lookup(service, pointA, 1000, 'school');
+      await lookup(service, pointA, 1500);
+
+      expect(fetch).toHaveBeenCalledTimes(4);
+    });
+
+    it('reads entries back from facility_cache after a restart', async () => {
+      await lookup(createService(), pointA);
+
+      const restarted = createService();
+      const lookupResult = await lookup(restarted, pointB);
+
+      expect(lookupResult.cache).toBe('store');
+      expect(lookupResult.result.map(facility => facility.name)).toEqual(['Near Clinic']);
+      expect((await lookup(restarted, pointB)).cache).toBe('memory');
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('stores only facilities with coordinates', async () => {
+      const service = createService();
+      const cell = service.getCell(pointA.latitude, pointA.longitude, 'hospital', 1000);
+      await lookup(service, pointA);
+
+      const row = await repositories.facilityCache.findFresh(cell.key);
+      expect(row).toMatchObject({ geohash: cellHash, facility_type: 'hospital', radius: 1000, source: 'google' });
+      expect(row.facilities.map(facility => facility.name)).toEqual(['Near Clinic', 'Far Hospital']);
+    });
+
+    it('expires entries in memory and in the store after the TTL', async () => {
+      jest.useFakeTimers({ now: new Date('2026-03-01T08:00:00Z') });
+      const service = createService();
+      await lookup(service, pointA);
+
+      jest.setSystemTime(new Date('2026-03-01T08:59:00Z'));
+      expect((await lookup(service, pointA)).cache).toBe('memory');
+
+      jest.setSystemTime(new Date('2026-03-01T09:00:01Z'));
+      expect((await lookup(createService(), pointA)).cache).toBe('miss');
+      // The expired memory entry gives way to the row the other instance just stored
+      expect((await lookup(service, pointA)).cache).toBe('store');
+      expect(fetch).toHaveBeenCalledTimes(2);
+
+      jest.setSystemTime(Date.now() + HOUR);
+      expect((await lookup(service, pointA)).cache).toBe('miss');
+      expect(fetch).toHaveBeenCalledTimes(3);
+    });
+
+    it('does not cache answers from the offline dataset', async () => {
+      const service = createService();
+      fetch.mockResolvedValue({ result: facilities, source: 'offline' });
+
+      await lookup(service, pointA);
+      expect((await lookup(service, pointA)).cache).toBe('miss');
+      expect(service.getStats()).toMatchObject({ writes: 0, memoryEntries: 0 });
+    });
+
+    it('evicts the least recently used entry from memory', async () => {
+      const service = createService({ maxMemoryEntries: 2 });
+
+      await lookup(service, pointA, 250, 'hospital');
+      await lookup(service, pointA, 250, 'school');
+      await lookup(service, pointA, 250, 'hospital');
+      await lookup(service, pointA, 250, 'police');
+
+      expect([...service.memory.keys()]).toEqual([`${cellHash}:hospital:250`, `${cellHash}:police:250`]);
+    });
+
+    it('falls back to the provider when the store fails', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      repositories = {
+        facilityCache: {
+          findFresh: jest.fn().mockRejectedValue(new Error('relation "facility_cache" does not exist')),
+          save: jest.fn().mockRejectedValue(new Error('relation "facility_cache" does not exist'))
+        }
+      };
+      const service = createService();
+
+      expect((await lookup(service, pointA)).cache).toBe('miss');
+      expect((await lookup(service, pointA)).cache).toBe('memory');
+      expect(service.getStats()).toMatchObject({ errors: 2, writes: 0 });
+    });
+
+    it('passes lookups straight through when disabled', async () => {
+      const service = createService({ enabled: false });
+
+      const result = await lookup(service, pointA);
+      expect(result).toEqual({ result: facilities, source: 'google', cache: 'off' });
+      expect(fetch).toHaveBeenCalledWith({ ...pointA, radius: 1000 });
+      expect(service.getStats().lookups).toBe(0);
+    });
+  });
+
+  describe('getStats', () => {
+    it('counts hits and misses overall and by facility type', async () => {
+      const service = createService();
+      await lookup(service, pointA);
+      await lookup(service, pointB);
+      await lookup(service, pointA, 1000, 'school');
+      service.clearMemory();
+      await lookup(service, pointA, 1000, 'school');
+
+      expect(service.getStats()).toMatchObject({
+        lookups: 4,
+        hits: 2,
+        memoryHits: 1,
+        storeHits: 1,
+        misses: 2,
+        hitRate: 0.5,
+        writes: 2,
+        errors: 0,
+        byType: {
+          hospital: { hits: 1, misses: 1 },
+          school: { hits: 1, misses: 1 }
+        }
+      });
+    });
+  });
+});
@@ -0,0 +1,162 @@
+const jwt = require('jsonwebtoken');
+const GuestVoteService = require('../services/GuestVoteService');
+const { DEVICE_TOKEN, BURST_DETECTION, getDeviceTokenSecret } = require('../config/guestVoting');
+const { createTestRepositories } = require('./helpers/memory');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const MINUTE = 60 * 1000;
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * MINUTE).toISOString();
+
+/**
+ * Guest votes on a complaint, one per device, spaced `gapMinutes` apart ending now
+ */
+const guestVotes = (complaintId, count, { gapMinutes = 1, ipHash = null, fingerprint = null } = {}) =>
+  Array.from({ length: count }, (_, index) => ({
+    id: `${complaintId}-v${index}`,
+    complaint_id: complaintId,
+    guest_device_id: `${complaintId}-device-${index}`,
+    vote_type: 'upvote',
+    ip_hash: ipHash || `ip-${index}`,
+    device_fingerprint: fingerprint || `fp-${index}`,
+    created_at: minutesAgo((count - 1 - index) * gapMinutes)
+  }));
+
+describe('GuestVoteService', () => {
+  describe('device tokens', () => {
+    const service = new GuestVoteService({ repositories: createTestRepositories().repositories });
+
+    it('verifies the tokens it issues', () => {
+      const issued = service.issueDeviceToken({ fingerprint: 'browser-fp' });
+      const verified = service.verifyDeviceToken(issued.token);
+
+      expect(verified.deviceId).toBe(issued.deviceId);
+      // Fingerprints are only kept hashed
+      expect(verified.fingerprint).toMatch(/^[0-9a-f]{32}$/);
+      expect(verified.fingerprint).not.toContain('browser-fp');
+      expect(Date.parse(issued.expiresAt)).toBeGreaterThan(Date.now());
+    });
+
+    it('rejects missing and tampered tokens', () => {
+      const { token } = service.issueDeviceToken();
+      const [header, payload, signature] = token.split('.');
+      const forgedPayload = Buffer.from(JSON.stringify({
+        ...JSON.parse(Buffer.from(payload, 'base64url').toString()),
+        deviceId: 'someone-else'
+      })).toString('base64url');
+
+      expect(service.verifyDeviceToken(null)).toBeNull();
+      expect(service.verifyDeviceToken('not-a-token')).toBeNull();
+      expect(service.verifyDeviceToken(`${header}.${forgedPayload}.${signature}`)).toBeNull();
+      expect(service.verifyDeviceToken(jwt.sign({ type: DEVICE_TOKEN.type, deviceId: 'd1' }, 'other-secret'))).toBeNull();
+    });
+
+    it('rejects tokens of another type, such as user session tokens', () => {
+      const sessionToken = jwt.sign({ type: 'access', deviceId: 'd1', userId: 'u1' }, getDeviceTokenSecret());
+      const untyped = jwt.sign({ deviceId: 'd1' }, getDeviceTokenSecret());
+      const withoutDevice = jwt.sign({ type: DEVICE_TOKEN.type }, getDeviceTokenSecret());
+
+      expect(service.verifyDeviceToken(sessionToken)).toBeNull();
+      expect(service.verifyDeviceToken(untyped)).toBeNull();
+      expect(service.verifyDeviceToken(withoutDevice)).toBeNull();
+    });
+
+    it('rejects expired tokens', () => {
+      const expired = jwt.sign(
+        { type: DEVICE_TOKEN.type, deviceId: 'd1', exp: Math.floor(Date.now() / 1000) - 60 },
+        getDeviceTokenSecret()
+      );
+      expect(service.verifyDeviceToken(expired)).toBeNull();
+    });
+
+    it('hashes IPs consistently without storing them', () => {
+      expect(service.hashIp('203.0.113.7')).toBe(service.hashIp('203.0.113.7'));
+      expect(service.hashIp('203.0.113.7')).not.toBe(service.hashIp('203.0.113.8'));
+      expect(service.hashIp(null)).toBeNull();
+    });
+  });
+
+  describe('findPeakWindow', () => {
+    const service = new GuestVoteService({ repositories: createTestRepositories().repositories });
+    const at = (...minutes) => minutes.map(minute => ({ created_at: new Date(Date.UTC(2024, 0, 1, 12, minute)).toISOString() }));
+
+    it('finds the busiest window, counting both ends', () => {
+      const votes = at(0, 1, 20, 21, 22, 30, 45);
+      const peak = service.findPeakWindow(votes, 10 * MINUTE);
+
+      expect(peak).toEqual({ votes: 4, start: votes[2].created_at, end: votes[5].created_at });
+    });
+
+    it('keeps the earliest window on ties', () => {
+      const votes = at(0, 5, 30, 35);
+      expect(service.findPeakWindow(votes, 10 * MINUTE)).toMatchObject({ votes: 2, start: votes[0].created_at });
+    });
+
+    it('is empty without votes', () => {
+      expect(service.findPeakWindow([], MINUTE)).toEqual({ votes: 0, start: null, end: null });
+    });
+  });
+
+  describe('getSuspiciousBursts', () => {
+    const threshold = 5;
+
+    const flaggedIds = async (votes, complaints, options = {}) => {
+      const { repositories } = createTestRepositories({ complaints, complaint_votes: votes });
+      const service = new GuestVoteService({ repositories });
+      const report = await service.getSuspiciousBursts({ windowMinutes: 10, threshold, ...options });
+      return report.complaints;
+    };
+
+    const complaints = [
+      { id: 'burst', title: 'Pothole', category: 'pothole', vote_count: 5 },
+      { id: 'steady', title: 'Streetlight', category: 'streetlight', vote_count: 4 },
+      { id: 'one-ip', title: 'Garbage', category: 'garbage', vote_count: 6 }
+    ];
+
+    it('flags a burst at the threshold and not one vote below it', async () => {
+      const flagged = await flaggedIds([
+        ...guestVotes('burst', threshold, { gapMinutes: 2 }),
+        ...guestVotes('steady', threshold - 1, { gapMinutes: 2 })
+      ], complaints);
+
+      expect(flagged.map(entry => entry.complaintId)).toEqual(['burst']);
+      expect(flagged[0]).toMatchObject({
+        guestVotes: threshold,
+        peakWindow: { votes: threshold },
+        distinctDevices: threshold,
+        reasons: [`${threshold} guest votes within 10 minutes`]
+      });
+    });
+
+    it('does not flag votes spread wider than the window', async () => {
+      expect(await flaggedIds(guestVotes('burst', 8, { gapMinutes: 6 }), complaints)).toEqual([]);
+    });
+
+    it('flags votes concentrated on one IP once there are enough of them', async () => {
+      const spread = { gapMinutes: 30 };
+      const flagged = await flaggedIds([
+        ...guestVotes('one-ip', BURST_DETECTION.minVotesForShare, { ...spread, ipHash: 'same-ip' }),
+        ...guestVotes('steady', BURST_DETECTION.minVotesForShare - 1, { ...spread, ipHash: 'same-ip' })
+      ], complaints);
+
+      expect(flagged.map(entry => entry.complaintId)).toEqual(['one-ip']);
+      expect(flagged[0]).toMatchObject({ distinctIps: 1, topIpShare: 1 });
+      expect(flagged[0].reasons).toEqual(['100% of guest votes from one IP']);
+    });
+
+    it('ignores votes outside the lookback window', async () => {
+      const old = guestVotes('burst', threshold).map(vote => ({
+        ...vote,
+        created_at: new Date(Date.parse(vote.created_at) - 4 * 60 * MINUTE).toISOString()
+      }));
+      expect(await flaggedIds(old, complaints, { lookbackHours: 3 })).toEqual([]);
+    });
+
+    it('limits the report to a department', async () => {
+      const votes = [...guestVotes('burst', threshold), ...guestVotes('one-ip', threshold)];
+
+      const sanitation = await flaggedIds(votes, complaints, { department: 'Sanitation' });
+      expect(sanitation.map(entry => entry.complaintId)).toEqual(['one-ip']);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+const LocationPriorityMetrics = require('../services/LocationPriorityMetrics');
+const LocationPriorityService = require('../services/LocationPriorityService');
+const FacilityCacheService = require('../services/FacilityCacheService');
+const { MetricsRegistry } = require('../utils/metrics');
+const { createTestRepositories } = require('./helpers/memory');
+
+const analysis = (...sources) => ({
+  result: {
+    priorityLevel: 'HIGH',
+    facilityAnalysis: Object.fromEntries(sources.map((source, index) => [`type${index}`, { source }]))
+  }
+});
+
+describe('LocationPriorityMetrics', () => {
+  let registry;
+  let metrics;
+
+  beforeEach(() => {
+    registry = new MetricsRegistry();
+    metrics = new LocationPriorityMetrics({ registry });
+  });
+
+  describe('getProvider', () => {
+    it('credits the provider that answered the most facility types', () => {
+      expect(metrics.getProvider(analysis('google', 'offline', 'google').result)).toBe('google');
+    });
+
+    it('breaks ties by provider order', () => {
+      expect(metrics.getProvider(analysis('overpass', 'offline').result)).toBe('offline');
+      expect(metrics.getProvider(analysis('custom', 'overpass').result)).toBe('overpass');
+    });
+
+    it('reports default for fallback scores and lookups no provider answered', () => {
+      expect(metrics.getProvider({ priorityScore: 0.5, error: 'Unable to calculate location priority' })).toBe('default');
+      expect(metrics.getProvider({ facilityAnalysis: { hospital: { error: 'All facility providers failed' } } })).toBe('default');
+      expect(metrics.getProvider(null)).toBe('default');
+    });
+  });
+
+  describe('record', () => {
+    it('counts outcomes, providers, levels and privacy levels per operation', () => {
+      metrics.record('location', { durationMs: 100, ...analysis('offline'), privacyLevel: 'exact' });
+      metrics.record('location', { durationMs: 300, result: { priorityLevel: 'MEDIUM', error: 'Unable to calculate location priority' } });
+      metrics.record('location', { durationMs: 200, error: new Error('boom'), privacyLevel: 'exact' });
+      metrics.record('comprehensive', {
+        durationMs: 50,
+        result: { priorityLevel: 'LOW' },
+        locationPriority: analysis('google').result,
+        privacyLevel: 'approximate'
+      });
+
+      expect(metrics.getOperationStats('location')).toEqual({
+        totalRequests: 3,
+        succeeded: 1,
+        fallbacks: 1,
+        errors: 1,
+        errorRate: 0.667,
+        latencyMs: { mean: 200, p50: 200, p95: 300, p99: 300, window: 3 },
+        // A thrown calculation has no result to credit a provider or level with
+        providers: { offline: 1, default: 1 },
+        priorityLevels: { HIGH: 1, MEDIUM: 1 },
+        privacyLevels: { exact: 2, unknown: 1 }
+      });
+
+      expect(metrics.getOperationStats('comprehensive')).toMatchObject({
+        totalRequests: 1,
+        succeeded: 1,
+        errorRate: 0,
+        providers: { google: 1 },
+        priorityLevels: { LOW: 1 },
+        privacyLevels: { approximate: 1 }
+      });
+    });
+
+    it('exposes the counters in the Prometheus text format', () => {
+      metrics.record('location', { durationMs: 100, ...analysis('offline'), privacyLevel: 'exact' });
+
+      const text = registry.toPrometheus({ prefix: 'location_priority_' });
+      expect(text).toContain('location_priority_requests_total{operation="location",outcome="success"} 1');
+      expect(text).toContain('location_priority_provider_total{operation="location",provider="offline"} 1');
+      expect(text).toContain('location_priority_duration_seconds_count{operation="location"} 1');
+    });
+  });
+
+  describe('getSnapshot', () => {
+    it('reports every operation, including ones with no calculations yet', () => {
+      const snapshot = metrics.getSnapshot();
+
+      expect(Object.keys(snapshot.operations)).toEqual(['location', 'comprehensive']);
+      expect(snapshot.operations.location).toMatchObject({
+        totalRequests: 0,
+        errorRate: null,
+        latencyMs: { mean: null, p50: null, window: 0 },
+        providers: {}
+      });
+      expect(snapshot.uptimeSeconds).toBeGreaterThanOrEqual(0);
+    });
+  });
+
+  describe('LocationPriorityService instrumentation', () => {
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('records the default score for invalid coordinates as a fallback', async () => {
+      const { repositories } = createTestRepositories();
+      const service = new LocationPriorityService({
+        providers: {},
+        facilityCache: new FacilityCacheService({ repositories }),
+        metrics
+      });
+
+      const result = await service.calculateLocationPriority(123, 77.59, 'pothole', { privacyLevel: 'exact' });
+
+      expect(result).toMatchObject({ priorityScore: 0.5, fallbackReason: 'Invalid coordinates provided' });
+      expect(metrics.getOperationStats('location')).toMatchObject({
+        totalRequests: 1,
+        fallbacks: 1,
+        providers: { default: 1 },
+        priorityLevels: { MEDIUM: 1 },
+        privacyLevels: { exact: 1 }
+      });
+    });
+  });
+});
@@ -0,0 +1,145 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PoiImportService = require('../services/PoiImportService');
+
+const point = (lon, lat, properties, id) => ({
+  type: 'Feature',
+  ...(id ? { id } : {}),
+  properties,
+  geometry: { type: 'Point', coordinates: [lon, lat] }
+});
+
+const features = [
+  // osmium export: tags straight on properties
+  point(77.5946, 12.9716, { '@id': 'n1', amenity: 'hospital', name: 'City Hospital', 'addr:street': 'MG Road', 'addr:city': 'Bengaluru' }),
+  // Overpass export: tags nested under properties.tags
+  point(77.6, 12.98, { tags: { railway: 'station', name: 'Central' } }, 'node/2'),
+  // Area: represented by the mean of its vertices
+  {
+    type: 'Feature',
+    properties: { '@id': 'w3', amenity: 'school' },
+    geometry: { type: 'Polygon', coordinates: [[[77.61, 12.99], [77.63, 12.99], [77.63, 13.01], [77.61, 13.01]]] }
+  },
+  // Not a scored facility
+  point(77.59, 12.97, { '@id': 'n4', amenity: 'cafe', name: 'Coffee' }),
+  // Duplicate id: the later feature wins
+  point(77.5947, 12.9717, { '@id': 'n1', amenity: 'hospital', name: 'City Hospital (new wing)' })
+];
+
+describe('PoiImportService', () => {
+  const service = new PoiImportService();
+  let directory;
+
+  beforeAll(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'poi-import-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const writeInput = (name, content) => {
+    const inputPath = path.join(directory, name);
+    fs.writeFileSync(inputPath, content);
+    return inputPath;
+  };
+
+  const readDataset = (outputPath) => JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+
+  describe('toFacility', () => {
+    it('classifies OSM tags into facility types', () => {
+      expect(service.toFacility(features[0])).toEqual({
+        id: 'n1',
+        type: 'hospital',
+        kind: 'hospital',
+        name: 'City Hospital',
+        lat: 12.9716,
+        lon: 77.5946,
+        address: 'MG Road, Bengaluru'
+      });
+      expect(service.toFacility(features[1])).toMatchObject({ id: 'node/2', type: 'transit_station', kind: 'station', name: 'Central' });
+      expect(service.toFacility(features[3])).toBeNull();
+    });
+
+    it('places ways and areas at the mean of their vertices', () => {
+      expect(service.toFacility(features[2])).toMatchObject({ type: 'school', lat: 13, lon: 77.62, name: null, address: null });
+    });
+
+    it('skips features without a usable point', () => {
+      expect(service.toFacility({ type: 'Feature', properties: { amenity: 'police' }, geometry: null })).toBeNull();
+      expect(service.toFacility({ type: 'Feature', properties: { amenity: 'police' }, geometry: { type: 'LineString', coordinates: [] } })).toBeNull();
+      expect(service.toFacility({ type: 'FeatureCollection', features: [] })).toBeNull();
+    });
+
+    it('derives an id from the type and point when the feature has none', () => {
+      expect(service.toFacility(point(77.5, 12.5, { amenity: 'police' })).id).toBe('police:12.500000,77.500000');
+    });
+  });
+
+  describe('importFile', () => {
+    it('imports a GeoJSON FeatureCollection', async () => {
+      const inputPath = writeInput('extract.geojson', JSON.stringify({ type: 'FeatureCollection', features }));
+      const outputPath = path.join(directory, 'collection', 'facilities.json');
+
+      const result = await service.importFile(inputPath, { outputPath });
+
+      expect(result).toEqual({ outputPath, total: 3, counts: { hospital: 1, transit_station: 1, school: 1 } });
+
+      const dataset = readDataset(outputPath);
+      expect(dataset).toMatchObject({ version: 1, source: 'extract.geojson', counts: result.counts });
+      expect(dataset.facilities.map(facility => facility.id)).toEqual(['n1', 'node/2', 'w3']);
+      expect(dataset.facilities[0].name).toBe('City Hospital (new wing)');
+      expect(fs.readdirSync(path.dirname(outputPath))).toEqual(['facilities.json']);
+    });
+
+    it('imports a single GeoJSON feature', async () => {
+      const inputPath = writeInput('single.json', JSON.stringify(features[0]));
+      const outputPath = path.join(directory, 'single.json.out');
+
+      expect(await service.importFile(inputPath, { outputPath })).toMatchObject({ total: 1, counts: { hospital: 1 } });
+    });
+
+    it('imports a GeoJSON sequence with record separators and blank lines', async () => {
+      const lines = features.map(feature => `\x1e${JSON.stringify(feature)}`).join('\n');
+      const inputPath = writeInput('extract.geojsonseq', `${lines}\n\n`);
+      const outputPath = path.join(directory, 'sequence.json');
+
+      const result = await service.importFile(inputPath, { outputPath });
+
+      expect(result).toMatchObject({ total: 3, counts: { hospital: 1, transit_station: 1, school: 1 } });
+      expect(readDataset(outputPath).facilities.map(facility => facility.id)).toEqual(['n1', 'node/2', 'w3']);
+    });
+
+    it('imports newline-delimited GeoJSON', async () => {
+      const inputPath = writeInput('extract.ndjson', features.map(feature => JSON.stringify(feature)).join('\r\n'));
+      const outputPath = path.join(directory, 'ndjson.json');
+
+      expect(await service.importFile(inputPath, { outputPath })).toMatchObject({ total: 3 });
+    });
+
+    it('rejects a malformed sequence line', async () => {
+      const inputPath = writeInput('broken.geojsonl', `${JSON.stringify(features[0])}\n{"type":`);
+
+      await expect(service.importFile(inputPath, { outputPath: path.join(directory, 'broken.json') }))
+        .rejects.toThrow(SyntaxError);
+      expect(fs.existsSync(path.join(directory, 'broken.json'))).toBe(false);
+    });
+
+    it('reports a missing osmium binary for .osm.pbf extracts', async () => {
+      const pbf = new PoiImportService({ osmiumBinary: path.join(directory, 'no-such-osmium') });
+      const inputPath = writeInput('extract.osm.pbf', '');
+
+      await expect(pbf.importFile(inputPath, { outputPath: path.join(directory, 'pbf.json') }))
+        .rejects.toThrow(/Could not run .*no-such-osmium/);
+    });
+  });
+});
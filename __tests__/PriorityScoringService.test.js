@@ -0,0 +1,184 @@
+const PriorityScoringService = require('../services/PriorityScoringService');
+const { DEFAULT_PROFILE } = require('../config/scoring');
+const { createTestRepositories } = require('./helpers/memory');
+
+// Legacy score columns: 0.4 * 0.5 + 0.3 * 0.8 = 0.44 under the default profile
+const openComplaint = (overrides = {}) => ({
+  id: 'c1',
+  status: 'pending',
+  location_sensitivity_score: 0.5,
+  emotion_score: 0.8,
+  vote_count: 0,
+  priority_score: 0,
+  sla_escalation_level: 0,
+  ...overrides
+});
+
+describe('PriorityScoringService', () => {
+  let repositories;
+  let service;
+
+  const setup = (complaints) => {
+    ({ repositories } = createTestRepositories({ complaints }));
+    service = new PriorityScoringService({ repositories });
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    setup([openComplaint()]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  describe('applyScore', () => {
+    it('stores the new score and records one history row', async () => {
+      const complaint = await repositories.complaints.findById('c1');
+      const change = await service.applyScore(complaint, DEFAULT_PROFILE, { reason: 'manual_rescore', changedBy: 'admin-1' });
+
+      expect(change).toEqual({ id: 'c1', from: 0, to: 0.44 });
+
+      const stored = await repositories.complaints.findById('c1');
+      expect(stored.priority_score).toBe(0.44);
+      expect(stored.scoring_profile_version).toBe(DEFAULT_PROFILE.version);
+      expect(stored.priority_breakdown).toMatchObject({ finalScore: 0.44, factorSource: 'legacy_columns', escalationBoost: 0 });
+
+      expect(await service.getHistory('c1')).toEqual([
+        expect.objectContaining({
+          complaint_id: 'c1',
+          old_score: 0,
+          new_score: 0.44,
+          reason: 'manual_rescore',
+          vote_count: 0,
+          profile_version: DEFAULT_PROFILE.version,
+          changed_by: 'admin-1'
+        })
+      ]);
+    });
+
+    it('does nothing when the score and profile are unchanged', async () => {
+      await service.applyScore(await repositories.complaints.findById('c1'), DEFAULT_PROFILE);
+      const change = await service.applyScore(await repositories.complaints.findById('c1'), DEFAULT_PROFILE);
+
+      expect(change).toBeNull();
+      expect(await service.getHistory('c1')).toHaveLength(1);
+    });
+
+    it('stamps a new profile version without a history row when the score is the same', async () => {
+      setup([openComplaint({ priority_score: 0.44, scoring_profile_version: 1 })]);
+      const reissued = { ...DEFAULT_PROFILE, id: 'p2', version: 2 };
+
+      const change = await service.applyScore(await repositories.complaints.findById('c1'), reissued);
+
+      expect(change).toEqual({ id: 'c1', from: 0.44, to: 0.44 });
+      expect((await repositories.complaints.findById('c1')).scoring_profile_version).toBe(2);
+      expect(await service.getHistory('c1')).toEqual([]);
+    });
+
+    it('adds the SLA escalation boost on top of the combined score, capped at the maximum', async () => {
+      setup([
+        openComplaint({ id: 'escalated', sla_escalation_level: 2 }),
+        openComplaint({ id: 'capped', sla_escalation_level: 3 })
+      ]);
+
+      const escalated = await service.applyScore(await repositories.complaints.findById('escalated'), DEFAULT_PROFILE);
+      expect(escalated.to).toBe(0.84);
+      expect((await repositories.complaints.findById('escalated')).priority_breakdown).toMatchObject({
+        escalationBoost: 0.4,
+        weightedSum: 0.44
+      });
+
+      const capped = await service.applyScore(await repositories.complaints.findById('capped'), DEFAULT_PROFILE);
+      expect(capped.to).toBe(1);
+    });
+  });
+
+  describe('rescoreOpenComplaints', () => {
+    it('re-scores open complaints only, with the status multiplier', async () => {
+      setup([
+        openComplaint({ id: 'pending' }),
+        openComplaint({ id: 'working', status: 'in_progress' }),
+        openComplaint({ id: 'done', status: 'resolved' }),
+        openComplaint({ id: 'settled', priority_score: 0.44, scoring_profile_version: 1 })
+      ]);
+
+      const result = await service.rescoreOpenComplaints({ reason: 'profile_change' });
+
+      expect(result).toMatchObject({ profileVersion: 1, checked: 3, updated: 2 });
+      expect(result.changes).toEqual(expect.arrayContaining([
+        { id: 'pending', from: 0, to: 0.44 },
+        { id: 'working', from: 0, to: 0.53 }
+      ]));
+      expect((await repositories.complaints.findById('done')).priority_score).toBe(0);
+      expect(await service.getHistory('settled')).toEqual([]);
+      expect((await service.getHistory('working'))[0].reason).toBe('profile_change');
+    });
+  });
+
+  describe('scheduleRescore', () => {
+    it('folds a burst of calls into one re-score per complaint', async () => {
+      jest.useFakeTimers();
+      const rescore = jest.spyOn(service, 'rescoreComplaint').mockResolvedValue(null);
+
+      service.scheduleRescore('c1', { delayMs: 1000 });
+      jest.advanceTimersByTime(600);
+      service.scheduleRescore('c1', { delayMs: 1000 });
+      service.scheduleRescore('c2', { delayMs: 1000 });
+      jest.advanceTimersByTime(600);
+      service.scheduleRescore('c1', { delayMs: 1000 });
+
+      expect(rescore).not.toHaveBeenCalled();
+
+      // c2 fires on schedule; every c1 call pushed its re-score back
+      jest.advanceTimersByTime(400);
+      expect(rescore.mock.calls).toEqual([['c2', { reason: 'vote_change' }]]);
+
+      jest.advanceTimersByTime(599);
+      expect(rescore).toHaveBeenCalledTimes(1);
+      jest.advanceTimersByTime(1);
+      expect(rescore).toHaveBeenCalledTimes(2);
+      expect(rescore).toHaveBeenLastCalledWith('c1', { reason: 'vote_change' });
+    });
+
+    it('does not keep the process alive for a pending re-score', () => {
+      jest.useFakeTimers();
+      const rescore = jest.spyOn(service, 'rescoreComplaint').mockResolvedValue(null);
+      const timeout = jest.spyOn(global, 'setTimeout');
+
+      service.scheduleRescore('c1', { delayMs: 1000 });
+      expect(timeout.mock.results[0].value.hasRef()).toBe(false);
+
+      jest.runOnlyPendingTimers();
+      expect(rescore).toHaveBeenCalledTimes(1);
+    });
+
+    it('ignores calls without a complaint ID', () => {
+      const timeout = jest.spyOn(global, 'setTimeout');
+      service.scheduleRescore(null);
+      expect(timeout).not.toHaveBeenCalled();
+    });
+
+    it('records the debounced re-score as a vote change', async () => {
+      await repositories.complaints.update('c1', { vote_count: 5 });
+      const rescored = new Promise(resolve => {
+        const original = service.applyScore.bind(service);
+        jest.spyOn(service, 'applyScore').mockImplementation(async (...args) => {
+          const change = await original(...args);
+          resolve(change);
+          return change;
+        });
+      });
+
+      service.scheduleRescore('c1', { delayMs: 5 });
+      const change = await rescored;
+
+      // 0.44 plus the vote factor: 0.1 * (1 - e^-1)
+      expect(change.to).toBe(0.5);
+      expect(await service.getHistory('c1')).toEqual([
+        expect.objectContaining({ reason: 'vote_change', vote_count: 5, new_score: 0.5 })
+      ]);
+    });
+  });
+});
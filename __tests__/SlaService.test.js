@@ -0,0 +1,215 @@
+const SlaService = require('../services/SlaService');
+const { getSlaPolicy } = require('../config/sla');
+const { createTestRepositories } = require('./helpers/memory');
+
+const HOUR = 60 * 60 * 1000;
+const NOW = new Date('2026-03-10T12:00:00.000Z');
+const hoursAgo = hours => new Date(NOW.getTime() - hours * HOUR).toISOString();
+
+const complaints = [
+  // CRITICAL pothole: 4h to first review, 48h to resolution
+  { id: 'review-late', title: 'Open manhole', category: 'pothole', status: 'pending', priority_score: 0.9, created_at: hoursAgo(5) },
+  // MEDIUM flooding uses the tighter category policy: 6h / 48h
+  { id: 'fix-late', title: 'Flooded underpass', category: 'flooding', status: 'in_progress', priority_score: 0.5, created_at: hoursAgo(50) },
+  // LOW garbage: 24h / 120h, 19h in is past the at-risk ratio
+  { id: 'at-risk', title: 'Overflowing bin', category: 'garbage', status: 'pending', priority_score: 0.2, created_at: hoursAgo(19) },
+  { id: 'on-track', title: 'Faded road marking', category: 'pothole', status: 'pending', priority_score: 0.2, created_at: hoursAgo(1) },
+  { id: 'closed', title: 'Old pothole', category: 'pothole', status: 'resolved', priority_score: 0.9, created_at: hoursAgo(500) },
+  // Legacy 0-100 score, CRITICAL, exactly at its 4h first-review deadline
+  { id: 'legacy', title: 'Live wire', category: 'road_damage', status: 'pending', priority_score: 85, created_at: hoursAgo(4) }
+];
+
+const users = [
+  { id: 'pw-admin', email: 'pw@city.gov', full_name: 'Public Works Admin', user_type: 'department_admin', department: 'Public Works', is_active: true, created_at: '2026-01-01T00:00:00.000Z' },
+  { id: 'retired', email: 'old@city.gov', full_name: 'Retired Admin', user_type: 'department_admin', department: 'Water & Sewerage', is_active: false, created_at: '2026-01-01T00:00:00.000Z' },
+  { id: 'root', email: 'root@city.gov', full_name: 'Super Admin', user_type: 'super_admin', department: null, is_active: true, created_at: '2026-01-02T00:00:00.000Z' }
+];
+
+describe('SlaService', () => {
+  let repositories;
+  let service;
+
+  const stored = async id => repositories.complaints.findById(id);
+  const complaint = id => complaints.find(row => row.id === id);
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    ({ repositories } = createTestRepositories({ complaints, users }));
+    service = new SlaService({ repositories });
+  });
+
+  afterEach(() => {
+    service.stopScheduler();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('evaluate', () => {
+    it('picks the category policy for the priority level', () => {
+      expect(getSlaPolicy('flooding', 0.5)).toEqual({ level: 'MEDIUM', firstReviewHours: 6, resolutionHours: 48 });
+      // Categories only override the levels they list
+      expect(getSlaPolicy('electricity', 0.5)).toEqual({ level: 'MEDIUM', firstReviewHours: 24, resolutionHours: 168 });
+      expect(getSlaPolicy('pothole', 85).level).toBe('CRITICAL');
+    });
+
+    it('breaches first review once the complaint stays pending past its deadline', () => {
+      const evaluation = service.evaluate(complaint('review-late'), NOW);
+
+      expect(evaluation).toMatchObject({ state: 'breached', breachType: 'first_review' });
+      expect(evaluation.firstReview).toEqual({
+        deadline: hoursAgo(1),
+        met: false,
+        breached: true,
+        atRisk: false,
+        hoursRemaining: -1
+      });
+      expect(evaluation.resolution).toMatchObject({ breached: false, atRisk: false, hoursRemaining: 43 });
+    });
+
+    it('stops the first-review clock once the complaint leaves pending', () => {
+      const evaluation = service.evaluate(complaint('fix-late'), NOW);
+
+      expect(evaluation.firstReview).toMatchObject({ met: true, breached: false, hoursRemaining: null });
+      expect(evaluation).toMatchObject({ state: 'breached', breachType: 'resolution' });
+      expect(evaluation.resolution.hoursRemaining).toBe(-2);
+    });
+
+    it('is at risk from the at-risk ratio up to and including the deadline', () => {
+      expect(service.evaluate(complaint('at-risk'), NOW)).toMatchObject({ state: 'at_risk', breachType: null });
+      expect(service.evaluate(complaint('legacy'), NOW)).toMatchObject({ state: 'at_risk', breachType: null });
+      expect(service.evaluate(complaint('legacy'), new Date(NOW.getTime() + 1))).toMatchObject({ state: 'breached', breachType: 'first_review' });
+      expect(service.evaluate(complaint('on-track'), NOW).state).toBe('on_track');
+    });
+
+    it('stops both clocks for closed complaints', () => {
+      expect(service.evaluate(complaint('closed'), NOW)).toMatchObject({
+        state: 'closed',
+        breachType: null,
+        resolution: { met: true, breached: false }
+      });
+    });
+  });
+
+  describe('getReport', () => {
+    beforeEach(() => {
+      jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate'] });
+    });
+
+    it('lists breached and at-risk open complaints, most overdue first', async () => {
+      const report = await service.getReport();
+
+      expect(report).toMatchObject({ generatedAt: NOW.toISOString(), breached: 2, atRisk: 2 });
+      expect(report.complaints.map(item => [item.id, item.sla_state, item.hours_remaining])).toEqual([
+        ['fix-late', 'breached', -2],
+        ['review-late', 'breached', -1],
+        ['legacy', 'at_risk', 0],
+        ['at-risk', 'at_risk', 5]
+      ]);
+      expect(report.complaints[1]).toMatchObject({ department: 'Public Works', priority_level: 'CRITICAL', deadline: hoursAgo(1) });
+    });
+
+    it('filters by state and department', async () => {
+      expect((await service.getReport({ state: 'at_risk' })).complaints.map(item => item.id)).toEqual(['legacy', 'at-risk']);
+      expect((await service.getReport({ department: 'Water & Sewerage' })).complaints.map(item => item.id)).toEqual(['fix-late']);
+    });
+  });
+
+  describe('runCheck', () => {
+    it('escalates each breach once: priority bump, supervisor, history and audit entry', async () => {
+      const result = await service.runCheck(NOW);
+
+      expect(result).toMatchObject({ checked: 5, breached: 2 });
+      expect(result.escalations).toEqual(expect.arrayContaining([
+        {
+          complaintId: 'review-late',
+          breachType: 'first_review',
+          escalationLevel: 1,
+          previousPriority: 0.9,
+          newPriority: 1,
+          supervisorId: 'pw-admin',
+          department: 'Public Works'
+        },
+        // No active Water & Sewerage admin, so the super admin takes it
+        expect.objectContaining({ complaintId: 'fix-late', escalationLevel: 2, newPriority: 0.7, supervisorId: 'root' })
+      ]));
+
+      expect(await stored('review-late')).toMatchObject({
+        priority_score: 1,
+        sla_escalation_level: 1,
+        sla_escalated_at: NOW.toISOString(),
+        assigned_admin_id: 'pw-admin'
+      });
+      expect(await repositories.priorityHistory.listForComplaint('review-late')).toEqual([
+        expect.objectContaining({ old_score: 0.9, new_score: 1, reason: 'sla_escalation' })
+      ]);
+
+      const [update] = await repositories.updates.listForComplaint('review-late');
+      expect(update).toMatchObject({ old_status: 'pending', new_status: 'pending' });
+      expect(update.update_notes).toBe(
+        'SLA breached: first review not completed within 4h (CRITICAL priority). ' +
+        'Priority raised from 0.9 to 1, reassigned to Public Works Admin.'
+      );
+
+      const again = await service.runCheck(NOW);
+      expect(again).toMatchObject({ breached: 2, escalations: [] });
+      expect(await repositories.updates.listForComplaint('review-late')).toHaveLength(1);
+    });
+
+    it('escalates again when a later clock breaches', async () => {
+      await service.runCheck(NOW);
+
+      // The pothole's 48h resolution deadline passes
+      const later = new Date(NOW.getTime() + 44 * HOUR);
+      const { escalations } = await service.runCheck(later);
+
+      expect(escalations.map(item => [item.complaintId, item.breachType, item.escalationLevel])).toEqual(
+        expect.arrayContaining([['review-late', 'resolution', 2]])
+      );
+      expect((await stored('review-late')).sla_escalation_level).toBe(2);
+    });
+
+    it('raises legacy 0-100 scores on their own scale', async () => {
+      const { escalations } = await service.runCheck(new Date(NOW.getTime() + HOUR));
+
+      expect(escalations.find(item => item.complaintId === 'legacy')).toMatchObject({ previousPriority: 85, newPriority: 100 });
+      expect(service.raisePriority(0.3)).toBe(0.5);
+      expect(service.raisePriority(null)).toBe(0.2);
+    });
+
+    it('does not overlap checks', async () => {
+      const first = service.runCheck(NOW);
+      expect(await service.runCheck(NOW)).toEqual({ skipped: true, reason: 'A check is already running' });
+      await first;
+      expect(service.running).toBe(false);
+    });
+
+    it('keeps checking other complaints when one escalation fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const escalate = service.escalate.bind(service);
+      jest.spyOn(service, 'escalate').mockImplementation((row, ...args) =>
+        (row.id === 'fix-late' ? Promise.reject(new Error('update failed')) : escalate(row, ...args)));
+
+      const { escalations } = await service.runCheck(NOW);
+      expect(escalations.map(item => item.complaintId)).toEqual(['review-late']);
+    });
+  });
+
+  describe('startScheduler', () => {
+    it('runs the check on an unref\'d interval until stopped', () => {
+      jest.useFakeTimers();
+      const runCheck = jest.spyOn(service, 'runCheck').mockResolvedValue({ checked: 0, breached: 0, escalations: [] });
+
+      service.startScheduler(15);
+      service.startScheduler(15);
+      expect(service.timer.hasRef()).toBe(false);
+
+      jest.advanceTimersByTime(45 * 60 * 1000);
+      expect(runCheck).toHaveBeenCalledTimes(3);
+
+      service.stopScheduler();
+      jest.advanceTimersByTime(15 * 60 * 1000);
+      expect(runCheck).toHaveBeenCalledTimes(3);
+      expect(service.timer).toBeNull();
+    });
+  });
+});
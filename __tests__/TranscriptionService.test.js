@@ -0,0 +1,274 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const TranscriptionService = require('../services/TranscriptionService');
+const { SarvamProvider, LocalWhisperProvider } = require('../services/transcriptionProviders');
+const { FALLBACK_MESSAGES } = require('../config/transcription');
+
+const WAV_HEADER = Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WAVE')]);
+
+const fakeProvider = (name, transcribe, { configured = true } = {}) => ({
+  name,
+  isConfigured: () => configured,
+  transcribe: jest.fn(transcribe)
+});
+
+const failing = message => async () => { throw new Error(message); };
+
+describe('transcription', () => {
+  let directory;
+
+  beforeAll(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'transcription-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const writeFile = (name, content) => {
+    const filePath = path.join(directory, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+
+  // Temp files are removed without waiting, so give the unlinks a moment
+  const settled = () => new Promise(resolve => setTimeout(resolve, 20));
+
+  describe('TranscriptionService', () => {
+    let upload;
+    let converted;
+
+    const createService = (providers, provider = 'auto') => {
+      const service = new TranscriptionService({ provider, providers });
+      jest.spyOn(service, 'convertToWav').mockImplementation(async () => converted);
+      return service;
+    };
+
+    // Fresh names per test, so one test's cleanup can't remove the next test's upload
+    let uploads = 0;
+
+    beforeEach(() => {
+      uploads++;
+      upload = writeFile(`upload-${uploads}.m4a`, 'not really audio');
+      converted = writeFile(`upload-${uploads}_converted.wav`, WAV_HEADER);
+    });
+
+    it('answers from the first configured provider and removes the temp files', async () => {
+      const providers = {
+        local: fakeProvider('local', async () => ({ transcription: 'सड़क पर गड्ढा है', translation: 'There is a pothole on the road' })),
+        sarvam: fakeProvider('sarvam', async () => ({ transcription: 'unused' }))
+      };
+      const service = createService(providers);
+
+      const result = await service.transcribe({ filePath: upload, language: 'hi-IN' });
+
+      expect(result).toEqual({
+        transcription: 'सड़क पर गड्ढा है',
+        translation: 'There is a pothole on the road',
+        language: 'hi',
+        provider: 'local',
+        fallback: false
+      });
+      expect(providers.local.transcribe).toHaveBeenCalledWith({ audioPath: converted, language: 'hi' });
+      expect(providers.sarvam.transcribe).not.toHaveBeenCalled();
+
+      await settled();
+      expect(fs.existsSync(upload)).toBe(false);
+      expect(fs.existsSync(converted)).toBe(false);
+    });
+
+    it('falls back to the next provider when one fails', async () => {
+      const service = createService({
+        local: fakeProvider('local', failing('Local transcription failed: timed out')),
+        sarvam: fakeProvider('sarvam', async () => ({ transcription: 'Streetlight is broken', translation: null }))
+      });
+
+      expect(await service.transcribe({ filePath: upload, language: 'en' })).toEqual({
+        transcription: 'Streetlight is broken',
+        // English needs no translation step
+        translation: 'Streetlight is broken',
+        language: 'en',
+        provider: 'sarvam',
+        fallback: false
+      });
+    });
+
+    it('returns fallback text naming every provider error when all fail', async () => {
+      const service = createService({
+        local: fakeProvider('local', failing('Local engine returned an empty transcript')),
+        sarvam: fakeProvider('sarvam', failing('Request failed with status code 429'))
+      });
+
+      expect(await service.transcribe({ filePath: upload, language: 'ta' })).toEqual({
+        transcription: FALLBACK_MESSAGES.ta,
+        translation: FALLBACK_MESSAGES.en,
+        language: 'ta',
+        provider: null,
+        fallback: true,
+        note: 'Transcription failed (local: Local engine returned an empty transcript; ' +
+          'sarvam: Request failed with status code 429). Using fallback text.'
+      });
+    });
+
+    it('returns fallback text when no provider is configured', async () => {
+      const service = createService({ sarvam: fakeProvider('sarvam', async () => ({}), { configured: false }) }, 'sarvam');
+
+      expect(await service.transcribe({ filePath: upload, language: 'od' })).toMatchObject({
+        // Odia has no fallback text of its own
+        transcription: FALLBACK_MESSAGES.en,
+        language: 'od',
+        fallback: true,
+        note: 'No transcription provider is configured (mode: sarvam). Using fallback text.'
+      });
+    });
+
+    it('sends an uploaded WAV as-is when resampling fails', async () => {
+      const wav = writeFile('upload.wav', WAV_HEADER);
+      const local = fakeProvider('local', async () => ({ transcription: 'Water leak', translation: 'Water leak' }));
+      const service = createService({ local });
+      service.convertToWav.mockRejectedValue(new Error('ffmpeg exited with code 1'));
+
+      expect(await service.transcribe({ filePath: wav, language: 'en' })).toMatchObject({ provider: 'local', fallback: false });
+      expect(local.transcribe).toHaveBeenCalledWith({ audioPath: wav, language: 'en' });
+    });
+
+    it('gives up on audio that cannot be converted', async () => {
+      const local = fakeProvider('local', async () => ({ transcription: 'unused' }));
+      const service = createService({ local });
+      service.convertToWav.mockRejectedValue(new Error('Invalid data found when processing input'));
+
+      expect(await service.transcribe({ filePath: upload, language: 'xx' })).toMatchObject({
+        language: 'en',
+        fallback: true,
+        note: 'Audio conversion failed. Using fallback text.'
+      });
+      expect(local.transcribe).not.toHaveBeenCalled();
+    });
+
+    it('reports the provider chain for the status endpoint', () => {
+      const service = createService({
+        sarvam: fakeProvider('sarvam', async () => ({})),
+        local: fakeProvider('local', async () => ({}), { configured: false })
+      });
+
+      expect(service.getStatus()).toMatchObject({
+        mode: 'auto',
+        active: ['sarvam'],
+        providers: [{ name: 'sarvam', configured: true }, { name: 'local', configured: false }]
+      });
+    });
+  });
+
+  describe('LocalWhisperProvider', () => {
+    const script = (name, body) => {
+      const binary = writeFile(name, `#!/bin/sh\n${body}\n`);
+      fs.chmodSync(binary, 0o755);
+      return binary;
+    };
+
+    const provider = (binary, config = {}) => new LocalWhisperProvider({
+      binary,
+      model: writeFile('ggml-test.bin', ''),
+      threads: 2,
+      timeoutMs: 5000,
+      ...config
+    });
+
+    it('is configured only when the binary and model exist', () => {
+      expect(provider(script('whisper-ok', 'exit 0')).isConfigured()).toBe(true);
+      expect(provider(path.join(directory, 'missing')).isConfigured()).toBe(false);
+      expect(new LocalWhisperProvider({}).isConfigured()).toBe(false);
+    });
+
+    it('joins transcript lines and translates with the model\'s translate task', async () => {
+      // Echo the arguments so the language and task flags are visible
+      const binary = script('whisper-echo', 'echo "  $@  "\necho ""\necho "done"');
+      const result = await provider(binary).transcribe({ audioPath: 'clip.wav', language: 'od' });
+
+      expect(result.transcription).toMatch(/-f clip\.wav -l or -t 2 -nt -np done$/);
+      expect(result.translation).toMatch(/-np -tr done$/);
+    });
+
+    it('maps engine failures to readable errors', async () => {
+      const broken = script('whisper-broken', 'echo "error: failed to load model" >&2\nexit 1');
+      await expect(provider(broken).transcribe({ audioPath: 'clip.wav', language: 'en' }))
+        .rejects.toThrow('Local transcription failed: error: failed to load model');
+
+      const slow = script('whisper-slow', 'sleep 5');
+      await expect(provider(slow, { timeoutMs: 100 }).transcribe({ audioPath: 'clip.wav', language: 'en' }))
+        .rejects.toThrow('Local transcription failed: timed out');
+
+      const silent = script('whisper-silent', 'exit 0');
+      await expect(provider(silent).transcribe({ audioPath: 'clip.wav', language: 'en' }))
+        .rejects.toThrow('Local engine returned an empty transcript');
+    });
+
+    it('keeps the transcript when only the translation fails', async () => {
+      const binary = script('whisper-no-translate', 'case "$*" in *-tr*) exit 2;; esac\necho "ನೀರು ಸೋರಿಕೆ"');
+
+      expect(await provider(binary).transcribe({ audioPath: 'clip.wav', language: 'kn' }))
+        .toEqual({ transcription: 'ನೀರು ಸೋರಿಕೆ', translation: null });
+    });
+  });
+
+  describe('SarvamProvider', () => {
+    let audioPath;
+    const sarvam = () => new SarvamProvider({
+      apiKey: 'test-key',
+      speechToTextUrl: 'https://sarvam.test/speech-to-text',
+      translateUrl: 'https://sarvam.test/translate',
+      model: 'saarika:v2.5',
+      timeoutMs: 1000
+    });
+
+    beforeEach(() => {
+      audioPath = writeFile('clip.wav', WAV_HEADER);
+    });
+
+    it('reads the transcript from each response shape Sarvam has used', () => {
+      const provider = sarvam();
+      expect(provider.extractTranscript({ transcript: 'a' })).toBe('a');
+      expect(provider.extractTranscript({ text: 'b' })).toBe('b');
+      expect(provider.extractTranscript({ results: [{ text: 'c' }] })).toBe('c');
+      expect(provider.extractTranscript('d')).toBe('d');
+      expect(provider.extractTranscript(null)).toBe('');
+    });
+
+    it('transcribes with the regional language code, then translates', async () => {
+      const post = jest.spyOn(axios, 'post')
+        .mockResolvedValueOnce({ data: { transcript: ' కరెంటు లేదు ' } })
+        .mockResolvedValueOnce({ data: { translated_text: 'No electricity' } });
+
+      expect(await sarvam().transcribe({ audioPath, language: 'te' }))
+        .toEqual({ transcription: 'కరెంటు లేదు', translation: 'No electricity' });
+      expect(post).toHaveBeenLastCalledWith(
+        'https://sarvam.test/translate',
+        { input: 'కరెంటు లేదు', source_language_code: 'te-IN', target_language_code: 'en-IN' },
+        expect.objectContaining({ headers: { 'api-subscription-key': 'test-key' } })
+      );
+    });
+
+    it('treats an empty transcript as a failure and a failed translation as none', async () => {
+      jest.spyOn(axios, 'post').mockResolvedValueOnce({ data: { transcript: '  ' } });
+      await expect(sarvam().transcribe({ audioPath, language: 'hi' })).rejects.toThrow('Sarvam returned an empty transcript');
+
+      jest.spyOn(axios, 'post')
+        .mockResolvedValueOnce({ data: { transcript: 'पानी नहीं आ रहा' } })
+        .mockRejectedValueOnce(new Error('Request failed with status code 500'));
+      expect(await sarvam().transcribe({ audioPath, language: 'hi' }))
+        .toEqual({ transcription: 'पानी नहीं आ रहा', translation: null });
+    });
+  });
+});
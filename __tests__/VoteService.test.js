@@ -0,0 +1,136 @@
+const VoteService = require('../services/VoteService');
+const { createTestRepositories } = require('./helpers/memory');
+
+describe('VoteService', () => {
+  let repositories;
+  let priorityScoringService;
+  let complaintEvents;
+  let service;
+
+  const user = (id) => ({ userId: id });
+  const guest = (id) => ({ guestDeviceId: id, fingerprint: `fp-${id}`, ipHash: `ip-${id}` });
+  const storedCount = async (id) => (await repositories.complaints.findById(id)).vote_count;
+
+  beforeEach(() => {
+    ({ repositories } = createTestRepositories({
+      complaints: [
+        { id: 'c1', title: 'Pothole', vote_count: 0 },
+        { id: 'c2', title: 'Streetlight', vote_count: 0 }
+      ]
+    }));
+    priorityScoringService = { scheduleRescore: jest.fn() };
+    complaintEvents = { publishVoted: jest.fn() };
+    service = new VoteService({ repositories, priorityScoringService, complaintEvents });
+  });
+
+  it('moves one voter from upvote to downvote to no vote', async () => {
+    const voter = user('u1');
+
+    const upvoted = await service.castVote({ complaintId: 'c1', voter, action: 'upvote' });
+    expect(upvoted).toEqual({
+      status: 'ok', voteType: 'upvote', previousVoteType: null, changed: true, voteCount: 1, downvoteCount: 0
+    });
+    expect(await storedCount('c1')).toBe(1);
+
+    const downvoted = await service.castVote({ complaintId: 'c1', voter, action: 'downvote' });
+    expect(downvoted).toMatchObject({ voteType: 'downvote', previousVoteType: 'upvote', changed: true, voteCount: 0, downvoteCount: 1 });
+    expect(await storedCount('c1')).toBe(0);
+
+    const retracted = await service.castVote({ complaintId: 'c1', voter, action: 'retract' });
+    expect(retracted).toMatchObject({ voteType: null, previousVoteType: 'downvote', changed: true, voteCount: 0, downvoteCount: 0 });
+    expect(await repositories.votes.countForComplaint('c1')).toBe(0);
+  });
+
+  it('treats repeating an action as a no-op', async () => {
+    const voter = user('u1');
+    await service.castVote({ complaintId: 'c1', voter, action: 'upvote' });
+    priorityScoringService.scheduleRescore.mockClear();
+    complaintEvents.publishVoted.mockClear();
+
+    const repeated = await service.castVote({ complaintId: 'c1', voter, action: 'upvote' });
+    expect(repeated).toMatchObject({ voteType: 'upvote', previousVoteType: 'upvote', changed: false, voteCount: 1 });
+
+    const retractWithoutVote = await service.castVote({ complaintId: 'c2', voter, action: 'retract' });
+    expect(retractWithoutVote).toMatchObject({ voteType: null, changed: false, voteCount: 0 });
+
+    expect(await repositories.votes.countForComplaint('c1')).toBe(1);
+    expect(priorityScoringService.scheduleRescore).not.toHaveBeenCalled();
+    expect(complaintEvents.publishVoted).not.toHaveBeenCalled();
+  });
+
+  it('re-scores and publishes after a change', async () => {
+    const result = await service.castVote({ complaintId: 'c1', voter: user('u1'), action: 'upvote' });
+    expect(priorityScoringService.scheduleRescore).toHaveBeenCalledWith('c1');
+    expect(complaintEvents.publishVoted).toHaveBeenCalledWith('c1', result);
+  });
+
+  it('reports unknown complaints and rejects unknown actions', async () => {
+    await expect(service.castVote({ complaintId: 'missing', voter: user('u1'), action: 'upvote' }))
+      .resolves.toEqual({ status: 'not_found' });
+    await expect(service.castVote({ complaintId: 'c1', voter: user('u1'), action: 'boost' }))
+      .rejects.toThrow(/Invalid vote action/);
+  });
+
+  it('recounts correctly under concurrent votes', async () => {
+    const voters = Array.from({ length: 20 }, (_, index) => (index % 2 ? user(`u${index}`) : guest(`g${index}`)));
+
+    await Promise.all(voters.map(voter => service.castVote({ complaintId: 'c1', voter, action: 'upvote' })));
+    expect(await storedCount('c1')).toBe(20);
+
+    // Half change their minds at the same time as the same voters repeat themselves
+    await Promise.all(voters.flatMap((voter, index) => (index < 10
+      ? [service.castVote({ complaintId: 'c1', voter, action: 'downvote' })]
+      : [service.castVote({ complaintId: 'c1', voter, action: 'upvote' }), service.castVote({ complaintId: 'c1', voter, action: 'upvote' })])));
+
+    expect(await storedCount('c1')).toBe(10);
+    expect(await repositories.votes.countForComplaint('c1')).toBe(20);
+    expect(await repositories.votes.countForComplaint('c1', 'downvote')).toBe(10);
+  });
+
+  it('keeps guest and user votes apart', async () => {
+    await service.castVote({ complaintId: 'c1', voter: user('shared'), action: 'upvote' });
+    const guestVote = await service.castVote({ complaintId: 'c1', voter: guest('shared'), action: 'upvote' });
+    expect(guestVote).toMatchObject({ previousVoteType: null, changed: true, voteCount: 2 });
+
+    const stored = await repositories.votes.findGuestVote('c1', 'shared');
+    expect(stored).toMatchObject({ user_id: null, device_fingerprint: 'fp-shared', ip_hash: 'ip-shared' });
+
+    await service.castVote({ complaintId: 'c1', voter: guest('shared'), action: 'retract' });
+    expect(await service.getVote('c1', user('shared'))).toMatchObject({ vote_type: 'upvote' });
+    expect(await storedCount('c1')).toBe(1);
+  });
+
+  it('toggles an upvote on and off', async () => {
+    const voter = guest('g1');
+    expect(await service.toggleUpvote({ complaintId: 'c1', voter })).toMatchObject({ voteType: 'upvote', voteCount: 1 });
+    expect(await service.toggleUpvote({ complaintId: 'c1', voter })).toMatchObject({ voteType: null, voteCount: 0 });
+  });
+
+  describe('getVoteStatuses', () => {
+    beforeEach(async () => {
+      await service.castVote({ complaintId: 'c1', voter: user('u1'), action: 'upvote' });
+      await service.castVote({ complaintId: 'c2', voter: user('u1'), action: 'downvote' });
+      await service.castVote({ complaintId: 'c2', voter: guest('g1'), action: 'upvote' });
+    });
+
+    it('returns the voter\'s vote per complaint and null for unknown ids', async () => {
+      const statuses = await service.getVoteStatuses(['c1', 'c2', 'missing', 'c1'], user('u1'));
+      expect(statuses).toEqual({
+        c1: { voteType: 'upvote', hasVoted: true, voteCount: 1 },
+        c2: { voteType: 'downvote', hasVoted: false, voteCount: 1 },
+        missing: null
+      });
+    });
+
+    it('looks up guest votes by device', async () => {
+      const statuses = await service.getVoteStatuses(['c1', 'c2'], guest('g1'));
+      expect(statuses.c1).toMatchObject({ voteType: null, hasVoted: false });
+      expect(statuses.c2).toMatchObject({ voteType: 'upvote', hasVoted: true });
+    });
+
+    it('returns counts without votes for anonymous callers', async () => {
+      const statuses = await service.getVoteStatuses(['c1', 'unknown'], null);
+      expect(statuses).toEqual({ c1: { voteType: null, hasVoted: false, voteCount: 1 }, unknown: null });
+    });
+  });
+});
@@ -0,0 +1,206 @@
+const WorkflowEngine = require('../services/WorkflowEngine');
+
+const engine = new WorkflowEngine();
+
+// Standard workflow: initial_review (step 1), assessment (step 2, needs estimated_cost), resolution (step 3)
+const standard = engine.getDefinition('other');
+const stage = (definition, key) => engine.resolveStage(definition, key);
+
+const rowWith = (definition, statuses) => ({
+  workflow_key: definition.key,
+  stage_data: Object.fromEntries(definition.stages.map((candidate, index) => [
+    candidate.key,
+    { status: statuses[index] || 'pending' }
+  ]))
+});
+
+describe('WorkflowEngine', () => {
+  describe('getDefinition', () => {
+    it('maps categories to workflows and falls back to the default', () => {
+      expect(engine.getDefinition('pothole').key).toBe('infrastructure_repair');
+      expect(engine.getDefinition('garbage').key).toBe('sanitation');
+      expect(standard.key).toBe('standard_civic_complaint');
+    });
+
+    it('keeps the workflow a row was created with', () => {
+      const definition = engine.getDefinitionForComplaint({ category: 'garbage' }, { workflow_key: 'emergency_response' });
+      expect(definition.key).toBe('emergency_response');
+    });
+  });
+
+  describe('validateStageUpdate', () => {
+    it('accepts transitions in the transition table', () => {
+      const row = rowWith(standard, ['pending']);
+      expect(engine.validateStageUpdate(standard, row, stage(standard, 'initial_review'), 'in_progress')).toEqual([]);
+    });
+
+    it('rejects unknown statuses', () => {
+      const errors = engine.validateStageUpdate(standard, rowWith(standard, []), stage(standard, 1), 'done');
+      expect(errors).toEqual([expect.stringMatching(/Invalid status: "done"/)]);
+    });
+
+    it('rejects transitions the table does not allow', () => {
+      const row = rowWith(standard, ['completed']);
+      const errors = engine.validateStageUpdate(standard, row, stage(standard, 'initial_review'), 'cancelled');
+      expect(errors).toEqual(['Initial Review cannot move from completed to cancelled']);
+    });
+
+    it('treats re-applying the current status as allowed', () => {
+      const row = rowWith(standard, ['completed']);
+      expect(engine.validateStageUpdate(standard, row, stage(standard, 'initial_review'), 'completed')).toEqual([]);
+    });
+
+    it('blocks later stages in sequential workflows until earlier ones complete', () => {
+      const row = rowWith(standard, ['in_progress']);
+      const errors = engine.validateStageUpdate(standard, row, stage(standard, 'resolution'), 'in_progress');
+      expect(errors).toEqual(['Initial Review must be completed before Resolution can be in progress']);
+
+      // Going back to pending is never blocked
+      expect(engine.validateStageUpdate(standard, row, stage(standard, 'resolution'), 'pending')).toEqual([]);
+    });
+
+    it('does not block stages in non-sequential workflows', () => {
+      const emergency = engine.getDefinition('flooding');
+      const row = rowWith(emergency, []);
+      expect(engine.validateStageUpdate(emergency, row, stage(emergency, 'permanent_fix'), 'in_progress')).toEqual([]);
+    });
+
+    it('requires the estimated cost to complete the assessment', () => {
+      const row = rowWith(standard, ['completed', 'in_progress']);
+      const assessment = stage(standard, 'assessment');
+
+      expect(engine.validateStageUpdate(standard, row, assessment, 'completed'))
+        .toEqual(['estimated_cost is required to mark Assessment as completed']);
+      expect(engine.validateStageUpdate(standard, row, assessment, 'completed', { estimated_cost: '' }))
+        .toHaveLength(1);
+      expect(engine.validateStageUpdate(standard, row, assessment, 'completed', { estimated_cost: 12000 }))
+        .toEqual([]);
+    });
+
+    it('accepts a required field already stored on the stage', () => {
+      const row = rowWith(standard, ['completed', 'in_progress']);
+      row.stage_data.assessment.estimated_cost = 5000;
+      expect(engine.validateStageUpdate(standard, row, stage(standard, 'assessment'), 'completed')).toEqual([]);
+    });
+
+    it('treats an empty array as a missing required field', () => {
+      const sanitation = engine.getDefinition('garbage');
+      const row = rowWith(sanitation, ['completed', 'completed', 'in_progress']);
+      const errors = engine.validateStageUpdate(sanitation, row, stage(sanitation, 'verification'), 'completed', {
+        completion_photos: []
+      });
+      expect(errors).toEqual(['completion_photos is required to mark Verification as completed']);
+    });
+
+    it('reads legacy step columns when the row has no stage_data', () => {
+      const legacyRow = { step_1_status: 'completed', step_2_status: 'in_progress', step_2_estimated_cost: 800 };
+      expect(engine.validateStageUpdate(standard, legacyRow, stage(standard, 'assessment'), 'completed')).toEqual([]);
+    });
+  });
+
+  describe('buildStageUpdate', () => {
+    it('mirrors the stage into its legacy step columns', () => {
+      const row = rowWith(standard, ['completed', 'in_progress']);
+      const update = engine.buildStageUpdate(standard, row, stage(standard, 'assessment'), 'completed', {
+        estimated_cost: 4200,
+        notes: 'Two crews needed'
+      });
+
+      expect(update).toMatchObject({
+        workflow_key: 'standard_civic_complaint',
+        current_step: 3,
+        step_2_status: 'completed',
+        step_2_notes: 'Two crews needed',
+        step_2_estimated_cost: 4200
+      });
+      expect(update.stage_data.assessment).toMatchObject({
+        status: 'completed',
+        estimated_cost: 4200,
+        notes: 'Two crews needed',
+        completed_at: expect.any(String)
+      });
+    });
+
+    it('carries legacy-only stages into stage_data', () => {
+      const legacyRow = {
+        step_1_status: 'completed',
+        step_1_notes: 'Verified on site',
+        step_1_officer_id: 'officer-1',
+        step_2_status: 'pending'
+      };
+      const update = engine.buildStageUpdate(standard, legacyRow, stage(standard, 'assessment'), 'in_progress');
+
+      expect(update.stage_data.initial_review).toMatchObject({
+        status: 'completed',
+        notes: 'Verified on site',
+        assigned_officer_id: 'officer-1'
+      });
+      expect(update.stage_data.assessment.status).toBe('in_progress');
+      expect(update.stage_data.resolution.status).toBe('pending');
+      expect(update.current_step).toBe(2);
+    });
+
+    it('keeps earlier notes and ignores fields the stage does not own', () => {
+      const row = rowWith(standard, ['in_progress']);
+      row.stage_data.initial_review.notes = 'Checking photos';
+      const update = engine.buildStageUpdate(standard, row, stage(standard, 'initial_review'), 'completed', {
+        estimated_cost: 100
+      });
+
+      expect(update.stage_data.initial_review.notes).toBe('Checking photos');
+      expect(update.stage_data.initial_review.estimated_cost).toBeUndefined();
+      expect(update.step_1_notes).toBe('Checking photos');
+    });
+
+    it('sets and clears the completion column', () => {
+      const row = rowWith(standard, ['completed', 'completed', 'in_progress']);
+      const resolution = stage(standard, 'resolution');
+
+      const completed = engine.buildStageUpdate(standard, row, resolution, 'completed');
+      expect(completed.step_3_completion_date).toEqual(expect.any(String));
+
+      const reopened = engine.buildStageUpdate(standard, { ...row, stage_data: completed.stage_data }, resolution, 'in_progress');
+      expect(reopened.stage_data.resolution.completed_at).toBeNull();
+      expect(reopened.step_3_completion_date).toBeUndefined();
+    });
+
+    it('writes no legacy columns for stages without a legacy step', () => {
+      const repair = engine.getDefinition('pothole');
+      const row = rowWith(repair, ['completed', 'completed']);
+      const update = engine.buildStageUpdate(repair, row, stage(repair, 'work_order'), 'in_progress');
+
+      expect(Object.keys(update).filter(key => key.startsWith('step_'))).toEqual([]);
+      expect(update.current_step).toBe(3);
+    });
+  });
+
+  describe('computeComplaintStatus', () => {
+    it('resolves when every stage is completed', () => {
+      expect(engine.computeComplaintStatus(standard, rowWith(standard, ['completed', 'completed', 'completed'])))
+        .toBe('resolved');
+    });
+
+    it('is in progress when any stage is in progress', () => {
+      expect(engine.computeComplaintStatus(standard, rowWith(standard, ['completed', 'in_progress'])))
+        .toBe('in_progress');
+    });
+
+    it('is cancelled when a stage is cancelled and none is in progress', () => {
+      expect(engine.computeComplaintStatus(standard, rowWith(standard, ['completed', 'cancelled'])))
+        .toBe('cancelled');
+    });
+
+    it('has no status change while everything is pending', () => {
+      expect(engine.computeComplaintStatus(standard, rowWith(standard, []))).toBeNull();
+    });
+
+    it('applies stage rules in order', () => {
+      const emergency = engine.getDefinition('flooding');
+      // Containment done, permanent fix cancelled: the stage rule wins over the cancelled rule
+      expect(engine.computeComplaintStatus(emergency, rowWith(emergency, ['completed', 'completed', 'cancelled'])))
+        .toBe('in_progress');
+      expect(engine.computeComplaintStatus(emergency, rowWith(emergency, ['completed', 'pending', 'cancelled'])))
+        .toBe('cancelled');
+    });
+  });
+});
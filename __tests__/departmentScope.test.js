@@ -0,0 +1,54 @@
+const { createInMemoryClient } = require('../utils/inMemorySupabase');
+const { applyDepartmentScope, filterComplaintsByScope } = require('../middleware/auth');
+
+const complaints = [
+  { id: 'c1', category: 'pothole', assigned_department: null },
+  { id: 'c2', category: 'pothole', assigned_department: 'Water & Sewerage' },
+  { id: 'c3', category: 'flooding', assigned_department: null },
+  { id: 'c4', category: 'garbage', assigned_department: 'Public Works' },
+  { id: 'c5', category: 'other', assigned_department: null },
+  { id: 'c6', category: null, assigned_department: null },
+  { id: 'c7', category: 'pothole', assigned_department: 'General Administration' },
+  // Complaints have no department column; a stray field must not change ownership
+  { id: 'c8', category: 'garbage', assigned_department: null, department: 'Public Works' }
+];
+
+const officer = department => ({ role: 'officer', department });
+
+describe('applyDepartmentScope', () => {
+  const client = createInMemoryClient({ seed: { complaints } });
+
+  const scopedIds = async (user) => {
+    const { data, error } = await applyDepartmentScope(client.from('complaints').select('*'), user);
+    expect(error).toBeNull();
+    return data.map(row => row.id);
+  };
+
+  it.each([
+    ['Public Works', ['c1', 'c4']],
+    ['Water & Sewerage', ['c2', 'c3']],
+    ['Sanitation', ['c8']],
+    ['General Administration', ['c5', 'c6', 'c7']],
+    ['Animal Control', []],
+    ['Unknown Department', []]
+  ])('matches filterComplaintsByScope for %s', async (department, expected) => {
+    const user = officer(department);
+    expect(await scopedIds(user)).toEqual(expected);
+    expect(filterComplaintsByScope(user, complaints).map(row => row.id)).toEqual(expected);
+  });
+
+  it('returns nothing for staff without a department', async () => {
+    expect(await scopedIds(officer(null))).toEqual([]);
+  });
+
+  it('leaves the query alone for users who see every department', async () => {
+    expect(await scopedIds({ role: 'super_admin' })).toHaveLength(complaints.length);
+  });
+
+  it('applies before the limit', async () => {
+    const { data } = await applyDepartmentScope(client.from('complaints').select('id'), officer('Water & Sewerage'))
+      .order('id', { ascending: false })
+      .limit(1);
+    expect(data).toEqual([{ id: 'c3' }]);
+  });
+});
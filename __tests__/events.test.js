@@ -0,0 +1,137 @@
+const http = require('http');
+const express = require('express');
+
+process.env.REALTIME_MAX_CONNECTIONS = '2';
+
+const eventsRouter = require('../routes/events');
+const ComplaintEventService = require('../services/ComplaintEventService');
+const BoundaryService = require('../services/BoundaryService');
+
+const complaintEvents = ComplaintEventService.getInstance();
+const boundaryService = BoundaryService.getInstance();
+
+const tick = (ms = 20) => new Promise(resolve => setTimeout(resolve, ms));
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+};
+
+describe('GET /api/events/stream', () => {
+  let server;
+  let port;
+  let requests;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const app = express();
+    app.use('/api/events', eventsRouter);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    port = server.address().port;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    console.log.mockRestore();
+  });
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  afterEach(async () => {
+    requests.forEach(request => request.destroy());
+    jest.restoreAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await tick();
+  });
+
+  /**
+   * Open a stream; resolves with the response once headers arrive
+   */
+  const open = (query = '') => {
+    const request = http.get({ port, path: `/api/events/stream${query}` });
+    requests.push(request);
+    const response = new Promise((resolve, reject) => {
+      request.on('response', response => {
+        response.setEncoding('utf8');
+        response.body = '';
+        response.on('data', chunk => { response.body += chunk; });
+        resolve(response);
+      });
+      request.on('error', error => (error.code === 'ECONNRESET' ? null : reject(error)));
+    });
+    return { request, response };
+  };
+
+  it('streams matching events', async () => {
+    const { response } = open('?types=complaint.created');
+    const stream = await response;
+    expect(stream.statusCode).toBe(200);
+    expect(stream.headers['content-type']).toMatch(/text\/event-stream/);
+
+    complaintEvents.publishStatusChanged({ id: 'c1' }, { oldStatus: 'pending', newStatus: 'resolved' });
+    complaintEvents.publishCreated({ id: 'c2', title: 'Pothole' });
+    await tick();
+
+    expect(stream.body).toMatch(/^retry: \d+\n\n/);
+    expect(stream.body).toContain('event: complaint.created');
+    expect(stream.body).not.toContain('complaint.status_changed');
+  });
+
+  it('unsubscribes when the client leaves', async () => {
+    const { request, response } = open();
+    await response;
+    expect(complaintEvents.getSubscriberCount()).toBe(1);
+
+    request.destroy();
+    await tick();
+    expect(complaintEvents.getSubscriberCount()).toBe(0);
+  });
+
+  it('does not subscribe a client that left while the ward filter resolved', async () => {
+    const wardFilter = deferred();
+    const resolveWardFilter = jest.spyOn(boundaryService, 'resolveWardFilter').mockReturnValue(wardFilter.promise);
+    const setIntervalSpy = jest.spyOn(global, 'setInterval');
+
+    const { request } = open('?zone=north');
+    while (resolveWardFilter.mock.calls.length === 0) await tick(5);
+
+    request.destroy();
+    await tick();
+    wardFilter.resolve(['W1']);
+    await tick();
+
+    expect(complaintEvents.getSubscriberCount()).toBe(0);
+    expect(setIntervalSpy).not.toHaveBeenCalled();
+  });
+
+  it('re-checks the stream limit after resolving the ward filter', async () => {
+    const wardFilter = deferred();
+    const resolveWardFilter = jest.spyOn(boundaryService, 'resolveWardFilter').mockReturnValue(wardFilter.promise);
+
+    // All three pass the first check while the ward filter is pending
+    const pending = [open('?ward=W1'), open('?ward=W1'), open('?ward=W1')];
+    while (resolveWardFilter.mock.calls.length < 3) await tick(5);
+    wardFilter.resolve(['W1']);
+
+    const statuses = (await Promise.all(pending.map(({ response }) => response))).map(response => response.statusCode);
+    expect(statuses.sort()).toEqual([200, 200, 503]);
+    expect(complaintEvents.getSubscriberCount()).toBe(2);
+
+    // A fourth is refused before the ward filter is looked up
+    const refused = await open('?ward=W1').response;
+    expect(refused.statusCode).toBe(503);
+    expect(resolveWardFilter).toHaveBeenCalledTimes(3);
+  });
+
+  it('rejects invalid filters', async () => {
+    const invalidType = await open('?types=complaint.deleted').response;
+    expect(invalidType.statusCode).toBe(400);
+
+    const invalidBbox = await open('?bbox=1,2,3').response;
+    expect(invalidBbox.statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,146 @@
+const http = require('http');
+const express = require('express');
+const { supabase } = require('../config/supabase');
+const { POPUP } = require('../config/heatMap');
+
+describe('GET /api/heat-map/complaint/:id', () => {
+  let server;
+  let port;
+
+  /**
+   * Raw GET, so If-None-Match is sent without the no-cache headers fetch adds
+   * @returns {Promise<Object>} { status, headers, body }
+   */
+  const get = (path, headers = {}) => new Promise((resolve, reject) => {
+    http.get({ port, path, headers }, response => {
+      let body = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => { body += chunk; });
+      response.on('end', () => resolve({
+        status: response.statusCode,
+        headers: response.headers,
+        body: body ? JSON.parse(body) : null
+      }));
+    }).on('error', reject);
+  });
+
+  const popup = (id, headers) => get(`/api/heat-map/complaint/${id}`, headers);
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await supabase.from('complaints').insert([
+      {
+        id: 'c1',
+        title: 'Deep pothole',
+        category: 'pothole',
+        status: 'in_progress',
+        priority_score: 0.82,
+        vote_count: 4,
+        location_latitude: 12.9716,
+        location_longitude: 77.5946,
+        image_urls: ['https://res.cloudinary.com/demo/image/upload/v1/pothole.jpg'],
+        merged_reporter_ids: ['u2'],
+        created_at: new Date(Date.now() - 2.5 * 24 * 60 * 60 * 1000).toISOString()
+      },
+      {
+        id: 'c2',
+        title: 'Another pothole',
+        category: 'pothole',
+        status: 'pending',
+        location_latitude: 12.9726,
+        location_longitude: 77.5946
+      }
+    ]);
+
+    const app = express();
+    app.use('/api/heat-map', require('../routes/heatMap'));
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    port = server.address().port;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    jest.restoreAllMocks();
+  });
+
+  it('returns 404 for an unknown complaint', async () => {
+    const response = await popup('missing');
+    expect(response.status).toBe(404);
+    expect(response.body).toEqual({ success: false, error: 'Complaint not found', code: 'COMPLAINT_NOT_FOUND' });
+    expect(response.headers['cache-control']).toBeUndefined();
+  });
+
+  it('returns the popup with an ETag and revalidation headers', async () => {
+    const response = await popup('c1');
+
+    expect(response.status).toBe(200);
+    expect(response.headers.etag).toMatch(/^W\/"[\w-]+"$/);
+    expect(response.headers['cache-control']).toBe(`public, max-age=${POPUP.cacheSeconds}, must-revalidate`);
+    expect(response.body.data).toMatchObject({
+      id: 'c1',
+      category: 'pothole',
+      thumbnailUrl: `https://res.cloudinary.com/demo/image/upload/${POPUP.thumbnailTransform}/v1/pothole.jpg`,
+      priority: { score: 0.82 },
+      voteCount: 4,
+      reportCount: 2,
+      isOpen: true,
+      daysOpen: 3
+    });
+    expect(response.body.data.nearby.map(item => item.id)).toEqual(['c2']);
+  });
+
+  it('answers 304 to a matching If-None-Match', async () => {
+    const { headers } = await popup('c1');
+
+    const revalidated = await popup('c1', { 'If-None-Match': headers.etag });
+    expect(revalidated.status).toBe(304);
+    expect(revalidated.body).toBeNull();
+    expect(revalidated.headers.etag).toBe(headers.etag);
+
+    const stale = await popup('c1', { 'If-None-Match': 'W/"something-else"' });
+    expect(stale.status).toBe(200);
+  });
+
+  it('changes the ETag when the complaint changes', async () => {
+    const before = (await popup('c1')).headers.etag;
+    await supabase.from('complaints').update({ vote_count: 5 }).eq('id', 'c1');
+
+    const after = await popup('c1', { 'If-None-Match': before });
+    expect(after.status).toBe(200);
+    expect(after.headers.etag).not.toBe(before);
+    expect(after.body.data.voteCount).toBe(5);
+  });
+
+  it('changes the ETag when the workflow row changes', async () => {
+    const before = (await popup('c1')).headers.etag;
+    await supabase.from('complaint_workflow').insert({
+      complaint_id: 'c1',
+      workflow_key: 'infrastructure_repair',
+      stage_data: { initial_review: { status: 'completed' }, site_assessment: { status: 'in_progress' } }
+    });
+
+    const created = await popup('c1', { 'If-None-Match': before });
+    expect(created.status).toBe(200);
+    expect(created.body.data.workflow).toMatchObject({ key: 'infrastructure_repair', stage: expect.any(String) });
+
+    await supabase.from('complaint_workflow')
+      .update({ stage_data: { initial_review: { status: 'completed' }, site_assessment: { status: 'completed' } } })
+      .eq('complaint_id', 'c1');
+
+    const updated = await popup('c1', { 'If-None-Match': created.headers.etag });
+    expect(updated.status).toBe(200);
+    expect(updated.headers.etag).not.toBe(created.headers.etag);
+  });
+
+  it('changes the ETag once the nearby list is due for a refresh', async () => {
+    const before = (await popup('c1')).headers.etag;
+    const later = Date.now() + POPUP.nearbyRefreshSeconds * 1000;
+    jest.spyOn(Date, 'now').mockReturnValue(later);
+
+    const after = await popup('c1', { 'If-None-Match': before });
+    expect(after.status).toBe(200);
+    expect(after.headers.etag).not.toBe(before);
+    Date.now.mockRestore();
+  });
+});
@@ -0,0 +1,14 @@
+const { createInMemoryClient } = require('../../utils/inMemorySupabase');
+const { createRepositories } = require('../../repositories');
+
+/**
+ * Fresh in-memory client and repositories, seeded with rows keyed by table
+ */
+function createTestRepositories(seed = {}) {
+  const client = createInMemoryClient({ seed });
+  return { client, repositories: createRepositories(client) };
+}
+
+module.exports = {
+  createTestRepositories
+};
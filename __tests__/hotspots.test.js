@@ -0,0 +1,120 @@
+const HeatMapService = require('../services/HeatMapService');
+const { unproject } = require('../utils/mapAggregation');
+const { HOTSPOTS, AGGREGATION } = require('../config/heatMap');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = Date.UTC(2024, 5, 30);
+const recentDays = 28;
+const baselineDays = 62;
+const recentFrom = new Date(now - recentDays * DAY_MS);
+
+// Grid cells at the hotspot zoom, away from the origin so the area is realistic
+const ORIGIN_COLUMN = 11700;
+const ORIGIN_ROW = 7600;
+
+let sequence = 0;
+
+/**
+ * Complaints inside grid cell (column, row) relative to the origin,
+ * spread over the last `days` days from `daysAgo`
+ */
+const complaintsIn = (column, row, count, { daysAgo = 0, days = 1 } = {}) => {
+  const size = AGGREGATION.gridCellPx;
+  return Array.from({ length: count }, (_, index) => {
+    const { latitude, longitude } = unproject(
+      (ORIGIN_COLUMN + column) * size + 10 + index,
+      (ORIGIN_ROW + row) * size + 10 + index,
+      HOTSPOTS.cellZoom
+    );
+    return {
+      id: `h${++sequence}`,
+      latitude,
+      longitude,
+      weight: 1,
+      status: 'pending',
+      createdAt: new Date(now - (daysAgo + (index % days)) * DAY_MS - 1000).toISOString()
+    };
+  });
+};
+
+const recent = (column, row, count) => complaintsIn(column, row, count, { daysAgo: 1, days: recentDays - 2 });
+const baseline = (column, row, count) => complaintsIn(column, row, count, { daysAgo: recentDays + 1, days: baselineDays - 2 });
+
+// One complaint in every fourth cell of a 24 x 24 area, in both periods
+const background = () => {
+  const points = [];
+  for (let column = 0; column < 24; column += 4) {
+    for (let row = 0; row < 24; row += 4) {
+      points.push(...recent(column + 2, row + 2, 1), ...baseline(column, row, 1));
+    }
+  }
+  return points;
+};
+
+describe('HeatMapService.findCategoryHotspots', () => {
+  let service;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    service = new HeatMapService();
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  const hotspotsFor = (points) => service.findCategoryHotspots('pothole', points, { recentFrom, baselineDays, recentDays });
+  const trendAt = (hotspots, column, row) => {
+    const key = `${HOTSPOTS.cellZoom}:${ORIGIN_COLUMN + column}:${ORIGIN_ROW + row}`;
+    return hotspots.find(hotspot => hotspot.id === `pothole:${key}`)?.trend;
+  };
+
+  it('classifies new, intensifying, persistent and diminishing hotspots', () => {
+    const hotspots = hotspotsFor([
+      ...background(),
+      // New: only recent complaints
+      ...recent(3, 3, 6),
+      // Intensifying: 2.5 a week now against under 1 a week before
+      ...recent(3, 19, 10), ...baseline(3, 19, 6),
+      // Persistent: 1.5 a week in both periods
+      ...recent(19, 3, 6), ...baseline(19, 3, 13),
+      // Diminishing: only baseline complaints
+      ...baseline(19, 19, 10)
+    ]);
+
+    expect(trendAt(hotspots, 3, 3)).toBe('new');
+    expect(trendAt(hotspots, 3, 19)).toBe('intensifying');
+    expect(trendAt(hotspots, 19, 3)).toBe('persistent');
+    expect(trendAt(hotspots, 19, 19)).toBe('diminishing');
+  });
+
+  it('reports counts, weekly rates and confidence for a hotspot', () => {
+    const hotspots = hotspotsFor([...background(), ...recent(19, 3, 6), ...baseline(19, 3, 13)]);
+    const hotspot = hotspots.find(candidate => candidate.id.endsWith(`${ORIGIN_COLUMN + 19}:${ORIGIN_ROW + 3}`));
+
+    // Rates count the cell and its neighbours, which hold one background complaint in each period
+    expect(hotspot).toMatchObject({
+      category: 'pothole',
+      trend: 'persistent',
+      complaints: { recent: 6, baseline: 13 },
+      weeklyRate: { recent: 1.75, baseline: 1.58 }
+    });
+    expect(hotspot.confidence).toBeGreaterThanOrEqual(0.9);
+    expect(hotspot.zScore).toBeGreaterThanOrEqual(HOTSPOTS.confidenceLevels[HOTSPOTS.confidenceLevels.length - 1].zScore);
+    expect(hotspot.complaintIds).toHaveLength(19);
+    expect(hotspot.polygon).toHaveLength(5);
+  });
+
+  it('needs enough complaints around a cell, however concentrated', () => {
+    // No background complaint is recent around this cell
+    const hotspots = hotspotsFor([...background(), ...recent(12, 12, HOTSPOTS.minComplaints - 1)]);
+    expect(trendAt(hotspots, 12, 12)).toBeUndefined();
+
+    const enough = hotspotsFor([...background(), ...recent(12, 12, HOTSPOTS.minComplaints)]);
+    expect(trendAt(enough, 12, 12)).toBe('new');
+  });
+
+  it('finds nothing in an evenly spread category', () => {
+    expect(hotspotsFor(background())).toEqual([]);
+  });
+});
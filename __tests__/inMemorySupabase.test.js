@@ -0,0 +1,241 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createInMemoryClient, TABLE_DEFAULTS } = require('../utils/inMemorySupabase');
+
+const complaints = () => [
+  { id: 'c1', title: 'Deep pothole on Main Road', description: 'Water logging after rain', category: 'roads', status: 'pending', priority_score: 0.8, ward_id: 'W1' },
+  { id: 'c2', title: 'Garbage not collected', description: 'Bins overflowing near the market', category: 'garbage', status: 'resolved', priority_score: 0.4, ward_id: 'W2' },
+  { id: 'c3', title: 'Broken streetlight', description: 'Main road is dark at night', category: 'roads', status: 'in_progress', priority_score: null, ward_id: null }
+];
+
+const ids = ({ data }) => data.map(row => row.id);
+
+describe('in-memory Supabase client', () => {
+  let client;
+
+  beforeEach(() => {
+    client = createInMemoryClient({ seed: { complaints: complaints() } });
+  });
+
+  describe('filters', () => {
+    it('eq matches equal values and coerces query-string numbers', async () => {
+      expect(ids(await client.from('complaints').select('id').eq('category', 'roads'))).toEqual(['c1', 'c3']);
+      expect(ids(await client.from('complaints').select('id').eq('priority_score', '0.8'))).toEqual(['c1']);
+    });
+
+    it('eq never matches null', async () => {
+      expect(ids(await client.from('complaints').select('id').eq('ward_id', null))).toEqual([]);
+    });
+
+    it('in matches any listed value, from an array or a PostgREST list', async () => {
+      expect(ids(await client.from('complaints').select('id').in('status', ['pending', 'resolved']))).toEqual(['c1', 'c2']);
+      expect(ids(await client.from('complaints').select('id').in('ward_id', '(W2,W3)'))).toEqual(['c2']);
+    });
+
+    it('or combines expressions, including nested and() and is.null', async () => {
+      const result = await client
+        .from('complaints')
+        .select('id')
+        .or('priority_score.gt.0.5,and(category.eq.garbage,status.eq.resolved),ward_id.is.null');
+      expect(ids(result)).toEqual(['c1', 'c2', 'c3']);
+
+      const narrower = await client.from('complaints').select('id').or('status.eq.pending,not.category.eq.roads');
+      expect(ids(narrower)).toEqual(['c1', 'c2']);
+    });
+
+    it('chained filters all apply', async () => {
+      const result = await client.from('complaints').select('id').eq('category', 'roads').neq('status', 'pending');
+      expect(ids(result)).toEqual(['c3']);
+    });
+
+    it('throws for unsupported operators while building the query', () => {
+      expect(() => client.from('complaints').select('id').filter('title', 'fts', 'pothole'))
+        .toThrow(/Unsupported filter operator/);
+    });
+  });
+
+  describe('textSearch', () => {
+    const search = (query, type) => client
+      .from('complaints')
+      .select('id')
+      .textSearch('search_vector', query, { type, config: 'simple' });
+
+    it('ANDs plain words across the indexed columns', async () => {
+      expect(ids(await search('main road'))).toEqual(['c1', 'c3']);
+      expect(ids(await search('main market'))).toEqual([]);
+    });
+
+    it('supports websearch phrases, exclusions and OR', async () => {
+      expect(ids(await search('"main road"', 'websearch'))).toEqual(['c1', 'c3']);
+      expect(ids(await search('road -dark', 'websearch'))).toEqual(['c1']);
+      expect(ids(await search('streetlight or garbage', 'websearch'))).toEqual(['c2', 'c3']);
+    });
+
+    it('matches whole words only', async () => {
+      expect(ids(await search('pot'))).toEqual([]);
+    });
+
+    it('fails for columns that are not text search columns', async () => {
+      const { error } = await client.from('complaints').select('id').textSearch('title', 'pothole');
+      expect(error.message).toMatch(/Unsupported text search column/);
+    });
+  });
+
+  describe('ordering and ranges', () => {
+    it('orders with nulls last when descending unless told otherwise', async () => {
+      const descending = await client.from('complaints').select('id').order('priority_score', { ascending: false, nullsFirst: false });
+      expect(ids(descending)).toEqual(['c1', 'c2', 'c3']);
+
+      const nullsFirst = await client.from('complaints').select('id').order('priority_score', { ascending: false });
+      expect(ids(nullsFirst)).toEqual(['c3', 'c1', 'c2']);
+    });
+
+    it('range returns the inclusive slice and count covers every match', async () => {
+      const result = await client
+        .from('complaints')
+        .select('id', { count: 'exact' })
+        .order('id', { ascending: true })
+        .range(1, 2);
+      expect(ids(result)).toEqual(['c2', 'c3']);
+      expect(result.count).toBe(3);
+    });
+
+    it('head requests return only the count', async () => {
+      const result = await client.from('complaints').select('id', { count: 'exact', head: true }).eq('category', 'roads');
+      expect(result).toMatchObject({ data: null, count: 2, error: null });
+    });
+  });
+
+  describe('single and maybeSingle', () => {
+    it('single returns one row as an object', async () => {
+      const { data, error } = await client.from('complaints').select('id, status').eq('id', 'c2').single();
+      expect(error).toBeNull();
+      expect(data).toEqual({ id: 'c2', status: 'resolved' });
+    });
+
+    it('single fails with PGRST116 for no rows or several rows', async () => {
+      const none = await client.from('complaints').select('id').eq('id', 'missing').single();
+      expect(none.error.code).toBe('PGRST116');
+
+      const several = await client.from('complaints').select('id').eq('category', 'roads').single();
+      expect(several.error.code).toBe('PGRST116');
+    });
+
+    it('maybeSingle returns null data for no rows', async () => {
+      const { data, error } = await client.from('complaints').select('id').eq('id', 'missing').maybeSingle();
+      expect(data).toBeNull();
+      expect(error).toBeNull();
+    });
+  });
+
+  describe('writes', () => {
+    it('applies TABLE_DEFAULTS, an id and created_at on insert', async () => {
+      const { data } = await client.from('complaints').insert({ title: 'New' }).select();
+      expect(data[0]).toMatchObject({ title: 'New', ...TABLE_DEFAULTS.complaints });
+      expect(data[0].id).toEqual(expect.any(String));
+      expect(Date.parse(data[0].created_at)).not.toBeNaN();
+
+      const { data: users } = await client.from('users').insert({ email: 'a@example.com' }).select();
+      expect(users[0]).toMatchObject(TABLE_DEFAULTS.users);
+    });
+
+    it('keeps explicit values over defaults', async () => {
+      const { data } = await client.from('complaints').insert({ title: 'Done', status: 'resolved' }).select('status').single();
+      expect(data).toEqual({ status: 'resolved' });
+    });
+
+    it('rejects duplicate ids with 23505', async () => {
+      const { error } = await client.from('complaints').insert({ id: 'c1' });
+      expect(error.code).toBe('23505');
+    });
+
+    it('upserts on the conflict columns', async () => {
+      await client.from('complaints').upsert([{ id: 'c1', status: 'resolved' }, { id: 'c4', title: 'New' }]);
+      const { data } = await client.from('complaints').select('id, status').in('id', ['c1', 'c4']);
+      expect(data).toEqual([{ id: 'c1', status: 'resolved' }, { id: 'c4', status: 'pending' }]);
+    });
+
+    it('updates and deletes only matching rows', async () => {
+      const { data: updated } = await client.from('complaints').update({ status: 'rejected' }).eq('category', 'roads').select('id');
+      expect(updated.map(row => row.id)).toEqual(['c1', 'c3']);
+
+      await client.from('complaints').delete().eq('status', 'rejected');
+      expect(ids(await client.from('complaints').select('id'))).toEqual(['c2']);
+    });
+  });
+
+  describe('embedded relations', () => {
+    it('embeds a parent through a foreign key column and children by back reference', async () => {
+      client = createInMemoryClient({
+        seed: {
+          users: [{ id: 'u1', full_name: 'Asha' }],
+          complaints: [{ id: 'c1', user_id: 'u1' }],
+          complaint_updates: [{ id: 'x1', complaint_id: 'c1', new_status: 'pending' }]
+        }
+      });
+
+      const { data } = await client
+        .from('complaints')
+        .select('id, users:user_id (full_name), complaint_updates (new_status)')
+        .single();
+      expect(data).toEqual({
+        id: 'c1',
+        users: { full_name: 'Asha' },
+        complaint_updates: [{ new_status: 'pending' }]
+      });
+    });
+  });
+
+  describe('rpc', () => {
+    it('fails like PostgREST for unknown functions and calls registered ones', async () => {
+      const missing = await client.rpc('nope');
+      expect(missing.error.code).toBe('PGRST202');
+
+      client.registerRpc('double', ({ value }) => value * 2);
+      await expect(client.rpc('double', { value: 4 })).resolves.toEqual({ data: 8, error: null });
+    });
+  });
+
+  describe('seed and persist files', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'memory-backend-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('loads a seed file, applying table defaults', async () => {
+      const seedPath = path.join(directory, 'seed.json');
+      fs.writeFileSync(seedPath, JSON.stringify({ complaints: [{ id: 'c9', title: 'Seeded' }] }));
+
+      const seeded = createInMemoryClient({ seedPath });
+      const { data } = await seeded.from('complaints').select('id, status').single();
+      expect(data).toEqual({ id: 'c9', status: 'pending' });
+    });
+
+    it('starts empty when the seed file is missing', async () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const empty = createInMemoryClient({ seedPath: path.join(directory, 'missing.json') });
+      expect(ids(await empty.from('complaints').select('id'))).toEqual([]);
+      expect(warn).toHaveBeenCalled();
+      warn.mockRestore();
+    });
+
+    it('writes every change to the persist file and reloads it', async () => {
+      const persistPath = path.join(directory, 'nested', 'db.json');
+      const first = createInMemoryClient({ persistPath, seed: { complaints: [{ id: 'c1' }] } });
+      expect(fs.existsSync(persistPath)).toBe(false);
+
+      await first.from('complaints').insert({ id: 'c2', title: 'Saved' });
+      expect(JSON.parse(fs.readFileSync(persistPath, 'utf8')).complaints.map(row => row.id)).toEqual(['c1', 'c2']);
+
+      // The persisted file wins over the seed on the next start
+      const second = createInMemoryClient({ persistPath, seed: { complaints: [] } });
+      expect(ids(await second.from('complaints').select('id'))).toEqual(['c1', 'c2']);
+    });
+  });
+});
@@ -0,0 +1,166 @@
+const LocationPriorityService = require('../services/LocationPriorityService');
+const LocationPriorityMetrics = require('../services/LocationPriorityMetrics');
+const FacilityCacheService = require('../services/FacilityCacheService');
+const { OfflinePoiProvider, OverpassProvider } = require('../services/locationProviders');
+const { MetricsRegistry } = require('../utils/metrics');
+const { createTestRepositories } = require('./helpers/memory');
+
+const facilities = [
+  { id: 'n1', type: 'hospital', kind: 'clinic', name: 'Ward Clinic', lat: 12.971, lon: 77.59, address: 'MG Road' },
+  { id: 'n2', type: 'school', kind: 'school', name: null, lat: 12.972, lon: 77.59, address: null },
+  { id: 'n3', type: 'hospital', kind: 'hospital', name: 'General Hospital', lat: 12.99, lon: 77.59, address: null }
+];
+
+const fakeProvider = (name, findFacilities, { configured = true } = {}) => ({
+  name,
+  isConfigured: () => configured,
+  findFacilities: jest.fn(findFacilities),
+  probeDensity: jest.fn(async () => ({ count: 0, types: [] }))
+});
+
+const failing = message => async () => { throw new Error(message); };
+
+describe('OfflinePoiProvider', () => {
+  const provider = new OfflinePoiProvider({ facilities });
+
+  it('is configured by inline facilities without a dataset file', () => {
+    expect(provider.isConfigured()).toBe(true);
+    expect(new OfflinePoiProvider({ config: { datasetPath: '/nonexistent/facilities.json' } }).isConfigured()).toBe(false);
+  });
+
+  it('answers in the shared provider shape, nearest first', async () => {
+    const results = await provider.findFacilities({ latitude: 12.97, longitude: 77.59, facilityType: 'hospital', radius: 3000 });
+
+    expect(results).toEqual([
+      {
+        name: 'Ward Clinic',
+        place_id: 'n1',
+        distance: 111,
+        latitude: 12.971,
+        longitude: 77.59,
+        rating: 0,
+        types: ['hospital', 'clinic'],
+        vicinity: 'MG Road',
+        source: 'offline'
+      },
+      expect.objectContaining({ place_id: 'n3', distance: 2224 })
+    ]);
+  });
+
+  it('names unnamed facilities after their type and probes density across types', async () => {
+    const [school] = await provider.findFacilities({ latitude: 12.97, longitude: 77.59, facilityType: 'school', radius: 500 });
+    expect(school.name).toBe('school facility');
+
+    expect(await provider.probeDensity({ latitude: 12.97, longitude: 77.59, radius: 1000 }))
+      .toEqual({ count: 2, types: ['hospital', 'school'] });
+  });
+});
+
+describe('OverpassProvider', () => {
+  it('is opt-in and builds one selector per tag', () => {
+    expect(new OverpassProvider({ config: { enabled: false, url: 'http://overpass.test' } }).isConfigured()).toBe(false);
+
+    const provider = new OverpassProvider({ config: { enabled: true, url: 'http://overpass.test' } });
+    expect(provider.isConfigured()).toBe(true);
+    expect(provider.buildQuery(12.97, 77.59, 999.6, { amenity: ['police'], office: ['government'] })).toBe(
+      '[out:json][timeout:25];(nwr["amenity"~"^(police)$"](around:1000,12.97,77.59);' +
+      'nwr["office"~"^(government)$"](around:1000,12.97,77.59););out center;'
+    );
+  });
+});
+
+describe('LocationPriorityService provider chain', () => {
+  let warn;
+
+  const createService = (providers, provider = 'auto') => {
+    const { repositories } = createTestRepositories();
+    return new LocationPriorityService({
+      provider,
+      providers,
+      facilityCache: new FacilityCacheService({ repositories, config: { enabled: false } }),
+      metrics: new LocationPriorityMetrics({ registry: new MetricsRegistry() })
+    });
+  };
+
+  beforeEach(() => {
+    warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('tries configured providers in PROVIDER_ORDER in auto mode', () => {
+    const service = createService({
+      overpass: fakeProvider('overpass', async () => []),
+      google: fakeProvider('google', async () => [], { configured: false }),
+      offline: fakeProvider('offline', async () => [])
+    });
+
+    expect(service.getProviderChain().map(provider => provider.name)).toEqual(['offline', 'overpass']);
+    expect(service.getStatus()).toEqual({
+      mode: 'auto',
+      active: ['offline', 'overpass'],
+      providers: [
+        { name: 'overpass', configured: true },
+        { name: 'google', configured: false },
+        { name: 'offline', configured: true }
+      ]
+    });
+  });
+
+  it('uses only the named provider outside auto mode', () => {
+    const service = createService({
+      offline: fakeProvider('offline', async () => []),
+      google: fakeProvider('google', async () => [])
+    }, 'google');
+
+    expect(service.getProviderChain().map(provider => provider.name)).toEqual(['google']);
+  });
+
+  it('falls back to the next provider when one fails', async () => {
+    const answer = [{ name: 'Clinic', latitude: 12.971, longitude: 77.59, distance: 111 }];
+    const providers = {
+      offline: fakeProvider('offline', failing('dataset unreadable')),
+      google: fakeProvider('google', async () => answer),
+      overpass: fakeProvider('overpass', async () => [])
+    };
+    const service = createService(providers);
+
+    const lookup = await service.findFacilities(12.97, 77.59, 'hospital', 1500);
+
+    expect(lookup).toEqual({ result: answer, source: 'google', cache: 'off' });
+    expect(providers.offline.findFacilities).toHaveBeenCalledWith({ latitude: 12.97, longitude: 77.59, radius: 1500, facilityType: 'hospital' });
+    expect(providers.overpass.findFacilities).not.toHaveBeenCalled();
+    expect(warn).toHaveBeenCalledWith('⚠️ offline findFacilities failed:', 'dataset unreadable');
+  });
+
+  it('reports every provider error when all of them fail', async () => {
+    const service = createService({
+      offline: fakeProvider('offline', failing('dataset unreadable')),
+      google: fakeProvider('google', failing('API quota exceeded'))
+    });
+
+    await expect(service.queryProviders('findFacilities', { latitude: 12.97, longitude: 77.59, radius: 1500 }))
+      .rejects.toThrow('All facility providers failed (offline: dataset unreadable; google: API quota exceeded)');
+  });
+
+  it('fails fast when no provider is configured', async () => {
+    const service = createService({ offline: fakeProvider('offline', async () => [], { configured: false }) });
+
+    await expect(service.queryProviders('probeDensity', { latitude: 12.97, longitude: 77.59, radius: 1000 }))
+      .rejects.toThrow('No facility provider is configured (mode: auto)');
+  });
+
+  it('scores from the offline dataset without any network provider', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const service = createService({ offline: new OfflinePoiProvider({ facilities }) });
+
+    const result = await service.calculateLocationPriority(12.97, 77.59, 'pothole', { privacyLevel: 'exact' });
+
+    expect(result.error).toBeUndefined();
+    expect(result.facilityAnalysis.hospital).toMatchObject({ nearestDistance: 111, source: 'offline' });
+    expect(result.facilityAnalysis.hospital.facilities[0].place_id).toBe('n1');
+    expect(result.facilityAnalysis.school).toMatchObject({ count: 1, source: 'offline' });
+  });
+});
@@ -0,0 +1,68 @@
+const { redact } = require('../utils/logger');
+
+const REDACTED = '[REDACTED]';
+
+describe('redact', () => {
+  describe('field names', () => {
+    it.each([
+      'password', 'newPassword', 'password_hash', 'hashedPassword', 'pass',
+      'token', 'accessToken', 'refresh_token', 'expo_push_token', 'x-device-token',
+      'secret', 'client_secret', 'JWT_SECRET', 'authorization', 'Authorization',
+      'apiKey', 'x-api-key', 'cookie', 'set-cookie', 'otp', 'signature', 'Ocp-Apim-Subscription-Key'
+    ])('redacts %s', (key) => {
+      expect(redact({ [key]: 'value' })[key]).toBe(REDACTED);
+    });
+
+    it.each([
+      'passengers', 'bypassCache', 'tokenCount', 'token_count', 'tokenize', 'secretary',
+      'compass', 'otpSentAt', 'signatureValid', 'cookieConsent', 'keywords'
+    ])('keeps %s', (key) => {
+      expect(redact({ [key]: 'value' })[key]).toBe('value');
+    });
+
+    it('keeps empty values so missing credentials stay visible', () => {
+      expect(redact({ token: null, password: '' })).toEqual({ token: null, password: '' });
+    });
+  });
+
+  describe('free text', () => {
+    it('redacts secret fields inside stringified objects only', () => {
+      const text = JSON.stringify({ accessToken: 'abc123', tokenCount: '42', passengers: '3' });
+      expect(redact(text)).toBe(`{"accessToken":"${REDACTED}","tokenCount":"42","passengers":"3"}`);
+      expect(redact("password: 'hunter2' and note: 'ok'")).toBe(`password: '${REDACTED}' and note: 'ok'`);
+    });
+
+    it('redacts secrets nested in another quoted value', () => {
+      expect(redact(`message: "login failed for password='hunter2'"`))
+        .toBe(`message: "login failed for password='${REDACTED}'"`);
+    });
+
+    it('redacts credential query parameters', () => {
+      expect(redact('GET /maps?key=AIza123&q=park&access_token=xyz&tokenCount=5'))
+        .toBe(`GET /maps?key=${REDACTED}&q=park&access_token=${REDACTED}&tokenCount=5`);
+    });
+
+    it('redacts bearer tokens', () => {
+      expect(redact('Authorization failed: Bearer eyJhbGciOi.abc')).toBe(`Authorization failed: Bearer ${REDACTED}`);
+    });
+
+    it('masks phone numbers but keeps the last two digits', () => {
+      expect(redact('Call 9876543210 or +91 98765 43210 or 098765-43210'))
+        .toBe(`Call ${REDACTED}10 or ${REDACTED}10 or ${REDACTED}10`);
+    });
+
+    it('leaves numbers inside UUIDs and other IDs alone', () => {
+      const ids = [
+        'c0a8012e-7f3b-4b6f-9123-9876543210ab',
+        '3f2b9c1d-5e6f-4a7b-8c9d-ab9876543210',
+        'order_ref:A9876543210',
+        'version 1.9876543210'
+      ];
+      ids.forEach(id => expect(redact(`complaint ${id} updated`)).toBe(`complaint ${id} updated`));
+    });
+
+    it('masks phone-named fields', () => {
+      expect(redact({ phone_number: '9876543210' })).toEqual({ phone_number: `${REDACTED}10` });
+    });
+  });
+});
@@ -0,0 +1,148 @@
+const {
+  TILE_SIZE,
+  project,
+  unproject,
+  isValidTile,
+  getTileBounds,
+  gridBins,
+  hexBins,
+  clusterBins
+} = require('../utils/mapAggregation');
+
+// Deterministic pseudo-random numbers in [0, 1)
+const random = (seed) => () => {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648;
+};
+
+/**
+ * Weighted points scattered around a centre, some sharing a spot
+ */
+const scatter = (count, { latitude = 12.97, longitude = 77.59, spread = 0.05 } = {}) => {
+  const next = random(42);
+  return Array.from({ length: count }, (_, index) => ({
+    id: `p${index}`,
+    latitude: index % 10 === 0 ? latitude : latitude + (next() - 0.5) * spread,
+    longitude: index % 10 === 0 ? longitude : longitude + (next() - 0.5) * spread,
+    weight: 1 + Math.floor(next() * 5) * 0.5
+  }));
+};
+
+const totalWeight = (points) => points.reduce((sum, point) => sum + point.weight, 0);
+
+describe('map aggregation', () => {
+  describe('projection', () => {
+    it('round-trips coordinates through world pixels', () => {
+      const { x, y } = project(12.9716, 77.5946, 14);
+      const { latitude, longitude } = unproject(x, y, 14);
+      expect(latitude).toBeCloseTo(12.9716, 9);
+      expect(longitude).toBeCloseTo(77.5946, 9);
+    });
+
+    it('puts the world in one tile at zoom 0', () => {
+      expect(project(0, 0, 0)).toEqual({ x: TILE_SIZE / 2, y: TILE_SIZE / 2 });
+      expect(project(90, 180, 0).y).toBeCloseTo(0, 6);
+    });
+
+    it('validates tile coordinates and bounds', () => {
+      expect(isValidTile(2, 3, 3, 20)).toBe(true);
+      expect(isValidTile(2, 4, 0, 20)).toBe(false);
+      expect(isValidTile(21, 0, 0, 20)).toBe(false);
+      expect(isValidTile(1.5, 0, 0, 20)).toBe(false);
+
+      const bounds = getTileBounds(1, 1, 0);
+      expect(bounds.minLng).toBeCloseTo(0, 9);
+      expect(bounds.maxLng).toBeCloseTo(180, 9);
+      expect(bounds.minLat).toBeCloseTo(0, 9);
+    });
+  });
+
+  describe.each([
+    ['grid', (points, zoom) => gridBins(points, zoom, 64)],
+    ['hex', (points, zoom) => hexBins(points, zoom, 40)],
+    ['cluster', (points, zoom) => clusterBins(points, zoom, 60)]
+  ])('%s bins', (mode, bin) => {
+    const points = scatter(500);
+
+    it.each([8, 12, 16])('keep every point exactly once at zoom %i', (zoom) => {
+      const bins = bin(points, zoom);
+      const binned = bins.flatMap(item => item.points);
+
+      expect(binned).toHaveLength(points.length);
+      expect(new Set(binned.map(point => point.id)).size).toBe(points.length);
+      expect(bins.reduce((sum, item) => sum + totalWeight(item.points), 0)).toBeCloseTo(totalWeight(points), 9);
+      expect(new Set(bins.map(item => item.key)).size).toBe(bins.length);
+    });
+
+    it('merge more points into fewer bins when zoomed out', () => {
+      expect(bin(points, 8).length).toBeLessThan(bin(points, 16).length);
+    });
+
+    it('place the centroid at the weighted mean of the bin', () => {
+      const spot = { latitude: 12.97, longitude: 77.59 };
+      const pair = [
+        { id: 'a', ...spot, weight: 3 },
+        { id: 'b', latitude: 12.9701, longitude: 77.5901, weight: 1 }
+      ];
+      const [only] = bin(pair, 10);
+      const a = project(pair[0].latitude, pair[0].longitude, 10);
+      const b = project(pair[1].latitude, pair[1].longitude, 10);
+
+      expect(only.points).toHaveLength(2);
+      expect(only.centroid.x).toBeCloseTo((3 * a.x + b.x) / 4, 9);
+      expect(only.centroid.y).toBeCloseTo((3 * a.y + b.y) / 4, 9);
+    });
+  });
+
+  it('puts each point inside its grid cell', () => {
+    gridBins(scatter(200), 14, 64).forEach(cell => {
+      const [[x0, y0], , [x1, y1]] = cell.corners;
+      expect(x1 - x0).toBe(64);
+      cell.points.forEach(point => {
+        const { x, y } = project(point.latitude, point.longitude, 14);
+        expect(x).toBeGreaterThanOrEqual(x0);
+        expect(x).toBeLessThan(x1);
+        expect(y).toBeGreaterThanOrEqual(y0);
+        expect(y).toBeLessThan(y1);
+      });
+      expect(cell.polygon).toHaveLength(5);
+      expect(cell.polygon[4]).toEqual(cell.polygon[0]);
+    });
+  });
+
+  it('puts each point in its nearest hexagon', () => {
+    const radius = 40;
+    const bins = hexBins(scatter(200), 14, radius);
+    const centers = bins.map(hex => hex.center);
+
+    bins.forEach(hex => {
+      expect(hex.corners).toHaveLength(6);
+      hex.points.forEach(point => {
+        const { x, y } = project(point.latitude, point.longitude, 14);
+        const own = Math.hypot(x - hex.center.x, y - hex.center.y);
+        expect(own).toBeLessThanOrEqual(radius + 1e-9);
+        centers.forEach(center => {
+          expect(own).toBeLessThanOrEqual(Math.hypot(x - center.x, y - center.y) + 1e-9);
+        });
+      });
+    });
+  });
+
+  it('clusters around the heaviest point first', () => {
+    const heavy = { id: 'heavy', latitude: 12.97, longitude: 77.59, weight: 10 };
+    const near = { id: 'near', latitude: 12.9705, longitude: 77.5905, weight: 1 };
+    const far = { id: 'far', latitude: 13.2, longitude: 77.9, weight: 1 };
+
+    const clusters = clusterBins([near, far, heavy], 12, 60);
+    expect(clusters.map(cluster => cluster.points.map(point => point.id))).toEqual([['heavy', 'near'], ['far']]);
+    expect(clusters[0].polygon).toBeNull();
+  });
+
+  it('only groups complaints at the same spot with a zero radius', () => {
+    const points = scatter(50);
+    const clusters = clusterBins(points, 18, 0);
+    // Every tenth point sits on the centre
+    expect(clusters.find(cluster => cluster.points.length > 1).points).toHaveLength(5);
+    expect(clusters).toHaveLength(46);
+  });
+});
@@ -0,0 +1,47 @@
+const PoiIndex = require('../utils/poiIndex');
+
+// Spread over several 0.01° cells around (12.97, 77.59); 0.001° of latitude is about 111m
+const facilities = [
+  { id: 'a', type: 'hospital', lat: 12.97, lon: 77.59 },
+  { id: 'b', type: 'school', lat: 12.975, lon: 77.59 },
+  { id: 'c', type: 'hospital', lat: 12.979, lon: 77.59 },
+  { id: 'd', type: 'hospital', lat: 12.95, lon: 77.59 },
+  { id: 'z', type: 'police', lat: 12.965, lon: 77.59 },
+  { id: 'y', type: 'police', lat: 12.965, lon: 77.59 }
+];
+
+describe('PoiIndex', () => {
+  const index = new PoiIndex(facilities);
+  const ids = results => results.map(facility => facility.id);
+
+  it('buckets facilities into grid cells', () => {
+    expect(index.size).toBe(facilities.length);
+    expect(index.cells.size).toBeGreaterThan(1);
+  });
+
+  it('returns facilities within the radius, nearest first, with distances in metres', () => {
+    const results = index.query({ latitude: 12.97, longitude: 77.59, radius: 1200 });
+
+    expect(ids(results)).toEqual(['a', 'b', 'y', 'z', 'c']);
+    expect(results.map(facility => facility.distance)).toEqual([0, 556, 556, 556, 1001]);
+  });
+
+  it('filters by facility type', () => {
+    expect(ids(index.query({ latitude: 12.97, longitude: 77.59, radius: 5000, type: 'hospital' }))).toEqual(['a', 'c', 'd']);
+  });
+
+  it('breaks distance ties by id', () => {
+    expect(ids(index.query({ latitude: 12.965, longitude: 77.59, radius: 10, type: 'police' }))).toEqual(['y', 'z']);
+  });
+
+  it('finds neighbours across a cell boundary', () => {
+    const boundary = new PoiIndex([{ id: 'north', type: 'bank', lat: 13.0001, lon: 77.59 }]);
+
+    expect(ids(boundary.query({ latitude: 12.9999, longitude: 77.59, radius: 50 }))).toEqual(['north']);
+  });
+
+  it('returns nothing outside the radius', () => {
+    expect(index.query({ latitude: 13.2, longitude: 77.59, radius: 1000 })).toEqual([]);
+    expect(new PoiIndex().query({ latitude: 12.97, longitude: 77.59, radius: 1000 })).toEqual([]);
+  });
+});
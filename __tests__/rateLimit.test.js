@@ -0,0 +1,108 @@
+const { createRateLimiter } = require('../middleware/rateLimit');
+const { guestVoteIpLimiter, guestVoteDeviceLimiter } = require('../middleware/guestDevice');
+
+const mockResponse = () => {
+  const res = { headers: {}, statusCode: 200, body: null };
+  res.set = jest.fn((name, value) => { res.headers[name] = value; return res; });
+  res.status = jest.fn(code => { res.statusCode = code; return res; });
+  res.json = jest.fn(body => { res.body = body; return res; });
+  return res;
+};
+
+/**
+ * Run a request through the middleware
+ * @returns {Object} { res, passed }
+ */
+const hit = (limiter, req = {}) => {
+  const res = mockResponse();
+  const next = jest.fn();
+  limiter(req, res, next);
+  return { res, passed: next.mock.calls.length === 1 };
+};
+
+describe('createRateLimiter', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('allows max requests per window and answers 429 after that', () => {
+    const limiter = createRateLimiter({ windowMs: 60 * 1000, max: 2, keyGenerator: req => req.ip, code: 'SLOW_DOWN', message: 'Slow down' });
+
+    expect(hit(limiter, { ip: 'a' })).toMatchObject({ passed: true, res: { headers: { 'X-RateLimit-Remaining': '1' } } });
+    expect(hit(limiter, { ip: 'a' })).toMatchObject({ passed: true, res: { headers: { 'X-RateLimit-Remaining': '0' } } });
+
+    jest.advanceTimersByTime(15 * 1000);
+    const { res, passed } = hit(limiter, { ip: 'a' });
+    expect(passed).toBe(false);
+    expect(res.statusCode).toBe(429);
+    expect(res.headers).toMatchObject({ 'X-RateLimit-Limit': '2', 'X-RateLimit-Remaining': '0', 'Retry-After': '45' });
+    expect(res.body).toEqual({ success: false, message: 'Slow down', code: 'SLOW_DOWN', retryAfter: 45 });
+  });
+
+  it('counts each key separately', () => {
+    const limiter = createRateLimiter({ windowMs: 1000, max: 1, keyGenerator: req => req.ip });
+
+    expect(hit(limiter, { ip: 'a' }).passed).toBe(true);
+    expect(hit(limiter, { ip: 'b' }).passed).toBe(true);
+    expect(hit(limiter, { ip: 'a' }).res.body.code).toBe('RATE_LIMITED');
+  });
+
+  it('starts a new window once the old one ends', () => {
+    const limiter = createRateLimiter({ windowMs: 1000, max: 1, keyGenerator: req => req.ip });
+
+    hit(limiter, { ip: 'a' });
+    expect(hit(limiter, { ip: 'a' }).passed).toBe(false);
+
+    jest.advanceTimersByTime(1000);
+    expect(hit(limiter, { ip: 'a' }).passed).toBe(true);
+  });
+
+  it('skips requests without a key', () => {
+    const limiter = createRateLimiter({ windowMs: 1000, max: 0, keyGenerator: () => null });
+    const { res, passed } = hit(limiter);
+    expect(passed).toBe(true);
+    expect(res.set).not.toHaveBeenCalled();
+  });
+});
+
+describe('guest vote limiters', () => {
+  afterEach(() => {
+    guestVoteIpLimiter.reset();
+    guestVoteDeviceLimiter.reset();
+  });
+
+  const exhaust = (limiter, req) => {
+    let result = hit(limiter, req);
+    while (result.passed) result = hit(limiter, req);
+    return result.res;
+  };
+
+  it('limit guests by IP with a 429', () => {
+    const res = exhaust(guestVoteIpLimiter, { ip: '198.51.100.1' });
+    expect(res.statusCode).toBe(429);
+    expect(res.body.message).toMatch(/this network/);
+
+    // Another address is unaffected
+    expect(hit(guestVoteIpLimiter, { ip: '198.51.100.2' }).passed).toBe(true);
+  });
+
+  it('do not limit signed-in users by IP', () => {
+    const user = { id: 'u1' };
+    for (let count = 0; count < 100; count++) {
+      expect(hit(guestVoteIpLimiter, { ip: '198.51.100.1', user }).passed).toBe(true);
+    }
+  });
+
+  it('limit each device token with a 429', () => {
+    const res = exhaust(guestVoteDeviceLimiter, { guestDevice: { deviceId: 'd1' } });
+    expect(res.statusCode).toBe(429);
+    expect(res.body.message).toMatch(/this device/);
+
+    expect(hit(guestVoteDeviceLimiter, { guestDevice: { deviceId: 'd2' } }).passed).toBe(true);
+    expect(hit(guestVoteDeviceLimiter, {}).passed).toBe(true);
+  });
+});
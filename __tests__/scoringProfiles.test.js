@@ -0,0 +1,153 @@
+const PriorityScoringService = require('../services/PriorityScoringService');
+const { DEFAULT_PROFILE, FACTORS, validateProfile } = require('../config/scoring');
+const { createTestRepositories } = require('./helpers/memory');
+
+const weights = (overrides = {}) => ({ infrastructure: 0.25, image: 0.25, emotion: 0.25, votes: 0.25, ...overrides });
+
+describe('scoring profiles', () => {
+  describe('validateProfile', () => {
+    it('accepts weights that sum to 1', () => {
+      expect(validateProfile({ weights: weights() })).toEqual([]);
+      expect(validateProfile({ weights: weights(), status_multipliers: { in_progress: 1.5 } })).toEqual([]);
+    });
+
+    it('rejects weights that do not sum to 1', () => {
+      expect(validateProfile({ weights: weights({ votes: 0.5 }) })).toEqual(['weights must sum to 1 (got 1.250)']);
+    });
+
+    it('rejects unknown, missing and negative weights', () => {
+      expect(validateProfile({ weights: weights({ urgency: 0 }) })).toEqual(['Unknown weight: urgency']);
+
+      const { votes, ...withoutVotes } = weights({ emotion: -0.25 });
+      expect(validateProfile({ weights: withoutVotes })).toEqual([
+        'weights.emotion must be a non-negative number',
+        'weights.votes must be a non-negative number'
+      ]);
+
+      expect(validateProfile({})).toEqual(['weights must be an object with ' + FACTORS.join(', ')]);
+    });
+
+    it('rejects non-positive status multipliers', () => {
+      expect(validateProfile({ weights: weights(), status_multipliers: { pending: 0 } }))
+        .toEqual(['status_multipliers.pending must be a positive number']);
+      expect(validateProfile({ weights: weights(), status_multipliers: null }))
+        .toEqual(['status_multipliers must be an object of status to multiplier']);
+    });
+  });
+
+  describe('PriorityScoringService', () => {
+    let repositories;
+    let service;
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      ({ repositories } = createTestRepositories({
+        complaints: [{
+          id: 'c1',
+          status: 'in_progress',
+          location_sensitivity_score: 0.5,
+          emotion_score: 0.8,
+          vote_count: 3,
+          priority_score: 0
+        }]
+      }));
+      service = new PriorityScoringService({ repositories });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('uses the built-in default until a profile is activated', async () => {
+      expect(await service.getActiveProfile()).toBe(DEFAULT_PROFILE);
+      expect(await service.listProfiles()).toEqual([DEFAULT_PROFILE]);
+    });
+
+    it('stores new profiles inactive, numbered after the default', async () => {
+      const { profile } = await service.createProfile({ weights: weights(), createdBy: 'admin-1' });
+      expect(profile).toMatchObject({
+        version: 2,
+        name: 'Profile v2',
+        is_active: false,
+        status_multipliers: DEFAULT_PROFILE.status_multipliers,
+        created_by: 'admin-1'
+      });
+
+      const { profile: next } = await service.createProfile({ name: 'Votes heavy', weights: weights() });
+      expect(next.version).toBe(3);
+      expect(await service.getActiveProfile()).toBe(DEFAULT_PROFILE);
+    });
+
+    it('does not store a profile with invalid weights', async () => {
+      const result = await service.createProfile({ weights: weights({ votes: 0.5 }) });
+      expect(result).toEqual({ errors: ['weights must sum to 1 (got 1.250)'] });
+      expect(await repositories.scoringProfiles.getLatestVersion()).toBe(0);
+    });
+
+    it('deactivates the previous profile on activation', async () => {
+      const { profile: first } = await service.createProfile({ weights: weights() });
+      const { profile: second } = await service.createProfile({ weights: weights({ votes: 0.1, infrastructure: 0.4 }) });
+
+      await service.activateProfile(first.id, { rescore: false });
+      expect((await service.getActiveProfile()).id).toBe(first.id);
+
+      const result = await service.activateProfile(second.id, { rescore: false });
+      expect(result).toEqual({ profile: expect.objectContaining({ id: second.id, is_active: true }), rescore: null });
+
+      expect((await service.getActiveProfile()).id).toBe(second.id);
+      expect((await repositories.scoringProfiles.findById(first.id)).is_active).toBe(false);
+      expect((await repositories.scoringProfiles.listAll()).filter(profile => profile.is_active)).toHaveLength(1);
+    });
+
+    it('re-scores open complaints under the newly active profile', async () => {
+      const { profile } = await service.createProfile({ weights: weights() });
+      const result = await service.activateProfile(profile.id, { changedBy: 'admin-1' });
+
+      expect(result.rescore).toMatchObject({ profileVersion: 2, checked: 1, updated: 1 });
+      expect(await service.getHistory('c1')).toEqual([
+        expect.objectContaining({ reason: 'profile_change', profile_version: 2, changed_by: 'admin-1' })
+      ]);
+    });
+
+    it('returns null when activating a profile that does not exist', async () => {
+      expect(await service.activateProfile('missing')).toBeNull();
+    });
+
+    it('explains the stored score factor by factor', async () => {
+      await service.rescoreComplaint('c1');
+      const complaint = await repositories.complaints.findById('c1');
+      const explanation = await service.explain(complaint);
+
+      expect(explanation).toMatchObject({
+        complaintId: 'c1',
+        priorityScore: complaint.priority_score,
+        scoredWithProfileVersion: DEFAULT_PROFILE.version,
+        outdated: false
+      });
+
+      const { factors, weightedSum, statusMultiplier, finalScore } = explanation.storedBreakdown;
+      const contributions = FACTORS.map(factor => factors[factor].contribution);
+      FACTORS.forEach(factor => {
+        expect(factors[factor].weight).toBe(DEFAULT_PROFILE.weights[factor]);
+        expect(factors[factor].contribution).toBeCloseTo(factors[factor].score * factors[factor].weight, 4);
+      });
+      expect(contributions.reduce((sum, value) => sum + value, 0)).toBeCloseTo(weightedSum, 3);
+      expect(statusMultiplier).toBe(DEFAULT_PROFILE.status_multipliers.in_progress);
+      expect(weightedSum * statusMultiplier).toBeCloseTo(finalScore, 3);
+      expect(finalScore).toBeCloseTo(explanation.priorityScore, 2);
+      expect(explanation.underActiveProfile.finalScore).toBe(finalScore);
+    });
+
+    it('flags scores from an earlier profile as outdated', async () => {
+      await service.rescoreComplaint('c1');
+      const { profile } = await service.createProfile({ weights: weights() });
+      await service.activateProfile(profile.id, { rescore: false });
+
+      const explanation = await service.explain(await repositories.complaints.findById('c1'));
+      expect(explanation.outdated).toBe(true);
+      expect(explanation.scoredWithProfileVersion).toBe(1);
+      expect(explanation.activeProfile).toMatchObject({ version: 2, weights: weights() });
+      expect(explanation.underActiveProfile.profileVersion).toBe(2);
+    });
+  });
+});
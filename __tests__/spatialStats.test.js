@@ -0,0 +1,82 @@
+const { getisOrdGiStar, getConfidence } = require('../utils/spatialStats');
+const { HOTSPOTS } = require('../config/heatMap');
+
+const area5x5 = { minColumn: 0, maxColumn: 4, minRow: 0, maxRow: 4 };
+
+describe('getisOrdGiStar', () => {
+  it('scores a single hot cell in an empty grid', () => {
+    // n = 25, one cell of value v: mean = v/25, S = v·√24/25.
+    // Centre: 9 neighbours, z = (v − 9v/25) / (S·√((25·9 − 81)/24)) = 16/12
+    const results = getisOrdGiStar(new Map([['2:2', 7], ['1:1', 0], ['4:4', 0]]), area5x5);
+
+    expect(results.get('2:2')).toEqual({ zScore: expect.any(Number), localSum: 7, neighbours: 9 });
+    expect(results.get('2:2').zScore).toBeCloseTo(4 / 3, 12);
+    // An empty neighbour sees the same window sum
+    expect(results.get('1:1').zScore).toBeCloseTo(4 / 3, 12);
+    // A corner cell two steps away: 4 neighbours, z = (0 − 4v/25) / (S·√((100 − 16)/24)) = −4/√84
+    expect(results.get('4:4')).toMatchObject({ localSum: 0, neighbours: 4 });
+    expect(results.get('4:4').zScore).toBeCloseTo(-4 / Math.sqrt(84), 12);
+  });
+
+  it('does not depend on the size of the values', () => {
+    const small = getisOrdGiStar(new Map([['2:2', 1]]), area5x5).get('2:2').zScore;
+    const large = getisOrdGiStar(new Map([['2:2', 1000]]), area5x5).get('2:2').zScore;
+    expect(small).toBeCloseTo(large, 12);
+  });
+
+  it('scores a hot corner cell using only neighbours inside the study area', () => {
+    // 4 neighbours: z = (v − 4v/25) / (S·√(84/24)) = 21/√84
+    const result = getisOrdGiStar(new Map([['0:0', 5]]), area5x5).get('0:0');
+    expect(result.neighbours).toBe(4);
+    expect(result.zScore).toBeCloseTo(21 / Math.sqrt(84), 12);
+  });
+
+  it('ignores values outside the study area', () => {
+    const inside = getisOrdGiStar(new Map([['2:2', 3]]), area5x5).get('2:2');
+    const withOutside = getisOrdGiStar(new Map([['2:2', 3], ['5:2', 0]]), area5x5).get('2:2');
+    expect(withOutside.zScore).toBeCloseTo(inside.zScore, 12);
+    expect(withOutside.localSum).toBe(3);
+  });
+
+  it('gives z = 0 everywhere on a uniform grid', () => {
+    const values = new Map();
+    for (let column = 0; column <= 4; column++) {
+      for (let row = 0; row <= 4; row++) values.set(`${column}:${row}`, 3);
+    }
+    const results = getisOrdGiStar(values, area5x5);
+
+    expect(results.size).toBe(25);
+    results.forEach(result => expect(result.zScore).toBe(0));
+    expect(results.get('0:0').localSum).toBe(12);
+  });
+
+  it('matches the textbook formula on a mixed grid', () => {
+    const values = new Map([['0:0', 4], ['1:0', 2], ['1:1', 6], ['3:2', 1], ['4:4', 3]]);
+    const n = 25;
+    const all = [];
+    for (let column = 0; column <= 4; column++) {
+      for (let row = 0; row <= 4; row++) all.push(values.get(`${column}:${row}`) || 0);
+    }
+    const mean = all.reduce((a, b) => a + b, 0) / n;
+    const s = Math.sqrt(all.reduce((a, b) => a + b * b, 0) / n - mean * mean);
+
+    // Cell 1:1 has all 9 neighbours: 0:0, 1:0, 1:1 and six empty cells
+    const expected = (12 - mean * 9) / (s * Math.sqrt((n * 9 - 81) / (n - 1)));
+    expect(getisOrdGiStar(values, area5x5).get('1:1').zScore).toBeCloseTo(expected, 12);
+  });
+
+  it('returns nothing for a study area of one cell', () => {
+    expect(getisOrdGiStar(new Map([['0:0', 5]]), { minColumn: 0, maxColumn: 0, minRow: 0, maxRow: 0 }).size).toBe(0);
+  });
+});
+
+describe('getConfidence', () => {
+  it('returns the highest level reached', () => {
+    expect(getConfidence(3, HOTSPOTS.confidenceLevels)).toBe(0.99);
+    expect(getConfidence(2.576, HOTSPOTS.confidenceLevels)).toBe(0.99);
+    expect(getConfidence(2, HOTSPOTS.confidenceLevels)).toBe(0.95);
+    expect(getConfidence(1.7, HOTSPOTS.confidenceLevels)).toBe(0.9);
+    expect(getConfidence(1.6, HOTSPOTS.confidenceLevels)).toBeNull();
+    expect(getConfidence(-3, HOTSPOTS.confidenceLevels)).toBeNull();
+  });
+});
@@ -0,0 +1,195 @@
+const Pbf = require('pbf');
+const { VectorTile } = require('@mapbox/vector-tile');
+const { encodeTile } = require('../utils/vectorTile');
+
+const decode = (buffer) => new VectorTile(new Pbf(buffer));
+
+// Surveyor's formula in tile coordinates (y pointing down): the spec requires
+// exterior rings to be positive (clockwise on screen) and holes negative
+const signedArea = (ring) => {
+  let area = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    area += ring[j].x * ring[i].y - ring[i].x * ring[j].y;
+  }
+  return area;
+};
+
+const plain = (ring) => ring.map(({ x, y }) => [x, y]);
+
+describe('encodeTile', () => {
+  it('round-trips layers, ids and typed properties', () => {
+    const tile = decode(encodeTile([{
+      name: 'complaints',
+      extent: 4096,
+      features: [
+        {
+          id: 7,
+          type: 'Point',
+          geometry: [100.4, 200.6],
+          properties: { count: 3, weight: 4.5, offset: -2, open: true, status: 'pending', complaint_id: null }
+        },
+        { type: 'Point', geometry: [0, 0], properties: { count: 3, status: 'resolved' } }
+      ]
+    }]));
+
+    const layer = tile.layers.complaints;
+    expect(layer).toMatchObject({ version: 2, name: 'complaints', extent: 4096, length: 2 });
+
+    const first = layer.feature(0);
+    expect(first.id).toBe(7);
+    expect(first.type).toBe(1);
+    expect(first.properties).toEqual({ count: 3, weight: 4.5, offset: -2, open: true, status: 'pending' });
+    expect(first.loadGeometry().map(plain)).toEqual([[[100, 201]]]);
+
+    // Features without an id are numbered from 1; repeated values are shared
+    const second = layer.feature(1);
+    expect(second.id).toBe(2);
+    expect(second.properties).toEqual({ count: 3, status: 'resolved' });
+    expect(second.loadGeometry().map(plain)).toEqual([[[0, 0]]]);
+  });
+
+  it('winds exterior rings clockwise and holes anticlockwise', () => {
+    // Exterior given anticlockwise and closed, hole given clockwise
+    const exterior = [[0, 0], [0, 100], [100, 100], [100, 0], [0, 0]];
+    const hole = [[25, 25], [75, 25], [75, 75], [25, 75]];
+    const tile = decode(encodeTile([{
+      name: 'cells',
+      features: [{ type: 'Polygon', geometry: [exterior, hole], properties: {} }]
+    }]));
+
+    const feature = tile.layers.cells.feature(0);
+    expect(feature.type).toBe(3);
+    expect(tile.layers.cells.extent).toBe(4096);
+
+    const [outer, inner] = feature.loadGeometry();
+    expect(signedArea(outer)).toBeGreaterThan(0);
+    expect(signedArea(inner)).toBeLessThan(0);
+    // Each ring is closed once by ClosePath, not by a repeated point
+    expect(outer).toHaveLength(5);
+    expect(new Set(plain(outer).slice(0, 4).map(String)).size).toBe(4);
+
+    const geojson = feature.toGeoJSON(0, 0, 0);
+    expect(geojson.geometry.type).toBe('Polygon');
+    expect(geojson.geometry.coordinates).toHaveLength(2);
+  });
+
+  it('keeps clockwise exteriors as given', () => {
+    const clockwise = [[10, 10], [90, 10], [90, 90], [10, 90]];
+    const tile = decode(encodeTile([{ name: 'cells', features: [{ type: 'Polygon', geometry: [clockwise] }] }]));
+    const [ring] = tile.layers.cells.feature(0).loadGeometry();
+    expect(plain(ring)).toEqual([...clockwise, clockwise[0]]);
+  });
+
+  it('rounds to integer tile coordinates and handles negative deltas', () => {
+    const tile = decode(encodeTile([{
+      name: 'cells',
+      features: [{ type: 'Polygon', geometry: [[[4000.2, 4000.7], [4200, 4000], [4200, 4300], [-64, 4300]]] }]
+    }]));
+    const [ring] = tile.layers.cells.feature(0).loadGeometry();
+    expect(plain(ring)).toEqual([[4000, 4001], [4200, 4000], [4200, 4300], [-64, 4300], [4000, 4001]]);
+  });
+
+  it('drops polygons that collapse to fewer than three points', () => {
+    const tile = decode(encodeTile([{
+      name: 'cells',
+      features: [
+        { type: 'Polygon', geometry: [[[1.1, 1.1], [1.2, 1.2], [0.9, 0.9]]] },
+        { type: 'Point', geometry: [5, 5] }
+      ]
+    }]));
+    expect(tile.layers.cells.length).toBe(1);
+    expect(tile.layers.cells.feature(0).type).toBe(1);
+  });
+
+  it('encodes several layers and large varints', () => {
+    const tile = decode(encodeTile([
+      { name: 'a', features: [{ id: 2 ** 40, type: 'Point', geometry: [1, 1], properties: { big: 2 ** 40 } }] },
+      { name: 'b', extent: 512, features: [{ type: 'Point', geometry: [511, 0] }] }
+    ]));
+    expect(Object.keys(tile.layers)).toEqual(['a', 'b']);
+    expect(tile.layers.a.feature(0).id).toBe(2 ** 40);
+    expect(tile.layers.a.feature(0).properties.big).toBe(2 ** 40);
+    expect(tile.layers.b).toMatchObject({ extent: 512, length: 1 });
+  });
+});
+
+describe('HeatMapService.getVectorTile', () => {
+  const { supabase } = require('../config/supabase');
+  const HeatMapService = require('../services/HeatMapService');
+  const { project } = require('../utils/mapAggregation');
+
+  let service;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const now = Date.now();
+    const complaints = Array.from({ length: 60 }, (_, index) => ({
+      id: `c${index}`,
+      title: `Complaint ${index}`,
+      category: index % 2 ? 'pothole' : 'garbage',
+      status: index % 3 ? 'pending' : 'resolved',
+      priority_score: (index * 7) % 100,
+      location_latitude: 12.95 + (index % 8) * 0.006,
+      location_longitude: 77.57 + Math.floor(index / 8) * 0.006,
+      created_at: new Date(now - index * 24 * 60 * 60 * 1000).toISOString()
+    }));
+    await supabase.from('complaints').insert(complaints);
+    service = new HeatMapService();
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  // The tile holding the seeded complaints at zoom 13
+  const zoom = 13;
+  const center = project(12.97, 77.59, zoom);
+  const tileX = Math.floor(center.x / 256);
+  const tileY = Math.floor(center.y / 256);
+
+  const neighbourhood = [];
+  for (let dx = -1; dx <= 1; dx++) {
+    for (let dy = -1; dy <= 1; dy++) neighbourhood.push([tileX + dx, tileY + dy]);
+  }
+
+  const tileFeatures = async (mode) => {
+    const features = [];
+    for (const [x, y] of neighbourhood) {
+      const layer = decode(await service.getVectorTile(zoom, x, y, {}, { mode })).layers.complaints;
+      for (let i = 0; i < (layer ? layer.length : 0); i++) features.push(layer.feature(i));
+    }
+    return features;
+  };
+
+  it.each(['grid', 'hex'])('%s tiles hold each complaint once with its weight', async (mode) => {
+    const aggregated = await service.getAggregatedHeatMapData({}, { zoom, mode });
+    const features = await tileFeatures(mode);
+
+    const count = features.reduce((sum, feature) => sum + feature.properties.count, 0);
+    const weight = features.reduce((sum, feature) => sum + feature.properties.weight, 0);
+    expect(count).toBe(60);
+    expect(weight).toBeCloseTo(aggregated.statistics.totalWeight, 6);
+    expect(new Set(features.map(feature => feature.properties.cell_id)).size).toBe(features.length);
+
+    features.forEach(feature => {
+      expect(feature.type).toBe(3);
+      const [ring] = feature.loadGeometry();
+      expect(signedArea(ring)).toBeGreaterThan(0);
+    });
+  });
+
+  it('cluster tiles are points at cell centroids', async () => {
+    const features = await tileFeatures('cluster');
+    expect(features.reduce((sum, feature) => sum + feature.properties.count, 0)).toBe(60);
+    features.forEach(feature => expect(feature.type).toBe(1));
+  });
+
+  it('aggregation keeps the count and weight in every mode', async () => {
+    for (const mode of ['grid', 'hex', 'cluster']) {
+      const { cells, statistics } = await service.getAggregatedHeatMapData({}, { zoom, mode });
+      expect(cells.reduce((sum, cell) => sum + cell.count, 0)).toBe(60);
+      expect(cells.reduce((sum, cell) => sum + cell.weight, 0)).toBeCloseTo(statistics.totalWeight, 6);
+      expect(statistics.total).toBe(60);
+    }
+  });
+});
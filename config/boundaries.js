@@ -0,0 +1,44 @@
+/**
+ * Administrative boundaries and jurisdiction routing
+ *
+ * Ward polygons are imported from GeoJSON by services/BoundaryService.js
+ * into the wards table; each ward belongs to a zone. Every complaint is
+ * placed in the ward containing its location, and its department comes
+ * from the most specific routing rule matching its category, ward or zone,
+ * falling back to the category mapping in config/departments.js.
+ */
+
+/**
+ * Feature properties read for a ward's id, name and zone, first present wins.
+ * Municipal datasets name these differently, so several spellings are tried.
+ */
+const WARD_PROPERTIES = {
+  id: ['ward_id', 'WARD_ID', 'ward_no', 'WARD_NO', 'wardno', 'id'],
+  name: ['ward_name', 'WARD_NAME', 'name', 'NAME'],
+  zone: ['zone', 'ZONE', 'zone_name', 'ZONE_NAME']
+};
+
+// Wards are kept in memory for point-in-polygon lookups and reloaded after this long
+const WARD_CACHE_SECONDS = parseInt(process.env.WARD_CACHE_SECONDS) || 300;
+
+/**
+ * Routing rule precedence, most specific first. A rule matches when each
+ * field it sets equals the complaint's; rules for any category name no
+ * category, so an area run by another authority can take all its complaints.
+ */
+const RULE_PRECEDENCE = [
+  { category: true, ward: true },
+  { category: true, zone: true },
+  { ward: true },
+  { zone: true }
+];
+
+// Complaints reassigned per batch by the backfill command
+const ASSIGN_BATCH_SIZE = 500;
+
+module.exports = {
+  WARD_PROPERTIES,
+  WARD_CACHE_SECONDS,
+  RULE_PRECEDENCE,
+  ASSIGN_BATCH_SIZE
+};
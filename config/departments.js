@@ -0,0 +1,58 @@
+/**
+ * Department ownership of complaint categories
+ *
+ * Used to scope officers and department admins to the complaints their
+ * department handles. A complaint's assigned_department, set at submission
+ * from the ward routing rules (config/boundaries.js), takes precedence over
+ * the category mapping.
+ */
+
+const CATEGORY_DEPARTMENTS = {
+  road_damage: 'Public Works',
+  pothole: 'Public Works',
+  public_property_damage: 'Public Works',
+  streetlight: 'Electrical',
+  broken_streetlight: 'Electrical',
+  electricity: 'Electrical',
+  traffic_signal: 'Traffic',
+  water_issue: 'Water & Sewerage',
+  sewage_overflow: 'Water & Sewerage',
+  flooding: 'Water & Sewerage',
+  garbage: 'Sanitation',
+  tree_issue: 'Environment',
+  noise_pollution: 'Environment',
+  air_pollution: 'Environment',
+  stray_animals: 'Animal Control'
+};
+
+const DEFAULT_DEPARTMENT = 'General Administration';
+
+// Departments staff can belong to
+const DEPARTMENTS = [...new Set([...Object.values(CATEGORY_DEPARTMENTS), DEFAULT_DEPARTMENT])];
+
+/**
+ * Department responsible for a complaint
+ * @param {Object} complaint - Complaint row with at least category
+ * @returns {string} Department name
+ */
+function getComplaintDepartment(complaint) {
+  if (!complaint) return DEFAULT_DEPARTMENT;
+  return complaint.assigned_department ||
+    CATEGORY_DEPARTMENTS[complaint.category] ||
+    DEFAULT_DEPARTMENT;
+}
+
+/**
+ * Categories handled by a department
+ */
+function getDepartmentCategories(department) {
+  return Object.keys(CATEGORY_DEPARTMENTS).filter(category => CATEGORY_DEPARTMENTS[category] === department);
+}
+
+module.exports = {
+  CATEGORY_DEPARTMENTS,
+  DEFAULT_DEPARTMENT,
+  DEPARTMENTS,
+  getComplaintDepartment,
+  getDepartmentCategories
+};
@@ -0,0 +1,40 @@
+/**
+ * Duplicate complaint detection settings
+ *
+ * A new complaint is a candidate duplicate of an open complaint in the same
+ * category within radiusMeters that was reported in the last windowHours.
+ * DUPLICATE_RADIUS_METERS / DUPLICATE_WINDOW_HOURS override the defaults.
+ */
+
+const DEFAULT_RULE = {
+  radiusMeters: parseFloat(process.env.DUPLICATE_RADIUS_METERS) || 50,
+  windowHours: parseFloat(process.env.DUPLICATE_WINDOW_HOURS) || 168
+};
+
+// Categories whose issues cover a wider area or recur on a different cadence
+const CATEGORY_RULES = {
+  flooding: { radiusMeters: 250, windowHours: 72 },
+  sewage_overflow: { radiusMeters: 100, windowHours: 72 },
+  water_issue: { radiusMeters: 150, windowHours: 72 },
+  garbage: { radiusMeters: 30, windowHours: 72 },
+  air_pollution: { radiusMeters: 500, windowHours: 48 },
+  noise_pollution: { radiusMeters: 200, windowHours: 24 }
+};
+
+// Only complaints still being worked on can absorb new reports
+const OPEN_STATUSES = ['pending', 'in_progress'];
+
+// 'warn' stores the complaint and returns candidates; 'block' returns 409 until the reporter confirms
+const CHECK_MODE = process.env.DUPLICATE_CHECK_MODE === 'block' ? 'block' : 'warn';
+
+function getDuplicateRule(category) {
+  return { ...DEFAULT_RULE, ...(CATEGORY_RULES[category] || {}) };
+}
+
+module.exports = {
+  DEFAULT_RULE,
+  CATEGORY_RULES,
+  OPEN_STATUSES,
+  CHECK_MODE,
+  getDuplicateRule
+};
@@ -0,0 +1,177 @@
+/**
+ * Emotion analysis settings
+ *
+ * EMOTION_PROVIDER picks the engine: 'local' (a model served by the Python
+ * sidecar in python_services/ on this machine), 'huggingface' (hosted
+ * inference API), 'keywords' (lexicons only) or 'auto', which tries the
+ * configured providers in PROVIDER_ORDER. The keyword engine needs no model
+ * or network and always ends the chain, so analysis never fails outright.
+ */
+
+const { SUPPORTED_LANGUAGES } = require('./transcription');
+
+const PROVIDER = process.env.EMOTION_PROVIDER || 'auto';
+
+// Order tried in 'auto' mode
+const PROVIDER_ORDER = ['local', 'huggingface', 'keywords'];
+
+// Time budget for the model providers on one analysis; once spent, the
+// keyword provider answers so priority calculation is never held up
+const ANALYSIS_TIMEOUT_MS = parseInt(process.env.EMOTION_ANALYSIS_TIMEOUT_MS) || 8000;
+
+// Results are cached by a hash of the text, category and language
+const CACHE = {
+  ttlMs: (parseInt(process.env.EMOTION_CACHE_TTL_MINUTES) || 360) * 60 * 1000,
+  maxEntries: parseInt(process.env.EMOTION_CACHE_MAX_ENTRIES) || 1000
+};
+
+// Civic emotions every provider reports, each 0-1
+const EMOTIONS = ['anger', 'urgency', 'frustration', 'concern'];
+
+// Contribution of each emotion to the emotion score
+const EMOTION_WEIGHTS = {
+  urgency: 0.4,
+  anger: 0.3,
+  concern: 0.2,
+  frustration: 0.1
+};
+
+// Concern above this multiplies the emotion score by CONCERN_MULTIPLIER
+const CONCERN_THRESHOLD = 0.3;
+const CONCERN_MULTIPLIER = 1.2;
+
+// Score added per lexicon match (config/emotionLexicons.js), each emotion capped at 1
+const KEYWORD_SCORES = {
+  anger: 0.4,
+  urgency: 0.25,
+  frustration: 0.25,
+  concern: 0.3,
+  hazard: 0.15,
+  criticalPhrase: 0.3,
+  safetyPhrase: 0.25
+};
+
+// Floor for non-English complaints that match no keyword at all: a complaint
+// is still a complaint, and the lexicons for these languages are smaller
+const UNMATCHED_BASELINE = { concern: 0.3, urgency: 0.2 };
+
+// Boost added to the final score for personal safety signals
+const SAFETY_BOOST = {
+  safetyPhrase: 0.08,
+  vulnerableGroup: 0.05,
+  nightWord: 0.03,
+  max: 0.15
+};
+
+const PROVIDER_CONFIG = {
+  local: {
+    // e.g. http://127.0.0.1:8001 (see python_services/distilbert_emotion_service.py)
+    url: process.env.EMOTION_SIDECAR_URL,
+    // Languages the sidecar's model understands; others go to the next provider
+    languages: (process.env.EMOTION_SIDECAR_LANGUAGES || 'en').split(',').map(code => code.trim()),
+    timeoutMs: parseInt(process.env.EMOTION_SIDECAR_TIMEOUT_MS) || 5000
+  },
+  huggingface: {
+    token: process.env.HUGGINGFACE_API_TOKEN,
+    // Tried in order until one answers
+    models: [
+      'https://api-inference.huggingface.co/models/distilbert-base-uncased-finetuned-sst-2-english',
+      'https://api-inference.huggingface.co/models/cardiffnlp/twitter-roberta-base-sentiment-latest',
+      'https://api-inference.huggingface.co/models/nlptown/bert-base-multilingual-uncased-sentiment',
+      'https://api-inference.huggingface.co/models/cardiffnlp/twitter-xlm-roberta-base-sentiment'
+    ],
+    // The hosted sentiment models misread complaints in other languages as positive
+    languages: ['en', 'hi'],
+    timeoutMs: 15000
+  }
+};
+
+// Emotion model labels (GoEmotions / emotion-english style) mapped to civic emotions
+const MODEL_LABEL_MAP = {
+  anger: 'anger',
+  annoyance: 'anger',
+  disgust: 'anger',
+  disapproval: 'frustration',
+  disappointment: 'frustration',
+  sadness: 'frustration',
+  grief: 'frustration',
+  remorse: 'frustration',
+  fear: 'concern',
+  nervousness: 'concern',
+  confusion: 'concern',
+  caring: 'concern',
+  surprise: 'urgency'
+};
+
+// Priority multipliers by civic issue category
+const CATEGORY_MULTIPLIERS = {
+  // Critical health hazards
+  sewage_overflow: 1.8,
+  water_contamination: 1.8,
+  gas_leak: 1.9,
+  fire_hazard: 1.8,
+  electrical_danger: 1.7,
+  health_emergency: 1.8,
+  disease_outbreak: 1.9,
+
+  // Public safety
+  women_safety: 1.7,
+  night_safety: 1.6,
+  broken_streetlight: 1.6,
+  road_safety: 1.7,
+  public_safety: 1.8,
+  traffic_signal: 1.5,
+  child_safety: 1.7,
+
+  // Infrastructure failures
+  pothole: 1.4,
+  road_damage: 1.4,
+  water_logging: 1.5,
+  drain_blockage: 1.4,
+  bridge_damage: 1.5,
+  building_collapse: 1.8,
+
+  // Basic services
+  garbage_collection: 1.3,
+  water_supply: 1.5,
+  power_outage: 1.3,
+  sanitation: 1.4,
+  public_transport: 1.3,
+
+  // Environmental
+  air_pollution: 1.4,
+  noise_pollution: 1.2,
+  water_pollution: 1.5,
+  illegal_dumping: 1.3,
+  tree_cutting: 1.2,
+
+  // Civic amenities
+  park_maintenance: 1.1,
+  street_cleaning: 1.2,
+  public_toilet: 1.3,
+  sports_facility: 1.1,
+
+  // Administrative
+  document_issue: 1.0,
+  tax_related: 1.0,
+  information_request: 1.0,
+  general: 1.0
+};
+
+module.exports = {
+  PROVIDER,
+  PROVIDER_ORDER,
+  ANALYSIS_TIMEOUT_MS,
+  CACHE,
+  SUPPORTED_LANGUAGES,
+  EMOTIONS,
+  EMOTION_WEIGHTS,
+  CONCERN_THRESHOLD,
+  CONCERN_MULTIPLIER,
+  KEYWORD_SCORES,
+  UNMATCHED_BASELINE,
+  SAFETY_BOOST,
+  PROVIDER_CONFIG,
+  MODEL_LABEL_MAP,
+  CATEGORY_MULTIPLIERS
+};
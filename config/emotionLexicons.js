@@ -0,0 +1,205 @@
+/**
+ * Keyword lexicons for offline emotion analysis, one per language supported
+ * by transcription (config/transcription.js).
+ *
+ * Per language:
+ *   anger, urgency, frustration, concern - emotion keywords
+ *   hazards          - health, sanitation and danger terms that raise urgency
+ *   criticalPhrases  - phrases describing an active health or safety emergency
+ *   safetyPhrases    - personal safety concerns (also boost the final score)
+ *   vulnerableGroups - women, children, elderly
+ *   nightWords       - night / darkness
+ *
+ * Matching ignores case and nukta marks, so नाराज़ and नाराज both match.
+ */
+
+const LEXICONS = {
+  en: {
+    anger: ['angry', 'furious', 'mad', 'irritated', 'annoyed', 'outraged', 'fed up', 'enough', 'disgusted'],
+    urgency: ['urgent', 'emergency', 'immediate', 'immediately', 'dangerous', 'critical', 'accident', 'accidents', 'death', 'deaths', 'fatal', 'asap'],
+    frustration: ['frustrated', 'fed up', 'tired', 'disappointed', 'again and again', 'still not', 'no action', 'ignored'],
+    concern: ['worried', 'concerned', 'scared', 'afraid', 'anxious', 'nervous', 'trouble', 'problem', 'unsafe'],
+    hazards: [
+      'died', 'disease', 'illness', 'sick', 'health', 'contamination', 'pollution', 'toxic', 'suffocating',
+      'stench', 'smell', 'dirty', 'filthy', 'overflow', 'leakage', 'burst', 'electrocution', 'live wire', 'fire'
+    ],
+    criticalPhrases: [
+      'suffocating in', 'health emergency', 'disease outbreak', 'contaminated water',
+      'breathing difficulty', 'stomach illness', 'mosquito breeding', 'health hazard'
+    ],
+    safetyPhrases: ['women safety', 'girls safety', 'ladies safety', 'night time', 'walking difficult', 'afraid to walk', 'security concern', 'safety issue'],
+    vulnerableGroups: ['girls', 'women', 'ladies', 'children', 'elderly'],
+    nightWords: ['night', 'dark', 'evening']
+  },
+
+  hi: {
+    anger: ['गुस्सा', 'क्रोध', 'नाराज़', 'चिढ़', 'खफा', 'बहुत परेशान'],
+    urgency: ['तुरंत', 'जल्दी', 'आपातकाल', 'खतरनाक', 'अभी', 'दुर्घटना', 'दुर्घटनाएं', 'मौत', 'मौतें', 'मृत्यु', 'गंभीर'],
+    frustration: ['परेशान', 'तंग', 'दुखी', 'हैरान', 'निराश', 'मुश्किल', 'कठिनाई', 'दिक्कत'],
+    concern: ['चिंता', 'चिंतित', 'डर', 'डरा', 'फिक्र', 'घबराहट', 'घबराया', 'बेचैनी', 'समस्या', 'मुसीबत'],
+    hazards: [
+      'बीमारी', 'रोग', 'स्वास्थ्य', 'प्रदूषण', 'गंदगी', 'बदबू', 'दुर्गंध', 'सड़न', 'घुटन', 'घुट रहे',
+      'सीवेज', 'नाली', 'गंदा पानी', 'रिसाव', 'फूटना', 'बहना', 'करंट', 'आग'
+    ],
+    criticalPhrases: [
+      'घुट रहे हैं', 'बदबू में', 'गंदगी में', 'सीवेज का', 'गंदा पानी', 'बीमार हो रहे', 'स्वास्थ्य खराब',
+      'सांस लेने में दिक्कत', 'पेट की बीमारी', 'डेंगू का खतरा', 'मच्छर पैदा हो रहे'
+    ],
+    safetyPhrases: ['सुरक्षा सुनिश्चित नहीं', 'लड़कियों की सुरक्षा', 'महिलाओं की सुरक्षा', 'रात के समय', 'अंधेरे में', 'चलना मुश्किल', 'डर लगता है'],
+    vulnerableGroups: ['लड़कियों', 'लड़कियां', 'महिलाओं', 'बच्चों', 'बुजुर्गों'],
+    nightWords: ['रात', 'अंधेरा']
+  },
+
+  mr: {
+    anger: ['राग', 'संताप', 'चीड', 'संतापलो', 'रागावलो'],
+    urgency: ['तातडीने', 'ताबडतोब', 'लगेच', 'आणीबाणी', 'धोका', 'धोकादायक', 'अपघात', 'मृत्यू', 'गंभीर'],
+    frustration: ['निराश', 'त्रास', 'कंटाळा', 'हैराण', 'वैतागलो', 'अडचण'],
+    concern: ['काळजी', 'भीती', 'चिंता', 'समस्या', 'घाबरलो'],
+    hazards: ['आजार', 'रोग', 'आरोग्य', 'प्रदूषण', 'घाण', 'दुर्गंधी', 'सांडपाणी', 'गटार', 'गळती', 'आग', 'विजेचा धक्का'],
+    criticalPhrases: ['श्वास घेण्यास त्रास', 'दूषित पाणी', 'डेंग्यूचा धोका', 'डास वाढले'],
+    safetyPhrases: ['महिलांची सुरक्षा', 'मुलींची सुरक्षा', 'रात्रीच्या वेळी', 'चालणे कठीण'],
+    vulnerableGroups: ['महिला', 'मुली', 'मुलांना', 'ज्येष्ठ नागरिक'],
+    nightWords: ['रात्री', 'अंधार']
+  },
+
+  ta: {
+    anger: ['கோபம்', 'எரிச்சல்', 'சீற்றம்', 'வெறுப்பு', 'கோபமாக', 'எரிச்சலாக', 'கோபப்படுகிறேன்', 'வெறுக்கிறேன்'],
+    urgency: ['அவசரம்', 'உடனடி', 'ஆபத்து', 'அவசரமாக', 'உடனடியாக', 'ஆபத்தான', 'அவசர', 'மரணம்', 'விபத்து', 'உயிருக்கு ஆபத்து'],
+    frustration: ['வருத்தம்', 'ஏமாற்றம்', 'வருத்தமாக', 'ஏமாற்றமாக', 'கஷ்டம்', 'துன்பம்', 'வேதனை', 'சோகம்'],
+    concern: ['கவலை', 'பயம்', 'கவலையாக', 'பயமாக', 'உளைச்சல்', 'நெருக்கடி', 'சிக்கல்', 'பிரச்சனை', 'பிரச்சினை'],
+    hazards: ['நோய்', 'அசுத்தம்', 'கழிவுநீர்', 'துர்நாற்றம்', 'மாசு', 'கசிவு', 'தீ', 'மின்சார அதிர்ச்சி'],
+    criticalPhrases: ['சுவாசிக்க சிரமம்', 'அசுத்த நீர்', 'டெங்கு ஆபத்து', 'கொசு உற்பத்தி'],
+    safetyPhrases: ['பெண்கள் பாதுகாப்பு', 'இரவு நேரம்', 'நடக்க முடியவில்லை'],
+    vulnerableGroups: ['பெண்கள்', 'குழந்தைகள்', 'முதியவர்கள்'],
+    nightWords: ['இரவு', 'இருட்டு']
+  },
+
+  te: {
+    anger: ['కోపం', 'ఆగ్రహం', 'చిరాకు', 'కోపంగా', 'విసుగు'],
+    urgency: ['అత్యవసరం', 'వెంటనే', 'తక్షణం', 'త్వరగా', 'ప్రమాదం', 'ప్రమాదకరం', 'మరణం', 'చనిపోయారు'],
+    frustration: ['నిరాశ', 'బాధ', 'విసిగిపోయాం', 'ఇబ్బంది', 'కష్టం'],
+    concern: ['ఆందోళన', 'భయం', 'చింత', 'భయంగా', 'సమస్య'],
+    hazards: ['వ్యాధి', 'రోగం', 'ఆరోగ్యం', 'కాలుష్యం', 'మురుగు', 'దుర్వాసన', 'లీకేజీ', 'అగ్ని', 'కరెంట్ షాక్'],
+    criticalPhrases: ['శ్వాస తీసుకోవడం కష్టం', 'కలుషిత నీరు', 'డెంగ్యూ ప్రమాదం', 'దోమలు పెరుగుతున్నాయి'],
+    safetyPhrases: ['మహిళల భద్రత', 'రాత్రి సమయంలో', 'నడవడం కష్టం'],
+    vulnerableGroups: ['మహిళలు', 'పిల్లలు', 'వృద్ధులు'],
+    nightWords: ['రాత్రి', 'చీకటి']
+  },
+
+  kn: {
+    anger: ['ಕೋಪ', 'ಸಿಟ್ಟು', 'ಆಕ್ರೋಶ', 'ಕಿರಿಕಿರಿ'],
+    urgency: ['ತುರ್ತು', 'ತಕ್ಷಣ', 'ಕೂಡಲೇ', 'ಬೇಗ', 'ಅಪಾಯ', 'ಅಪಾಯಕಾರಿ', 'ಸಾವು', 'ಅಪಘಾತ'],
+    frustration: ['ನಿರಾಶೆ', 'ಬೇಸರ', 'ತೊಂದರೆ', 'ಕಷ್ಟ', 'ಸಾಕಾಗಿದೆ'],
+    concern: ['ಚಿಂತೆ', 'ಭಯ', 'ಆತಂಕ', 'ಸಮಸ್ಯೆ'],
+    hazards: ['ರೋಗ', 'ಕಾಯಿಲೆ', 'ಆರೋಗ್ಯ', 'ಮಾಲಿನ್ಯ', 'ಕೊಳಚೆ', 'ದುರ್ವಾಸನೆ', 'ಸೋರಿಕೆ', 'ಬೆಂಕಿ', 'ವಿದ್ಯುತ್ ಆಘಾತ'],
+    criticalPhrases: ['ಉಸಿರಾಡಲು ಕಷ್ಟ', 'ಕಲುಷಿತ ನೀರು', 'ಡೆಂಗ್ಯೂ ಅಪಾಯ', 'ಸೊಳ್ಳೆಗಳು ಹೆಚ್ಚಾಗಿವೆ'],
+    safetyPhrases: ['ಮಹಿಳೆಯರ ಸುರಕ್ಷತೆ', 'ರಾತ್ರಿ ಸಮಯದಲ್ಲಿ', 'ನಡೆಯಲು ಕಷ್ಟ'],
+    vulnerableGroups: ['ಮಹಿಳೆಯರು', 'ಮಕ್ಕಳು', 'ವೃದ್ಧರು'],
+    nightWords: ['ರಾತ್ರಿ', 'ಕತ್ತಲೆ']
+  },
+
+  bn: {
+    anger: ['রাগ', 'ক্রোধ', 'বিরক্ত', 'ক্ষুব্ধ', 'ক্ষোভ'],
+    urgency: ['জরুরি', 'অবিলম্বে', 'এখনই', 'তাড়াতাড়ি', 'বিপদ', 'বিপজ্জনক', 'দুর্ঘটনা', 'মৃত্যু'],
+    frustration: ['হতাশ', 'কষ্ট', 'ভোগান্তি', 'অসুবিধা', 'বিরক্তিকর'],
+    concern: ['চিন্তা', 'ভয়', 'উদ্বেগ', 'দুশ্চিন্তা', 'সমস্যা'],
+    hazards: ['রোগ', 'অসুখ', 'স্বাস্থ্য', 'দূষণ', 'নোংরা', 'দুর্গন্ধ', 'নর্দমা', 'ফুটো', 'আগুন', 'বিদ্যুৎস্পৃষ্ট'],
+    criticalPhrases: ['শ্বাস নিতে কষ্ট', 'দূষিত জল', 'ডেঙ্গুর ঝুঁকি', 'মশা বাড়ছে'],
+    safetyPhrases: ['মহিলাদের নিরাপত্তা', 'মেয়েদের নিরাপত্তা', 'রাতের বেলা', 'হাঁটা কঠিন'],
+    vulnerableGroups: ['মহিলা', 'মেয়েরা', 'শিশু', 'বয়স্ক'],
+    nightWords: ['রাত', 'অন্ধকার']
+  },
+
+  gu: {
+    anger: ['ગુસ્સો', 'ક્રોધ', 'નારાજ', 'ચીડ'],
+    urgency: ['તાત્કાલિક', 'તરત', 'જલ્દી', 'કટોકટી', 'જોખમ', 'જોખમી', 'અકસ્માત', 'મૃત્યુ'],
+    frustration: ['નિરાશ', 'હેરાન', 'તકલીફ', 'મુશ્કેલી', 'કંટાળો'],
+    concern: ['ચિંતા', 'ડર', 'ભય', 'સમસ્યા'],
+    hazards: ['રોગ', 'બીમારી', 'આરોગ્ય', 'પ્રદૂષણ', 'ગંદકી', 'દુર્ગંધ', 'ગટર', 'લીકેજ', 'આગ', 'વીજ કરંટ'],
+    criticalPhrases: ['શ્વાસ લેવામાં તકલીફ', 'દૂષિત પાણી', 'ડેન્ગ્યુનું જોખમ', 'મચ્છર વધી ગયા'],
+    safetyPhrases: ['મહિલાઓની સલામતી', 'છોકરીઓની સલામતી', 'રાત્રે', 'ચાલવું મુશ્કેલ'],
+    vulnerableGroups: ['મહિલાઓ', 'છોકરીઓ', 'બાળકો', 'વૃદ્ધો'],
+    nightWords: ['રાત', 'અંધારું']
+  },
+
+  ml: {
+    anger: ['ദേഷ്യം', 'കോപം', 'രോഷം', 'അമർഷം'],
+    urgency: ['അടിയന്തര', 'ഉടൻ', 'ഉടനടി', 'വേഗം', 'അപകടം', 'അപകടകരം', 'മരണം'],
+    frustration: ['നിരാശ', 'ബുദ്ധിമുട്ട്', 'കഷ്ടം', 'മടുത്തു', 'ദുരിതം'],
+    concern: ['ആശങ്ക', 'ഭയം', 'പേടി', 'വിഷമം', 'പ്രശ്നം'],
+    hazards: ['രോഗം', 'അസുഖം', 'ആരോഗ്യം', 'മലിനീകരണം', 'മാലിന്യം', 'ദുർഗന്ധം', 'ചോർച്ച', 'തീ', 'ഷോക്ക്'],
+    criticalPhrases: ['ശ്വസിക്കാൻ ബുദ്ധിമുട്ട്', 'മലിനജലം', 'ഡെങ്കിപ്പനി ഭീഷണി', 'കൊതുക് പെരുകുന്നു'],
+    safetyPhrases: ['സ്ത്രീകളുടെ സുരക്ഷ', 'രാത്രി സമയത്ത്', 'നടക്കാൻ ബുദ്ധിമുട്ട്'],
+    vulnerableGroups: ['സ്ത്രീകൾ', 'കുട്ടികൾ', 'പ്രായമായവർ'],
+    nightWords: ['രാത്രി', 'ഇരുട്ട്']
+  },
+
+  pa: {
+    anger: ['ਗੁੱਸਾ', 'ਕ੍ਰੋਧ', 'ਨਾਰਾਜ਼', 'ਖਿਝ'],
+    urgency: ['ਤੁਰੰਤ', 'ਜਲਦੀ', 'ਜ਼ਰੂਰੀ', 'ਐਮਰਜੈਂਸੀ', 'ਖ਼ਤਰਾ', 'ਖ਼ਤਰਨਾਕ', 'ਹਾਦਸਾ', 'ਮੌਤ'],
+    frustration: ['ਨਿਰਾਸ਼', 'ਪਰੇਸ਼ਾਨ', 'ਤੰਗ', 'ਮੁਸ਼ਕਲ', 'ਦੁਖੀ'],
+    concern: ['ਚਿੰਤਾ', 'ਡਰ', 'ਫ਼ਿਕਰ', 'ਸਮੱਸਿਆ'],
+    hazards: ['ਬਿਮਾਰੀ', 'ਰੋਗ', 'ਸਿਹਤ', 'ਪ੍ਰਦੂਸ਼ਣ', 'ਗੰਦਗੀ', 'ਬਦਬੂ', 'ਸੀਵਰੇਜ', 'ਲੀਕੇਜ', 'ਅੱਗ', 'ਕਰੰਟ'],
+    criticalPhrases: ['ਸਾਹ ਲੈਣ ਵਿੱਚ ਮੁਸ਼ਕਲ', 'ਗੰਦਾ ਪਾਣੀ', 'ਡੇਂਗੂ ਦਾ ਖ਼ਤਰਾ', 'ਮੱਛਰ ਵਧ ਰਹੇ'],
+    safetyPhrases: ['ਔਰਤਾਂ ਦੀ ਸੁਰੱਖਿਆ', 'ਕੁੜੀਆਂ ਦੀ ਸੁਰੱਖਿਆ', 'ਰਾਤ ਦੇ ਸਮੇਂ', 'ਤੁਰਨਾ ਮੁਸ਼ਕਲ'],
+    vulnerableGroups: ['ਔਰਤਾਂ', 'ਕੁੜੀਆਂ', 'ਬੱਚਿਆਂ', 'ਬਜ਼ੁਰਗਾਂ'],
+    nightWords: ['ਰਾਤ', 'ਹਨੇਰਾ']
+  },
+
+  od: {
+    anger: ['ରାଗ', 'କ୍ରୋଧ', 'ବିରକ୍ତ'],
+    urgency: ['ଜରୁରୀ', 'ତୁରନ୍ତ', 'ଶୀଘ୍ର', 'ବିପଦ', 'ବିପଜ୍ଜନକ', 'ଦୁର୍ଘଟଣା', 'ମୃତ୍ୟୁ'],
+    frustration: ['ନିରାଶ', 'ହଇରାଣ', 'କଷ୍ଟ', 'ଅସୁବିଧା'],
+    concern: ['ଚିନ୍ତା', 'ଭୟ', 'ସମସ୍ୟା'],
+    hazards: ['ରୋଗ', 'ସ୍ୱାସ୍ଥ୍ୟ', 'ପ୍ରଦୂଷଣ', 'ମଇଳା', 'ଦୁର୍ଗନ୍ଧ', 'ନାଳ', 'ନିଆଁ'],
+    criticalPhrases: ['ନିଶ୍ୱାସ ନେବାରେ କଷ୍ଟ', 'ପ୍ରଦୂଷିତ ପାଣି', 'ଡେଙ୍ଗୁ ବିପଦ'],
+    safetyPhrases: ['ମହିଳାଙ୍କ ସୁରକ୍ଷା', 'ରାତି ସମୟରେ'],
+    vulnerableGroups: ['ମହିଳା', 'ପିଲା', 'ବୟସ୍କ'],
+    nightWords: ['ରାତି', 'ଅନ୍ଧାର']
+  }
+};
+
+// Unicode block of each Indic script; Devanagari covers Hindi and Marathi
+const SCRIPT_RANGES = [
+  { language: 'hi', pattern: /[\u0900-\u097F]/g },
+  { language: 'bn', pattern: /[\u0980-\u09FF]/g },
+  { language: 'pa', pattern: /[\u0A00-\u0A7F]/g },
+  { language: 'gu', pattern: /[\u0A80-\u0AFF]/g },
+  { language: 'od', pattern: /[\u0B00-\u0B7F]/g },
+  { language: 'ta', pattern: /[\u0B80-\u0BFF]/g },
+  { language: 'te', pattern: /[\u0C00-\u0C7F]/g },
+  { language: 'kn', pattern: /[\u0C80-\u0CFF]/g },
+  { language: 'ml', pattern: /[\u0D00-\u0D7F]/g }
+];
+
+// Common Marathi words that do not occur in Hindi, to tell the two apart
+const MARATHI_MARKERS = ['आहे', 'आहेत', 'नाही', 'आणि', 'झाला', 'झाले', 'करावी', 'आमच्या', 'खूप'];
+
+// Keywords suggesting a civic issue category when the reporter didn't pick one
+const CATEGORY_PATTERNS = {
+  sewage_overflow: ['सीवेज', 'नाली', 'गंदा पानी', 'रिसाव', 'घुट रहे', 'बहना', 'फूटना', 'sewage', 'drain overflow', 'dirty water', 'waste water', 'burst pipe', 'கழிவுநீர்', 'வடிகால்', 'सांडपाणी', 'మురుగు', 'ಕೊಳಚೆ', 'ഓട'],
+  water_contamination: ['पानी की गुणवत्ता', 'दूषित पानी', 'पीने का पानी', 'गंदा पानी', 'water quality', 'contaminated water', 'drinking water', 'dirty water', 'தண்ணீர் தரம்', 'அசுத்த நீர்', 'दूषित पाणी', 'দূষিত জল', 'દૂષિત પાણી', 'മലിനജലം'],
+  health_emergency: ['बीमारी', 'रोग', 'स्वास्थ्य', 'बदबू', 'दुर्गंध', 'सड़न', 'घुटन', 'disease', 'illness', 'health emergency', 'contamination', 'stench', 'toxic', 'suffocating', 'நோய்', 'அசுத்தம்'],
+  women_safety: ['लड़कियों की सुरक्षा', 'महिलाओं की सुरक्षा', 'women safety', 'girls safety', 'ladies safety', 'பெண்கள் பாதுகாப்பு', 'महिलांची सुरक्षा', 'মহিলাদের নিরাপত্তা', 'మహిళల భద్రత', 'ಮಹಿಳೆಯರ ಸುರಕ್ಷತೆ', 'സ്ത്രീകളുടെ സുരക്ഷ', 'ਔਰਤਾਂ ਦੀ ਸੁਰੱਖਿਆ'],
+  night_safety: ['रात के समय', 'अंधेरा', 'night time', 'dark', 'இரவு நேரம்'],
+  broken_streetlight: ['स्ट्रीट लाइट', 'street light', 'streetlight', 'lamp post', 'broken light', 'तार फूटे', 'தெரு விளக்கு', 'వీధి దీపం', 'ಬೀದಿ ದೀಪ', 'തെരുവ് വിളക്ക്', 'রাস্তার আলো'],
+  pothole: ['गड्ढे', 'सड़क के गड्ढे', 'pothole', 'potholes', 'road holes', 'சாலை குழி', 'खड्डे', 'গর্ত', 'గుంతలు', 'ಗುಂಡಿ', 'കുഴി', 'ખાડા', 'ਟੋਏ', 'ଗାତ'],
+  road_damage: ['सड़क', 'खराब सड़क', 'टूटी सड़क', 'road damage', 'broken road', 'damaged road', 'சாலை உடைவு'],
+  water_logging: ['पानी भरा', 'जल जमाव', 'water logging', 'waterlogging', 'flooded road', 'standing water'],
+  drain_blockage: ['नाली बंद', 'drain blocked', 'drainage problem', 'clogged drain'],
+  garbage_collection: ['कचरा', 'गंदगी', 'सफाई', 'garbage', 'waste', 'trash', 'cleaning', 'குப்பை', 'আবর্জনা', 'చెత్త', 'ಕಸ', 'മാലിന്യം', 'કચરો', 'ਕੂੜਾ', 'ଅଳିଆ'],
+  water_supply: ['पानी की आपूर्ति', 'water supply', 'no water', 'पानी नहीं', 'தண்ணீர் வராது', 'पाणी नाही', 'জল নেই', 'నీళ్ళు రావడం లేదు', 'ನೀರು ಬರುತ್ತಿಲ್ಲ', 'വെള്ളമില്ല', 'પાણી નથી', 'ਪਾਣੀ ਨਹੀਂ'],
+  power_outage: ['बिजली', 'electricity', 'power cut', 'विद्युत', 'மின்சாரம்', 'वीज', 'বিদ্যুৎ', 'కరెంట్', 'ವಿದ್ಯುತ್', 'വൈദ്യുതി', 'વીજળી', 'ਬਿਜਲੀ', 'ବିଦ୍ୟୁତ'],
+  sanitation: ['साफ-सफाई', 'sanitation', 'hygiene', 'cleanliness'],
+  air_pollution: ['प्रदूषण', 'हवा की गुणवत्ता', 'air pollution', 'smoke', 'dust', 'காற்று மாசு'],
+  noise_pollution: ['शोर', 'आवाज', 'noise', 'sound pollution', 'loud', 'ஒலி மாசு'],
+  water_pollution: ['पानी का प्रदूषण', 'water pollution', 'river pollution', 'நீர் மாசு'],
+  illegal_dumping: ['अवैध कचरा', 'illegal dumping', 'waste dumping', 'garbage dumping']
+};
+
+module.exports = {
+  LEXICONS,
+  SCRIPT_RANGES,
+  MARATHI_MARKERS,
+  CATEGORY_PATTERNS
+};
@@ -0,0 +1,54 @@
+/**
+ * Guest voting abuse controls
+ *
+ * Guests vote with a signed device token issued by the server instead of a
+ * client-chosen device ID. Each device gets one vote per complaint, votes and
+ * token requests are rate limited per IP and per device, and bursts of guest
+ * votes on a complaint are reported to admins.
+ */
+
+const DEVICE_TOKEN = {
+  // Falls back to JWT_SECRET so development works without extra setup
+  secret: process.env.GUEST_TOKEN_SECRET || null,
+  ttlDays: parseInt(process.env.GUEST_TOKEN_TTL_DAYS) || 180,
+  type: 'guest_device'
+};
+
+const RATE_LIMITS = {
+  // New device tokens per IP
+  tokenPerIp: {
+    windowMs: 60 * 60 * 1000,
+    max: parseInt(process.env.GUEST_TOKEN_LIMIT_PER_HOUR) || 10
+  },
+  // Guest votes per IP (shared NATs get some headroom)
+  votePerIp: {
+    windowMs: 10 * 60 * 1000,
+    max: parseInt(process.env.GUEST_VOTE_LIMIT_PER_IP) || 30
+  },
+  // Guest votes per device token
+  votePerDevice: {
+    windowMs: 60 * 1000,
+    max: parseInt(process.env.GUEST_VOTE_LIMIT_PER_DEVICE) || 10
+  }
+};
+
+// A complaint is flagged when a window holds this many guest votes, or when
+// one IP or one device fingerprint accounts for too large a share of them
+const BURST_DETECTION = {
+  windowMinutes: parseInt(process.env.GUEST_VOTE_BURST_WINDOW_MINUTES) || 10,
+  threshold: parseInt(process.env.GUEST_VOTE_BURST_THRESHOLD) || 15,
+  maxSourceShare: 0.5,
+  minVotesForShare: 5,
+  lookbackHours: 72
+};
+
+function getDeviceTokenSecret() {
+  return DEVICE_TOKEN.secret || process.env.JWT_SECRET;
+}
+
+module.exports = {
+  DEVICE_TOKEN,
+  RATE_LIMITS,
+  BURST_DETECTION,
+  getDeviceTokenSecret
+};
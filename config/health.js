@@ -0,0 +1,25 @@
+/**
+ * Health check settings
+ *
+ * GET /health/live answers as long as the process is serving requests.
+ * GET /health/ready also checks dependencies: the database and upload disk
+ * are critical (503 when down); AI providers are reported but only degrade
+ * readiness, because every feature has an offline or keyword fallback.
+ */
+
+const path = require('path');
+
+const HEALTH = {
+  // Per-check time limit
+  timeoutMs: parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS) || 3000,
+  // External provider probes are reused for this long so frequent readiness
+  // polls don't hit third-party APIs every time (?refresh=true skips it)
+  probeCacheSeconds: parseInt(process.env.HEALTH_PROBE_CACHE_SECONDS) || 60,
+  uploadsDir: path.resolve(__dirname, '..', 'uploads'),
+  // Readiness fails when the uploads volume has less free space than this
+  minFreeDiskMb: parseInt(process.env.HEALTH_MIN_FREE_DISK_MB) || 500
+};
+
+module.exports = {
+  HEALTH
+};
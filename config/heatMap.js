@@ -0,0 +1,105 @@
+/**
+ * Heat map aggregation settings
+ *
+ * With a zoom level, GET /api/heat-map/data returns weighted cells instead of
+ * one point per complaint: square grid cells, hexagons, or marker clusters.
+ * Sizes are in screen pixels on 256px Web Mercator tiles, so cells look the
+ * same size at every zoom. GET /api/heat-map/tiles/{z}/{x}/{y}.mvt serves the
+ * same cells as Mapbox vector tiles.
+ *
+ * GET /api/heat-map/timeline returns one grid per week for playback, and
+ * GET /api/heat-map/hotspots flags statistically significant clusters per
+ * category with Getis-Ord Gi*.
+ *
+ * GET /api/heat-map/complaint/:id is the summary shown when a complaint is
+ * tapped on the map, with an ETag so repeat taps revalidate cheaply.
+ */
+
+const AGGREGATION_MODES = ['grid', 'hex', 'cluster'];
+
+const DEFAULT_MODE = 'grid';
+
+const MAX_ZOOM = 22;
+
+const AGGREGATION = {
+  // Divides 256, so grid cells never straddle a tile edge
+  gridCellPx: 64,
+  // Centre-to-corner distance of a hexagon
+  hexRadiusPx: 40,
+  clusterRadiusPx: 60,
+  // Above this zoom, clusters break up into individual complaints
+  clusterMaxZoom: 17
+};
+
+const VECTOR_TILE = {
+  layer: 'complaints',
+  extent: 4096,
+  // Complaints this far outside a tile are included, so cells and clusters
+  // on the edge match their neighbours
+  bufferPx: 64,
+  contentType: 'application/vnd.mapbox-vector-tile',
+  cacheSeconds: parseInt(process.env.HEAT_MAP_TILE_CACHE_SECONDS) || 60
+};
+
+/**
+ * Weekly playback frames (weeks start Monday 00:00 UTC)
+ */
+const TIMELINE = {
+  defaultWeeks: 12,
+  maxWeeks: 52,
+  defaultZoom: 12,
+  // Clusters move between frames, so playback uses fixed cells only
+  modes: ['grid', 'hex']
+};
+
+/**
+ * Hotspot detection. Complaints in the analysis window are counted on a
+ * square grid; a cell is hot when the Gi* z-score of it and its eight
+ * neighbours reaches a confidence level and the neighbourhood has at least
+ * minComplaints. The window is split into a baseline and a recent part to
+ * tell new hotspots from persistent ones.
+ */
+const HOTSPOTS = {
+  defaultDays: 90,
+  maxDays: 365,
+  recentDays: 28,
+  // 64px cells at zoom 14 are about 600m across (less away from the equator)
+  cellZoom: 14,
+  minComplaints: 3,
+  // Two-tailed critical values of the standard normal distribution, highest first
+  confidenceLevels: [
+    { zScore: 2.576, confidence: 0.99 },
+    { zScore: 1.96, confidence: 0.95 },
+    { zScore: 1.645, confidence: 0.9 }
+  ],
+  // A hotspot in both periods is intensifying when its daily rate grew by this factor
+  intensifyingRatio: 1.25,
+  // Larger study areas (grid cells) are not analysed
+  maxCells: 250000,
+  maxComplaintIds: 20
+};
+
+/**
+ * Complaint popup. The ETag covers the complaint and its workflow row, plus
+ * the current nearbyRefreshSeconds window so the nearby list does not go
+ * stale while the complaint itself is unchanged.
+ */
+const POPUP = {
+  // Cloudinary transformation for the thumbnail (other image hosts are linked as is)
+  thumbnailTransform: 'c_fill,w_320,h_200,q_auto,f_auto',
+  nearbyRadiusMeters: 500,
+  nearbyLimit: 5,
+  nearbyRefreshSeconds: 300,
+  cacheSeconds: parseInt(process.env.HEAT_MAP_POPUP_CACHE_SECONDS) || 30
+};
+
+module.exports = {
+  AGGREGATION_MODES,
+  DEFAULT_MODE,
+  MAX_ZOOM,
+  AGGREGATION,
+  VECTOR_TILE,
+  TIMELINE,
+  HOTSPOTS,
+  POPUP
+};
@@ -0,0 +1,70 @@
+/**
+ * Logging and request metrics settings
+ *
+ * Logs are written one JSON object per line to stdout (stderr for errors)
+ * with the request ID of the request being handled. LOG_FORMAT=pretty
+ * prints readable lines for local development instead.
+ */
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+const DEFAULT_LEVEL = process.env.NODE_ENV === 'production' ? 'info' : 'debug';
+
+const LEVEL = LEVELS[process.env.LOG_LEVEL] !== undefined ? process.env.LOG_LEVEL : DEFAULT_LEVEL;
+
+const FORMAT = process.env.LOG_FORMAT === 'pretty' ? 'pretty' : 'json';
+
+// Send existing console.* output through the logger so it is structured too
+const CAPTURE_CONSOLE = process.env.LOG_CAPTURE_CONSOLE !== 'false';
+
+// Incoming header trusted as the request ID (from a proxy or the app); also echoed back
+const REQUEST_ID_HEADER = 'x-request-id';
+
+// Request bodies are logged at debug level, truncated to this many characters
+const MAX_BODY_LENGTH = 500;
+
+/**
+ * Values removed from every log entry: fields whose name ends in a secret
+ * word, and phone numbers, bearer tokens or credentials inside free text.
+ * Names are matched per segment (camelCase, snake_case and kebab-case), so
+ * accessToken and client_secret are redacted but tokenCount and passengers
+ * are not.
+ */
+const SECRET_KEYS = 'pass(?:word|wd)?|tokens?|secrets?|authorization|api[-_]?key|cookies?|otp|signature|subscription[-_]?key';
+
+const REDACTION = {
+  keys: new RegExp(`(?:^|[-_])(?:${SECRET_KEYS})$|(?:^|[-_])password(?:[-_]|$)`, 'i'),
+  // Query parameters also hide a bare key, as in ?key=... for map APIs
+  queryKeys: new RegExp(`(?:^|[-_])(?:${SECRET_KEYS}|key)$`, 'i'),
+  // "name": "..." or name: '...' inside text that was already stringified; redacted when the name is a secret
+  inlinePattern: /((["']?)([\w-]+)\2\s*[:=]\s*)(["'])((?:(?!\4).)*)\4/g,
+  phoneKeys: /phone|mobile|msisdn/i,
+  // Indian mobile numbers, with or without +91 / 0 prefix, standing alone (not inside IDs such as UUIDs)
+  phonePattern: /(?<![A-Za-z0-9.])(?:\+?91[\s-]?|0)?[6-9]\d{4}[\s-]?\d{5}(?![A-Za-z0-9.])/g,
+  bearerPattern: /\b(Bearer|Basic)\s+[A-Za-z0-9\-._~+/]+=*/g,
+  // Query string parameters, e.g. ?token=...; redacted when the name is a secret
+  queryPattern: /([?&]([^=&\s#]+)=)([^&\s#]+)/g,
+  placeholder: '[REDACTED]'
+};
+
+/**
+ * Prometheus /metrics endpoint. When METRICS_TOKEN is set, scrapers must
+ * send it as a bearer token.
+ */
+const METRICS = {
+  token: process.env.METRICS_TOKEN || null,
+  // Upper bounds in seconds for the request and external-call latency histograms
+  httpBuckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  externalBuckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60]
+};
+
+module.exports = {
+  LEVELS,
+  LEVEL,
+  FORMAT,
+  CAPTURE_CONSOLE,
+  REQUEST_ID_HEADER,
+  MAX_BODY_LENGTH,
+  REDACTION,
+  METRICS
+};
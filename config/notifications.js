@@ -0,0 +1,115 @@
+/**
+ * Citizen notification settings
+ *
+ * Events raised when a complaint moves forward, the message templates sent
+ * for each, and which delivery channels are switched on. Templates use
+ * {{placeholder}} substitution; `sms` is the short form used where message
+ * length is limited (SMS and push bodies).
+ */
+
+const EVENT_TYPES = {
+  STATUS_CHANGED: 'status_changed',
+  COMPLAINT_RESOLVED: 'complaint_resolved',
+  COMPLAINT_REJECTED: 'complaint_rejected',
+  STAGE_UPDATED: 'stage_updated',
+  COMPLAINT_MERGED: 'complaint_merged'
+};
+
+const STATUS_LABELS = {
+  pending: 'Pending',
+  in_progress: 'In Progress',
+  resolved: 'Resolved',
+  completed: 'Completed',
+  rejected: 'Rejected',
+  cancelled: 'Cancelled',
+  merged: 'Merged'
+};
+
+const TEMPLATES = {
+  [EVENT_TYPES.STATUS_CHANGED]: {
+    title: 'Update on your complaint: {{complaintTitle}}',
+    body: 'Hi {{userName}}, the status of your complaint "{{complaintTitle}}" changed from {{oldStatus}} to {{newStatus}}.{{notesLine}}',
+    sms: 'CivicStack: your complaint "{{complaintTitle}}" is now {{newStatus}}.'
+  },
+  [EVENT_TYPES.COMPLAINT_RESOLVED]: {
+    title: 'Your complaint has been resolved',
+    body: 'Hi {{userName}}, your complaint "{{complaintTitle}}" has been marked resolved.{{notesLine}} Let us know how we did by leaving feedback in the app.',
+    sms: 'CivicStack: your complaint "{{complaintTitle}}" has been resolved. Thank you for reporting it.'
+  },
+  [EVENT_TYPES.COMPLAINT_REJECTED]: {
+    title: 'Your complaint could not be accepted',
+    body: 'Hi {{userName}}, your complaint "{{complaintTitle}}" was rejected.{{notesLine}}',
+    sms: 'CivicStack: your complaint "{{complaintTitle}}" was rejected. See the app for details.'
+  },
+  [EVENT_TYPES.STAGE_UPDATED]: {
+    title: 'Progress on your complaint: {{stageName}}',
+    body: 'Hi {{userName}}, the "{{stageName}}" stage of your complaint "{{complaintTitle}}" is now {{stageStatus}}.{{notesLine}}',
+    sms: 'CivicStack: "{{stageName}}" for "{{complaintTitle}}" is now {{stageStatus}}.'
+  },
+  [EVENT_TYPES.COMPLAINT_MERGED]: {
+    title: 'Your complaint was combined with an existing report',
+    body: 'Hi {{userName}}, your complaint "{{complaintTitle}}" describes the same issue as "{{canonicalTitle}}", so the two have been combined. You will receive updates on the combined complaint.',
+    sms: 'CivicStack: "{{complaintTitle}}" was combined with an existing report of the same issue.'
+  }
+};
+
+// Channels citizens can opt in or out of; development sinks always receive every notification
+const USER_CHANNELS = ['email', 'sms', 'push'];
+const DEV_CHANNELS = ['console', 'file'];
+
+// Comma-separated list of enabled channels, e.g. "email,push,console"
+const ENABLED_CHANNELS = (process.env.NOTIFICATION_CHANNELS || 'console')
+  .split(',')
+  .map(channel => channel.trim())
+  .filter(Boolean);
+
+const DEFAULT_PREFERENCES = {
+  email_enabled: true,
+  sms_enabled: false,
+  push_enabled: true,
+  muted_events: []
+};
+
+const CHANNEL_CONFIG = {
+  email: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    password: process.env.SMTP_PASSWORD,
+    from: process.env.NOTIFICATION_EMAIL_FROM || 'CivicStack <no-reply@civicstack.local>'
+  },
+  sms: {
+    // Twilio-compatible Messages API
+    apiUrl: process.env.SMS_API_URL || 'https://api.twilio.com/2010-04-01',
+    accountSid: process.env.SMS_ACCOUNT_SID,
+    authToken: process.env.SMS_AUTH_TOKEN,
+    from: process.env.SMS_FROM_NUMBER
+  },
+  push: {
+    apiUrl: process.env.EXPO_PUSH_API_URL || 'https://exp.host/--/api/v2/push/send',
+    accessToken: process.env.EXPO_ACCESS_TOKEN
+  },
+  file: {
+    path: process.env.NOTIFICATION_LOG_FILE || 'logs/notifications.log'
+  }
+};
+
+/**
+ * Fill a template string with values, leaving unknown placeholders empty
+ */
+function renderTemplate(template, values) {
+  return template.replace(/\{\{(\w+)\}\}/g, (match, key) => (values[key] != null ? String(values[key]) : ''));
+}
+
+module.exports = {
+  EVENT_TYPES,
+  STATUS_LABELS,
+  TEMPLATES,
+  USER_CHANNELS,
+  DEV_CHANNELS,
+  ENABLED_CHANNELS,
+  DEFAULT_PREFERENCES,
+  CHANNEL_CONFIG,
+  renderTemplate
+};
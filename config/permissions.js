@@ -0,0 +1,72 @@
+/**
+ * Role-based access control
+ *
+ * Roles, in increasing order of access: citizen, officer, department admin,
+ * super admin. Officers and department admins are scoped to their own
+ * department's complaints; super admins see everything.
+ */
+
+const ROLES = {
+  CITIZEN: 'citizen',
+  OFFICER: 'officer',
+  DEPARTMENT_ADMIN: 'department_admin',
+  SUPER_ADMIN: 'super_admin'
+};
+
+// Legacy user_type values mapped onto the current roles
+const ROLE_ALIASES = {
+  admin: ROLES.SUPER_ADMIN
+};
+
+const OFFICER_PERMISSIONS = [
+  'admin:access',
+  'dashboard:view',
+  'complaints:view',
+  'complaints:manage_workflow',
+  'workflows:view',
+  'registry:view'
+];
+
+const DEPARTMENT_ADMIN_PERMISSIONS = [
+  ...OFFICER_PERMISSIONS,
+  'complaints:update_status',
+  'complaints:merge',
+  'citizens:view',
+  'registry:manage'
+];
+
+const ROLE_PERMISSIONS = {
+  [ROLES.CITIZEN]: [],
+  [ROLES.OFFICER]: OFFICER_PERMISSIONS,
+  [ROLES.DEPARTMENT_ADMIN]: DEPARTMENT_ADMIN_PERMISSIONS,
+  [ROLES.SUPER_ADMIN]: [
+    ...DEPARTMENT_ADMIN_PERMISSIONS,
+    'citizens:delete',
+    'users:manage_roles',
+    'sla:run',
+    'scoring:manage',
+    'routing:manage',
+    // Not scoped to a single department
+    'departments:all'
+  ]
+};
+
+/**
+ * Normalise a stored user_type to one of ROLES
+ */
+function resolveRole(userType) {
+  if (ROLE_ALIASES[userType]) return ROLE_ALIASES[userType];
+  return Object.values(ROLES).includes(userType) ? userType : ROLES.CITIZEN;
+}
+
+function hasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[resolveRole(role)] || []).includes(permission);
+}
+
+module.exports = {
+  ROLES,
+  ROLE_ALIASES,
+  ROLE_PERMISSIONS,
+  resolveRole,
+  hasPermission
+};
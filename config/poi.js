@@ -0,0 +1,114 @@
+/**
+ * Facility lookup settings for location priority
+ *
+ * LOCATION_PROVIDER picks where nearby facilities come from: 'offline' (a
+ * local dataset built by services/PoiImportService.js from an OpenStreetMap
+ * extract), 'google' (Places API), 'overpass' (public OSM Overpass API) or
+ * 'auto', which tries the configured providers in PROVIDER_ORDER. With an
+ * imported dataset, scoring needs no network and is repeatable.
+ */
+
+const path = require('path');
+
+const PROVIDER = process.env.LOCATION_PROVIDER || 'auto';
+
+// Order tried in 'auto' mode; the offline dataset answers first when present
+const PROVIDER_ORDER = ['offline', 'google', 'overpass'];
+
+const DATASET_PATH = path.resolve(
+  __dirname,
+  '..',
+  process.env.POI_DATASET_PATH || 'data/poi/facilities.json'
+);
+
+// Grid cell size of the in-memory spatial index, in degrees (~1.1km)
+const INDEX_CELL_DEGREES = 0.01;
+
+const PROVIDER_CONFIG = {
+  google: {
+    apiKey: process.env.GOOGLE_PLACES_API_KEY,
+    baseUrl: 'https://maps.googleapis.com/maps/api/place',
+    timeoutMs: 10000
+  },
+  overpass: {
+    // Public Overpass servers are rate limited, so this provider is opt-in
+    enabled: process.env.OVERPASS_ENABLED === 'true',
+    url: process.env.OVERPASS_URL || 'https://overpass-api.de/api/interpreter',
+    timeoutMs: 30000
+  },
+  offline: {
+    datasetPath: DATASET_PATH
+  }
+};
+
+/**
+ * Cache of facility lookups, shared by complaints in the same geohash cell.
+ * Each cell is looked up once from its centre with the radius widened by
+ * the cell's half-diagonal, then filtered to each request's own point and
+ * radius. Entries live in memory and in the facility_cache table, so they
+ * survive restarts.
+ */
+const FACILITY_CACHE = {
+  enabled: process.env.FACILITY_CACHE_ENABLED !== 'false',
+  // 6 characters is about 1.2km x 0.6km
+  geohashPrecision: parseInt(process.env.FACILITY_CACHE_PRECISION) || 6,
+  ttlHours: parseInt(process.env.FACILITY_CACHE_TTL_HOURS) || 168,
+  // Radii are rounded up to this step so nearby radii share entries
+  radiusStepMeters: 250,
+  maxMemoryEntries: parseInt(process.env.FACILITY_CACHE_MAX_ENTRIES) || 5000,
+  // The offline dataset is already local, so its answers aren't cached
+  skipSources: ['offline'],
+  // Upper bound on cells a single warm-up run will fetch
+  maxWarmCells: 2000
+};
+
+// Binary used to turn .osm.pbf extracts into GeoJSON (https://osmcode.org/osmium-tool/)
+const OSMIUM_BINARY = process.env.OSMIUM_BINARY || 'osmium';
+
+/**
+ * OpenStreetMap tags that identify each facility type scored by
+ * LocationPriorityService. A feature matches when any listed tag has one of
+ * the listed values.
+ */
+const FACILITY_TAGS = {
+  hospital: {
+    amenity: ['hospital', 'clinic', 'doctors'],
+    healthcare: ['hospital', 'clinic', 'doctor', 'centre']
+  },
+  school: {
+    amenity: ['school', 'college', 'university', 'kindergarten']
+  },
+  police: {
+    amenity: ['police']
+  },
+  fire_station: {
+    amenity: ['fire_station']
+  },
+  transit_station: {
+    amenity: ['bus_station'],
+    public_transport: ['station'],
+    railway: ['station', 'halt', 'subway_entrance']
+  },
+  government: {
+    amenity: ['townhall', 'courthouse'],
+    office: ['government']
+  },
+  bank: {
+    amenity: ['bank', 'atm']
+  },
+  pharmacy: {
+    amenity: ['pharmacy'],
+    healthcare: ['pharmacy']
+  }
+};
+
+module.exports = {
+  PROVIDER,
+  PROVIDER_ORDER,
+  DATASET_PATH,
+  INDEX_CELL_DEGREES,
+  PROVIDER_CONFIG,
+  FACILITY_CACHE,
+  OSMIUM_BINARY,
+  FACILITY_TAGS
+};
@@ -0,0 +1,44 @@
+/**
+ * Real-time complaint updates
+ *
+ * GET /api/events/stream is a Server-Sent Events stream of complaint events,
+ * published by services/ComplaintEventService.js wherever complaints are
+ * created, change status or are voted on. Clients subscribe with filters
+ * (complaint IDs, map bbox, ward or zone) and only receive matching events:
+ * the map watches its viewport, the admin queue a ward or zone, and the
+ * citizen tracking screen the complaints being tracked.
+ *
+ * Events are kept in a short in-memory buffer, so a client that reconnects
+ * with Last-Event-ID (browsers' EventSource does this) receives what it
+ * missed. Streams and the buffer are per process.
+ */
+
+const EVENT_TYPES = {
+  COMPLAINT_CREATED: 'complaint.created',
+  STATUS_CHANGED: 'complaint.status_changed',
+  COMPLAINT_VOTED: 'complaint.voted'
+};
+
+// Comment line sent this often so proxies do not close idle streams
+const HEARTBEAT_SECONDS = parseInt(process.env.REALTIME_HEARTBEAT_SECONDS) || 25;
+
+// Reconnect delay suggested to EventSource clients
+const RETRY_MS = 5000;
+
+// Recent events replayed to clients reconnecting with Last-Event-ID
+const REPLAY_BUFFER_SIZE = 500;
+
+// Open streams allowed per process; more are refused with 503
+const MAX_CONNECTIONS = parseInt(process.env.REALTIME_MAX_CONNECTIONS) || 1000;
+
+// Complaint IDs one subscription may follow
+const MAX_COMPLAINT_IDS = 100;
+
+module.exports = {
+  EVENT_TYPES,
+  HEARTBEAT_SECONDS,
+  RETRY_MS,
+  REPLAY_BUFFER_SIZE,
+  MAX_CONNECTIONS,
+  MAX_COMPLAINT_IDS
+};
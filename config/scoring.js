@@ -0,0 +1,160 @@
+/**
+ * Complaint priority scoring
+ *
+ * A complaint's priority is a weighted sum of four factor scores (each 0-1)
+ * multiplied by a status multiplier. Weights and multipliers live in
+ * versioned scoring profiles (scoring_profiles table); DEFAULT_PROFILE is the
+ * original weighting and is used until a profile has been activated.
+ */
+
+const FACTORS = ['infrastructure', 'image', 'emotion', 'votes'];
+
+const DEFAULT_PROFILE = {
+  id: null,
+  version: 1,
+  name: 'Default weighting',
+  weights: {
+    infrastructure: 0.4,
+    image: 0.3,
+    emotion: 0.2,
+    votes: 0.1
+  },
+  status_multipliers: {
+    in_progress: 1.2,
+    completed: 0.5
+  },
+  is_active: true
+};
+
+// Complaint statuses re-scored when a new profile is activated
+const RESCORE_STATUSES = ['pending', 'in_progress'];
+
+// Votes arriving in a burst are folded into one re-score per complaint
+const VOTE_RESCORE_DEBOUNCE_MS = parseInt(process.env.VOTE_RESCORE_DEBOUNCE_MS) || 10000;
+
+/**
+ * Diminishing-returns normalisation used for counts: 5 gives ~0.63, 10 gives ~0.86
+ */
+function saturate(count, scale = 5) {
+  return count > 0 ? Math.min(1, 1 - Math.exp(-count / scale)) : 0;
+}
+
+// Priority levels by lower bound of priority_score (0-1), highest first
+const PRIORITY_BANDS = [
+  { level: 'CRITICAL', min: 0.8 },
+  { level: 'HIGH', min: 0.6 },
+  { level: 'MEDIUM', min: 0.4 },
+  { level: 'LOW', min: 0.2 },
+  { level: 'MINIMAL', min: 0 }
+];
+
+function getPriorityLevel(score) {
+  return PRIORITY_BANDS.find(band => score >= band.min)?.level || 'MINIMAL';
+}
+
+/**
+ * priority_score range of a level: { min, max } with max exclusive (null for CRITICAL)
+ */
+function getPriorityBandRange(level) {
+  const index = PRIORITY_BANDS.findIndex(band => band.level === level);
+  if (index === -1) return null;
+  return {
+    min: PRIORITY_BANDS[index].min,
+    max: index > 0 ? PRIORITY_BANDS[index - 1].min : null
+  };
+}
+
+/**
+ * Combine factor scores under a profile
+ * @param {Object} profile - Scoring profile (weights, status_multipliers, version)
+ * @param {Object} factors - { infrastructure, image, emotion, votes } each 0-1
+ * @param {string} status - Complaint status, for the status multiplier
+ * @returns {Object} { score, level, breakdown } - breakdown is what gets persisted
+ */
+function combinePriorityFactors(profile, factors, status) {
+  const contributions = {};
+  let weightedSum = 0;
+
+  FACTORS.forEach(factor => {
+    const value = Math.max(0, Math.min(1, factors[factor] || 0));
+    const weight = profile.weights[factor] || 0;
+    contributions[factor] = {
+      score: parseFloat(value.toFixed(4)),
+      weight,
+      contribution: parseFloat((value * weight).toFixed(4))
+    };
+    weightedSum += value * weight;
+  });
+
+  const statusMultiplier = (profile.status_multipliers || {})[status] || 1.0;
+  const score = Math.min(1, weightedSum * statusMultiplier);
+
+  return {
+    score,
+    level: getPriorityLevel(score),
+    breakdown: {
+      profileVersion: profile.version,
+      profileName: profile.name,
+      factors: contributions,
+      weightedSum: parseFloat(weightedSum.toFixed(4)),
+      status: status || null,
+      statusMultiplier,
+      finalScore: parseFloat(score.toFixed(4)),
+      scoredAt: new Date().toISOString()
+    }
+  };
+}
+
+/**
+ * Check a profile's weights and multipliers
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateProfile({ weights, status_multipliers: statusMultipliers }) {
+  const errors = [];
+
+  if (!weights || typeof weights !== 'object') {
+    return ['weights must be an object with ' + FACTORS.join(', ')];
+  }
+
+  FACTORS.forEach(factor => {
+    if (typeof weights[factor] !== 'number' || weights[factor] < 0) {
+      errors.push(`weights.${factor} must be a non-negative number`);
+    }
+  });
+
+  Object.keys(weights).forEach(key => {
+    if (!FACTORS.includes(key)) errors.push(`Unknown weight: ${key}`);
+  });
+
+  const total = FACTORS.reduce((sum, factor) => sum + (weights[factor] || 0), 0);
+  if (errors.length === 0 && Math.abs(total - 1) > 0.001) {
+    errors.push(`weights must sum to 1 (got ${total.toFixed(3)})`);
+  }
+
+  if (statusMultipliers !== undefined) {
+    if (!statusMultipliers || typeof statusMultipliers !== 'object') {
+      errors.push('status_multipliers must be an object of status to multiplier');
+    } else {
+      Object.entries(statusMultipliers).forEach(([status, multiplier]) => {
+        if (typeof multiplier !== 'number' || multiplier <= 0) {
+          errors.push(`status_multipliers.${status} must be a positive number`);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  FACTORS,
+  DEFAULT_PROFILE,
+  RESCORE_STATUSES,
+  VOTE_RESCORE_DEBOUNCE_MS,
+  saturate,
+  PRIORITY_BANDS,
+  getPriorityLevel,
+  getPriorityBandRange,
+  combinePriorityFactors,
+  validateProfile
+};
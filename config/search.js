@@ -0,0 +1,51 @@
+/**
+ * Complaint search settings (GET /api/complaints/search)
+ */
+
+// Sort options: column, direction. Ties are broken by id in the same direction.
+const SORTS = {
+  newest: { column: 'created_at', ascending: false },
+  oldest: { column: 'created_at', ascending: true },
+  priority: { column: 'priority_score', ascending: false },
+  votes: { column: 'vote_count', ascending: false }
+};
+
+const DEFAULT_SORT = 'newest';
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Longest accepted search text, in characters
+const MAX_QUERY_LENGTH = 200;
+
+// Columns returned for each result; reporter details are left out of the public feed
+const RESULT_COLUMNS = [
+  'id',
+  'title',
+  'description',
+  'category',
+  'status',
+  'priority_score',
+  'vote_count',
+  'location_latitude',
+  'location_longitude',
+  'location_address',
+  'ward_id',
+  'image_urls',
+  'verification_status',
+  'created_at',
+  'updated_at'
+].join(', ');
+
+// Postgres text search configuration; see database/complaint_search.sql
+const TEXT_SEARCH_CONFIG = 'simple';
+
+module.exports = {
+  SORTS,
+  DEFAULT_SORT,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  MAX_QUERY_LENGTH,
+  RESULT_COLUMNS,
+  TEXT_SEARCH_CONFIG
+};
@@ -0,0 +1,107 @@
+/**
+ * Service level agreements for complaint handling
+ *
+ * Each complaint gets two deadlines measured from created_at: first review
+ * (the complaint leaves 'pending') and resolution. Targets depend on the
+ * complaint's priority level and may be tightened per category.
+ */
+
+// Lower bounds of each priority level on the 0-100 scale used by the dashboards
+const PRIORITY_LEVELS = [
+  { level: 'CRITICAL', minScore: 80 },
+  { level: 'HIGH', minScore: 60 },
+  { level: 'MEDIUM', minScore: 40 },
+  { level: 'LOW', minScore: 0 }
+];
+
+const DEFAULT_POLICIES = {
+  CRITICAL: { firstReviewHours: 4, resolutionHours: 48 },
+  HIGH: { firstReviewHours: 12, resolutionHours: 96 },
+  MEDIUM: { firstReviewHours: 24, resolutionHours: 168 },
+  LOW: { firstReviewHours: 48, resolutionHours: 336 }
+};
+
+// Hazards to health or safety are reviewed and fixed faster whatever their score
+const CATEGORY_POLICIES = {
+  flooding: {
+    CRITICAL: { firstReviewHours: 1, resolutionHours: 12 },
+    HIGH: { firstReviewHours: 2, resolutionHours: 24 },
+    MEDIUM: { firstReviewHours: 6, resolutionHours: 48 },
+    LOW: { firstReviewHours: 12, resolutionHours: 72 }
+  },
+  sewage_overflow: {
+    CRITICAL: { firstReviewHours: 2, resolutionHours: 24 },
+    HIGH: { firstReviewHours: 4, resolutionHours: 48 },
+    MEDIUM: { firstReviewHours: 12, resolutionHours: 72 },
+    LOW: { firstReviewHours: 24, resolutionHours: 120 }
+  },
+  electricity: {
+    CRITICAL: { firstReviewHours: 1, resolutionHours: 12 },
+    HIGH: { firstReviewHours: 4, resolutionHours: 24 }
+  },
+  traffic_signal: {
+    CRITICAL: { firstReviewHours: 1, resolutionHours: 8 },
+    HIGH: { firstReviewHours: 2, resolutionHours: 24 },
+    MEDIUM: { firstReviewHours: 8, resolutionHours: 48 }
+  },
+  garbage: {
+    MEDIUM: { firstReviewHours: 12, resolutionHours: 72 },
+    LOW: { firstReviewHours: 24, resolutionHours: 120 }
+  }
+};
+
+// Complaints still on the clock
+const OPEN_STATUSES = ['pending', 'in_progress'];
+
+// Share of the allowed time after which a complaint is reported as at risk
+const AT_RISK_RATIO = parseFloat(process.env.SLA_AT_RISK_RATIO) || 0.75;
+
+const ESCALATION = {
+  // Added to the priority score on each escalation (0-1 scale), capped at maxPriorityScore
+  priorityStep: 0.2,
+  maxPriorityScore: 1,
+  // Escalation levels written to complaints.sla_escalation_level, one per breach type
+  levels: {
+    first_review: 1,
+    resolution: 2
+  }
+};
+
+const SCHEDULER = {
+  enabled: process.env.SLA_SCHEDULER_ENABLED !== 'false',
+  intervalMinutes: parseFloat(process.env.SLA_CHECK_INTERVAL_MINUTES) || 15
+};
+
+/**
+ * Priority level for a stored priority score (0-1 or legacy 0-100)
+ */
+function getPriorityLevel(priorityScore) {
+  const score = parseFloat(priorityScore) || 0;
+  const normalized = score <= 1 ? score * 100 : score;
+  return PRIORITY_LEVELS.find(entry => normalized >= entry.minScore).level;
+}
+
+/**
+ * SLA targets for a category at a priority level
+ * @returns {Object} { level, firstReviewHours, resolutionHours }
+ */
+function getSlaPolicy(category, priorityScore) {
+  const level = getPriorityLevel(priorityScore);
+  return {
+    level,
+    ...DEFAULT_POLICIES[level],
+    ...((CATEGORY_POLICIES[category] || {})[level] || {})
+  };
+}
+
+module.exports = {
+  PRIORITY_LEVELS,
+  DEFAULT_POLICIES,
+  CATEGORY_POLICIES,
+  OPEN_STATUSES,
+  AT_RISK_RATIO,
+  ESCALATION,
+  SCHEDULER,
+  getPriorityLevel,
+  getSlaPolicy
+};
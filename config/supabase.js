@@ -1,17 +1,34 @@
 const { createClient } = require('@supabase/supabase-js');
+const { createInMemoryClient } = require('../utils/inMemorySupabase');
+
+// Data backend selection - 'supabase' (default) or 'memory' for offline runs and tests
+const dataBackend = (process.env.DATA_BACKEND || 'supabase').toLowerCase();
 
 // Supabase configuration - using environment variables only
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseKey = process.env.SUPABASE_ANON_KEY;
 
-if (!supabaseUrl || !supabaseKey) {
-  throw new Error('Missing required Supabase environment variables: SUPABASE_URL and SUPABASE_ANON_KEY');
-}
+let supabase;
 
-const supabase = createClient(supabaseUrl, supabaseKey);
+if (dataBackend === 'memory') {
+  supabase = createInMemoryClient({
+    seedPath: process.env.MEMORY_DB_SEED,
+    persistPath: process.env.MEMORY_DB_FILE
+  });
+  console.log('🧪 Using in-memory data backend');
+} else if (dataBackend === 'supabase') {
+  if (!supabaseUrl || !supabaseKey) {
+    throw new Error('Missing required Supabase environment variables: SUPABASE_URL and SUPABASE_ANON_KEY');
+  }
+
+  supabase = createClient(supabaseUrl, supabaseKey);
+} else {
+  throw new Error(`Unknown DATA_BACKEND "${dataBackend}" - expected "supabase" or "memory"`);
+}
 
 module.exports = {
   supabase,
   supabaseUrl,
-  supabaseKey
+  supabaseKey,
+  dataBackend
 };
@@ -0,0 +1,80 @@
+/**
+ * Speech-to-text settings
+ *
+ * TRANSCRIPTION_PROVIDER picks the engine: 'sarvam' (hosted API), 'local'
+ * (an offline whisper.cpp-style binary and model on this machine) or 'auto',
+ * which prefers the local engine when it is configured and falls back to
+ * the next available provider if one fails.
+ */
+
+const PROVIDER = process.env.TRANSCRIPTION_PROVIDER || 'auto';
+
+// Order tried in 'auto' mode
+const PROVIDER_ORDER = ['local', 'sarvam'];
+
+const SUPPORTED_LANGUAGES = ['en', 'hi', 'te', 'ta', 'kn', 'mr', 'bn', 'gu', 'ml', 'pa', 'od'];
+
+// Regional (BCP-47) codes expected by Sarvam
+const REGIONAL_LANGUAGE_CODES = {
+  en: 'en-IN',
+  hi: 'hi-IN',
+  te: 'te-IN',
+  ta: 'ta-IN',
+  kn: 'kn-IN',
+  mr: 'mr-IN',
+  bn: 'bn-IN',
+  gu: 'gu-IN',
+  ml: 'ml-IN',
+  pa: 'pa-IN',
+  od: 'od-IN'
+};
+
+// whisper.cpp names Odia 'or'
+const WHISPER_LANGUAGE_CODES = {
+  od: 'or'
+};
+
+// Returned when every provider fails so the complaint form still gets a starting text
+const FALLBACK_MESSAGES = {
+  en: 'There is a major issue in my vicinity.',
+  hi: 'मेरे आस-पास एक बड़ी समस्या है।',
+  te: 'నా సమీపంలో ఒక ప్రధాన సమస్య ఉంది.',
+  ta: 'என் அருகில் ஒரு பெரிய பிரச்சனை உள்ளது.',
+  kn: 'ನನ್ನ ಸುತ್ತಮುತ್ತ ಒಂದು ಪ್ರಮುಖ ಸಮಸ್ಯೆ ಇದೆ.',
+  mr: 'माझ्या आसपास एक मोठी समस्या आहे.',
+  bn: 'আমার আশেপাশে একটি বড় সমস্যা আছে।',
+  gu: 'મારી આસપાસ એક મોટી સમસ્યા છે.',
+  ml: 'എന്റെ സമീപത്ത് ഒരു പ്രധാന പ്രശ്നമുണ്ട്.',
+  pa: 'ਮੇਰੇ ਆਸ ਪਾਸ ਇੱਕ ਵੱਡੀ ਸਮੱਸਿਆ ਹੈ।'
+};
+
+const PROVIDER_CONFIG = {
+  sarvam: {
+    apiKey: process.env.SARVAM_API_KEY,
+    speechToTextUrl: 'https://api.sarvam.ai/speech-to-text',
+    translateUrl: 'https://api.sarvam.ai/translate',
+    model: process.env.SARVAM_STT_MODEL || 'saarika:v2.5',
+    timeoutMs: 45000
+  },
+  local: {
+    // e.g. /opt/whisper.cpp/build/bin/whisper-cli
+    binary: process.env.LOCAL_STT_BINARY,
+    // e.g. /opt/whisper.cpp/models/ggml-small.bin (multilingual model needed for Indian languages)
+    model: process.env.LOCAL_STT_MODEL,
+    threads: parseInt(process.env.LOCAL_STT_THREADS) || 2,
+    timeoutMs: parseInt(process.env.LOCAL_STT_TIMEOUT_MS) || 120000
+  }
+};
+
+const UPLOAD_LIMIT_BYTES = 50 * 1024 * 1024;
+
+module.exports = {
+  PROVIDER,
+  PROVIDER_ORDER,
+  SUPPORTED_LANGUAGES,
+  REGIONAL_LANGUAGE_CODES,
+  WHISPER_LANGUAGE_CODES,
+  FALLBACK_MESSAGES,
+  PROVIDER_CONFIG,
+  UPLOAD_LIMIT_BYTES
+};
@@ -0,0 +1,18 @@
+/**
+ * Complaint voting
+ *
+ * Each voter (a signed-in user or a guest device) holds at most one vote per
+ * complaint. Actions set that vote explicitly, so repeating a request leaves
+ * it unchanged. complaints.vote_count counts upvotes only; downvotes are kept
+ * but never push a complaint up the queue.
+ */
+
+const VOTE_ACTIONS = ['upvote', 'downvote', 'retract'];
+
+// Most complaint IDs accepted by one vote status request
+const MAX_STATUS_BATCH = 100;
+
+module.exports = {
+  VOTE_ACTIONS,
+  MAX_STATUS_BATCH
+};
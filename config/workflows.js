@@ -0,0 +1,253 @@
+/**
+ * Complaint workflow definitions
+ *
+ * Each workflow declares its ordered stages, the stage status transitions it
+ * allows, the fields a stage needs before it can reach a status, and the rules
+ * that roll stage progress up into the complaint's overall status.
+ *
+ * Stages with a legacyStep are mirrored into the original step_N_* columns of
+ * complaint_workflow so existing rows and reports keep working.
+ */
+
+const STAGE_STATUSES = ['pending', 'in_progress', 'completed', 'cancelled'];
+
+// Stage status transitions shared by the built-in workflows
+const DEFAULT_TRANSITIONS = {
+  pending: ['in_progress', 'completed', 'cancelled'],
+  in_progress: ['pending', 'completed', 'cancelled'],
+  completed: ['in_progress'],
+  cancelled: ['pending', 'in_progress']
+};
+
+// Rollup rules are evaluated in order; the first match sets the complaint status
+const DEFAULT_ROLLUP = [
+  { when: 'all', stageStatus: 'completed', complaintStatus: 'resolved' },
+  { when: 'any', stageStatus: 'in_progress', complaintStatus: 'in_progress' },
+  { when: 'any', stageStatus: 'cancelled', complaintStatus: 'cancelled' }
+];
+
+const initialReviewStage = {
+  key: 'initial_review',
+  name: 'Initial Review',
+  description: 'Initial complaint review and verification',
+  legacyStep: 1,
+  fields: ['assigned_officer_id'],
+  tracking: {
+    name: 'Initial Review',
+    description: 'Our team is reviewing your complaint for validity and priority',
+    icon: '🔍'
+  }
+};
+
+const WORKFLOWS = {
+  standard_civic_complaint: {
+    name: 'Standard Civic Complaint',
+    sequential: true,
+    transitions: DEFAULT_TRANSITIONS,
+    rollup: DEFAULT_ROLLUP,
+    stages: [
+      initialReviewStage,
+      {
+        key: 'assessment',
+        name: 'Assessment',
+        description: 'Field assessment and resource planning',
+        legacyStep: 2,
+        fields: ['assigned_officer_id', 'estimated_cost'],
+        requiredFields: { completed: ['estimated_cost'] },
+        legacyColumns: { estimated_cost: 'step_2_estimated_cost' },
+        tracking: {
+          name: 'Assessment & Planning',
+          description: 'Field assessment and resource planning in progress',
+          icon: '📋'
+        }
+      },
+      {
+        key: 'resolution',
+        name: 'Resolution',
+        description: 'Work execution and completion',
+        legacyStep: 3,
+        fields: ['assigned_contractor_id', 'start_date', 'completion_photos'],
+        legacyColumns: {
+          start_date: 'step_3_start_date',
+          completion_photos: 'step_3_completion_photos'
+        },
+        completionColumn: 'step_3_completion_date',
+        tracking: {
+          name: 'Work in Progress',
+          description: 'Resolution work is being carried out',
+          icon: '🔧'
+        }
+      }
+    ]
+  },
+
+  infrastructure_repair: {
+    name: 'Infrastructure Repair',
+    sequential: true,
+    transitions: DEFAULT_TRANSITIONS,
+    rollup: DEFAULT_ROLLUP,
+    stages: [
+      initialReviewStage,
+      {
+        key: 'site_assessment',
+        name: 'Site Assessment',
+        description: 'Site inspection, measurements and cost estimate',
+        legacyStep: 2,
+        fields: ['assigned_officer_id', 'estimated_cost'],
+        requiredFields: { completed: ['estimated_cost'] },
+        legacyColumns: { estimated_cost: 'step_2_estimated_cost' },
+        tracking: {
+          name: 'Site Assessment',
+          description: 'An officer is inspecting the site and estimating the repair',
+          icon: '📐'
+        }
+      },
+      {
+        key: 'work_order',
+        name: 'Work Order',
+        description: 'Budget approval and contractor assignment',
+        fields: ['assigned_contractor_id', 'start_date'],
+        requiredFields: { completed: ['assigned_contractor_id'] },
+        tracking: {
+          name: 'Work Order Issued',
+          description: 'Repair work has been approved and scheduled',
+          icon: '🧾'
+        }
+      },
+      {
+        key: 'repair',
+        name: 'Repair',
+        description: 'Repair execution and completion',
+        legacyStep: 3,
+        fields: ['assigned_contractor_id', 'start_date', 'completion_photos'],
+        legacyColumns: {
+          start_date: 'step_3_start_date',
+          completion_photos: 'step_3_completion_photos'
+        },
+        completionColumn: 'step_3_completion_date',
+        tracking: {
+          name: 'Repair in Progress',
+          description: 'The repair work is being carried out',
+          icon: '🔧'
+        }
+      }
+    ]
+  },
+
+  emergency_response: {
+    name: 'Emergency Response',
+    sequential: false,
+    transitions: DEFAULT_TRANSITIONS,
+    rollup: [
+      { when: 'all', stageStatus: 'completed', complaintStatus: 'resolved' },
+      // Once the area is safe the complaint stays in progress until the permanent fix lands
+      { when: 'stage', stage: 'containment', stageStatus: 'completed', complaintStatus: 'in_progress' },
+      { when: 'any', stageStatus: 'in_progress', complaintStatus: 'in_progress' },
+      { when: 'any', stageStatus: 'cancelled', complaintStatus: 'cancelled' }
+    ],
+    stages: [
+      {
+        key: 'triage',
+        name: 'Triage',
+        description: 'Severity check and dispatch',
+        legacyStep: 1,
+        fields: ['assigned_officer_id'],
+        tracking: {
+          name: 'Emergency Triage',
+          description: 'Your report has been flagged as urgent and is being dispatched',
+          icon: '🚨'
+        }
+      },
+      {
+        key: 'containment',
+        name: 'Containment',
+        description: 'Immediate action to make the area safe',
+        legacyStep: 2,
+        fields: ['assigned_officer_id', 'assigned_contractor_id'],
+        tracking: {
+          name: 'Containment',
+          description: 'A response team is making the area safe',
+          icon: '🚧'
+        }
+      },
+      {
+        key: 'permanent_fix',
+        name: 'Permanent Fix',
+        description: 'Permanent repair after containment',
+        legacyStep: 3,
+        fields: ['assigned_contractor_id', 'estimated_cost', 'start_date', 'completion_photos'],
+        legacyColumns: {
+          start_date: 'step_3_start_date',
+          completion_photos: 'step_3_completion_photos'
+        },
+        completionColumn: 'step_3_completion_date',
+        tracking: {
+          name: 'Permanent Fix',
+          description: 'The underlying problem is being fixed for good',
+          icon: '🔧'
+        }
+      }
+    ]
+  },
+
+  sanitation: {
+    name: 'Sanitation',
+    sequential: true,
+    transitions: DEFAULT_TRANSITIONS,
+    rollup: DEFAULT_ROLLUP,
+    stages: [
+      initialReviewStage,
+      {
+        key: 'cleanup',
+        name: 'Cleanup',
+        description: 'Collection or cleanup crew dispatched',
+        legacyStep: 2,
+        fields: ['assigned_contractor_id', 'start_date'],
+        tracking: {
+          name: 'Cleanup Scheduled',
+          description: 'A sanitation crew has been assigned to the location',
+          icon: '🧹'
+        }
+      },
+      {
+        key: 'verification',
+        name: 'Verification',
+        description: 'Post-cleanup inspection',
+        legacyStep: 3,
+        fields: ['assigned_officer_id', 'completion_photos'],
+        requiredFields: { completed: ['completion_photos'] },
+        legacyColumns: { completion_photos: 'step_3_completion_photos' },
+        completionColumn: 'step_3_completion_date',
+        tracking: {
+          name: 'Verification',
+          description: 'An officer is confirming the area has been cleaned',
+          icon: '🔎'
+        }
+      }
+    ]
+  }
+};
+
+// Category -> workflow key; unlisted categories use DEFAULT_WORKFLOW
+const CATEGORY_WORKFLOWS = {
+  road_damage: 'infrastructure_repair',
+  pothole: 'infrastructure_repair',
+  public_property_damage: 'infrastructure_repair',
+  broken_streetlight: 'infrastructure_repair',
+  streetlight: 'infrastructure_repair',
+  traffic_signal: 'infrastructure_repair',
+  flooding: 'emergency_response',
+  sewage_overflow: 'emergency_response',
+  water_issue: 'emergency_response',
+  electricity: 'emergency_response',
+  garbage: 'sanitation'
+};
+
+const DEFAULT_WORKFLOW = 'standard_civic_complaint';
+
+module.exports = {
+  STAGE_STATUSES,
+  WORKFLOWS,
+  CATEGORY_WORKFLOWS,
+  DEFAULT_WORKFLOW
+};
@@ -0,0 +1,36 @@
+-- Complaint search (GET /api/complaints/search)
+
+-- Words of the title, description and address for full-text search. The
+-- 'simple' configuration lowercases without stemming, so complaints written
+-- in any of the supported Indian languages are searchable as typed.
+ALTER TABLE complaints
+    ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+    GENERATED ALWAYS AS (
+        to_tsvector('simple',
+            coalesce(title, '') || ' ' ||
+            coalesce(description, '') || ' ' ||
+            coalesce(location_address, ''))
+    ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_complaints_search_vector
+    ON complaints USING GIN (search_vector);
+
+-- Administrative ward the complaint falls in, used by the ward filter
+ALTER TABLE complaints
+    ADD COLUMN IF NOT EXISTS ward_id TEXT;
+
+-- Keyset pagination: each sort is (column, id) so pages never skip or repeat
+CREATE INDEX IF NOT EXISTS idx_complaints_created_id
+    ON complaints(created_at DESC, id DESC);
+
+CREATE INDEX IF NOT EXISTS idx_complaints_priority_id
+    ON complaints(priority_score DESC NULLS LAST, id DESC);
+
+CREATE INDEX IF NOT EXISTS idx_complaints_votes_id
+    ON complaints(vote_count DESC NULLS LAST, id DESC);
+
+CREATE INDEX IF NOT EXISTS idx_complaints_ward
+    ON complaints(ward_id);
+
+CREATE INDEX IF NOT EXISTS idx_complaints_location
+    ON complaints(location_latitude, location_longitude);
@@ -0,0 +1,16 @@
+-- Duplicate complaint merging: duplicates are marked 'merged' and point at the
+-- canonical complaint, which keeps the combined reporters and images.
+ALTER TABLE complaints
+    ADD COLUMN IF NOT EXISTS merged_into_id UUID REFERENCES complaints(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS merged_reporter_ids UUID[] NOT NULL DEFAULT '{}';
+
+ALTER TABLE complaints DROP CONSTRAINT IF EXISTS complaints_status_check;
+ALTER TABLE complaints
+    ADD CONSTRAINT complaints_status_check
+    CHECK (status IN ('pending', 'in_progress', 'resolved', 'completed', 'rejected', 'cancelled', 'merged'));
+
+CREATE INDEX IF NOT EXISTS idx_complaints_merged_into_id ON complaints(merged_into_id);
+
+-- Duplicate lookups filter on category, status and creation time within a bounding box
+CREATE INDEX IF NOT EXISTS idx_complaints_duplicate_lookup
+    ON complaints(category, status, created_at, location_latitude, location_longitude);
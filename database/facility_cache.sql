@@ -0,0 +1,17 @@
+-- Cached nearby-facility lookups (services/FacilityCacheService.js), keyed by
+-- geohash cell, facility type and radius so they survive restarts
+CREATE TABLE IF NOT EXISTS facility_cache (
+    -- '<geohash>:<facility_type>:<radius>'
+    id TEXT PRIMARY KEY,
+    geohash TEXT NOT NULL,
+    facility_type TEXT NOT NULL,
+    radius INTEGER NOT NULL,
+    -- Facilities with coordinates, as returned by the provider
+    facilities JSONB NOT NULL DEFAULT '[]',
+    source TEXT,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_facility_cache_expires
+    ON facility_cache(expires_at);
@@ -0,0 +1,17 @@
+-- Guest votes are tied to a server-issued device token instead of a user.
+-- guest_device_id is the token's device ID; the fingerprint and IP are
+-- stored as salted hashes and only used for abuse reporting.
+ALTER TABLE complaint_votes
+    ADD COLUMN IF NOT EXISTS guest_device_id UUID,
+    ADD COLUMN IF NOT EXISTS device_fingerprint TEXT,
+    ADD COLUMN IF NOT EXISTS ip_hash TEXT;
+
+-- One vote per device per complaint
+CREATE UNIQUE INDEX IF NOT EXISTS idx_complaint_votes_guest_device
+    ON complaint_votes(complaint_id, guest_device_id)
+    WHERE guest_device_id IS NOT NULL;
+
+-- Burst reporting scans recent guest votes
+CREATE INDEX IF NOT EXISTS idx_complaint_votes_guest_created
+    ON complaint_votes(created_at)
+    WHERE guest_device_id IS NOT NULL;
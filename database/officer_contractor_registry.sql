@@ -0,0 +1,50 @@
+-- Officer and contractor registry used for workflow stage assignment.
+-- Assignments are stored per stage in complaint_workflow.stage_data
+-- (assigned_officer_id / assigned_contractor_id) and reference these tables.
+CREATE TABLE IF NOT EXISTS officers (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name TEXT NOT NULL,
+    email TEXT,
+    phone TEXT,
+    department TEXT NOT NULL,
+    specialization TEXT,
+    service_area TEXT[] NOT NULL DEFAULT '{}',
+    capacity INTEGER NOT NULL DEFAULT 10 CHECK (capacity > 0),
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'inactive', 'on_leave')),
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS contractors (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name TEXT NOT NULL,
+    contact_name TEXT,
+    email TEXT,
+    phone TEXT,
+    department TEXT,
+    specialization TEXT NOT NULL,
+    service_area TEXT[] NOT NULL DEFAULT '{}',
+    capacity INTEGER NOT NULL DEFAULT 5 CHECK (capacity > 0),
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'inactive', 'on_leave')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_officers_department ON officers(department);
+CREATE INDEX IF NOT EXISTS idx_officers_status ON officers(status);
+CREATE INDEX IF NOT EXISTS idx_contractors_specialization ON contractors(specialization);
+CREATE INDEX IF NOT EXISTS idx_contractors_status ON contractors(status);
+
+-- Seed the two officers and contractors the dashboard previously hardcoded
+INSERT INTO officers (id, name, department, specialization, service_area, capacity)
+VALUES
+    ('f8a5bae5-a458-407f-9209-c29209f9d024', 'John Smith', 'Public Works', 'Roads', '{}', 10),
+    ('e7b4c9d6-b347-406e-8108-b18108e8c023', 'Sarah Johnson', 'Infrastructure', 'Utilities', '{}', 10)
+ON CONFLICT (id) DO NOTHING;
+
+INSERT INTO contractors (id, name, specialization, service_area, capacity)
+VALUES
+    ('d6c3b8a5-c246-405d-7017-a07017d7b022', 'ABC Construction Ltd', 'Road Repair', '{}', 5),
+    ('c5b2a794-b135-404c-6016-906016c6a021', 'Quick Fix Services', 'Streetlight Maintenance', '{}', 5)
+ON CONFLICT (id) DO NOTHING;
@@ -0,0 +1,17 @@
+-- Every change to a complaint's priority_score: vote-driven re-scores,
+-- scoring profile changes, manual re-scores and SLA escalations
+CREATE TABLE IF NOT EXISTS priority_history (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    complaint_id UUID NOT NULL REFERENCES complaints(id) ON DELETE CASCADE,
+    old_score NUMERIC(3,2),
+    new_score NUMERIC(3,2) NOT NULL,
+    reason TEXT NOT NULL CHECK (reason IN ('vote_change', 'profile_change', 'manual_rescore', 'sla_escalation')),
+    -- Vote count and profile version the new score was computed with
+    vote_count INTEGER,
+    profile_version INTEGER,
+    changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_priority_history_complaint
+    ON priority_history(complaint_id, created_at);
@@ -0,0 +1,18 @@
+-- Role-based access control for the admin API.
+-- Roles: citizen, officer, department_admin, super_admin. The legacy 'admin'
+-- user_type is treated as super_admin (see config/permissions.js).
+ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS department TEXT;
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_user_type_check;
+ALTER TABLE users
+    ADD CONSTRAINT users_user_type_check
+    CHECK (user_type IN ('citizen', 'admin', 'officer', 'department_admin', 'super_admin'));
+
+-- Officers and department admins must belong to a department
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_staff_department_check;
+ALTER TABLE users
+    ADD CONSTRAINT users_staff_department_check
+    CHECK (user_type NOT IN ('officer', 'department_admin') OR department IS NOT NULL);
+
+CREATE INDEX IF NOT EXISTS idx_users_department ON users(department);
@@ -0,0 +1,38 @@
+-- Versioned priority scoring profiles. Exactly one profile is active; its
+-- weights and status multipliers are applied on submission and re-scoring
+-- (see config/scoring.js). Until a profile is activated the built-in default
+-- (version 1) is used.
+CREATE TABLE IF NOT EXISTS scoring_profiles (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    version INTEGER NOT NULL UNIQUE,
+    name TEXT NOT NULL,
+    -- { infrastructure, image, emotion, votes }, summing to 1
+    weights JSONB NOT NULL,
+    -- { status: multiplier }, statuses not listed use 1.0
+    status_multipliers JSONB NOT NULL DEFAULT '{}',
+    notes TEXT,
+    is_active BOOLEAN NOT NULL DEFAULT false,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    activated_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_scoring_profiles_single_active
+    ON scoring_profiles(is_active) WHERE is_active = true;
+
+-- The original hardcoded weighting
+INSERT INTO scoring_profiles (version, name, weights, status_multipliers, is_active, activated_at)
+VALUES (
+    1,
+    'Default weighting',
+    '{"infrastructure": 0.4, "image": 0.3, "emotion": 0.2, "votes": 0.1}',
+    '{"in_progress": 1.2, "completed": 0.5}',
+    true,
+    NOW()
+)
+ON CONFLICT (version) DO NOTHING;
+
+-- Factor breakdown behind each complaint's priority_score
+ALTER TABLE complaints
+    ADD COLUMN IF NOT EXISTS priority_breakdown JSONB,
+    ADD COLUMN IF NOT EXISTS scoring_profile_version INTEGER;
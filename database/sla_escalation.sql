@@ -0,0 +1,16 @@
+-- SLA escalation tracking. Deadlines are computed from created_at and the
+-- policies in config/sla.js; these columns record how far a complaint has
+-- been escalated so each breach type escalates only once.
+ALTER TABLE complaints
+    ADD COLUMN IF NOT EXISTS sla_escalation_level INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS sla_escalated_at TIMESTAMP WITH TIME ZONE;
+
+-- The breach check scans open complaints by status and age
+CREATE INDEX IF NOT EXISTS idx_complaints_open_created_at
+    ON complaints(status, created_at)
+    WHERE status IN ('pending', 'in_progress');
+
+-- Supervisor lookup for escalations
+CREATE INDEX IF NOT EXISTS idx_users_type_department
+    ON users(user_type, department)
+    WHERE is_active = true;
@@ -0,0 +1,103 @@
+-- Unified complaint voting (services/VoteService.js).
+-- Each voter - a user or a guest device (see guest_voting.sql) - holds at most
+-- one vote per complaint, and complaints.vote_count is the number of upvotes.
+
+-- Keep only the latest vote per user before enforcing uniqueness
+DELETE FROM complaint_votes older
+USING complaint_votes newer
+WHERE older.user_id IS NOT NULL
+  AND older.complaint_id = newer.complaint_id
+  AND older.user_id = newer.user_id
+  AND older.created_at < newer.created_at;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_complaint_votes_user
+    ON complaint_votes(complaint_id, user_id)
+    WHERE user_id IS NOT NULL;
+
+ALTER TABLE complaint_votes
+    ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE;
+
+-- Set a voter's vote and recount the complaint's upvotes in one transaction.
+-- p_action is 'upvote', 'downvote' or 'retract'; pass exactly one of
+-- p_user_id and p_guest_device_id.
+CREATE OR REPLACE FUNCTION cast_complaint_vote(
+    p_complaint_id UUID,
+    p_user_id UUID,
+    p_guest_device_id UUID,
+    p_action TEXT,
+    p_device_fingerprint TEXT DEFAULT NULL,
+    p_ip_hash TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_existing complaint_votes%ROWTYPE;
+    v_vote_type TEXT;
+    v_upvotes INTEGER;
+    v_downvotes INTEGER;
+BEGIN
+    IF p_action NOT IN ('upvote', 'downvote', 'retract') THEN
+        RAISE EXCEPTION 'Invalid vote action: %', p_action;
+    END IF;
+
+    IF (p_user_id IS NULL) = (p_guest_device_id IS NULL) THEN
+        RAISE EXCEPTION 'Exactly one of p_user_id and p_guest_device_id is required';
+    END IF;
+
+    -- Serialise votes on the same complaint
+    PERFORM 1 FROM complaints WHERE id = p_complaint_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('status', 'not_found');
+    END IF;
+
+    SELECT * INTO v_existing
+    FROM complaint_votes
+    WHERE complaint_id = p_complaint_id
+      AND (
+        (p_user_id IS NOT NULL AND user_id = p_user_id) OR
+        (p_guest_device_id IS NOT NULL AND guest_device_id = p_guest_device_id)
+      )
+    LIMIT 1;
+
+    v_vote_type := CASE WHEN p_action = 'retract' THEN NULL ELSE p_action END;
+
+    IF v_vote_type IS NULL THEN
+        IF v_existing.id IS NOT NULL THEN
+            DELETE FROM complaint_votes WHERE id = v_existing.id;
+        END IF;
+    ELSIF v_existing.id IS NULL THEN
+        INSERT INTO complaint_votes (
+            complaint_id, user_id, guest_device_id, device_fingerprint, ip_hash,
+            vote_type, vote_count, created_at
+        )
+        VALUES (
+            p_complaint_id, p_user_id, p_guest_device_id, p_device_fingerprint, p_ip_hash,
+            v_vote_type, CASE WHEN v_vote_type = 'upvote' THEN 1 ELSE 0 END, NOW()
+        );
+    ELSIF v_existing.vote_type IS DISTINCT FROM v_vote_type THEN
+        UPDATE complaint_votes
+        SET vote_type = v_vote_type,
+            vote_count = CASE WHEN v_vote_type = 'upvote' THEN 1 ELSE 0 END,
+            updated_at = NOW()
+        WHERE id = v_existing.id;
+    END IF;
+
+    SELECT
+        COUNT(*) FILTER (WHERE vote_type = 'upvote'),
+        COUNT(*) FILTER (WHERE vote_type = 'downvote')
+    INTO v_upvotes, v_downvotes
+    FROM complaint_votes
+    WHERE complaint_id = p_complaint_id;
+
+    UPDATE complaints SET vote_count = v_upvotes WHERE id = p_complaint_id;
+
+    RETURN jsonb_build_object(
+        'status', 'ok',
+        'previous', v_existing.vote_type,
+        'vote_type', v_vote_type,
+        'upvotes', v_upvotes,
+        'downvotes', v_downvotes
+    );
+END;
+$$;
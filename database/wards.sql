@@ -0,0 +1,50 @@
+-- Administrative boundaries and jurisdiction routing (config/boundaries.js)
+
+-- Ward polygons imported from GeoJSON by services/BoundaryService.js
+CREATE TABLE IF NOT EXISTS wards (
+    id TEXT PRIMARY KEY,
+    name TEXT,
+    zone TEXT,
+    -- GeoJSON Polygon or MultiPolygon, [lng, lat] coordinates
+    geometry JSONB NOT NULL,
+    -- Bounding box, to skip wards that can't contain a point
+    min_lat DECIMAL(10, 8) NOT NULL,
+    max_lat DECIMAL(10, 8) NOT NULL,
+    min_lng DECIMAL(11, 8) NOT NULL,
+    max_lng DECIMAL(11, 8) NOT NULL,
+    -- Remaining feature properties from the source file
+    properties JSONB DEFAULT '{}',
+    source TEXT,
+    imported_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_wards_zone ON wards(zone);
+
+-- Department overrides by category and ward or zone. A rule names a ward or
+-- a zone (not both); category NULL matches every category.
+CREATE TABLE IF NOT EXISTS routing_rules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    category TEXT,
+    ward_id TEXT REFERENCES wards(id) ON DELETE CASCADE,
+    zone TEXT,
+    department TEXT NOT NULL,
+    notes TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT routing_rules_area_check CHECK ((ward_id IS NULL) <> (zone IS NULL))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_routing_rules_unique
+    ON routing_rules(COALESCE(category, ''), COALESCE(ward_id, ''), COALESCE(zone, ''));
+
+-- complaints.ward_id is added by complaint_search.sql
+ALTER TABLE complaints
+    ADD COLUMN IF NOT EXISTS ward_id TEXT;
+
+ALTER TABLE complaints DROP CONSTRAINT IF EXISTS complaints_ward_id_fkey;
+ALTER TABLE complaints
+    ADD CONSTRAINT complaints_ward_id_fkey
+    FOREIGN KEY (ward_id) REFERENCES wards(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_complaints_assigned_department
+    ON complaints(assigned_department);
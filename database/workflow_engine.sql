@@ -0,0 +1,14 @@
+-- Configurable workflow engine: per-category stage definitions live in config/workflows.js.
+-- Stage state is stored as JSON keyed by stage key; the legacy step_1/2/3 columns are kept
+-- and mirrored for stages that declare a legacyStep.
+ALTER TABLE complaint_workflow
+    ADD COLUMN IF NOT EXISTS workflow_key TEXT,
+    ADD COLUMN IF NOT EXISTS stage_data JSONB NOT NULL DEFAULT '{}'::jsonb,
+    ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+-- Existing rows were all created from the original three-step workflow
+UPDATE complaint_workflow
+SET workflow_key = 'standard_civic_complaint'
+WHERE workflow_key IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_complaint_workflow_workflow_key ON complaint_workflow(workflow_key);
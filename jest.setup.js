@@ -0,0 +1,4 @@
+// Tests run offline: anything reaching for the default data client gets the in-memory backend
+process.env.DATA_BACKEND = 'memory';
+delete process.env.MEMORY_DB_SEED;
+delete process.env.MEMORY_DB_FILE;
@@ -1,5 +1,12 @@
 const jwt = require('jsonwebtoken');
-const { supabase } = require('../config/supabase');
+const { getRepositories } = require('../repositories');
+const { resolveRole, hasPermission } = require('../config/permissions');
+const {
+  CATEGORY_DEPARTMENTS,
+  DEFAULT_DEPARTMENT,
+  getComplaintDepartment,
+  getDepartmentCategories
+} = require('../config/departments');
 
 /**
  * Authentication middleware to validate JWT tokens
@@ -24,14 +31,9 @@ const authenticateUser = async (req, res, next) => {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
     // Check if user exists and is active
-    const { data: user, error } = await supabase
-      .from('users')
-      .select('id, email, full_name, user_type, is_active')
-      .eq('id', decoded.userId)
-      .eq('is_active', true)
-      .single();
+    const user = await getRepositories().users.findActiveById(decoded.userId, '*');
     
-    if (error || !user) {
+    if (!user) {
       console.log('🔒 User not found or inactive:', decoded.userId);
       req.user = null;
       return next();
@@ -43,6 +45,8 @@ const authenticateUser = async (req, res, next) => {
       email: user.email,
       fullName: user.full_name,
       userType: user.user_type,
+      role: resolveRole(user.user_type),
+      department: user.department || null,
       isAuthenticated: true
     };
     
@@ -55,6 +59,28 @@ const authenticateUser = async (req, res, next) => {
   }
 };
 
+/**
+ * Send the 401/403 responses shared by every protected route
+ */
+const sendAuthError = (res, status, code, extra = {}) => {
+  return res.status(status).json({
+    success: false,
+    message: status === 401 ? 'Authentication required' : 'Access denied',
+    code,
+    ...extra
+  });
+};
+
+/**
+ * Middleware that rejects anonymous requests
+ */
+const requireAuth = (req, res, next) => {
+  if (!req.user || !req.user.isAuthenticated) {
+    return sendAuthError(res, 401, 'AUTH_REQUIRED');
+  }
+  next();
+};
+
 /**
  * Authorization middleware to restrict access to specific user types
  * @param {Array} allowedTypes - Array of allowed user types (e.g., ['admin', 'citizen'])
@@ -63,25 +89,115 @@ const authorizeUserType = (allowedTypes) => {
   return (req, res, next) => {
     // If user is not authenticated
     if (!req.user || !req.user.isAuthenticated) {
-      return res.status(401).json({
-        success: false,
-        message: 'Authentication required'
-      });
+      return sendAuthError(res, 401, 'AUTH_REQUIRED');
     }
     
-    // Check if user type is allowed
-    if (!allowedTypes.includes(req.user.userType)) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied'
-      });
+    // Check if user type (or its resolved role) is allowed
+    if (!allowedTypes.includes(req.user.userType) && !allowedTypes.includes(req.user.role)) {
+      return sendAuthError(res, 403, 'FORBIDDEN');
     }
     
     next();
   };
 };
 
+/**
+ * Authorization middleware to require a permission from config/permissions.js
+ * @param {string} permission - Permission name (e.g., 'complaints:update_status')
+ */
+const requirePermission = (permission) => {
+  return (req, res, next) => {
+    if (!req.user || !req.user.isAuthenticated) {
+      return sendAuthError(res, 401, 'AUTH_REQUIRED');
+    }
+    
+    if (!hasPermission(req.user.role, permission)) {
+      console.log(`🚫 ${req.user.email} (${req.user.role}) denied ${permission} on ${req.method} ${req.originalUrl}`);
+      return sendAuthError(res, 403, 'FORBIDDEN', { requiredPermission: permission });
+    }
+    
+    next();
+  };
+};
+
+/**
+ * Department the user is limited to, or null when they can see every department
+ */
+const getDepartmentScope = (user) => {
+  if (!user || hasPermission(user.role, 'departments:all')) {
+    return null;
+  }
+  return user.department || '';
+};
+
+/**
+ * Whether the user may act on a complaint given their department scope
+ */
+const canAccessComplaint = (user, complaint) => {
+  const scope = getDepartmentScope(user);
+  if (scope === null) return true;
+  return Boolean(scope) && getComplaintDepartment(complaint) === scope;
+};
+
+/**
+ * Keep only complaints within the user's department scope
+ */
+const filterComplaintsByScope = (user, complaints) => {
+  if (getDepartmentScope(user) === null) return complaints || [];
+  return (complaints || []).filter(complaint => canAccessComplaint(user, complaint));
+};
+
+/**
+ * Narrow a complaints query to the user's department scope, matching what
+ * getComplaintDepartment decides: the assigned department, or the category's
+ * department when none was assigned. Apply it before .limit() or .range() so
+ * pages are filled with complaints the user can see.
+ */
+const applyDepartmentScope = (query, user) => {
+  const scope = getDepartmentScope(user);
+  if (scope === null) return query;
+  // Staff without a department see nothing
+  if (!scope) return query.is('id', null);
+
+  const quote = value => `"${value}"`;
+  let categoryFilter = null;
+  if (scope === DEFAULT_DEPARTMENT) {
+    // Unmapped categories fall back to the default department
+    categoryFilter = `or(category.is.null,category.not.in.(${Object.keys(CATEGORY_DEPARTMENTS).map(quote).join(',')}))`;
+  } else {
+    const categories = getDepartmentCategories(scope);
+    if (categories.length > 0) {
+      categoryFilter = `category.in.(${categories.map(quote).join(',')})`;
+    }
+  }
+
+  const assigned = `assigned_department.eq.${quote(scope)}`;
+  return categoryFilter
+    ? query.or(`${assigned},and(assigned_department.is.null,${categoryFilter})`)
+    : query.or(assigned);
+};
+
+/**
+ * Reply 403 when a complaint is outside the user's department
+ * @returns {boolean} true when a response was sent
+ */
+const denyOutOfScope = (req, res, complaint) => {
+  if (canAccessComplaint(req.user, complaint)) return false;
+  sendAuthError(res, 403, 'DEPARTMENT_SCOPE', {
+    department: getComplaintDepartment(complaint)
+  });
+  return true;
+};
+
 module.exports = {
   authenticateUser,
-  authorizeUserType
+  requireAuth,
+  authorizeUserType,
+  requirePermission,
+  getDepartmentScope,
+  canAccessComplaint,
+  filterComplaintsByScope,
+  applyDepartmentScope,
+  denyOutOfScope,
+  sendAuthError
 };
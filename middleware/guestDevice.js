@@ -0,0 +1,79 @@
+const GuestVoteService = require('../services/GuestVoteService');
+const { createRateLimiter } = require('./rateLimit');
+const { RATE_LIMITS } = require('../config/guestVoting');
+
+const guestVoteService = new GuestVoteService();
+
+const getDeviceToken = (req) => req.header('X-Device-Token') || req.body?.deviceToken || req.query.deviceToken;
+
+// Shared by every route that accepts guest votes so the limits apply across them
+const tokenIpLimiter = createRateLimiter({
+  ...RATE_LIMITS.tokenPerIp,
+  keyGenerator: (req) => `token:${req.ip}`,
+  message: 'Too many device tokens requested from this network, please try again later'
+});
+
+const guestVoteIpLimiter = createRateLimiter({
+  ...RATE_LIMITS.votePerIp,
+  keyGenerator: (req) => (req.user ? null : `vote:${req.ip}`),
+  message: 'Too many votes from this network, please try again later'
+});
+
+const guestVoteDeviceLimiter = createRateLimiter({
+  ...RATE_LIMITS.votePerDevice,
+  keyGenerator: (req) => req.guestDevice && `device:${req.guestDevice.deviceId}`,
+  message: 'Too many votes from this device, please slow down'
+});
+
+/**
+ * Attach a verified guest device (from X-Device-Token) to req.guestDevice, if present
+ */
+const attachGuestDevice = (req, res, next) => {
+  req.guestDevice = guestVoteService.verifyDeviceToken(getDeviceToken(req));
+  next();
+};
+
+/**
+ * Require a valid signed device token
+ */
+const requireDeviceToken = (req, res, next) => {
+  attachGuestDevice(req, res, () => {
+    if (!req.guestDevice) {
+      return res.status(401).json({
+        success: false,
+        message: 'A valid device token is required to vote as a guest. Request one from POST /api/guest-votes/device-token',
+        code: 'DEVICE_TOKEN_REQUIRED'
+      });
+    }
+    next();
+  });
+};
+
+/**
+ * The guest voter for a verified device token
+ * @returns {Object|null} { guestDeviceId, fingerprint, ipHash }
+ */
+const getGuestVoter = (req) => {
+  if (!req.guestDevice) return null;
+  return {
+    guestDeviceId: req.guestDevice.deviceId,
+    fingerprint: req.guestDevice.fingerprint,
+    ipHash: guestVoteService.hashIp(req.ip)
+  };
+};
+
+/**
+ * The voter behind a request: the signed-in user, else the guest device
+ * @returns {Object|null} { userId } or a guest voter
+ */
+const getVoter = (req) => (req.user ? { userId: req.user.id } : getGuestVoter(req));
+
+module.exports = {
+  tokenIpLimiter,
+  guestVoteIpLimiter,
+  guestVoteDeviceLimiter,
+  attachGuestDevice,
+  requireDeviceToken,
+  getGuestVoter,
+  getVoter
+};
@@ -0,0 +1,65 @@
+/**
+ * Fixed-window rate limiting kept in process memory.
+ *
+ * Counters live per server instance, which is enough to stop a single
+ * script hammering an endpoint; a multi-instance deployment would need a
+ * shared store.
+ */
+
+/**
+ * Build a rate limiting middleware
+ * @param {Object} options
+ * @param {number} options.windowMs - Window length
+ * @param {number} options.max - Requests allowed per key per window
+ * @param {Function} options.keyGenerator - (req) => key, or null to skip limiting
+ * @param {string} options.code - Error code returned with 429
+ * @param {string} options.message - Error message returned with 429
+ */
+const createRateLimiter = ({ windowMs, max, keyGenerator, code = 'RATE_LIMITED', message = 'Too many requests, please try again later' }) => {
+  const hits = new Map();
+
+  // Drop expired windows so the map does not grow without bound
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    hits.forEach((entry, key) => {
+      if (entry.resetAt <= now) hits.delete(key);
+    });
+  }, windowMs);
+  if (sweep.unref) sweep.unref();
+
+  const limiter = (req, res, next) => {
+    const key = keyGenerator(req);
+    if (!key) return next();
+
+    const now = Date.now();
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+
+    entry.count++;
+    res.set('X-RateLimit-Limit', String(max));
+    res.set('X-RateLimit-Remaining', String(Math.max(0, max - entry.count)));
+
+    if (entry.count > max) {
+      const retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message,
+        code,
+        retryAfter
+      });
+    }
+
+    next();
+  };
+
+  limiter.reset = () => hits.clear();
+  return limiter;
+};
+
+module.exports = {
+  createRateLimiter
+};
@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const { AsyncResource } = require('async_hooks');
+const { logger, requestContext, redact } = require('../utils/logger');
+const { registry } = require('../utils/metrics');
+const { REQUEST_ID_HEADER, MAX_BODY_LENGTH, METRICS } = require('../config/logging');
+
+const log = logger.child({ component: 'http' });
+
+const requestDuration = registry.histogram(
+  'http_request_duration_seconds',
+  'HTTP request latency by method, route and status code',
+  { labelNames: ['method', 'route', 'status'], buckets: METRICS.httpBuckets }
+);
+
+// Accept a caller-supplied ID only if it is short and plain
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Route template the request matched (e.g. /api/complaints/:id), so metrics
+ * don't get one series per ID. Unmatched requests share one label.
+ */
+function getRouteLabel(req, baseUrl = req.baseUrl) {
+  if (req.route?.path) {
+    const path = Array.isArray(req.route.path) ? req.route.path[0] : req.route.path;
+    return `${baseUrl || ''}${path === '/' && baseUrl ? '' : path}`;
+  }
+  return 'unmatched';
+}
+
+/**
+ * Remember req.baseUrl at the moment Express matches a route; Express
+ * resets it when the request leaves the router (e.g. on errors)
+ */
+function trackMatchedBaseUrl(req) {
+  const matched = { route: undefined, baseUrl: '' };
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => matched.route,
+    set: (route) => {
+      matched.route = route;
+      matched.baseUrl = req.baseUrl;
+    }
+  });
+  return matched;
+}
+
+/**
+ * Redacted, truncated request body for debug logs
+ */
+function truncatedBody(body) {
+  if (!body || typeof body !== 'object' || Object.keys(body).length === 0) return undefined;
+  const text = JSON.stringify(redact(body));
+  return text.length > MAX_BODY_LENGTH ? `${text.slice(0, MAX_BODY_LENGTH)}...` : text;
+}
+
+/**
+ * Request context middleware
+ * Gives every request an ID (from X-Request-Id or generated), echoes it in
+ * the response, runs the rest of the request inside that context so all
+ * logs carry it, and logs and times the request when it finishes.
+ */
+const requestContextMiddleware = (req, res, next) => {
+  const incomingId = req.get(REQUEST_ID_HEADER);
+  const requestId = incomingId && VALID_REQUEST_ID.test(incomingId) ? incomingId : crypto.randomUUID();
+  const stopTimer = requestDuration.startTimer({ method: req.method });
+
+  const matched = trackMatchedBaseUrl(req);
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  res.on('finish', () => {
+    const route = getRouteLabel(req, matched.baseUrl);
+    const seconds = stopTimer({ route, status: res.statusCode });
+    const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+
+    log.write(level, 'Request completed', {
+      requestId,
+      method: req.method,
+      url: req.originalUrl,
+      route,
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 1000),
+      contentLength: res.get('Content-Length'),
+      userId: req.user?.id,
+      ip: req.ip,
+      ...(log.isLevelEnabled('debug') && { body: truncatedBody(req.body) })
+    });
+  });
+
+  requestContext.run({ requestId }, () => {
+    // Body parsers (multer in particular) emit request events from outside
+    // this context; bind them so handlers after them keep the request ID
+    req.emit = AsyncResource.bind(req.emit, 'RequestContext', req);
+    next();
+  });
+};
+
+module.exports = {
+  requestContextMiddleware,
+  getRouteLabel
+};
@@ -0,0 +1,101 @@
+"""
+Local emotion model sidecar for services/emotionProviders.js.
+
+Serves a Hugging Face text-classification model (e.g. a DistilBERT
+fine-tuned on GoEmotions) from a directory on this machine, so emotion
+analysis works without network access.
+
+    pip install -r requirements.txt
+    EMOTION_MODEL_PATH=/models/distilbert-go-emotions python distilbert_emotion_service.py
+
+Then set EMOTION_SIDECAR_URL=http://127.0.0.1:8001 for the backend.
+
+    POST /analyze  {"text": "...", "language": "en"}
+        -> {"labels": [{"label": "anger", "score": 0.91}, ...], "model": "..."}
+    GET  /health   -> {"status": "ok", "model": "..."}
+"""
+
+import json
+import logging
+import os
+from http.server import BaseHTTPRequestHandler, ThreadingHTTPServer
+
+from transformers import pipeline
+
+MODEL_PATH = os.environ.get("EMOTION_MODEL_PATH", "./models/distilbert-emotion")
+HOST = os.environ.get("EMOTION_SIDECAR_HOST", "127.0.0.1")
+PORT = int(os.environ.get("EMOTION_SIDECAR_PORT", "8001"))
+MAX_TEXT_LENGTH = 2000
+
+logging.basicConfig(level=logging.INFO, format="%(asctime)s %(levelname)s %(message)s")
+logger = logging.getLogger("emotion-sidecar")
+
+# local_files_only keeps the sidecar from ever reaching out to the model hub
+classifier = pipeline(
+    "text-classification",
+    model=MODEL_PATH,
+    tokenizer=MODEL_PATH,
+    top_k=None,
+    truncation=True,
+    model_kwargs={"local_files_only": True},
+)
+logger.info("Loaded emotion model from %s", MODEL_PATH)
+
+
+def classify(text):
+    results = classifier(text[:MAX_TEXT_LENGTH])
+    # A single input may come back wrapped in an outer list
+    if results and isinstance(results[0], list):
+        results = results[0]
+    return [{"label": item["label"].lower(), "score": float(item["score"])} for item in results]
+
+
+class EmotionHandler(BaseHTTPRequestHandler):
+    def send_json(self, status, payload):
+        body = json.dumps(payload).encode("utf-8")
+        self.send_response(status)
+        self.send_header("Content-Type", "application/json")
+        self.send_header("Content-Length", str(len(body)))
+        self.end_headers()
+        self.wfile.write(body)
+
+    def do_GET(self):
+        if self.path == "/health":
+            return self.send_json(200, {"status": "ok", "model": MODEL_PATH})
+        self.send_json(404, {"error": "Not found"})
+
+    def do_POST(self):
+        if self.path != "/analyze":
+            return self.send_json(404, {"error": "Not found"})
+
+        try:
+            length = int(self.headers.get("Content-Length", 0))
+            payload = json.loads(self.rfile.read(length) or b"{}")
+        except (ValueError, json.JSONDecodeError):
+            return self.send_json(400, {"error": "Invalid JSON body"})
+
+        text = str(payload.get("text") or "").strip()
+        if not text:
+            return self.send_json(400, {"error": "text is required"})
+
+        try:
+            labels = classify(text)
+        except Exception as error:  # keep serving after a bad input
+            logger.exception("Classification failed")
+            return self.send_json(500, {"error": str(error)})
+
+        self.send_json(200, {"labels": labels, "model": MODEL_PATH})
+
+    def log_message(self, format, *args):
+        logger.info("%s - %s", self.address_string(), format % args)
+
+
+if __name__ == "__main__":
+    server = ThreadingHTTPServer((HOST, PORT), EmotionHandler)
+    logger.info("Emotion sidecar listening on http://%s:%d", HOST, PORT)
+    try:
+        server.serve_forever()
+    except KeyboardInterrupt:
+        pass
+    finally:
+        server.server_close()
@@ -0,0 +1,131 @@
+/**
+ * Error raised by repositories when the underlying data client fails.
+ * Carries the PostgREST/Postgres error code so callers can branch on it
+ * (e.g. '23505' unique violation, '42P01' missing table).
+ */
+class RepositoryError extends Error {
+  constructor(message, code, details) {
+    super(message);
+    this.name = 'RepositoryError';
+    this.code = code || null;
+    this.details = details || null;
+  }
+}
+
+// PostgREST returns this code when .single() matches no rows
+const NOT_FOUND_CODE = 'PGRST116';
+
+/**
+ * Shared table access for repositories.
+ * Works against any Supabase-compatible client (Supabase or in-memory).
+ */
+class BaseRepository {
+  /**
+   * @param {Object} client - Supabase-compatible client
+   * @param {string} table - Table name
+   */
+  constructor(client, table) {
+    if (!client) {
+      throw new Error(`${this.constructor.name} requires a data client`);
+    }
+    this.client = client;
+    this.table = table;
+  }
+
+  query() {
+    return this.client.from(this.table);
+  }
+
+  /**
+   * Unwrap a { data, error } result, throwing a RepositoryError on failure
+   */
+  unwrap({ data, error }, action) {
+    if (error) {
+      throw new RepositoryError(
+        `Failed to ${action} ${this.table}: ${error.message}`,
+        error.code,
+        error.details
+      );
+    }
+    return data;
+  }
+
+  /**
+   * Unwrap a .single() result, mapping "no rows" to null
+   */
+  unwrapSingle(result, action) {
+    if (result.error && result.error.code === NOT_FOUND_CODE) {
+      return null;
+    }
+    return this.unwrap(result, action);
+  }
+
+  async findById(id, columns = '*') {
+    const result = await this.query().select(columns).eq('id', id).single();
+    return this.unwrapSingle(result, 'fetch');
+  }
+
+  /**
+   * List rows with equality filters, ordering and paging
+   * @param {Object} options
+   * @param {Object} options.filters - Column/value pairs matched with eq
+   * @param {string} options.orderBy - Column to sort on
+   * @param {boolean} options.ascending - Sort direction (default descending)
+   * @param {number} options.limit - Maximum rows to return
+   * @param {number} options.offset - Rows to skip
+   */
+  async findAll({ columns = '*', filters = {}, orderBy = 'created_at', ascending = false, limit, offset = 0 } = {}) {
+    let query = this.query().select(columns);
+
+    Object.entries(filters).forEach(([column, value]) => {
+      if (value !== undefined && value !== null) {
+        query = query.eq(column, value);
+      }
+    });
+
+    if (orderBy) {
+      query = query.order(orderBy, { ascending });
+    }
+
+    if (limit) {
+      query = query.range(offset, offset + limit - 1);
+    }
+
+    return this.unwrap(await query, 'list') || [];
+  }
+
+  async count(filters = {}) {
+    let query = this.query().select('id', { count: 'exact', head: true });
+
+    Object.entries(filters).forEach(([column, value]) => {
+      query = query.eq(column, value);
+    });
+
+    const { count, error } = await query;
+    this.unwrap({ data: null, error }, 'count');
+    return count || 0;
+  }
+
+  async create(record) {
+    const result = await this.query().insert([record]).select();
+    return this.unwrap(result, 'insert')[0];
+  }
+
+  async update(id, changes) {
+    const result = await this.query().update(changes).eq('id', id).select();
+    const rows = this.unwrap(result, 'update');
+    return rows && rows.length > 0 ? rows[0] : null;
+  }
+
+  async delete(id) {
+    const result = await this.query().delete().eq('id', id);
+    this.unwrap(result, 'delete');
+    return true;
+  }
+}
+
+module.exports = {
+  BaseRepository,
+  RepositoryError,
+  NOT_FOUND_CODE
+};
@@ -0,0 +1,161 @@
+const { BaseRepository } = require('./BaseRepository');
+
+/**
+ * Data access for the complaints table
+ */
+class ComplaintRepository extends BaseRepository {
+  constructor(client) {
+    super(client, 'complaints');
+  }
+
+  async findByUser(userId, options = {}) {
+    return this.findAll({ ...options, filters: { ...options.filters, user_id: userId } });
+  }
+
+  /**
+   * List complaints with the filters used by the listing endpoints
+   * @param {Object} options
+   * @param {string|string[]} options.status - One status or a list of statuses
+   * @param {string} options.category - Complaint category
+   * @param {Object} options.bbox - { minLat, maxLat, minLng, maxLng }
+   */
+  async list({ columns = '*', status, category, bbox, orderBy = 'created_at', ascending = false, limit, offset = 0 } = {}) {
+    let query = this.query().select(columns);
+
+    if (Array.isArray(status)) {
+      query = query.in('status', status);
+    } else if (status) {
+      query = query.eq('status', status);
+    }
+
+    if (category) {
+      query = query.eq('category', category);
+    }
+
+    if (bbox) {
+      query = query
+        .gte('location_latitude', bbox.minLat)
+        .lte('location_latitude', bbox.maxLat)
+        .gte('location_longitude', bbox.minLng)
+        .lte('location_longitude', bbox.maxLng);
+    }
+
+    query = query.order(orderBy, { ascending });
+
+    if (limit) {
+      query = query.range(offset, offset + limit - 1);
+    }
+
+    return this.unwrap(await query, 'list') || [];
+  }
+
+  /**
+   * One page of search results, ordered by the sort column then id so
+   * keyset pagination is stable. Rows with no value in the sort column come last.
+   * @param {Object} criteria
+   * @param {string} criteria.text - Full-text query (web search syntax) over title, description and address
+   * @param {string[]} criteria.categories - Any of these categories
+   * @param {string[]} criteria.statuses - Any of these statuses
+   * @param {string[]} criteria.wardIds - Any of these wards
+   * @param {Object[]} criteria.priorityRanges - [{ min, max }] on priority_score, max exclusive or null
+   * @param {string} criteria.from - Earliest created_at (ISO)
+   * @param {string} criteria.to - Latest created_at (ISO)
+   * @param {Object} criteria.bbox - { minLat, maxLat, minLng, maxLng }
+   * @param {Object} criteria.sort - { column, ascending }
+   * @param {Object} criteria.after - { value, id } of the last row of the previous page
+   * @param {number} criteria.limit - Rows to return
+   */
+  async search({
+    columns = '*',
+    text,
+    textSearchConfig = 'simple',
+    categories,
+    statuses,
+    wardIds,
+    priorityRanges,
+    from,
+    to,
+    bbox,
+    sort = { column: 'created_at', ascending: false },
+    after,
+    limit
+  }) {
+    let query = this.query().select(columns);
+
+    if (text) {
+      query = query.textSearch('search_vector', text, { type: 'websearch', config: textSearchConfig });
+    }
+    if (categories?.length) query = query.in('category', categories);
+    if (statuses?.length) query = query.in('status', statuses);
+    if (wardIds?.length) query = query.in('ward_id', wardIds);
+
+    if (priorityRanges?.length) {
+      query = query.or(priorityRanges.map(({ min, max }) => (max === null
+        ? `priority_score.gte.${min}`
+        : `and(priority_score.gte.${min},priority_score.lt.${max})`
+      )).join(','));
+    }
+
+    if (from) query = query.gte('created_at', from);
+    if (to) query = query.lte('created_at', to);
+
+    if (bbox) {
+      query = query
+        .gte('location_latitude', bbox.minLat)
+        .lte('location_latitude', bbox.maxLat)
+        .gte('location_longitude', bbox.minLng)
+        .lte('location_longitude', bbox.maxLng);
+    }
+
+    const { column, ascending } = sort;
+    if (after) {
+      const beyond = ascending ? 'gt' : 'lt';
+      query = query.or(after.value === null || after.value === undefined
+        ? `and(${column}.is.null,id.${beyond}.${after.id})`
+        : `${column}.${beyond}.${after.value},and(${column}.eq.${after.value},id.${beyond}.${after.id}),${column}.is.null`);
+    }
+
+    query = query
+      .order(column, { ascending, nullsFirst: false })
+      .order('id', { ascending })
+      .limit(limit);
+
+    return this.unwrap(await query, 'search') || [];
+  }
+
+  /**
+   * Complaints with coordinates in id order, for ward assignment in batches
+   * @param {Object} options
+   * @param {boolean} options.unassignedOnly - Only complaints without a ward
+   * @param {string} options.afterId - Continue after this id
+   * @param {number} options.limit - Batch size
+   */
+  async listForWardAssignment({ unassignedOnly = true, afterId, limit }) {
+    let query = this.query()
+      .select('id, category, location_latitude, location_longitude, ward_id, assigned_department')
+      .not('location_latitude', 'is', null)
+      .not('location_longitude', 'is', null);
+
+    if (unassignedOnly) query = query.is('ward_id', null);
+    if (afterId) query = query.gt('id', afterId);
+
+    query = query.order('id', { ascending: true }).limit(limit);
+
+    return this.unwrap(await query, 'list') || [];
+  }
+
+  async findByIds(ids, columns = '*') {
+    if (!ids || ids.length === 0) return [];
+    return this.unwrap(await this.query().select(columns).in('id', ids), 'list') || [];
+  }
+
+  async updateStatus(id, status) {
+    return this.update(id, { status, updated_at: new Date().toISOString() });
+  }
+
+  async setVoteCount(id, voteCount) {
+    return this.update(id, { vote_count: Math.max(0, voteCount) });
+  }
+}
+
+module.exports = ComplaintRepository;
@@ -0,0 +1,30 @@
+const { BaseRepository } = require('./BaseRepository');
+
+/**
+ * Data access for the complaint_updates audit trail
+ */
+class ComplaintUpdateRepository extends BaseRepository {
+  constructor(client) {
+    super(client, 'complaint_updates');
+  }
+
+  async listForComplaint(complaintId, { ascending = true } = {}) {
+    return this.findAll({ filters: { complaint_id: complaintId }, ascending });
+  }
+
+  /**
+   * Record a status transition in the audit trail
+   */
+  async recordStatusChange({ complaintId, oldStatus, newStatus, notes, updatedBy }) {
+    return this.create({
+      complaint_id: complaintId,
+      updated_by_id: updatedBy || null,
+      old_status: oldStatus || null,
+      new_status: newStatus,
+      update_notes: notes || null,
+      created_at: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = ComplaintUpdateRepository;
@@ -0,0 +1,53 @@
+const { BaseRepository } = require('./BaseRepository');
+
+/**
+ * Data access for facility_cache, one row per geohash cell, facility type
+ * and radius (see services/FacilityCacheService.js)
+ */
+class FacilityCacheRepository extends BaseRepository {
+  constructor(client) {
+    super(client, 'facility_cache');
+  }
+
+  /**
+   * Cached entry for a key, or null when missing or expired
+   */
+  async findFresh(key) {
+    const result = await this.query()
+      .select('*')
+      .eq('id', key)
+      .gt('expires_at', new Date().toISOString())
+      .maybeSingle();
+    return this.unwrap(result, 'fetch');
+  }
+
+  async save({ key, geohash, facilityType, radius, facilities, source, expiresAt }) {
+    const result = await this.query()
+      .upsert([{
+        id: key,
+        geohash,
+        facility_type: facilityType,
+        radius,
+        facilities,
+        source,
+        expires_at: expiresAt,
+        created_at: new Date().toISOString()
+      }], { onConflict: 'id' })
+      .select();
+    return this.unwrap(result, 'save')[0];
+  }
+
+  /**
+   * Remove expired entries
+   * @returns {Promise<number>} Rows removed
+   */
+  async purgeExpired() {
+    const result = await this.query()
+      .delete()
+      .lte('expires_at', new Date().toISOString())
+      .select('id');
+    return (this.unwrap(result, 'purge') || []).length;
+  }
+}
+
+module.exports = FacilityCacheRepository;
@@ -0,0 +1,25 @@
+const { BaseRepository } = require('./BaseRepository');
+
+/**
+ * Data access for the complaint_feedback table
+ */
+class FeedbackRepository extends BaseRepository {
+  constructor(client) {
+    super(client, 'complaint_feedback');
+  }
+
+  async listRatings() {
+    return this.findAll({ columns: 'rating, created_at', orderBy: null });
+  }
+
+  async listRecentWithText(limit = 10) {
+    const result = await this.query()
+      .select('rating, feedback_text, improvement_suggestions, created_at')
+      .not('feedback_text', 'is', null)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+    return this.unwrap(result, 'list') || [];
+  }
+}
+
+module.exports = FeedbackRepository;
@@ -0,0 +1,83 @@
+const { BaseRepository } = require('./BaseRepository');
+
+/**
+ * Data access for the per-user notification log
+ */
+class NotificationRepository extends BaseRepository {
+  constructor(client) {
+    super(client, 'notifications');
+  }
+
+  async listForUser(userId, { unreadOnly = false, limit = 20, offset = 0 } = {}) {
+    let query = this.query()
+      .select('*', { count: 'exact' })
+      .eq('user_id', userId);
+
+    if (unreadOnly) {
+      query = query.is('read_at', null);
+    }
+
+    const result = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    return {
+      notifications: this.unwrap(result, 'list') || [],
+      total: result.count || 0
+    };
+  }
+
+  async countUnread(userId) {
+    const { count, error } = await this.query()
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId)
+      .is('read_at', null);
+    this.unwrap({ data: null, error }, 'count');
+    return count || 0;
+  }
+
+  /**
+   * Mark one of the user's notifications (or all of them) as read
+   */
+  async markRead(userId, id = null) {
+    let query = this.query()
+      .update({ read_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .is('read_at', null);
+
+    if (id) {
+      query = query.eq('id', id);
+    }
+
+    return this.unwrap(await query.select(), 'update') || [];
+  }
+}
+
+/**
+ * Data access for notification_preferences (one row per user)
+ */
+class NotificationPreferenceRepository extends BaseRepository {
+  constructor(client) {
+    super(client, 'notification_preferences');
+  }
+
+  async findByUserId(userId) {
+    const result = await this.query()
+      .select('*')
+      .eq('user_id', userId)
+      .maybeSingle();
+    return this.unwrap(result, 'fetch');
+  }
+
+  async upsertForUser(userId, changes) {
+    const result = await this.query()
+      .upsert([{ ...changes, user_id: userId, updated_at: new Date().toISOString() }], { onConflict: 'user_id' })
+      .select();
+    return this.unwrap(result, 'upsert')[0];
+  }
+}
+
+module.exports = {
+  NotificationRepository,
+  NotificationPreferenceRepository
+};
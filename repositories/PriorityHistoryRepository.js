@@ -0,0 +1,34 @@
+const { BaseRepository } = require('./BaseRepository');
+
+/**
+ * Data access for priority_history, one row per priority score change
+ */
+class PriorityHistoryRepository extends BaseRepository {
+  constructor(client) {
+    super(client, 'priority_history');
+  }
+
+  async listForComplaint(complaintId, { limit = 100 } = {}) {
+    return this.findAll({ filters: { complaint_id: complaintId }, ascending: true, limit });
+  }
+
+  /**
+   * Record a priority change
+   * @param {Object} entry
+   * @param {string} entry.reason - vote_change, profile_change, manual_rescore or sla_escalation
+   */
+  async record({ complaintId, oldScore, newScore, reason, voteCount, profileVersion, changedBy }) {
+    return this.create({
+      complaint_id: complaintId,
+      old_score: oldScore,
+      new_score: newScore,
+      reason,
+      vote_count: voteCount ?? null,
+      profile_version: profileVersion ?? null,
+      changed_by: changedBy || null,
+      created_at: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = PriorityHistoryRepository;
@@ -0,0 +1,42 @@
+const { BaseRepository } = require('./BaseRepository');
+
+/**
+ * Data access for versioned priority scoring profiles
+ */
+class ScoringProfileRepository extends BaseRepository {
+  constructor(client) {
+    super(client, 'scoring_profiles');
+  }
+
+  async findActive() {
+    const result = await this.query()
+      .select('*')
+      .eq('is_active', true)
+      .order('version', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    return this.unwrap(result, 'fetch');
+  }
+
+  async listAll() {
+    return this.findAll({ orderBy: 'version', ascending: false });
+  }
+
+  async getLatestVersion() {
+    const [latest] = await this.findAll({ columns: 'version', orderBy: 'version', ascending: false, limit: 1 });
+    return latest ? latest.version : 0;
+  }
+
+  /**
+   * Make one profile the active one; every other profile is deactivated
+   */
+  async activate(id) {
+    this.unwrap(
+      await this.query().update({ is_active: false }).eq('is_active', true).neq('id', id),
+      'update'
+    );
+    return this.update(id, { is_active: true, activated_at: new Date().toISOString() });
+  }
+}
+
+module.exports = ScoringProfileRepository;
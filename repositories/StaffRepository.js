@@ -0,0 +1,51 @@
+const { BaseRepository } = require('./BaseRepository');
+
+/**
+ * Data access for field officers and contractors.
+ * Both registries share a shape (department, specialization, service area,
+ * capacity, status) so one repository serves either table.
+ */
+class StaffRepository extends BaseRepository {
+  /**
+   * List registry entries with optional department/specialization/area filters
+   * @param {Object} options
+   * @param {string} options.department - Exact department match
+   * @param {string} options.specialization - Exact specialization match
+   * @param {string} options.serviceArea - Entries whose service_area contains this area
+   * @param {string} options.status - Registry status (active, inactive, on_leave)
+   */
+  async search({ department, specialization, serviceArea, status } = {}) {
+    let query = this.query().select('*');
+
+    if (department) query = query.eq('department', department);
+    if (specialization) query = query.eq('specialization', specialization);
+    if (status) query = query.eq('status', status);
+    if (serviceArea) query = query.contains('service_area', [serviceArea]);
+
+    query = query.order('name', { ascending: true });
+
+    return this.unwrap(await query, 'list') || [];
+  }
+
+  async update(id, changes) {
+    return super.update(id, { ...changes, updated_at: new Date().toISOString() });
+  }
+}
+
+class OfficerRepository extends StaffRepository {
+  constructor(client) {
+    super(client, 'officers');
+  }
+}
+
+class ContractorRepository extends StaffRepository {
+  constructor(client) {
+    super(client, 'contractors');
+  }
+}
+
+module.exports = {
+  StaffRepository,
+  OfficerRepository,
+  ContractorRepository
+};
@@ -0,0 +1,52 @@
+const { BaseRepository } = require('./BaseRepository');
+
+/**
+ * Data access for the users table
+ */
+class UserRepository extends BaseRepository {
+  constructor(client) {
+    super(client, 'users');
+  }
+
+  async findActiveById(id, columns = 'id, email, full_name, user_type, is_active') {
+    const result = await this.query()
+      .select(columns)
+      .eq('id', id)
+      .eq('is_active', true)
+      .single();
+    return this.unwrapSingle(result, 'fetch');
+  }
+
+  async findByEmail(email, columns = '*') {
+    const result = await this.query()
+      .select(columns)
+      .eq('email', email.toLowerCase())
+      .single();
+    return this.unwrapSingle(result, 'fetch');
+  }
+
+  async listByType(userType, options = {}) {
+    return this.findAll({ ...options, filters: { ...options.filters, user_type: userType } });
+  }
+
+  /**
+   * Active users holding any of the given roles, oldest account first
+   * @param {Array<string>} userTypes - user_type values to match
+   * @param {Object} options
+   * @param {string} options.department - Restrict to one department
+   */
+  async listActiveByTypes(userTypes, { department, columns = 'id, email, full_name, user_type, department' } = {}) {
+    let query = this.query()
+      .select(columns)
+      .in('user_type', userTypes)
+      .eq('is_active', true);
+
+    if (department) {
+      query = query.eq('department', department);
+    }
+
+    return this.unwrap(await query.order('created_at', { ascending: true }), 'list') || [];
+  }
+}
+
+module.exports = UserRepository;
@@ -0,0 +1,95 @@
+const { BaseRepository } = require('./BaseRepository');
+
+// PostgREST returns this code when an rpc function does not exist
+const MISSING_FUNCTION_CODE = 'PGRST202';
+
+/**
+ * Data access for the complaint_votes table
+ */
+class VoteRepository extends BaseRepository {
+  constructor(client) {
+    super(client, 'complaint_votes');
+  }
+
+  async findVote(complaintId, userId) {
+    const result = await this.query()
+      .select('*')
+      .eq('complaint_id', complaintId)
+      .eq('user_id', userId)
+      .maybeSingle();
+    return this.unwrap(result, 'fetch');
+  }
+
+  async listForComplaint(complaintId) {
+    return this.findAll({ filters: { complaint_id: complaintId } });
+  }
+
+  async listForUser(userId, complaintIds) {
+    let query = this.query().select('*').eq('user_id', userId);
+    if (complaintIds && complaintIds.length > 0) {
+      query = query.in('complaint_id', complaintIds);
+    }
+    return this.unwrap(await query, 'list') || [];
+  }
+
+  async listForGuestDevice(guestDeviceId, complaintIds) {
+    let query = this.query().select('*').eq('guest_device_id', guestDeviceId);
+    if (complaintIds && complaintIds.length > 0) {
+      query = query.in('complaint_id', complaintIds);
+    }
+    return this.unwrap(await query, 'list') || [];
+  }
+
+  /**
+   * Cast a vote through the cast_complaint_vote database function
+   * @returns {Promise<Object|null>} Function result, or null when the function is not installed
+   */
+  async castVoteRpc(params) {
+    const result = await this.client.rpc('cast_complaint_vote', params);
+    if (result.error && result.error.code === MISSING_FUNCTION_CODE) {
+      return null;
+    }
+    return this.unwrap(result, 'cast vote on');
+  }
+
+  async countForComplaint(complaintId, voteType) {
+    const filters = { complaint_id: complaintId };
+    if (voteType) filters.vote_type = voteType;
+    return this.count(filters);
+  }
+
+  /**
+   * A guest device's vote on a complaint
+   */
+  async findGuestVote(complaintId, guestDeviceId) {
+    const result = await this.query()
+      .select('*')
+      .eq('complaint_id', complaintId)
+      .eq('guest_device_id', guestDeviceId)
+      .maybeSingle();
+    return this.unwrap(result, 'fetch');
+  }
+
+  /**
+   * Guest votes cast since a point in time, oldest first
+   */
+  async listGuestVotesSince(since) {
+    const result = await this.query()
+      .select('id, complaint_id, vote_type, guest_device_id, device_fingerprint, ip_hash, created_at')
+      .not('guest_device_id', 'is', null)
+      .gte('created_at', since)
+      .order('created_at', { ascending: true });
+    return this.unwrap(result, 'list') || [];
+  }
+
+  async deleteVote(complaintId, userId) {
+    const result = await this.query()
+      .delete()
+      .eq('complaint_id', complaintId)
+      .eq('user_id', userId);
+    this.unwrap(result, 'delete');
+    return true;
+  }
+}
+
+module.exports = VoteRepository;
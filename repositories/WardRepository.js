@@ -0,0 +1,52 @@
+const { BaseRepository } = require('./BaseRepository');
+
+const SUMMARY_COLUMNS = 'id, name, zone, min_lat, max_lat, min_lng, max_lng, source, imported_at';
+
+/**
+ * Data access for ward boundaries (see services/BoundaryService.js)
+ */
+class WardRepository extends BaseRepository {
+  constructor(client) {
+    super(client, 'wards');
+  }
+
+  /**
+   * Every ward, ordered by id
+   * @param {Object} options - { withGeometry } to include polygons and source properties
+   */
+  async listAll({ withGeometry = false } = {}) {
+    const result = await this.query()
+      .select(withGeometry ? '*' : SUMMARY_COLUMNS)
+      .order('id', { ascending: true });
+    return this.unwrap(result, 'list') || [];
+  }
+
+  async saveMany(wards) {
+    if (wards.length === 0) return [];
+    const result = await this.query()
+      .upsert(wards, { onConflict: 'id' })
+      .select('id');
+    return this.unwrap(result, 'save') || [];
+  }
+}
+
+/**
+ * Data access for routing_rules: department overrides by category and ward or zone
+ */
+class RoutingRuleRepository extends BaseRepository {
+  constructor(client) {
+    super(client, 'routing_rules');
+  }
+
+  async listAll() {
+    const result = await this.query()
+      .select('*')
+      .order('created_at', { ascending: true });
+    return this.unwrap(result, 'list') || [];
+  }
+}
+
+module.exports = {
+  WardRepository,
+  RoutingRuleRepository
+};
@@ -0,0 +1,35 @@
+const { BaseRepository } = require('./BaseRepository');
+
+/**
+ * Data access for the complaint_workflow table (one row per complaint)
+ */
+class WorkflowRepository extends BaseRepository {
+  constructor(client) {
+    super(client, 'complaint_workflow');
+  }
+
+  async findByComplaintId(complaintId) {
+    const result = await this.query()
+      .select('*')
+      .eq('complaint_id', complaintId)
+      .maybeSingle();
+    return this.unwrap(result, 'fetch');
+  }
+
+  async listForComplaints(complaintIds) {
+    if (!complaintIds || complaintIds.length === 0) return [];
+    const result = await this.query().select('*').in('complaint_id', complaintIds);
+    return this.unwrap(result, 'list') || [];
+  }
+
+  async updateByComplaintId(complaintId, changes) {
+    const result = await this.query()
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('complaint_id', complaintId)
+      .select();
+    const rows = this.unwrap(result, 'update');
+    return rows && rows.length > 0 ? rows[0] : null;
+  }
+}
+
+module.exports = WorkflowRepository;
@@ -0,0 +1,71 @@
+const ComplaintRepository = require('./ComplaintRepository');
+const UserRepository = require('./UserRepository');
+const VoteRepository = require('./VoteRepository');
+const WorkflowRepository = require('./WorkflowRepository');
+const ComplaintUpdateRepository = require('./ComplaintUpdateRepository');
+const FeedbackRepository = require('./FeedbackRepository');
+const { OfficerRepository, ContractorRepository } = require('./StaffRepository');
+const { NotificationRepository, NotificationPreferenceRepository } = require('./NotificationRepository');
+const ScoringProfileRepository = require('./ScoringProfileRepository');
+const PriorityHistoryRepository = require('./PriorityHistoryRepository');
+const FacilityCacheRepository = require('./FacilityCacheRepository');
+const { WardRepository, RoutingRuleRepository } = require('./WardRepository');
+const { RepositoryError } = require('./BaseRepository');
+
+/**
+ * Build the full set of repositories on top of a data client
+ * @param {Object} client - Supabase or in-memory client
+ */
+function createRepositories(client) {
+  return {
+    complaints: new ComplaintRepository(client),
+    users: new UserRepository(client),
+    votes: new VoteRepository(client),
+    workflow: new WorkflowRepository(client),
+    updates: new ComplaintUpdateRepository(client),
+    feedback: new FeedbackRepository(client),
+    officers: new OfficerRepository(client),
+    contractors: new ContractorRepository(client),
+    notifications: new NotificationRepository(client),
+    notificationPreferences: new NotificationPreferenceRepository(client),
+    scoringProfiles: new ScoringProfileRepository(client),
+    priorityHistory: new PriorityHistoryRepository(client),
+    facilityCache: new FacilityCacheRepository(client),
+    wards: new WardRepository(client),
+    routingRules: new RoutingRuleRepository(client)
+  };
+}
+
+let defaultRepositories = null;
+
+/**
+ * Repositories bound to the client selected by DATA_BACKEND
+ */
+function getRepositories() {
+  if (!defaultRepositories) {
+    const { supabase } = require('../config/supabase');
+    defaultRepositories = createRepositories(supabase);
+  }
+  return defaultRepositories;
+}
+
+module.exports = {
+  createRepositories,
+  getRepositories,
+  RepositoryError,
+  ComplaintRepository,
+  UserRepository,
+  VoteRepository,
+  WorkflowRepository,
+  ComplaintUpdateRepository,
+  FeedbackRepository,
+  OfficerRepository,
+  ContractorRepository,
+  NotificationRepository,
+  NotificationPreferenceRepository,
+  ScoringProfileRepository,
+  PriorityHistoryRepository,
+  FacilityCacheRepository,
+  WardRepository,
+  RoutingRuleRepository
+};
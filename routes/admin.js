@@ -1,14 +1,18 @@
 const express = require('express');
 const router = express.Router();
+const { requirePermission, filterComplaintsByScope } = require('../middleware/auth');
 
 // Import admin complaint routes
 const adminComplaintsRouter = require('./adminComplaints');
 
+// Every admin route requires a staff role
+router.use(requirePermission('admin:access'));
+
 // Mount admin complaint routes
 router.use('/complaints', adminComplaintsRouter);
 
 // Admin dashboard route
-router.get('/dashboard', async (req, res) => {
+router.get('/dashboard', requirePermission('dashboard:view'), async (req, res) => {
   try {
     console.log('📊 Admin dashboard data requested');
     const supabase = req.app.get('supabase');
@@ -16,7 +20,7 @@ router.get('/dashboard', async (req, res) => {
     // Get complaint statistics
     const { data: complaints, error: complaintsError } = await supabase
       .from('complaints')
-      .select('id, status, priority_score, created_at, resolved_at, category');
+      .select('id, status, priority_score, created_at, resolved_at, category, assigned_department');
     
     // Get user statistics
     const { data: users, error: usersError } = await supabase
@@ -33,7 +37,7 @@ router.get('/dashboard', async (req, res) => {
     }
     
     // Calculate dashboard statistics
-    const complaintStats = calculateComplaintStatistics(complaints || []);
+    const complaintStats = calculateComplaintStatistics(filterComplaintsByScope(req.user, complaints));
     const userStats = calculateUserStatistics(users || []);
     
     res.json({
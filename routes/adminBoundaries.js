@@ -0,0 +1,168 @@
+const express = require('express');
+const router = express.Router();
+const BoundaryService = require('../services/BoundaryService');
+const { requirePermission } = require('../middleware/auth');
+
+const boundaryService = BoundaryService.getInstance();
+
+/**
+ * List imported wards
+ * GET /api/admin-enhanced/wards?geometry=true
+ */
+router.get('/wards', requirePermission('complaints:view'), async (req, res) => {
+  try {
+    const wards = await boundaryService.listWards({ withGeometry: req.query.geometry === 'true' });
+
+    res.json({
+      success: true,
+      data: wards,
+      zones: [...new Set(wards.map(ward => ward.zone).filter(Boolean))].sort()
+    });
+  } catch (error) {
+    console.error('Ward list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch wards'
+    });
+  }
+});
+
+/**
+ * Ward and department a complaint at this point would be routed to
+ * GET /api/admin-enhanced/wards/locate?lat=..&lng=..&category=..
+ */
+router.get('/wards/locate', requirePermission('complaints:view'), async (req, res) => {
+  try {
+    const latitude = parseFloat(req.query.lat);
+    const longitude = parseFloat(req.query.lng);
+
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+      return res.status(400).json({
+        success: false,
+        message: 'lat and lng are required'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await boundaryService.resolveJurisdiction({ latitude, longitude, category: req.query.category })
+    });
+  } catch (error) {
+    console.error('Ward locate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to locate ward'
+    });
+  }
+});
+
+/**
+ * Assign complaints to wards and departments
+ * POST /api/admin-enhanced/wards/assign
+ * Body: { all } - true re-evaluates complaints that already have a ward
+ */
+router.post('/wards/assign', requirePermission('routing:manage'), async (req, res) => {
+  try {
+    const result = await boundaryService.assignComplaints({ all: req.body?.all === true });
+
+    res.json({
+      success: true,
+      message: `Updated ${result.assigned} of ${result.scanned} complaint(s)`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Ward assignment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to assign complaints to wards'
+    });
+  }
+});
+
+/**
+ * List department routing rules
+ * GET /api/admin-enhanced/routing-rules
+ */
+router.get('/routing-rules', requirePermission('complaints:view'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await boundaryService.listRules()
+    });
+  } catch (error) {
+    console.error('Routing rule list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch routing rules'
+    });
+  }
+});
+
+/**
+ * Route a category (or every category) in a ward or zone to a department
+ * POST /api/admin-enhanced/routing-rules
+ * Body: { category, ward_id | zone, department, notes }
+ */
+router.post('/routing-rules', requirePermission('routing:manage'), async (req, res) => {
+  try {
+    const { rule, errors } = await boundaryService.createRule(req.body || {}, req.user.id);
+
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        message: errors[0],
+        errors
+      });
+    }
+
+    console.log(`🗺️ Routing rule added by ${req.user.email}: ${rule.category || 'any category'} in ${rule.ward_id ? `ward ${rule.ward_id}` : `zone ${rule.zone}`} → ${rule.department}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Routing rule created',
+      data: rule
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'A rule for this category and area already exists'
+      });
+    }
+    console.error('Routing rule create error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create routing rule'
+    });
+  }
+});
+
+/**
+ * Remove a routing rule
+ * DELETE /api/admin-enhanced/routing-rules/:ruleId
+ */
+router.delete('/routing-rules/:ruleId', requirePermission('routing:manage'), async (req, res) => {
+  try {
+    const deleted = await boundaryService.deleteRule(req.params.ruleId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Routing rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Routing rule removed'
+    });
+  } catch (error) {
+    console.error('Routing rule delete error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove routing rule'
+    });
+  }
+});
+
+module.exports = router;
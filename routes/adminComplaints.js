@@ -1,11 +1,17 @@
 const express = require('express');
 const router = express.Router();
+const { requirePermission, applyDepartmentScope, denyOutOfScope } = require('../middleware/auth');
+const NotificationService = require('../services/NotificationService');
+const ComplaintEventService = require('../services/ComplaintEventService');
+
+const notificationService = new NotificationService();
+const complaintEventService = ComplaintEventService.getInstance();
 
 /**
  * Update complaint status
  * PUT /api/admin/complaints/:id/status
  */
-router.put('/:id/status', async (req, res) => {
+router.put('/:id/status', requirePermission('complaints:update_status'), async (req, res) => {
   try {
     const { id } = req.params;
     const { status, notes, adminId } = req.body;
@@ -31,12 +37,28 @@ router.put('/:id/status', async (req, res) => {
     
     const supabase = req.app.get('supabase');
     
+    // Officers and department admins can only update their department's complaints
+    const { data: existing } = await supabase
+      .from('complaints')
+      .select('*')
+      .eq('id', id)
+      .single();
+    
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Complaint not found'
+      });
+    }
+    
+    if (denyOutOfScope(req, res, existing)) return;
+    
     // Update complaint status
     const updateData = {
       status,
       updated_at: new Date().toISOString(),
       resolution_notes: notes,
-      assigned_admin_id: adminId
+      assigned_admin_id: adminId || req.user.id
     };
     
     // If status is resolved, add resolved_at timestamp
@@ -68,6 +90,14 @@ router.put('/:id/status', async (req, res) => {
     
     console.log(`✅ Complaint ${id} status updated to ${status}`);
     
+    // Let the reporter know without holding up the response
+    notificationService.notifyStatusChange(data[0], {
+      oldStatus: existing.status,
+      newStatus: status,
+      notes
+    });
+    complaintEventService.publishStatusChanged(data[0], { oldStatus: existing.status, newStatus: status });
+    
     // Return updated complaint
     res.json({
       success: true,
@@ -89,7 +119,7 @@ router.put('/:id/status', async (req, res) => {
  * Get all complaints for admin dashboard
  * GET /api/admin/complaints
  */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('complaints:view'), async (req, res) => {
   try {
     console.log('📋 Admin fetching all complaints');
     
@@ -130,6 +160,9 @@ router.get('/', async (req, res) => {
       query = query.gte('created_at', daysAgo.toISOString());
     }
     
+    // Limit officers and department admins to their own department
+    query = applyDepartmentScope(query, req.user);
+    
     // Order by priority score (highest first) and created date (newest first)
     query = query.order('priority_score', { ascending: false }).order('created_at', { ascending: false });
     
@@ -229,7 +262,7 @@ function calculateComplaintStatistics(complaints) {
  * Get complaint details
  * GET /api/admin/complaints/:id
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('complaints:view'), async (req, res) => {
   try {
     const { id } = req.params;
     console.log(`📋 Admin fetching complaint details for ID: ${id}`);
@@ -257,6 +290,8 @@ router.get('/:id', async (req, res) => {
       });
     }
     
+    if (denyOutOfScope(req, res, data)) return;
+    
     console.log(`✅ Fetched details for complaint ${id}`);
     
     res.json({
@@ -1,5 +1,9 @@
 const express = require('express');
 const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
+
+// Every admin route requires a staff role
+router.use(requirePermission('admin:access'));
 
 // ============================================================================
 // ENHANCED ADMIN DASHBOARD ROUTES
@@ -1,5 +1,52 @@
 const express = require('express');
 const router = express.Router();
+const WorkflowEngine = require('../services/WorkflowEngine');
+const AssignmentService = require('../services/AssignmentService');
+const DuplicateDetectionService = require('../services/DuplicateDetectionService');
+const NotificationService = require('../services/NotificationService');
+const ComplaintEventService = require('../services/ComplaintEventService');
+const { getRepositories } = require('../repositories');
+const {
+  requirePermission,
+  filterComplaintsByScope,
+  applyDepartmentScope,
+  denyOutOfScope
+} = require('../middleware/auth');
+const { ROLES, resolveRole } = require('../config/permissions');
+const { DEPARTMENTS } = require('../config/departments');
+
+// Import officer/contractor registry routes
+const adminRegistryRouter = require('./adminRegistry');
+const adminSlaRouter = require('./adminSla');
+const adminScoringRouter = require('./adminScoring');
+const adminVotingRouter = require('./adminVoting');
+const adminBoundariesRouter = require('./adminBoundaries');
+const BoundaryService = require('../services/BoundaryService');
+
+const workflowEngine = new WorkflowEngine();
+const assignmentService = new AssignmentService({ workflowEngine });
+const duplicateDetectionService = new DuplicateDetectionService();
+const notificationService = new NotificationService();
+const complaintEventService = ComplaintEventService.getInstance();
+const boundaryService = BoundaryService.getInstance();
+
+// Every admin-enhanced route requires a staff role
+router.use(requirePermission('admin:access'));
+
+// Mount officer/contractor registry and workload routes
+router.use('/', adminRegistryRouter);
+
+// Mount SLA breach reporting routes
+router.use('/', adminSlaRouter);
+
+// Mount priority scoring profile routes
+router.use('/', adminScoringRouter);
+
+// Mount guest voting abuse reports
+router.use('/', adminVotingRouter);
+
+// Mount ward boundary and routing rule routes
+router.use('/', adminBoundariesRouter);
 
 // Test endpoint
 router.get('/test', (req, res) => {
@@ -11,14 +58,14 @@ router.get('/test', (req, res) => {
 });
 
 // Minimal working dashboard
-router.get('/dashboard/overview', async (req, res) => {
+router.get('/dashboard/overview', requirePermission('dashboard:view'), async (req, res) => {
   try {
     const supabase = req.app.get('supabase');
 
     // Get basic statistics
-    const { data: complaints, error: complaintsError } = await supabase
+    const { data: allComplaints, error: complaintsError } = await supabase
       .from('complaints')
-      .select('id, status, priority_score, category, created_at');
+      .select('*');
 
     if (complaintsError) {
       console.error('Dashboard complaints error:', complaintsError);
@@ -28,6 +75,10 @@ router.get('/dashboard/overview', async (req, res) => {
       });
     }
 
+    // Officers and department admins only see their own department
+    const complaints = filterComplaintsByScope(req.user, allComplaints)
+      .map(({ id, status, priority_score, category, created_at }) => ({ id, status, priority_score, category, created_at }));
+
     // Calculate basic stats - FIXED to include in_progress
     const totalComplaints = complaints?.length || 0;
     const resolvedComplaints = complaints?.filter(c => c.status === 'resolved').length || 0;
@@ -68,17 +119,17 @@ router.get('/dashboard/overview', async (req, res) => {
 });
 
 // Super minimal priority queue - FIXED with manual user lookup
-router.get('/complaints/priority-queue', async (req, res) => {
+router.get('/complaints/priority-queue', requirePermission('complaints:view'), async (req, res) => {
   try {
-    const { limit, page = 1, search, location, category, status } = req.query;
+    const { limit, page = 1, search, location, category, status, ward, zone } = req.query;
     const supabase = req.app.get('supabase');
 
-    console.log('🔍 Fetching complaints for priority queue with filters:', { search, location, category, status });
+    console.log('🔍 Fetching complaints for priority queue with filters:', { search, location, category, status, ward, zone });
 
     // First get ALL complaints without joins to avoid schema issues
     let complaintsQuery = supabase
       .from('complaints')
-      .select('id, title, description, category, status, priority_score, location_address, created_at, user_id');
+      .select('id, title, description, category, status, priority_score, location_address, ward_id, assigned_department, created_at, user_id');
 
     // Add search functionality
     if (search && search.trim()) {
@@ -99,6 +150,15 @@ router.get('/complaints/priority-queue', async (req, res) => {
       complaintsQuery = complaintsQuery.eq('status', status.trim());
     }
 
+    // Ward filter: comma-separated ward ids and/or zones
+    const wardIds = await boundaryService.resolveWardFilter({ ward, zone });
+    if (wardIds) {
+      complaintsQuery = complaintsQuery.in('ward_id', wardIds);
+    }
+
+    // Officers and department admins only see their own department
+    complaintsQuery = applyDepartmentScope(complaintsQuery, req.user);
+
     // Add ordering
     complaintsQuery = complaintsQuery
       .order('priority_score', { ascending: false })
@@ -181,7 +241,7 @@ router.get('/complaints/priority-queue', async (req, res) => {
 });
 
 // Citizens with ACTUAL complaint counts - FIXED with manual approach
-router.get('/citizens', async (req, res) => {
+router.get('/citizens', requirePermission('citizens:view'), async (req, res) => {
   try {
     const { limit, search, sort = 'recent' } = req.query;
     const supabase = req.app.get('supabase');
@@ -291,7 +351,7 @@ router.get('/citizens', async (req, res) => {
 });
 
 // NEW: Citizen Details with Complaints - Amazon-style tracking
-router.get('/citizens/:citizenId/details', async (req, res) => {
+router.get('/citizens/:citizenId/details', requirePermission('citizens:view'), async (req, res) => {
   try {
     const { citizenId } = req.params;
     const supabase = req.app.get('supabase');
@@ -314,7 +374,7 @@ router.get('/citizens/:citizenId/details', async (req, res) => {
     }
 
     // Get all complaints by this citizen
-    const { data: complaints, error: complaintsError } = await supabase
+    const { data: citizenComplaints, error: complaintsError } = await supabase
       .from('complaints')
       .select('*')
       .eq('user_id', citizenId)
@@ -328,6 +388,9 @@ router.get('/citizens/:citizenId/details', async (req, res) => {
       });
     }
 
+    // Department admins only see the citizen's complaints in their department
+    const complaints = filterComplaintsByScope(req.user, citizenComplaints);
+
     // Get workflow data for all complaints separately
     let workflowData = [];
     if (complaints && complaints.length > 0) {
@@ -346,68 +409,16 @@ router.get('/citizens/:citizenId/details', async (req, res) => {
       }
     }
 
-    // Transform complaints with Amazon-style tracking stages
+    // Transform complaints with Amazon-style tracking stages from each category's workflow
     const complaintsWithTracking = complaints?.map(complaint => {
       const workflow = workflowData.find(w => w.complaint_id === complaint.id);
-      
-      // Create Amazon-style tracking stages
-      const trackingStages = [
-        {
-          id: 1,
-          name: 'Complaint Submitted',
-          status: 'completed',
-          date: complaint.created_at,
-          description: 'Your complaint has been received and is being reviewed',
-          icon: '📝'
-        },
-        {
-          id: 2,
-          name: 'Initial Review',
-          status: workflow?.step_1_status === 'completed' ? 'completed' : 
-                 workflow?.step_1_status === 'in_progress' ? 'in_progress' : 'pending',
-          date: workflow?.step_1_timestamp,
-          description: 'Our team is reviewing your complaint for validity and priority',
-          icon: '🔍',
-          officer: workflow?.step_1_officer_id ? 'Assigned to officer' : null
-        },
-        {
-          id: 3,
-          name: 'Assessment & Planning',
-          status: workflow?.step_2_status === 'completed' ? 'completed' : 
-                 workflow?.step_2_status === 'in_progress' ? 'in_progress' : 'pending',
-          date: workflow?.step_2_timestamp,
-          description: 'Field assessment and resource planning in progress',
-          icon: '📋',
-          officer: workflow?.step_2_officer_id ? 'Officer assigned' : null,
-          estimatedCost: workflow?.step_2_estimated_cost
-        },
-        {
-          id: 4,
-          name: 'Work in Progress',
-          status: workflow?.step_3_status === 'completed' ? 'completed' : 
-                 workflow?.step_3_status === 'in_progress' ? 'in_progress' : 'pending',
-          date: workflow?.step_3_timestamp,
-          description: 'Resolution work is being carried out',
-          icon: '🔧',
-          contractor: workflow?.step_3_contractor_id ? 'Contractor assigned' : null,
-          startDate: workflow?.step_3_start_date
-        },
-        {
-          id: 5,
-          name: 'Completed',
-          status: complaint.status === 'resolved' ? 'completed' : 'pending',
-          date: workflow?.step_3_completion_date || (complaint.status === 'resolved' ? complaint.updated_at : null),
-          description: complaint.status === 'resolved' ? 'Issue has been resolved successfully' : 'Awaiting completion',
-          icon: complaint.status === 'resolved' ? '✅' : '⏳',
-          photos: workflow?.step_3_completion_photos
-        }
-      ];
+      const { trackingStages, currentStage, workflowKey } = workflowEngine.buildTrackingStages(complaint, workflow);
 
       return {
         ...complaint,
         trackingStages,
-        currentStage: trackingStages.findIndex(stage => stage.status === 'in_progress') + 1 || 
-                     (complaint.status === 'resolved' ? 5 : trackingStages.filter(stage => stage.status === 'completed').length + 1)
+        currentStage,
+        workflowKey
       };
     }) || [];
 
@@ -439,7 +450,7 @@ router.get('/citizens/:citizenId/details', async (req, res) => {
 });
 
 // NEW: Delete Citizen and All Associated Data
-router.delete('/citizens/:citizenId', async (req, res) => {
+router.delete('/citizens/:citizenId', requirePermission('citizens:delete'), async (req, res) => {
   try {
     const { citizenId } = req.params;
     const supabase = req.app.get('supabase');
@@ -523,7 +534,7 @@ router.delete('/citizens/:citizenId', async (req, res) => {
 });
 
 // Individual complaint details endpoint - USING REAL WORKFLOW DATA
-router.get('/complaints/:complaintId/details', async (req, res) => {
+router.get('/complaints/:complaintId/details', requirePermission('complaints:view'), async (req, res) => {
   try {
     const { complaintId } = req.params;
     const supabase = req.app.get('supabase');
@@ -545,85 +556,43 @@ router.get('/complaints/:complaintId/details', async (req, res) => {
       });
     }
 
+    if (denyOutOfScope(req, res, complaint)) return;
+
     // Get REAL workflow data from complaint_workflow table
-    const { data: workflow, error: workflowError } = await supabase
-      .from('complaint_workflow')
-      .select('*')
-      .eq('complaint_id', complaintId)
-      .single();
+    const workflowRepository = getRepositories().workflow;
+    let workflow;
 
-    if (workflowError) {
-      console.warn('Workflow not found, creating default:', workflowError.message);
-      
-      // Create workflow entry if it doesn't exist
-      const { data: newWorkflow, error: createError } = await supabase
-        .from('complaint_workflow')
-        .insert({
+    try {
+      workflow = await workflowRepository.findByComplaintId(complaintId);
+
+      if (!workflow) {
+        console.warn('Workflow not found, creating default for category:', complaint.category);
+        
+        // Create workflow entry from the category's workflow definition
+        workflow = await workflowRepository.create({
           complaint_id: complaintId,
-          current_step: 1,
-          step_1_status: 'pending',
-          step_2_status: 'pending',
-          step_3_status: 'pending'
-        })
-        .select()
-        .single();
-
-      if (createError) {
-        console.error('Failed to create workflow:', createError);
-        return res.status(500).json({
-          success: false,
-          message: 'Failed to initialize complaint workflow'
+          ...workflowEngine.createInitialState(complaint.category)
         });
       }
-      
-      // Use the newly created workflow
-      workflow = newWorkflow;
+    } catch (workflowError) {
+      console.error('Failed to load or create workflow:', workflowError);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to initialize complaint workflow'
+      });
     }
 
     // Transform workflow data into stages format for frontend
-    const realStages = [
-      {
-        id: 1,
-        stage_name: 'Initial Review',
-        stage_status: workflow.step_1_status,
-        stage_order: 1,
-        assigned_officer_id: workflow.step_1_officer_id,
-        assigned_contractor_id: null,
-        notes: workflow.step_1_notes || 'Initial complaint review and verification',
-        timestamp: workflow.step_1_timestamp
-      },
-      {
-        id: 2,
-        stage_name: 'Assessment',
-        stage_status: workflow.step_2_status,
-        stage_order: 2,
-        assigned_officer_id: workflow.step_2_officer_id,
-        assigned_contractor_id: workflow.step_2_contractor_id,
-        notes: workflow.step_2_notes || 'Field assessment and resource planning',
-        estimated_cost: workflow.step_2_estimated_cost,
-        timestamp: workflow.step_2_timestamp
-      },
-      {
-        id: 3,
-        stage_name: 'Resolution',
-        stage_status: workflow.step_3_status,
-        stage_order: 3,
-        assigned_officer_id: workflow.step_3_officer_id,
-        assigned_contractor_id: workflow.step_3_contractor_id,
-        notes: workflow.step_3_notes || 'Work execution and completion',
-        start_date: workflow.step_3_start_date,
-        completion_date: workflow.step_3_completion_date,
-        completion_photos: workflow.step_3_completion_photos,
-        timestamp: workflow.step_3_timestamp
-      }
-    ];
+    const definition = workflowEngine.getDefinitionForComplaint(complaint, workflow);
+    const realStages = workflowEngine.buildAdminStages(definition, workflow);
 
     const enhancedComplaint = {
       ...complaint,
       complaint_stages: realStages,
       workflow_data: workflow,
       current_step: workflow.current_step,
-      workflow_template: 'standard_civic_complaint'
+      workflow_template: definition.key,
+      workflow_name: definition.name
     };
 
     console.log('✅ Complaint details with REAL workflow loaded successfully');
@@ -642,172 +611,173 @@ router.get('/complaints/:complaintId/details', async (req, res) => {
   }
 });
 
-// Update individual complaint stage endpoint - USING REAL WORKFLOW TABLE
-router.put('/complaints/:complaintId/stage/:stageId', async (req, res) => {
+/**
+ * Apply a stage change through the workflow engine and roll it up to the complaint
+ * @returns {Object} { updatedWorkflow, newComplaintStatus }
+ */
+async function applyStageChange({ complaint, workflow, definition, stageRef, status, payload }) {
+  const repositories = getRepositories();
+  const update = workflowEngine.buildStageUpdate(definition, workflow, stageRef, status, payload);
+  const updatedWorkflow = await repositories.workflow.updateByComplaintId(complaint.id, update);
+
+  // Update overall complaint status based on the workflow's rollup rules
+  let newComplaintStatus = workflowEngine.computeComplaintStatus(definition, updatedWorkflow);
+  if (newComplaintStatus === complaint.status) {
+    newComplaintStatus = null;
+  }
+
+  if (newComplaintStatus) {
+    try {
+      await repositories.complaints.updateStatus(complaint.id, newComplaintStatus);
+    } catch (complaintUpdateError) {
+      console.warn('Failed to update complaint status:', complaintUpdateError.message);
+    }
+  }
+
+  // Log the update
+  try {
+    await repositories.updates.recordStatusChange({
+      complaintId: complaint.id,
+      updatedBy: payload.updatedBy,
+      oldStatus: workflowEngine.readStage(stageRef.stage, workflow).status,
+      newStatus: status,
+      notes: `${stageRef.stage.name}: ${payload.notes || 'Status updated'}`
+    });
+  } catch (logError) {
+    console.warn('Failed to log update:', logError.message);
+  }
+
+  // Tell the reporter - a status change supersedes the stage update it came from
+  if (newComplaintStatus) {
+    notificationService.notifyStatusChange(complaint, {
+      oldStatus: complaint.status,
+      newStatus: newComplaintStatus,
+      notes: payload.notes
+    });
+    complaintEventService.publishStatusChanged(complaint, { oldStatus: complaint.status, newStatus: newComplaintStatus });
+  } else {
+    notificationService.notifyStageUpdate(complaint, {
+      stageName: stageRef.stage.name,
+      stageStatus: status,
+      notes: payload.notes
+    });
+  }
+
+  return { updatedWorkflow, newComplaintStatus };
+}
+
+/**
+ * Load a complaint with its workflow row and definition
+ */
+async function loadComplaintWorkflow(complaintId) {
+  const repositories = getRepositories();
+  const complaint = await repositories.complaints.findById(complaintId);
+  if (!complaint) return { complaint: null };
+
+  const workflow = await repositories.workflow.findByComplaintId(complaintId);
+  if (!workflow) return { complaint, workflow: null };
+
+  return {
+    complaint,
+    workflow,
+    definition: workflowEngine.getDefinitionForComplaint(complaint, workflow)
+  };
+}
+
+// List workflow definitions and which categories use them
+router.get('/workflows', requirePermission('workflows:view'), (req, res) => {
+  res.json({
+    success: true,
+    data: workflowEngine.listDefinitions()
+  });
+});
+
+// Update individual complaint stage endpoint - driven by the category's workflow definition
+router.put('/complaints/:complaintId/stage/:stageId', requirePermission('complaints:manage_workflow'), async (req, res) => {
   try {
     const { complaintId, stageId } = req.params;
-    const { status, stage_status, notes, assigned_officer_id, assigned_contractor_id, estimated_cost } = req.body;
-    const supabase = req.app.get('supabase');
+    const { status, stage_status, notes } = req.body;
 
     // Frontend sends stage_status, so use that if status is not provided
     const actualStatus = status || stage_status;
 
-    console.log('🔄 Updating REAL workflow stage:', { 
+    console.log('🔄 Updating workflow stage:', { 
       complaintId, 
       stageId, 
       status: actualStatus,
       notes,
-      assigned_officer_id,
-      assigned_contractor_id,
       rawBody: req.body
     });
 
-    // Validate stage ID and status
-    if (!['1', '2', '3'].includes(stageId)) {
-      return res.status(400).json({
+    const { complaint, workflow, definition } = await loadComplaintWorkflow(complaintId);
+
+    if (!complaint || !workflow) {
+      return res.status(404).json({
         success: false,
-        message: 'Invalid stage ID. Must be 1, 2, or 3'
+        message: complaint ? 'Complaint workflow not found' : 'Complaint not found'
       });
     }
 
-    if (!actualStatus || !['pending', 'in_progress', 'completed', 'cancelled'].includes(actualStatus)) {
+    if (denyOutOfScope(req, res, complaint)) return;
+
+    // Validate stage ID against the workflow definition
+    const stageRef = workflowEngine.resolveStage(definition, stageId);
+    if (!stageRef) {
       return res.status(400).json({
         success: false,
-        message: `Invalid status: "${actualStatus}". Must be pending, in_progress, completed, or cancelled`
+        message: `Invalid stage ID. ${definition.name} has stages 1-${definition.stages.length} (${definition.stages.map(stage => stage.key).join(', ')})`
       });
     }
 
-    // Get current workflow
-    const { data: workflow, error: workflowError } = await supabase
-      .from('complaint_workflow')
-      .select('*')
-      .eq('complaint_id', complaintId)
-      .single();
+    const payload = { ...req.body, notes, updatedBy: req.user?.id };
+    const validationErrors = workflowEngine.validateStageUpdate(definition, workflow, stageRef, actualStatus, payload);
 
-    if (workflowError) {
-      return res.status(404).json({
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
         success: false,
-        message: 'Complaint workflow not found'
+        message: validationErrors[0],
+        errors: validationErrors
       });
     }
 
-    // Prepare update object based on stage
-    const updateData = {
-      updated_at: new Date().toISOString()
-    };
-
-    const stageName = ['', 'Initial Review', 'Assessment', 'Resolution'][parseInt(stageId)];
-
-    if (stageId === '1') {
-      updateData.step_1_status = actualStatus;
-      updateData.step_1_notes = notes;
-      // Skip officer assignment for now to avoid UUID issues
-      updateData.step_1_officer_id = null;
-      updateData.step_1_timestamp = new Date().toISOString();
-    } else if (stageId === '2') {
-      updateData.step_2_status = actualStatus;
-      updateData.step_2_notes = notes;
-      // Skip officer assignment for now to avoid UUID issues
-      updateData.step_2_officer_id = null;
-      updateData.step_2_estimated_cost = estimated_cost;
-      updateData.step_2_timestamp = new Date().toISOString();
-    } else if (stageId === '3') {
-      updateData.step_3_status = actualStatus;
-      updateData.step_3_notes = notes;
-      // Skip contractor assignment for now to avoid UUID issues
-      updateData.step_3_contractor_id = null;
-      updateData.step_3_timestamp = new Date().toISOString();
-      
-      if (actualStatus === 'completed') {
-        updateData.step_3_completion_date = new Date().toISOString();
-      }
-    }
-
-    // Update workflow in database
-    const { data: updatedWorkflow, error: updateError } = await supabase
-      .from('complaint_workflow')
-      .update(updateData)
-      .eq('complaint_id', complaintId)
-      .select()
-      .single();
-
-    if (updateError) {
-      console.error('Workflow update error:', updateError);
-      return res.status(400).json({
+    // Assignments must reference active registry entries with spare capacity
+    const assignmentCheck = await assignmentService.validateStageAssignments(stageRef.stage, payload, complaintId);
+    if (!assignmentCheck.valid) {
+      return res.status(assignmentCheck.status).json({
         success: false,
-        message: updateError.message
+        message: assignmentCheck.message,
+        code: assignmentCheck.code
       });
     }
 
-    // Update overall complaint status based on workflow progress
-    let newComplaintStatus = null;
-    
-    // Get the updated workflow to check all stages
-    const allStagesCompleted = (
-      updatedWorkflow.step_1_status === 'completed' &&
-      updatedWorkflow.step_2_status === 'completed' &&
-      updatedWorkflow.step_3_status === 'completed'
-    );
-    
-    const anyStageInProgress = (
-      updatedWorkflow.step_1_status === 'in_progress' ||
-      updatedWorkflow.step_2_status === 'in_progress' ||
-      updatedWorkflow.step_3_status === 'in_progress'
-    );
-
-    if (allStagesCompleted) {
-      newComplaintStatus = 'resolved';
-    } else if (anyStageInProgress) {
-      newComplaintStatus = 'in_progress';
-    } else if (actualStatus === 'cancelled') {
-      newComplaintStatus = 'cancelled';
-    }
-
-    // Update complaint status if needed
-    if (newComplaintStatus) {
-      const { error: complaintUpdateError } = await supabase
-        .from('complaints')
-        .update({ 
-          status: newComplaintStatus,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', complaintId);
-
-      if (complaintUpdateError) {
-        console.warn('Failed to update complaint status:', complaintUpdateError);
-      }
-    }
+    const { updatedWorkflow, newComplaintStatus } = await applyStageChange({
+      complaint,
+      workflow,
+      definition,
+      stageRef,
+      status: actualStatus,
+      payload
+    });
 
-    // Log the update
-    try {
-      await supabase
-        .from('complaint_updates')
-        .insert([{
-          complaint_id: complaintId,
-          updated_by_id: 'admin', // In real system, get from auth
-          old_status: workflow[`step_${stageId}_status`],
-          new_status: actualStatus,
-          update_notes: `${stageName}: ${notes || 'Status updated'}`,
-          created_at: new Date().toISOString()
-        }]);
-    } catch (logError) {
-      console.warn('Failed to log update:', logError.message);
-    }
+    console.log('✅ Workflow stage updated successfully');
 
-    console.log('✅ REAL workflow stage updated successfully');
+    const stageName = stageRef.stage.name;
+    const updatedStage = workflowEngine.readStage(stageRef.stage, updatedWorkflow);
 
     res.json({
       success: true,
       message: `${stageName} updated to ${actualStatus}`,
       data: {
-        stage_id: parseInt(stageId),
+        stage_id: stageRef.index + 1,
+        stage_key: stageRef.stage.key,
         stage_name: stageName,
         stage_status: actualStatus,
         complaint_status: newComplaintStatus || 'unchanged',
+        workflow_template: definition.key,
         workflow_data: updatedWorkflow,
         assignments: {
-          officer: assigned_officer_id ? `Officer ${assigned_officer_id} assigned` : null,
-          contractor: assigned_contractor_id ? `Contractor ${assigned_contractor_id} assigned` : null
+          officer: updatedStage.assigned_officer_id ? `Officer ${updatedStage.assigned_officer_id} assigned` : null,
+          contractor: updatedStage.assigned_contractor_id ? `Contractor ${updatedStage.assigned_contractor_id} assigned` : null
         },
         notes: notes
       }
@@ -822,40 +792,46 @@ router.put('/complaints/:complaintId/stage/:stageId', async (req, res) => {
   }
 });
 
-// Add next stage to complaint workflow
-router.post('/complaints/:complaintId/stage/next', async (req, res) => {
+// Start the next pending stage of the complaint's workflow
+router.post('/complaints/:complaintId/stage/next', requirePermission('complaints:manage_workflow'), async (req, res) => {
   try {
     const { complaintId } = req.params;
-    const supabase = req.app.get('supabase');
 
-    console.log('➕ Adding next stage to complaint:', complaintId);
+    console.log('➕ Starting next stage for complaint:', complaintId);
 
-    // For now, just move the complaint to the next status
-    const { data: complaint, error: fetchError } = await supabase
-      .from('complaints')
-      .select('status')
-      .eq('id', complaintId)
-      .single();
+    let { complaint, workflow, definition } = await loadComplaintWorkflow(complaintId);
 
-    if (fetchError || !complaint) {
+    if (!complaint) {
       return res.status(404).json({
         success: false,
         message: 'Complaint not found'
       });
     }
 
-    // PROPER stage progression logic - FIXED
-    let newStatus = complaint.status;
-    let message = '';
-    
-    if (complaint.status === 'pending') {
-      newStatus = 'in_progress';
-      message = 'Initial Review stage activated';
-    } else if (complaint.status === 'in_progress') {
-      // Don't auto-resolve - let individual stage updates handle this
-      message = 'Assessment stage can now be activated';
-      // Keep status as in_progress - don't auto-resolve everything
-    } else {
+    if (denyOutOfScope(req, res, complaint)) return;
+
+    if (!workflow) {
+      workflow = await getRepositories().workflow.create({
+        complaint_id: complaintId,
+        ...workflowEngine.createInitialState(complaint.category)
+      });
+      definition = workflowEngine.getDefinitionForComplaint(complaint, workflow);
+    }
+
+    const states = workflowEngine.getStageStates(definition, workflow);
+    const activeStage = states.find(state => state.status === 'in_progress');
+
+    if (activeStage) {
+      return res.json({
+        success: true,
+        message: `${activeStage.name} is still in progress`,
+        data: { complaint, stage: activeStage }
+      });
+    }
+
+    const next = workflowEngine.getNextStage(definition, workflow);
+
+    if (!next) {
       return res.json({
         success: true,
         message: 'Complaint is already at final stage',
@@ -863,52 +839,262 @@ router.post('/complaints/:complaintId/stage/next', async (req, res) => {
       });
     }
 
-    // Only update if status actually changes
-    if (newStatus !== complaint.status) {
-      const { data: updatedComplaint, error: updateError } = await supabase
-        .from('complaints')
-        .update({ 
-          status: newStatus,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', complaintId)
-        .select()
-        .single();
-
-      if (updateError) {
-        console.error('Update complaint error:', updateError);
+    const stageRef = { stage: next.stage, index: next.index };
+    const payload = { notes: req.body?.notes, updatedBy: req.user?.id };
+    const validationErrors = workflowEngine.validateStageUpdate(definition, workflow, stageRef, 'in_progress', payload);
+
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: validationErrors[0],
+        errors: validationErrors
+      });
+    }
+
+    const { updatedWorkflow, newComplaintStatus } = await applyStageChange({
+      complaint,
+      workflow,
+      definition,
+      stageRef,
+      status: 'in_progress',
+      payload
+    });
+
+    console.log('✅ Stage progressed successfully');
+
+    res.json({
+      success: true,
+      message: `${next.stage.name} stage activated`,
+      data: {
+        complaint: { ...complaint, status: newComplaintStatus || complaint.status },
+        stage_id: next.index + 1,
+        stage_key: next.stage.key,
+        workflow_data: updatedWorkflow
+      }
+    });
+
+  } catch (error) {
+    console.error('Add next stage endpoint error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add next stage'
+    });
+  }
+});
+
+// Candidate duplicates of an existing complaint
+router.get('/complaints/:complaintId/duplicates', requirePermission('complaints:view'), async (req, res) => {
+  try {
+    const { complaintId } = req.params;
+    const complaint = await getRepositories().complaints.findById(complaintId);
+
+    if (!complaint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Complaint not found'
+      });
+    }
+
+    if (denyOutOfScope(req, res, complaint)) return;
+
+    const { rule, candidates } = await duplicateDetectionService.findCandidates({
+      category: complaint.category,
+      latitude: complaint.location_latitude,
+      longitude: complaint.location_longitude,
+      title: complaint.title,
+      description: complaint.description,
+      excludeId: complaint.id
+    });
+
+    res.json({
+      success: true,
+      data: {
+        complaint_id: complaint.id,
+        rule,
+        candidates
+      }
+    });
+
+  } catch (error) {
+    console.error('Duplicate candidates endpoint error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to find duplicate complaints'
+    });
+  }
+});
+
+// Merge duplicate complaints into a canonical complaint
+router.post('/complaints/:complaintId/merge', requirePermission('complaints:merge'), async (req, res) => {
+  try {
+    const { complaintId } = req.params;
+    const { duplicateIds, notes } = req.body;
+    const repositories = getRepositories();
+
+    if (!Array.isArray(duplicateIds) || duplicateIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'duplicateIds must be a non-empty array of complaint IDs'
+      });
+    }
+
+    const uniqueDuplicateIds = [...new Set(duplicateIds)];
+
+    if (uniqueDuplicateIds.includes(complaintId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A complaint cannot be merged into itself'
+      });
+    }
+
+    const canonical = await repositories.complaints.findById(complaintId);
+    if (!canonical) {
+      return res.status(404).json({
+        success: false,
+        message: 'Complaint not found'
+      });
+    }
+
+    if (canonical.status === 'merged') {
+      return res.status(400).json({
+        success: false,
+        message: `Complaint is itself merged into ${canonical.merged_into_id}`
+      });
+    }
+
+    if (denyOutOfScope(req, res, canonical)) return;
+
+    const duplicates = [];
+    for (const duplicateId of uniqueDuplicateIds) {
+      const duplicate = await repositories.complaints.findById(duplicateId);
+
+      if (!duplicate) {
+        return res.status(404).json({
+          success: false,
+          message: `Duplicate complaint ${duplicateId} not found`
+        });
+      }
+
+      if (duplicate.status === 'merged') {
         return res.status(400).json({
           success: false,
-          message: updateError.message
+          message: `Complaint ${duplicateId} was already merged into ${duplicate.merged_into_id}`
         });
       }
 
-      console.log('✅ Stage progressed successfully');
+      if (duplicate.category !== canonical.category) {
+        return res.status(400).json({
+          success: false,
+          message: `Complaint ${duplicateId} is a ${duplicate.category} complaint, not ${canonical.category}`
+        });
+      }
 
-      res.json({
-        success: true,
-        message: message,
-        data: { complaint: updatedComplaint }
+      if (denyOutOfScope(req, res, duplicate)) return;
+      duplicates.push(duplicate);
+    }
+
+    console.log('🔗 Merging duplicates:', { canonical: complaintId, duplicates: uniqueDuplicateIds });
+
+    const result = await duplicateDetectionService.mergeComplaints(complaintId, uniqueDuplicateIds, {
+      mergedBy: req.user.id,
+      notes
+    });
+
+    console.log('✅ Duplicates merged successfully');
+
+    duplicates.forEach(duplicate => {
+      notificationService.notifyMerged(duplicate, canonical);
+      complaintEventService.publishStatusChanged(duplicate, { oldStatus: duplicate.status, newStatus: 'merged' });
+    });
+
+    res.json({
+      success: true,
+      message: `Merged ${uniqueDuplicateIds.length} complaint(s) into ${complaintId}`,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Merge complaints endpoint error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to merge complaints'
+    });
+  }
+});
+
+// Assign a staff role (and department) to a user - super admins only
+router.put('/users/:userId/role', requirePermission('users:manage_roles'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role, department } = req.body;
+
+    if (!Object.values(ROLES).includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid role. Must be one of: ${Object.values(ROLES).join(', ')}`
       });
-    } else {
-      res.json({
-        success: true,
-        message: message,
-        data: { complaint }
+    }
+
+    const needsDepartment = [ROLES.OFFICER, ROLES.DEPARTMENT_ADMIN].includes(role);
+    if (needsDepartment && !department) {
+      return res.status(400).json({
+        success: false,
+        message: `A department is required for the ${role} role`
+      });
+    }
+
+    if (needsDepartment && !DEPARTMENTS.includes(department)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid department. Must be one of: ${DEPARTMENTS.join(', ')}`
+      });
+    }
+
+    if (userId === req.user.id && role !== ROLES.SUPER_ADMIN) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot remove your own super admin role'
+      });
+    }
+
+    const user = await getRepositories().users.update(userId, {
+      user_type: role,
+      department: needsDepartment ? department : null,
+      updated_at: new Date().toISOString()
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
       });
     }
 
+    console.log(`🔑 ${req.user.email} set role of ${user.email} to ${role}${needsDepartment ? ` (${department})` : ''}`);
+
+    res.json({
+      success: true,
+      message: `Role updated to ${role}`,
+      data: {
+        id: user.id,
+        email: user.email,
+        full_name: user.full_name,
+        role: resolveRole(user.user_type),
+        department: user.department || null
+      }
+    });
+
   } catch (error) {
-    console.error('Add next stage endpoint error:', error);
+    console.error('Update role endpoint error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to add next stage'
+      message: 'Failed to update user role'
     });
   }
 });
 
 // MISSING ENDPOINT: Update complaint status (for reject/resolve) - ADDED
-router.put('/complaints/:complaintId/status', async (req, res) => {
+router.put('/complaints/:complaintId/status', requirePermission('complaints:update_status'), async (req, res) => {
   try {
     const { complaintId } = req.params;
     const { status } = req.body;
@@ -916,6 +1102,17 @@ router.put('/complaints/:complaintId/status', async (req, res) => {
 
     console.log('🔄 Updating complaint status:', { complaintId, status });
 
+    const existing = await getRepositories().complaints.findById(complaintId);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Complaint not found'
+      });
+    }
+
+    if (denyOutOfScope(req, res, existing)) return;
+
     // Update complaint status
     const { data: updatedComplaint, error } = await supabase
       .from('complaints')
@@ -941,10 +1138,10 @@ router.put('/complaints/:complaintId/status', async (req, res) => {
       .insert({
         complaint_id: complaintId,
         update_type: 'status_change',
-        previous_value: 'unknown',
+        previous_value: existing.status || 'unknown',
         new_value: status,
         notes: `Status changed to ${status}`,
-        updated_by: 'admin',
+        updated_by: req.user.id,
         created_at: new Date().toISOString()
       });
 
@@ -952,6 +1149,13 @@ router.put('/complaints/:complaintId/status', async (req, res) => {
       console.warn('Failed to log status change:', logError);
     }
 
+    notificationService.notifyStatusChange(updatedComplaint, {
+      oldStatus: existing.status,
+      newStatus: status,
+      notes: req.body.notes
+    });
+    complaintEventService.publishStatusChanged(updatedComplaint, { oldStatus: existing.status, newStatus: status });
+
     res.json({
       success: true,
       message: `Complaint ${status} successfully`,
@@ -967,45 +1171,4 @@ router.put('/complaints/:complaintId/status', async (req, res) => {
   }
 });
 
-// Officers and Contractors routes - FIXED with proper UUIDs
-router.get('/officers', (req, res) => {
-  res.json({
-    success: true,
-    data: [
-      { 
-        id: 'f8a5bae5-a458-407f-9209-c29209f9d024', 
-        name: 'John Smith', 
-        department: 'Public Works', 
-        status: 'active' 
-      },
-      { 
-        id: 'e7b4c9d6-b347-406e-8108-b18108e8c023', 
-        name: 'Sarah Johnson', 
-        department: 'Infrastructure', 
-        status: 'active' 
-      }
-    ]
-  });
-});
-
-router.get('/contractors', (req, res) => {
-  res.json({
-    success: true,
-    data: [
-      { 
-        id: 'd6c3b8a5-c246-405d-7017-a07017d7b022', 
-        name: 'ABC Construction Ltd', 
-        specialization: 'Road Repair', 
-        status: 'active' 
-      },
-      { 
-        id: 'c5b2a794-b135-404c-6016-906016c6a021', 
-        name: 'Quick Fix Services', 
-        specialization: 'Streetlight Maintenance', 
-        status: 'active' 
-      }
-    ]
-  });
-});
-
 module.exports = router;
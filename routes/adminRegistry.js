@@ -0,0 +1,271 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { getRepositories } = require('../repositories');
+const AssignmentService = require('../services/AssignmentService');
+const { requirePermission, getDepartmentScope, sendAuthError } = require('../middleware/auth');
+
+const assignmentService = new AssignmentService();
+
+const REGISTRY_STATUSES = ['active', 'inactive', 'on_leave'];
+
+// Validation middleware shared by officer and contractor create/update
+const validateStaff = [
+  body('name').optional().trim().isLength({ min: 2 }),
+  body('email').optional({ nullable: true }).isEmail().normalizeEmail(),
+  body('phone').optional({ nullable: true }).isString(),
+  body('department').optional({ nullable: true }).isString().trim(),
+  body('specialization').optional({ nullable: true }).isString().trim(),
+  body('service_area').optional().isArray(),
+  body('capacity').optional().isInt({ min: 1 }).toInt(),
+  body('status').optional().isIn(REGISTRY_STATUSES)
+];
+
+const STAFF_FIELDS = ['name', 'email', 'phone', 'department', 'specialization', 'service_area', 'capacity', 'status'];
+const EXTRA_FIELDS = {
+  officers: ['user_id'],
+  contractors: ['contact_name']
+};
+
+/**
+ * Department admins may only manage entries in their own department
+ * @returns {boolean} true when a 403 was sent
+ */
+function denyOtherDepartment(req, res, department) {
+  const scope = getDepartmentScope(req.user);
+  if (scope === null || department === scope) return false;
+  sendAuthError(res, 403, 'DEPARTMENT_SCOPE', { department: department || null });
+  return true;
+}
+
+function pickStaffFields(table, source) {
+  const record = {};
+  [...STAFF_FIELDS, ...EXTRA_FIELDS[table]].forEach(field => {
+    if (source[field] !== undefined) record[field] = source[field];
+  });
+  return record;
+}
+
+/**
+ * Register CRUD routes for one registry table
+ * @param {string} table - 'officers' or 'contractors'
+ * @param {string} type - 'officer' or 'contractor'
+ * @param {Array<string>} requiredOnCreate - Fields that must be set when creating
+ */
+function registerStaffRoutes(table, type, requiredOnCreate) {
+  const label = type.charAt(0).toUpperCase() + type.slice(1);
+
+  // List registry entries
+  router.get(`/${table}`, requirePermission('registry:view'), async (req, res) => {
+    try {
+      const { department, specialization, service_area, status } = req.query;
+
+      const people = await getRepositories()[table].search({
+        department,
+        specialization,
+        serviceArea: service_area,
+        status
+      });
+
+      res.json({
+        success: true,
+        data: people
+      });
+    } catch (error) {
+      console.error(`${label} list error:`, error);
+      res.status(500).json({
+        success: false,
+        message: `Failed to fetch ${table}`
+      });
+    }
+  });
+
+  // Get one entry with its current workload
+  router.get(`/${table}/:id`, requirePermission('registry:view'), async (req, res) => {
+    try {
+      const person = await getRepositories()[table].findById(req.params.id);
+
+      if (!person) {
+        return res.status(404).json({
+          success: false,
+          message: `${label} not found`
+        });
+      }
+
+      const workload = await assignmentService.getWorkloadFor(type, person.id);
+
+      res.json({
+        success: true,
+        data: {
+          ...person,
+          openAssignments: workload.openAssignments,
+          assignments: workload.assignments
+        }
+      });
+    } catch (error) {
+      console.error(`${label} details error:`, error);
+      res.status(500).json({
+        success: false,
+        message: `Failed to fetch ${type}`
+      });
+    }
+  });
+
+  // Create an entry
+  router.post(`/${table}`, requirePermission('registry:manage'), validateStaff, async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const missing = requiredOnCreate.filter(field => !req.body[field]);
+      if (missing.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Missing required fields: ${missing.join(', ')}`
+        });
+      }
+
+      if (denyOtherDepartment(req, res, req.body.department)) return;
+
+      const person = await getRepositories()[table].create({
+        service_area: [],
+        status: 'active',
+        ...pickStaffFields(table, req.body),
+        updated_at: new Date().toISOString()
+      });
+
+      console.log(`✅ ${label} registered:`, person.id);
+
+      res.status(201).json({
+        success: true,
+        message: `${label} created successfully`,
+        data: person
+      });
+    } catch (error) {
+      console.error(`${label} create error:`, error);
+      res.status(500).json({
+        success: false,
+        message: `Failed to create ${type}`
+      });
+    }
+  });
+
+  // Update an entry
+  router.put(`/${table}/:id`, requirePermission('registry:manage'), validateStaff, async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const repository = getRepositories()[table];
+      const existing = await repository.findById(req.params.id);
+
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: `${label} not found`
+        });
+      }
+
+      if (denyOtherDepartment(req, res, existing.department)) return;
+      if (req.body.department !== undefined && denyOtherDepartment(req, res, req.body.department)) return;
+
+      const person = await repository.update(existing.id, pickStaffFields(table, req.body));
+
+      res.json({
+        success: true,
+        message: `${label} updated successfully`,
+        data: person
+      });
+    } catch (error) {
+      console.error(`${label} update error:`, error);
+      res.status(500).json({
+        success: false,
+        message: `Failed to update ${type}`
+      });
+    }
+  });
+
+  // Delete an entry - refused while it still holds open assignments
+  router.delete(`/${table}/:id`, requirePermission('registry:manage'), async (req, res) => {
+    try {
+      const repository = getRepositories()[table];
+      const person = await repository.findById(req.params.id);
+
+      if (!person) {
+        return res.status(404).json({
+          success: false,
+          message: `${label} not found`
+        });
+      }
+
+      if (denyOtherDepartment(req, res, person.department)) return;
+
+      const workload = await assignmentService.getWorkloadFor(type, person.id);
+      if (workload.openAssignments > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `${person.name} still has ${workload.openAssignments} open assignment(s). Reassign them or set status to inactive.`
+        });
+      }
+
+      await repository.delete(person.id);
+
+      res.json({
+        success: true,
+        message: `${label} deleted successfully`
+      });
+    } catch (error) {
+      console.error(`${label} delete error:`, error);
+      res.status(500).json({
+        success: false,
+        message: `Failed to delete ${type}`
+      });
+    }
+  });
+}
+
+registerStaffRoutes('officers', 'officer', ['name', 'department']);
+registerStaffRoutes('contractors', 'contractor', ['name', 'specialization']);
+
+// Open assignments per officer and contractor
+router.get('/workload', requirePermission('registry:view'), async (req, res) => {
+  try {
+    const { type, department } = req.query;
+
+    if (type && !['officer', 'contractor'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid type. Must be officer or contractor'
+      });
+    }
+
+    // Scoped users only see their own department's workload
+    const scope = getDepartmentScope(req.user);
+    const workload = await assignmentService.getWorkload({ type, department: scope === null ? department : scope });
+
+    res.json({
+      success: true,
+      data: workload
+    });
+  } catch (error) {
+    console.error('Workload endpoint error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch workload'
+    });
+  }
+});
+
+module.exports = router;
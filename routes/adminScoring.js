@@ -0,0 +1,197 @@
+const express = require('express');
+const router = express.Router();
+const PriorityScoringService = require('../services/PriorityScoringService');
+const { getRepositories } = require('../repositories');
+const { requirePermission, denyOutOfScope } = require('../middleware/auth');
+
+const priorityScoringService = new PriorityScoringService();
+
+/**
+ * Explain how a complaint's priority score was reached
+ * GET /api/admin-enhanced/complaints/:complaintId/priority-explanation
+ */
+router.get('/complaints/:complaintId/priority-explanation', requirePermission('complaints:view'), async (req, res) => {
+  try {
+    const complaint = await getRepositories().complaints.findById(req.params.complaintId);
+
+    if (!complaint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Complaint not found'
+      });
+    }
+
+    if (denyOutOfScope(req, res, complaint)) return;
+
+    res.json({
+      success: true,
+      data: await priorityScoringService.explain(complaint)
+    });
+  } catch (error) {
+    console.error('Priority explanation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to explain priority score'
+    });
+  }
+});
+
+/**
+ * How a complaint's priority score has moved over time (votes, profile changes, escalations)
+ * GET /api/admin-enhanced/complaints/:complaintId/priority-history
+ */
+router.get('/complaints/:complaintId/priority-history', requirePermission('complaints:view'), async (req, res) => {
+  try {
+    const complaint = await getRepositories().complaints.findById(req.params.complaintId);
+
+    if (!complaint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Complaint not found'
+      });
+    }
+
+    if (denyOutOfScope(req, res, complaint)) return;
+
+    const history = await priorityScoringService.getHistory(complaint.id);
+
+    res.json({
+      success: true,
+      data: {
+        complaintId: complaint.id,
+        currentScore: parseFloat(complaint.priority_score) || 0,
+        voteCount: complaint.vote_count || 0,
+        history
+      }
+    });
+  } catch (error) {
+    console.error('Priority history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch priority history'
+    });
+  }
+});
+
+/**
+ * List scoring profile versions
+ * GET /api/admin-enhanced/scoring/profiles
+ */
+router.get('/scoring/profiles', requirePermission('complaints:view'), async (req, res) => {
+  try {
+    const profiles = await priorityScoringService.listProfiles();
+    const active = await priorityScoringService.getActiveProfile();
+
+    res.json({
+      success: true,
+      data: profiles,
+      activeVersion: active.version
+    });
+  } catch (error) {
+    console.error('Scoring profile list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch scoring profiles'
+    });
+  }
+});
+
+/**
+ * Create a new scoring profile version (inactive until activated)
+ * POST /api/admin-enhanced/scoring/profiles
+ * Body: { name, weights: { infrastructure, image, emotion, votes }, status_multipliers, notes }
+ */
+router.post('/scoring/profiles', requirePermission('scoring:manage'), async (req, res) => {
+  try {
+    const { name, weights, status_multipliers, notes } = req.body;
+
+    const { profile, errors } = await priorityScoringService.createProfile({
+      name,
+      weights,
+      status_multipliers,
+      notes,
+      createdBy: req.user.id
+    });
+
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        message: errors[0],
+        errors
+      });
+    }
+
+    console.log(`📐 Scoring profile v${profile.version} created by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: `Scoring profile v${profile.version} created`,
+      data: profile
+    });
+  } catch (error) {
+    console.error('Scoring profile create error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create scoring profile'
+    });
+  }
+});
+
+/**
+ * Activate a scoring profile and re-score open complaints
+ * POST /api/admin-enhanced/scoring/profiles/:profileId/activate
+ * Body: { rescore } - pass false to activate without re-scoring
+ */
+router.post('/scoring/profiles/:profileId/activate', requirePermission('scoring:manage'), async (req, res) => {
+  try {
+    const result = await priorityScoringService.activateProfile(req.params.profileId, {
+      rescore: req.body?.rescore !== false,
+      changedBy: req.user.id
+    });
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scoring profile not found'
+      });
+    }
+
+    console.log(`📐 Scoring profile v${result.profile.version} activated by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: `Scoring profile v${result.profile.version} is now active`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Scoring profile activate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to activate scoring profile'
+    });
+  }
+});
+
+/**
+ * Re-score all open complaints with the active profile
+ * POST /api/admin-enhanced/scoring/rescore
+ */
+router.post('/scoring/rescore', requirePermission('scoring:manage'), async (req, res) => {
+  try {
+    const result = await priorityScoringService.rescoreOpenComplaints({ changedBy: req.user.id });
+
+    res.json({
+      success: true,
+      message: `Re-scored ${result.updated} of ${result.checked} open complaint(s)`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Re-score error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to re-score complaints'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,5 +1,9 @@
 const express = require('express');
 const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
+
+// Every admin route requires a staff role
+router.use(requirePermission('admin:access'));
 
 // Simplified admin routes that work with current database structure
 router.get('/dashboard/overview', async (req, res) => {
@@ -451,25 +455,7 @@ router.put('/complaints/:id/status', async (req, res) => {
   }
 });
 
-// Placeholder routes for officers and contractors
-router.get('/officers', (req, res) => {
-  res.json({
-    success: true,
-    data: [
-      { id: 1, name: 'John Smith', department: 'Public Works', status: 'active' },
-      { id: 2, name: 'Sarah Johnson', department: 'Infrastructure', status: 'active' }
-    ]
-  });
-});
-
-router.get('/contractors', (req, res) => {
-  res.json({
-    success: true,
-    data: [
-      { id: 1, name: 'ABC Construction Ltd', specialization: 'Road Repair', status: 'active' },
-      { id: 2, name: 'Quick Fix Services', specialization: 'Streetlight Maintenance', status: 'active' }
-    ]
-  });
-});
+// Officer/contractor registry and workload routes
+router.use('/', require('./adminRegistry'));
 
 module.exports = router;
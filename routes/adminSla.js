@@ -0,0 +1,88 @@
+const express = require('express');
+const router = express.Router();
+const SlaService = require('../services/SlaService');
+const { requirePermission, getDepartmentScope } = require('../middleware/auth');
+const { DEFAULT_POLICIES, CATEGORY_POLICIES, AT_RISK_RATIO, SCHEDULER } = require('../config/sla');
+
+const slaService = new SlaService();
+
+const REPORT_STATES = ['breached', 'at_risk'];
+
+/**
+ * Breached and at-risk complaints
+ * GET /api/admin-enhanced/sla/breaches?state=breached|at_risk&department=...
+ */
+router.get('/sla/breaches', requirePermission('complaints:view'), async (req, res) => {
+  try {
+    const { state, department } = req.query;
+
+    if (state && !REPORT_STATES.includes(state)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid state. Must be one of: ${REPORT_STATES.join(', ')}`
+      });
+    }
+
+    // Scoped users only see their own department's complaints
+    const scope = getDepartmentScope(req.user);
+    const report = await slaService.getReport({ state, department: scope === null ? department : scope });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('SLA report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch SLA report'
+    });
+  }
+});
+
+/**
+ * SLA targets per priority level and category overrides
+ * GET /api/admin-enhanced/sla/policies
+ */
+router.get('/sla/policies', requirePermission('complaints:view'), (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      defaults: DEFAULT_POLICIES,
+      categories: CATEGORY_POLICIES,
+      atRiskRatio: AT_RISK_RATIO,
+      checkIntervalMinutes: SCHEDULER.intervalMinutes
+    }
+  });
+});
+
+/**
+ * Run the breach check now instead of waiting for the scheduler
+ * POST /api/admin-enhanced/sla/check
+ */
+router.post('/sla/check', requirePermission('sla:run'), async (req, res) => {
+  try {
+    const result = await slaService.runCheck();
+
+    if (result.skipped) {
+      return res.status(409).json({
+        success: false,
+        message: result.reason
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Checked ${result.checked} open complaint(s), escalated ${result.escalations.length}`,
+      data: result
+    });
+  } catch (error) {
+    console.error('SLA check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run SLA check'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+const GuestVoteService = require('../services/GuestVoteService');
+const { requirePermission, getDepartmentScope } = require('../middleware/auth');
+
+const guestVoteService = new GuestVoteService();
+
+const parsePositiveInt = (value) => {
+  const parsed = parseInt(value);
+  return parsed > 0 ? parsed : undefined;
+};
+
+/**
+ * Complaints receiving suspicious bursts of guest votes
+ * GET /api/admin-enhanced/votes/suspicious?hours=72&windowMinutes=10&threshold=15&department=...
+ */
+router.get('/votes/suspicious', requirePermission('complaints:view'), async (req, res) => {
+  try {
+    const { hours, windowMinutes, threshold, department } = req.query;
+
+    // Scoped users only see their own department's complaints
+    const scope = getDepartmentScope(req.user);
+    const report = await guestVoteService.getSuspiciousBursts({
+      lookbackHours: parsePositiveInt(hours),
+      windowMinutes: parsePositiveInt(windowMinutes),
+      threshold: parsePositiveInt(threshold),
+      department: scope === null ? department : scope
+    });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Suspicious vote report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch suspicious voting report'
+    });
+  }
+});
+
+module.exports = router;
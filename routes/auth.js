@@ -35,6 +35,15 @@ router.post('/signup', validateSignup, async (req, res) => {
 
     const { email, password, fullName, phoneNumber, userType, address } = req.body;
 
+    // Staff roles are granted by a super admin; self-service admin signup is opt-in for bootstrapping
+    if (userType !== 'citizen' && process.env.ALLOW_ADMIN_SIGNUP !== 'true') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+        code: 'ADMIN_SIGNUP_DISABLED'
+      });
+    }
+
     // Check if user already exists
     const { data: existingUser } = await supabase
       .from('users')
@@ -2,6 +2,88 @@ const express = require('express');
 const router = express.Router();
 const { supabase } = require('../config/supabase');
 const { authenticateUser, authorizeUserType } = require('../middleware/auth');
+const { findComplaintsWithinDistance } = require('../utils/geoUtils');
+const VoteService = require('../services/VoteService');
+const { VOTE_ACTIONS } = require('../config/votes');
+
+const voteService = new VoteService();
+
+// Get nearby complaints
+router.get('/nearby', async (req, res) => {
+  try {
+    const { latitude, longitude, distance = 5000, limit = 20 } = req.query;
+    const userId = req.user?.id || null;
+
+    if (!latitude || !longitude) {
+      return res.status(400).json({
+        success: false,
+        message: 'Latitude and longitude are required'
+      });
+    }
+
+    let complaints = [];
+    
+    try {
+      complaints = await findComplaintsWithinDistance(supabase, {
+        latitude,
+        longitude,
+        distanceMeters: distance,
+        limit
+      });
+    } catch (locationError) {
+      console.error('Error getting nearby complaints:', locationError);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch nearby complaints',
+        error: locationError.message
+      });
+    }
+
+    // If there are no nearby complaints
+    if (complaints.length === 0) {
+      return res.status(200).json({
+        success: true,
+        complaints: []
+      });
+    }
+
+    // Get complaint IDs for vote queries
+    const complaintIds = complaints.map(c => c.id);
+    
+    // Vote counts and the caller's votes
+    const voteStatuses = await voteService.getVoteStatuses(complaintIds, userId ? { userId } : null);
+
+    // Add vote counts and user votes to complaints
+    const completeComplaints = complaints.map(complaint => ({
+      ...complaint,
+      vote_count: voteStatuses[complaint.id]?.voteCount || 0,
+      userVoted: !!voteStatuses[complaint.id]?.hasVoted,
+      distance: Math.round(complaint.distance) // Round to nearest meter
+    }));
+
+    // Sort by distance and vote count (prioritize those with more votes)
+    completeComplaints.sort((a, b) => {
+      // First prioritize by vote count (higher first)
+      if (b.vote_count !== a.vote_count) {
+        return b.vote_count - a.vote_count;
+      }
+      // Then by distance (closer first)
+      return a.distance - b.distance;
+    });
+
+    return res.status(200).json({
+      success: true,
+      complaints: completeComplaints
+    });
+  } catch (error) {
+    console.error('❌ Error in nearby complaints API:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
 
 // Get complaint by ID with detailed information
 router.get('/:id', async (req, res) => {
@@ -35,30 +117,9 @@ router.get('/:id', async (req, res) => {
       });
     }
 
-    // Check if current user has voted for this complaint
-    let userVoted = false;
-    if (userId) {
-      const { data: votes, error: votesError } = await supabase
-        .from('complaint_votes')
-        .select('*')
-        .eq('complaint_id', id)
-        .eq('user_id', userId)
-        .single();
-
-      if (!votesError && votes) {
-        userVoted = true;
-      }
-    }
-
-    // Get complaint vote count
-    const { data: voteCount, error: voteCountError } = await supabase
-      .from('complaint_votes')
-      .select('id', { count: 'exact' })
-      .eq('complaint_id', id);
-
-    if (voteCountError) {
-      console.error('Error fetching vote count:', voteCountError);
-    }
+    // Vote count and whether the current user has upvoted
+    const voteStatus = (await voteService.getVoteStatuses([id], userId ? { userId } : null))[id];
+    const userVoted = !!voteStatus?.hasVoted;
 
     // Get complaint updates
     const { data: updates, error: updatesError } = await supabase
@@ -74,57 +135,22 @@ router.get('/:id', async (req, res) => {
     // Get similar complaints nearby (within 500m)
     let similarComplaints = [];
     if (complaint.location_latitude && complaint.location_longitude) {
-      // Try using stored procedure first
       try {
-        const { data: nearby, error: nearbyError } = await supabase.rpc(
-          'find_complaints_within_distance',
-          {
-            origin_lat: complaint.location_latitude,
-            origin_lng: complaint.location_longitude,
-            distance_meters: 500,
-            max_results: 5,
-            exclude_id: id
-          }
-        );
-
-        if (!nearbyError && nearby) {
-          similarComplaints = nearby.map(item => ({
-            id: item.id,
-            title: item.title,
-            status: item.status,
-            image_urls: item.image_urls,
-            distance: Math.round(item.distance) // Round to nearest meter
-          }));
-        } else {
-          // Fallback to manual query if RPC fails
-          console.log('Falling back to manual nearby query');
-          const { data: manualNearby, error: manualError } = await supabase
-            .from('complaints')
-            .select('id, title, status, image_urls, location_latitude, location_longitude')
-            .neq('id', id)
-            .filter('location_latitude', 'not.is', null)
-            .filter('location_longitude', 'not.is', null)
-            .limit(5);
-            
-          if (!manualError && manualNearby) {
-            // Calculate distances manually
-            similarComplaints = manualNearby
-              .map(item => {
-                const distance = calculateDistance(
-                  complaint.location_latitude,
-                  complaint.location_longitude,
-                  item.location_latitude,
-                  item.location_longitude
-                );
-                return {
-                  ...item,
-                  distance: Math.round(distance * 1000) // Convert km to meters and round
-                };
-              })
-              .filter(item => item.distance <= 500) // Only include items within 500m
-              .sort((a, b) => a.distance - b.distance); // Sort by distance
-          }
-        }
+        const nearby = await findComplaintsWithinDistance(supabase, {
+          latitude: complaint.location_latitude,
+          longitude: complaint.location_longitude,
+          distanceMeters: 500,
+          limit: 5,
+          excludeId: id
+        });
+
+        similarComplaints = nearby.map(item => ({
+          id: item.id,
+          title: item.title,
+          status: item.status,
+          image_urls: item.image_urls,
+          distance: Math.round(item.distance) // Round to nearest meter
+        }));
       } catch (nearbyErr) {
         console.error('Error fetching nearby complaints:', nearbyErr);
       }
@@ -134,7 +160,7 @@ router.get('/:id', async (req, res) => {
     const completeComplaint = {
       ...complaint,
       userVoted,
-      vote_count: voteCount?.length || 0,
+      vote_count: voteStatus?.voteCount || 0,
       updates: updates || [],
       similarComplaints
     };
@@ -153,253 +179,48 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Vote on a complaint
+// Vote on a complaint (voteType: upvote, downvote or retract - same actions as POST /api/votes)
 router.post('/vote', authenticateUser, async (req, res) => {
   try {
     const { complaintId, voteType } = req.body;
-    const userId = req.user.id;
 
-    if (!complaintId || !voteType) {
-      return res.status(400).json({
+    if (!req.user) {
+      return res.status(401).json({
         success: false,
-        message: 'Complaint ID and vote type are required'
+        message: 'Authentication required to vote on complaints'
       });
     }
 
-    // Check if complaint exists
-    const { data: complaint, error: complaintError } = await supabase
-      .from('complaints')
-      .select('id')
-      .eq('id', complaintId)
-      .single();
-
-    if (complaintError || !complaint) {
-      return res.status(404).json({
+    if (!complaintId || !VOTE_ACTIONS.includes(voteType)) {
+      return res.status(400).json({
         success: false,
-        message: 'Complaint not found'
+        message: `Complaint ID and vote type (${VOTE_ACTIONS.join(', ')}) are required`
       });
     }
 
-    // Check if user has already voted
-    const { data: existingVote, error: voteError } = await supabase
-      .from('complaint_votes')
-      .select('id')
-      .eq('complaint_id', complaintId)
-      .eq('user_id', userId)
-      .single();
-
-    // Handle upvote (add vote) or downvote (change vote type)
-    if (voteType === 'upvote' && !existingVote) {
-      // Add new vote
-      const { data, error } = await supabase
-        .from('complaint_votes')
-        .insert({
-          complaint_id: complaintId,
-          user_id: userId,
-          vote_type: 'upvote', // Include vote_type to satisfy check constraint
-          vote_count: 1, // Include vote_count as required by the database schema
-          created_at: new Date().toISOString()
-        });
-
-      if (error) {
-        console.error('Error adding vote:', error);
-        return res.status(500).json({
-          success: false,
-          message: 'Failed to add vote',
-          error: error.message
-        });
-      }
-
-      return res.status(200).json({
-        success: true,
-        message: 'Vote added successfully'
-      });
-    } 
-    else if (voteType === 'downvote' && existingVote) {
-      // Update existing vote to downvote
-      const { error } = await supabase
-        .from('complaint_votes')
-        .update({ 
-          vote_count: 0,
-          vote_type: 'downvote' // Set to 'downvote' to match the check constraint
-        })
-        .eq('complaint_id', complaintId)
-        .eq('user_id', userId);
-
-      if (error) {
-        console.error('Error changing vote to downvote:', error);
-        return res.status(500).json({
-          success: false,
-          message: 'Failed to change vote to downvote',
-          error: error.message
-        });
-      }
-
-      return res.status(200).json({
-        success: true,
-        message: 'Vote changed to downvote successfully'
-      });
-    }
-    else {
-      // Vote already exists or doesn't exist as expected
-      return res.status(200).json({
-        success: true,
-        message: 'No change needed'
-      });
-    }
-  } catch (error) {
-    console.error('❌ Error in vote API:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Server error',
-      error: error.message
+    const result = await voteService.castVote({
+      complaintId,
+      voter: { userId: req.user.id },
+      action: voteType
     });
-  }
-});
-
-// Get nearby complaints
-router.get('/nearby', async (req, res) => {
-  try {
-    const { latitude, longitude, distance = 5000, limit = 20 } = req.query;
-    const userId = req.user?.id || null;
-
-    if (!latitude || !longitude) {
-      return res.status(400).json({
-        success: false,
-        message: 'Latitude and longitude are required'
-      });
-    }
 
-    let complaints = [];
-    
-    // Try RPC function first
-    try {
-      const { data: rpcResults, error: rpcError } = await supabase.rpc(
-        'find_complaints_within_distance',
-        {
-          origin_lat: parseFloat(latitude),
-          origin_lng: parseFloat(longitude),
-          distance_meters: parseFloat(distance),
-          max_results: parseInt(limit),
-          exclude_id: null
-        }
-      );
-
-      if (!rpcError && rpcResults) {
-        complaints = rpcResults;
-      } else {
-        // Fallback if RPC fails
-        console.log('RPC failed, using fallback query:', rpcError);
-        
-        // Get all complaints with coordinates
-        const { data: allComplaints, error: queryError } = await supabase
-          .from('complaints')
-          .select('*')
-          .filter('location_latitude', 'not.is', null)
-          .filter('location_longitude', 'not.is', null)
-          .limit(parseInt(limit) * 2); // Fetch more than needed to filter by distance
-
-        if (!queryError && allComplaints) {
-          // Calculate distance manually and filter
-          complaints = allComplaints
-            .map(complaint => {
-              const dist = calculateDistance(
-                parseFloat(latitude),
-                parseFloat(longitude),
-                complaint.location_latitude,
-                complaint.location_longitude
-              );
-              return {
-                ...complaint,
-                distance: dist * 1000 // Convert km to meters
-              };
-            })
-            .filter(complaint => complaint.distance <= parseFloat(distance))
-            .sort((a, b) => a.distance - b.distance)
-            .slice(0, parseInt(limit));
-        }
-      }
-    } catch (locationError) {
-      console.error('Error getting nearby complaints:', locationError);
-      return res.status(500).json({
+    if (result.status === 'not_found') {
+      return res.status(404).json({
         success: false,
-        message: 'Failed to fetch nearby complaints',
-        error: locationError.message
-      });
-    }
-
-    // If there are no nearby complaints
-    if (complaints.length === 0) {
-      return res.status(200).json({
-        success: true,
-        complaints: []
-      });
-    }
-
-    // Get complaint IDs for vote queries
-    const complaintIds = complaints.map(c => c.id);
-    
-    // Get vote counts
-    const { data: voteCounts, error: voteError } = await supabase
-      .from('complaint_votes')
-      .select('complaint_id, id')
-      .in('complaint_id', complaintIds);
-
-    if (voteError) {
-      console.error('Error fetching vote counts:', voteError);
-    }
-
-    // Check which complaints the user has voted for
-    let userVotes = [];
-    if (userId) {
-      const { data: votes, error: userVoteError } = await supabase
-        .from('complaint_votes')
-        .select('complaint_id')
-        .in('complaint_id', complaintIds)
-        .eq('user_id', userId);
-
-      if (!userVoteError) {
-        userVotes = votes.map(v => v.complaint_id);
-      } else {
-        console.error('Error fetching user votes:', userVoteError);
-      }
-    }
-
-    // Create a map of complaint_id to vote count
-    const voteCountMap = {};
-    if (voteCounts) {
-      voteCounts.forEach(vote => {
-        if (!voteCountMap[vote.complaint_id]) {
-          voteCountMap[vote.complaint_id] = 0;
-        }
-        voteCountMap[vote.complaint_id]++;
+        message: 'Complaint not found'
       });
     }
 
-    // Add vote counts and user votes to complaints
-    const completeComplaints = complaints.map(complaint => ({
-      ...complaint,
-      vote_count: voteCountMap[complaint.id] || 0,
-      userVoted: userVotes.includes(complaint.id),
-      distance: Math.round(complaint.distance) // Round to nearest meter
-    }));
-
-    // Sort by distance and vote count (prioritize those with more votes)
-    completeComplaints.sort((a, b) => {
-      // First prioritize by vote count (higher first)
-      if (b.vote_count !== a.vote_count) {
-        return b.vote_count - a.vote_count;
-      }
-      // Then by distance (closer first)
-      return a.distance - b.distance;
-    });
-
     return res.status(200).json({
       success: true,
-      complaints: completeComplaints
+      message: result.changed ? 'Vote recorded successfully' : 'No change needed',
+      data: {
+        voteType: result.voteType,
+        voteCount: result.voteCount
+      }
     });
   } catch (error) {
-    console.error('❌ Error in nearby complaints API:', error);
+    console.error('❌ Error in vote API:', error);
     return res.status(500).json({
       success: false,
       message: 'Server error',
@@ -408,24 +229,6 @@ router.get('/nearby', async (req, res) => {
   }
 });
 
-// Helper function to calculate distance between two points using Haversine formula
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371; // Radius of the earth in km
-  const dLat = deg2rad(lat2 - lat1);
-  const dLon = deg2rad(lon2 - lon1);
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(deg2rad(lat1)) * Math.cos(deg2rad(lat2)) * 
-    Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a)); 
-  const distance = R * c; // Distance in km
-  return distance;
-}
-
-function deg2rad(deg) {
-  return deg * (Math.PI/180);
-}
-
 // Get complaint progress and timeline for citizens
 router.get('/:id/progress', async (req, res) => {
   try {
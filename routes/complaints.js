@@ -2,9 +2,25 @@ const express = require('express');
 const router = express.Router();
 const { supabase } = require('../config/supabase');
 const LocationPriorityService = require('../services/LocationPriorityService');
+const WorkflowEngine = require('../services/WorkflowEngine');
+const DuplicateDetectionService = require('../services/DuplicateDetectionService');
+const PriorityScoringService = require('../services/PriorityScoringService');
+const VoteService = require('../services/VoteService');
+const ComplaintSearchService = require('../services/ComplaintSearchService');
+const BoundaryService = require('../services/BoundaryService');
+const ComplaintEventService = require('../services/ComplaintEventService');
+const { CHECK_MODE: DUPLICATE_CHECK_MODE } = require('../config/duplicates');
+const { getComplaintDepartment } = require('../config/departments');
 
 // Initialize services
 const locationPriorityService = new LocationPriorityService();
+const priorityScoringService = new PriorityScoringService();
+const workflowEngine = new WorkflowEngine();
+const duplicateDetectionService = new DuplicateDetectionService();
+const voteService = new VoteService({ priorityScoringService });
+const complaintSearchService = new ComplaintSearchService();
+const boundaryService = BoundaryService.getInstance();
+const complaintEventService = ComplaintEventService.getInstance();
 
 /**
  * Submit a new complaint with automatic location processing
@@ -42,9 +58,9 @@ async function checkComplaintsTableSchema() {
 async function filterComplaintDataForInsertion(complaintData, availableColumns) {
   const filteredData = {};
   
-  // Only include fields that exist in the database schema
+  // Only include fields that exist in the database schema (an empty table gives nothing to infer from)
   Object.keys(complaintData).forEach(key => {
-    if (availableColumns.includes(key)) {
+    if (availableColumns.length === 0 || availableColumns.includes(key)) {
       filteredData[key] = complaintData[key];
     }
   });
@@ -93,7 +109,8 @@ router.post('/submit', async (req, res) => {
       imageValidation,
       locationData,
       userId = 'anonymous',
-      userType = 'citizen'
+      userType = 'citizen',
+      confirmNotDuplicate = false
     } = req.body;
     
     // Input validation
@@ -105,6 +122,35 @@ router.post('/submit', async (req, res) => {
       });
     }
     
+    // Look for open complaints of the same category reported nearby recently
+    let duplicateCheck = { candidates: [] };
+    try {
+      duplicateCheck = await duplicateDetectionService.findCandidates({
+        category,
+        latitude: locationData.latitude,
+        longitude: locationData.longitude,
+        title,
+        description
+      });
+      
+      if (duplicateCheck.candidates.length > 0) {
+        console.log(`🔁 Found ${duplicateCheck.candidates.length} possible duplicate(s) within ${duplicateCheck.rule.radiusMeters}m`);
+      }
+    } catch (duplicateError) {
+      console.warn('⚠️ Duplicate check failed, continuing with submission:', duplicateError.message);
+    }
+    
+    if (duplicateCheck.candidates.length > 0 && DUPLICATE_CHECK_MODE === 'block' && !confirmNotDuplicate) {
+      return res.status(409).json({
+        success: false,
+        error: 'Similar complaints have already been reported nearby',
+        code: 'POSSIBLE_DUPLICATE',
+        possibleDuplicates: duplicateCheck.candidates,
+        duplicateRule: duplicateCheck.rule,
+        suggestion: 'Vote on an existing complaint, or resubmit with confirmNotDuplicate: true if this is a different issue.'
+      });
+    }
+    
     // Calculate comprehensive priority score
     const priorityAnalysis = await calculateComprehensivePriority({
       imageValidation,
@@ -243,6 +289,20 @@ router.post('/submit', async (req, res) => {
       console.log(`🔑 Using demo user_id: ${userUuid}`);
     }
     
+    // Ward and responsible department from the boundary routing rules
+    let jurisdiction;
+    try {
+      jurisdiction = await boundaryService.resolveJurisdiction({
+        latitude: locationData.latitude,
+        longitude: locationData.longitude,
+        category
+      });
+    } catch (jurisdictionError) {
+      console.warn('⚠️ Jurisdiction lookup failed, routing by category:', jurisdictionError.message);
+      jurisdiction = { ward: null, department: getComplaintDepartment({ category }) };
+    }
+    console.log(`🗺️ Routed to ${jurisdiction.department} (${jurisdiction.ward ? `ward ${jurisdiction.ward.id}` : 'outside known wards'})`);
+    
     // Create a base complaint object with essential fields
     const baseComplaint = {
       title: title.trim(),
@@ -272,6 +332,8 @@ router.post('/submit', async (req, res) => {
       // Scoring fields - adjust to match the database constraints
       // For numeric fields with precision 3, scale 2, values must be < 10^1 (i.e., < 10)
       priority_score: parseFloat((priorityAnalysis.totalScore).toFixed(2)),
+      priority_breakdown: priorityAnalysis.scoringBreakdown || null,
+      scoring_profile_version: priorityAnalysis.profileVersion || null,
       location_sensitivity_score: parseFloat((priorityAnalysis.locationScore).toFixed(2)),
       emotion_score: imageValidation?.confidence ? parseFloat((imageValidation.confidence).toFixed(2)) : 0.5,
       
@@ -285,7 +347,8 @@ router.post('/submit', async (req, res) => {
       
       // Status fields
       verification_status: imageValidation?.allowUpload ? 'verified' : 'unverified',
-      assigned_department: null,
+      ward_id: jurisdiction.ward?.id || null,
+      assigned_department: jurisdiction.department,
       assigned_admin_id: null,
       resolution_notes: null,
       resolved_at: null,
@@ -321,6 +384,9 @@ router.post('/submit', async (req, res) => {
       if (complaint && complaint[0] && complaint[0].id) {
         const complaintId = complaint[0].id;
         
+        // Live map, admin queue and tracking screens pick it up straight away
+        complaintEventService.publishCreated(complaint[0]);
+        
         // 1. Add entry to complaint_updates table
         const { data: updateData, error: updateError } = await supabase
           .from('complaint_updates')
@@ -340,30 +406,11 @@ router.post('/submit', async (req, res) => {
         }
         
         
-        // 2. Add entry to complaint_votes table (creator's vote)
+        // 2. The creator's upvote, counted through the vote service like any other vote
         try {
-          // Use a simpler approach - just delete existing votes first if any
-          await supabase
-            .from('complaint_votes')
-            .delete()
-            .eq('complaint_id', complaintId)
-            .eq('user_id', userUuid);
-            
-          // Then insert a fresh upvote
           console.log('Adding initial upvote for complaint creator');
-          const { data: voteData, error: voteError } = await supabase
-            .from('complaint_votes')
-            .insert([{
-              complaint_id: complaintId,
-              user_id: userUuid,
-              vote_type: 'upvote'
-            }]);
-          
-          if (voteError) {
-            console.error('❌ Error creating complaint vote entry:', voteError);
-          } else {
-            console.log('✅ Added initial complaint vote entry');
-          }
+          await voteService.castVote({ complaintId, voter: { userId: userUuid }, action: 'upvote' });
+          console.log('✅ Added initial complaint vote entry');
         } catch (voteErr) {
           console.error('❌ Exception in complaint vote creation:', voteErr);
         }
@@ -410,9 +457,12 @@ router.post('/submit', async (req, res) => {
       location: {
         privacyLevel: locationData.privacyLevel,
         accuracy: locationData.accuracy ? `±${locationData.accuracy}m` : 'Unknown',
-        description: locationData.description
+        description: locationData.description,
+        ward: jurisdiction.ward
       },
+      department: jurisdiction.department,
       nextSteps: generateNextSteps(priorityAnalysis.priorityLevel, category),
+      possibleDuplicates: duplicateCheck.candidates
     };
     
     res.json(response);
@@ -428,6 +478,47 @@ router.post('/submit', async (req, res) => {
   }
 });
 
+/**
+ * Check for possible duplicates before submitting a complaint
+ * POST /api/complaints/check-duplicates
+ * Body: { category, title, description, locationData: { latitude, longitude } }
+ */
+router.post('/check-duplicates', async (req, res) => {
+  try {
+    const { category, title, description, locationData } = req.body;
+    
+    if (!category || locationData?.latitude == null || locationData?.longitude == null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Category and location are required',
+        code: 'MISSING_REQUIRED_FIELDS'
+      });
+    }
+    
+    const { rule, candidates } = await duplicateDetectionService.findCandidates({
+      category,
+      latitude: locationData.latitude,
+      longitude: locationData.longitude,
+      title,
+      description
+    });
+    
+    res.json({
+      success: true,
+      hasDuplicates: candidates.length > 0,
+      possibleDuplicates: candidates,
+      duplicateRule: rule
+    });
+  } catch (error) {
+    console.error('❌ Duplicate check error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check for duplicates',
+      details: error.message
+    });
+  }
+});
+
 /**
  * Calculate comprehensive priority score combining image and location analysis
  */
@@ -441,6 +532,9 @@ async function calculateComprehensivePriority({ imageValidation, locationData, c
     // Check if we have all necessary data
     if (locationData && locationData.latitude && locationData.longitude) {
       try {
+        // Weights come from the active scoring profile
+        const scoringProfile = await priorityScoringService.getActiveProfile();
+        
         // Use our new method from LocationPriorityService
         priorityResult = await locationPriorityService.calculateComprehensivePriority(
           locationData.latitude,
@@ -448,9 +542,11 @@ async function calculateComprehensivePriority({ imageValidation, locationData, c
           imageValidation || {},
           {
             complaintType: category,
+            description,
             created_at: new Date().toISOString(),
             status: 'pending',
             votes: 0,
+            scoringProfile,
             locationMeta: {
               privacyLevel: locationData.privacyLevel,
               radiusM: locationData.accuracy,
@@ -470,7 +566,9 @@ async function calculateComprehensivePriority({ imageValidation, locationData, c
           reasoning: priorityResult.reasoning,
           facilitiesCount: priorityResult.totalFacilities || 0,
           processingTime: Date.now() - startTime,
-          breakdown: priorityResult.breakdown
+          breakdown: priorityResult.breakdown,
+          scoringBreakdown: priorityResult.scoringBreakdown || null,
+          profileVersion: scoringProfile.version
         };
       } catch (priorityErr) {
         console.error('❌ New priority calculation error:', priorityErr);
@@ -874,68 +972,16 @@ router.get('/personal-reports', async (req, res) => {
       }
     }
 
-    // Transform complaints with Amazon-style tracking stages
+    // Transform complaints with Amazon-style tracking stages from each category's workflow
     const complaintsWithTracking = complaints?.map(complaint => {
       const workflow = workflowData.find(w => w.complaint_id === complaint.id);
-      
-      // Create Amazon-style tracking stages
-      const trackingStages = [
-        {
-          id: 1,
-          name: 'Complaint Submitted',
-          status: 'completed',
-          date: complaint.created_at,
-          description: 'Your complaint has been received and is being reviewed',
-          icon: '📝'
-        },
-        {
-          id: 2,
-          name: 'Initial Review',
-          status: workflow?.step_1_status === 'completed' ? 'completed' : 
-                 workflow?.step_1_status === 'in_progress' ? 'in_progress' : 'pending',
-          date: workflow?.step_1_timestamp,
-          description: 'Our team is reviewing your complaint for validity and priority',
-          icon: '🔍',
-          officer: workflow?.step_1_officer_id ? 'Assigned to officer' : null
-        },
-        {
-          id: 3,
-          name: 'Assessment & Planning',
-          status: workflow?.step_2_status === 'completed' ? 'completed' : 
-                 workflow?.step_2_status === 'in_progress' ? 'in_progress' : 'pending',
-          date: workflow?.step_2_timestamp,
-          description: 'Field assessment and resource planning in progress',
-          icon: '📋',
-          officer: workflow?.step_2_officer_id ? 'Officer assigned' : null,
-          estimatedCost: workflow?.step_2_estimated_cost
-        },
-        {
-          id: 4,
-          name: 'Work in Progress',
-          status: workflow?.step_3_status === 'completed' ? 'completed' : 
-                 workflow?.step_3_status === 'in_progress' ? 'in_progress' : 'pending',
-          date: workflow?.step_3_timestamp,
-          description: 'Resolution work is being carried out',
-          icon: '🔧',
-          contractor: workflow?.step_3_contractor_id ? 'Contractor assigned' : null,
-          startDate: workflow?.step_3_start_date
-        },
-        {
-          id: 5,
-          name: 'Completed',
-          status: complaint.status === 'resolved' ? 'completed' : 'pending',
-          date: workflow?.step_3_completion_date || (complaint.status === 'resolved' ? complaint.updated_at : null),
-          description: complaint.status === 'resolved' ? 'Issue has been resolved successfully' : 'Awaiting completion',
-          icon: complaint.status === 'resolved' ? '✅' : '⏳',
-          photos: workflow?.step_3_completion_photos
-        }
-      ];
+      const { trackingStages, currentStage, workflowKey } = workflowEngine.buildTrackingStages(complaint, workflow);
 
       return {
         ...complaint,
         trackingStages,
-        currentStage: trackingStages.findIndex(stage => stage.status === 'in_progress') + 1 || 
-                     (complaint.status === 'resolved' ? 5 : trackingStages.filter(stage => stage.status === 'completed').length + 1)
+        currentStage,
+        workflowKey
       };
     }) || [];
 
@@ -967,6 +1013,39 @@ router.get('/personal-reports', async (req, res) => {
   }
 });
 
+/**
+ * Search complaints with full-text and filters, paged by cursor
+ * GET /api/complaints/search
+ *
+ * Query parameters (all optional):
+ * - q: text over title, description and address; "quoted phrases", -exclude, or
+ * - category, status, ward: comma-separated lists
+ * - priority: comma-separated bands (critical, high, medium, low, minimal)
+ * - from, to: created_at range (ISO 8601)
+ * - bbox: minLng,minLat,maxLng,maxLat
+ * - sort: newest (default), oldest, priority, votes
+ * - limit: page size (default 20, max 100)
+ * - cursor: pagination.nextCursor from the previous page
+ */
+router.get('/search', async (req, res) => {
+  try {
+    const result = await complaintSearchService.search(req.query);
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Complaint search failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to search complaints',
+      error: error.message
+    });
+  }
+});
+
 /**
  * Get individual complaint details
  * GET /api/complaints/:id
@@ -1054,7 +1133,8 @@ router.get('/:id', async (req, res) => {
  * POST /api/complaints/vote
  * Requires authentication
  * Body: { complaintId: string }
- * Toggles between upvote (vote_count: 1) and downvote (vote_count: 0)
+ * Toggles the caller's upvote on and off. Kept for existing clients; new
+ * clients use POST /api/votes with an explicit action.
  */
 router.post('/vote', async (req, res) => {
   try {
@@ -1067,10 +1147,7 @@ router.post('/vote', async (req, res) => {
     }
 
     const { complaintId } = req.body;
-    const userId = req.user.id;
 
-    console.log(`🗳️ Processing toggle vote request:`, req.body);
-    
     if (!complaintId) {
       return res.status(400).json({ 
         success: false, 
@@ -1078,138 +1155,26 @@ router.post('/vote', async (req, res) => {
       });
     }
 
-    // First check if the complaint exists
-    const { data: complaint, error: complaintError } = await supabase
-      .from('complaints')
-      .select('*')
-      .eq('id', complaintId)
-      .single();
+    const result = await voteService.toggleUpvote({ complaintId, voter: { userId: req.user.id } });
 
-    if (complaintError || !complaint) {
-      console.error('❌ Complaint not found:', complaintError || 'No data returned');
+    if (result.status === 'not_found') {
       return res.status(404).json({ 
         success: false, 
         message: 'Complaint not found' 
       });
     }
 
-    // Check if user already voted for this complaint
-    const { data: existingVote, error: voteError } = await supabase
-      .from('complaint_votes')
-      .select('*')
-      .eq('complaint_id', complaintId)
-      .eq('user_id', userId)
-      .single();
-
-    if (voteError && voteError.code !== 'PGRST116') { // PGRST116 = no rows returned
-      console.error('❌ Error checking existing vote:', voteError);
-      return res.status(500).json({ 
-        success: false, 
-        message: 'Error checking vote status' 
-      });
-    }
-
-    let result;
-
-    // Process vote with simple upvote/downvote toggle logic
-    if (!existingVote) {
-      // User hasn't voted yet - add upvote
-      console.log('🗳️ Adding new upvote for user');
-      const { data: newVote, error: insertError } = await supabase
-        .from('complaint_votes')
-        .insert([
-          { 
-            complaint_id: complaintId, 
-            user_id: userId,
-            vote_type: 'upvote'
-          }
-        ])
-        .select();
-
-      if (insertError) {
-        console.error('❌ Error adding vote:', insertError);
-        return res.status(500).json({ 
-          success: false, 
-          message: 'Failed to add vote',
-          details: insertError.message
-        });
-      }
-
-      result = newVote[0];
-      result.action = 'voted';
-      console.log('✅ Vote added successfully');
-      
-    } else {
-      // User has already voted - toggle the vote
-      if (existingVote.vote_type === 'upvote') {
-        // Currently upvoted - DELETE the vote record completely (don't create downvote)
-        console.log('🗳️ Removing upvote (deleting vote record)');
-        const { error: deleteError } = await supabase
-          .from('complaint_votes')
-          .delete()
-          .eq('complaint_id', complaintId)
-          .eq('user_id', userId);
-
-        if (deleteError) {
-          console.error('❌ Error deleting vote:', deleteError);
-          return res.status(500).json({ 
-            success: false, 
-            message: 'Failed to remove vote',
-            details: deleteError.message
-          });
-        }
-
-        result = { vote_type: null, action: 'unvoted' };
-        console.log('✅ Vote deleted successfully');
-        
-      } else {
-        // Currently has downvote or other vote type - change to upvote
-        console.log('🗳️ Changing to upvote');
-        const { data: updatedVote, error: updateError } = await supabase
-          .from('complaint_votes')
-          .update({ 
-            vote_type: 'upvote'
-          })
-          .eq('complaint_id', complaintId)
-          .eq('user_id', userId)
-          .select();
-
-        if (updateError) {
-          console.error('❌ Error updating to upvote:', updateError);
-          return res.status(500).json({ 
-            success: false, 
-            message: 'Failed to add vote',
-            details: updateError.message
-          });
-        }
-
-        result = updatedVote[0];
-        result.action = 'voted';
-        console.log('✅ Vote updated to upvote successfully');
-      }
-    }
-
-    // Get updated vote count directly from complaints table (more efficient)
-    const { data: complaintData, error: countError } = await supabase
-      .from('complaints')
-      .select('vote_count')
-      .eq('id', complaintId)
-      .single();
-
-    const voteCount = countError ? 0 : (complaintData?.vote_count || 0);
+    const userVoted = result.voteType === 'upvote';
 
-    // Determine user voted status based on the result
-    const userVoted = result.vote_type === 'upvote';
-    
-    // Return the updated vote information
-    const message = result.action === 'voted' ? 'Vote added successfully' : 'Vote removed successfully';
     return res.status(200).json({
       success: true,
-      message: message,
+      message: userVoted ? 'Vote added successfully' : 'Vote removed successfully',
       data: {
-        ...result,
-        voteCount: voteCount,
-        userVoted: userVoted
+        complaint_id: complaintId,
+        vote_type: result.voteType,
+        action: userVoted ? 'voted' : 'unvoted',
+        voteCount: result.voteCount,
+        userVoted
       }
     });
     
@@ -1227,6 +1192,7 @@ router.post('/vote', async (req, res) => {
  * GET /api/complaints/vote/status
  * Requires authentication
  * Query: { complaintIds: string } - comma-separated list of complaint IDs
+ * Returns complaintId -> whether the user has upvoted it (see GET /api/votes/status for details)
  */
 router.get('/vote/status', async (req, res) => {
   try {
@@ -1239,7 +1205,6 @@ router.get('/vote/status', async (req, res) => {
     }
 
     const { complaintIds } = req.query;
-    const userId = req.user.id;
 
     if (!complaintIds) {
       return res.status(400).json({ 
@@ -1248,33 +1213,12 @@ router.get('/vote/status', async (req, res) => {
       });
     }
 
-    // Parse comma-separated complaint IDs
-    const idsArray = complaintIds.split(',');
-    
-    // Get user's votes for these complaints
-    const { data: votes, error } = await supabase
-      .from('complaint_votes')
-      .select('complaint_id, vote_type')
-      .eq('user_id', userId)
-      .in('complaint_id', idsArray)
-      .eq('vote_type', 'upvote'); // Only consider upvotes
-
-    if (error) {
-      console.error('❌ Error fetching vote status:', error);
-      return res.status(500).json({ 
-        success: false, 
-        message: 'Error fetching vote status' 
-      });
-    }
+    const statuses = await voteService.getVoteStatuses(complaintIds.split(','), { userId: req.user.id });
 
     // Build a map of complaint IDs to vote status
     const voteStatusMap = {};
-    idsArray.forEach(id => {
-      voteStatusMap[id] = false;
-    });
-
-    votes.forEach(vote => {
-      voteStatusMap[vote.complaint_id] = true;
+    Object.entries(statuses).forEach(([id, status]) => {
+      voteStatusMap[id] = !!(status && status.hasVoted);
     });
 
     return res.status(200).json({
@@ -0,0 +1,129 @@
+const express = require('express');
+const router = express.Router();
+const ComplaintEventService = require('../services/ComplaintEventService');
+const BoundaryService = require('../services/BoundaryService');
+const { parseBbox } = require('../utils/geoUtils');
+const {
+  EVENT_TYPES,
+  HEARTBEAT_SECONDS,
+  RETRY_MS,
+  MAX_CONNECTIONS,
+  MAX_COMPLAINT_IDS
+} = require('../config/realtime');
+
+const complaintEventService = ComplaintEventService.getInstance();
+const boundaryService = BoundaryService.getInstance();
+
+const splitList = (value) => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : []);
+
+function sendInvalid(res, code, error) {
+  return res.status(400).json({
+    success: false,
+    error,
+    code
+  });
+}
+
+function sendTooManyStreams(res) {
+  return res.status(503).json({
+    success: false,
+    error: 'Too many open event streams, try again later',
+    code: 'TOO_MANY_STREAMS'
+  });
+}
+
+/**
+ * GET /api/events/stream
+ * Server-Sent Events stream of complaint events: complaint.created,
+ * complaint.status_changed and complaint.voted. Each message's data is the
+ * event as JSON with the complaint's public fields.
+ * Query: complaint (comma-separated IDs, up to 100), bbox=minLng,minLat,maxLng,maxLat,
+ * ward and zone (comma-separated), types (comma-separated event types).
+ * Every filter given must match. Reconnect with Last-Event-ID to receive
+ * events missed in between.
+ */
+router.get('/stream', async (req, res) => {
+  try {
+    const complaintIds = splitList(req.query.complaint);
+    if (complaintIds.length > MAX_COMPLAINT_IDS) {
+      return sendInvalid(res, 'TOO_MANY_COMPLAINTS', `At most ${MAX_COMPLAINT_IDS} complaint IDs can be followed`);
+    }
+
+    const types = splitList(req.query.types);
+    const eventTypes = Object.values(EVENT_TYPES);
+    if (!types.every(type => eventTypes.includes(type))) {
+      return sendInvalid(res, 'INVALID_EVENT_TYPE', `types must be one or more of: ${eventTypes.join(', ')}`);
+    }
+
+    let bbox = null;
+    if (req.query.bbox) {
+      bbox = parseBbox(req.query.bbox);
+      if (!bbox) {
+        return sendInvalid(res, 'INVALID_BBOX', 'bbox must be minLng,minLat,maxLng,maxLat');
+      }
+    }
+
+    if (complaintEventService.getSubscriberCount() >= MAX_CONNECTIONS) {
+      return sendTooManyStreams(res);
+    }
+
+    // Attached before anything is awaited, so a client leaving early is still cleaned up
+    let closed = false;
+    let heartbeat = null;
+    let unsubscribe = null;
+    res.on('close', () => {
+      closed = true;
+      clearInterval(heartbeat);
+      if (unsubscribe) {
+        unsubscribe();
+        console.log(`📡 Event stream closed (${complaintEventService.getSubscriberCount()} open)`);
+      }
+    });
+
+    const wardIds = await boundaryService.resolveWardFilter({ ward: req.query.ward, zone: req.query.zone });
+    if (closed) return;
+
+    // Other streams may have opened while the ward filter was resolved
+    if (complaintEventService.getSubscriberCount() >= MAX_CONNECTIONS) {
+      return sendTooManyStreams(res);
+    }
+
+    const filter = {
+      types: types.length > 0 ? types : null,
+      complaintIds: complaintIds.length > 0 ? complaintIds : null,
+      bbox,
+      wardIds
+    };
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Stop nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    unsubscribe = complaintEventService.subscribe(filter, event => {
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    }, { lastEventId: req.get('Last-Event-ID') || req.query.lastEventId || null });
+
+    heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_SECONDS * 1000);
+
+    console.log(`📡 Event stream opened (${complaintEventService.getSubscriberCount()} open)`);
+
+  } catch (error) {
+    console.error('❌ Event stream error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to open event stream',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { supabase } = require('../config/supabase');
+const { getRepositories } = require('../repositories');
 
 /**
  * Submit feedback for a complaint submission experience
@@ -28,15 +29,13 @@ router.post('/submit', async (req, res) => {
       });
     }
     
+    const repositories = getRepositories();
+    
     // Check if complaint exists
-    const { data: complaint, error: complaintError } = await supabase
-      .from('complaints')
-      .select('id, title')
-      .eq('id', complaintId)
-      .single();
+    const complaint = await repositories.complaints.findById(complaintId, 'id, title');
       
-    if (complaintError || !complaint) {
-      console.error('❌ Complaint not found:', complaintError);
+    if (!complaint) {
+      console.error('❌ Complaint not found:', complaintId);
       return res.status(404).json({
         success: false,
         message: 'Complaint not found'
@@ -55,12 +54,10 @@ router.post('/submit', async (req, res) => {
     };
     
     // Insert feedback into database
-    const { data: newFeedback, error: insertError } = await supabase
-      .from('complaint_feedback')
-      .insert([feedbackData])
-      .select();
-      
-    if (insertError) {
+    let newFeedback;
+    try {
+      newFeedback = await repositories.feedback.create(feedbackData);
+    } catch (insertError) {
       console.error('❌ Error inserting feedback:', insertError);
       
       // If table doesn't exist, create it
@@ -78,20 +75,15 @@ router.post('/submit', async (req, res) => {
         }
         
         // Retry insertion
-        const { data: retryFeedback, error: retryError } = await supabase
-          .from('complaint_feedback')
-          .insert([feedbackData])
-          .select();
-          
-        if (retryError) {
+        try {
+          newFeedback = await repositories.feedback.create(feedbackData);
+        } catch (retryError) {
           console.error('❌ Error inserting feedback after table creation:', retryError);
           return res.status(500).json({
             success: false,
             message: 'Failed to submit feedback'
           });
         }
-        
-        newFeedback = retryFeedback;
       } else {
         return res.status(500).json({
           success: false,
@@ -101,14 +93,14 @@ router.post('/submit', async (req, res) => {
       }
     }
     
-    console.log('✅ Feedback submitted successfully:', newFeedback?.[0]?.id);
+    console.log('✅ Feedback submitted successfully:', newFeedback?.id);
     
     // Return success response
     return res.status(201).json({
       success: true,
       message: 'Feedback submitted successfully',
       data: {
-        feedbackId: newFeedback?.[0]?.id,
+        feedbackId: newFeedback?.id,
         complaintId: complaintId,
         rating: rating,
         submittedAt: feedbackData.submitted_at
@@ -132,12 +124,13 @@ router.get('/stats', async (req, res) => {
   try {
     console.log('📊 Getting feedback statistics...');
     
+    const repositories = getRepositories();
+    
     // Get overall statistics
-    const { data: stats, error: statsError } = await supabase
-      .from('complaint_feedback')
-      .select('rating, created_at');
-      
-    if (statsError) {
+    let stats;
+    try {
+      stats = await repositories.feedback.listRatings();
+    } catch (statsError) {
       console.error('❌ Error getting feedback stats:', statsError);
       return res.status(500).json({
         success: false,
@@ -160,18 +153,16 @@ router.get('/stats', async (req, res) => {
     };
     
     // Get recent feedback with text
-    const { data: recentFeedback, error: recentError } = await supabase
-      .from('complaint_feedback')
-      .select('rating, feedback_text, improvement_suggestions, created_at')
-      .not('feedback_text', 'is', null)
-      .order('created_at', { ascending: false })
-      .limit(10);
+    const recentFeedback = await repositories.feedback.listRecentWithText(10).catch(recentError => {
+      console.error('⚠️ Error getting recent feedback:', recentError.message);
+      return [];
+    });
     
     const responseData = {
       totalFeedback,
       averageRating: parseFloat(averageRating),
       ratingDistribution,
-      recentFeedback: recentError ? [] : recentFeedback
+      recentFeedback
     };
     
     console.log('✅ Feedback statistics retrieved');
@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const HealthService = require('../services/HealthService');
+
+const healthService = new HealthService();
+
+/**
+ * Liveness check - the process is up and serving requests
+ * GET /health
+ * GET /health/live
+ */
+router.get(['/', '/live'], (req, res) => {
+  res.status(200).json(healthService.getLiveness());
+});
+
+/**
+ * Readiness check - database, uploads disk space and AI providers
+ * GET /health/ready
+ *
+ * 200 when the database and disk are up (status 'ready', or 'degraded' if
+ * a configured AI provider is unreachable), 503 otherwise.
+ * ?refresh=true re-probes providers instead of using recent results.
+ */
+router.get('/ready', async (req, res) => {
+  try {
+    const report = await healthService.getReadiness({ refresh: req.query.refresh === 'true' });
+    res.status(report.ready ? 200 : 503).json(report);
+  } catch (error) {
+    console.error('❌ Readiness check failed:', error);
+    res.status(503).json({
+      ready: false,
+      status: 'not_ready',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
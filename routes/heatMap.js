@@ -1,28 +1,86 @@
 const express = require('express');
 const router = express.Router();
 const HeatMapService = require('../services/HeatMapService');
+const BoundaryService = require('../services/BoundaryService');
+const { parseBbox } = require('../utils/geoUtils');
+const { isValidTile } = require('../utils/mapAggregation');
+const {
+  AGGREGATION_MODES,
+  DEFAULT_MODE,
+  MAX_ZOOM,
+  VECTOR_TILE,
+  TIMELINE,
+  HOTSPOTS,
+  POPUP
+} = require('../config/heatMap');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOTSPOT_TRENDS = ['new', 'intensifying', 'persistent', 'diminishing'];
 
 const heatMapService = new HeatMapService();
+const boundaryService = BoundaryService.getInstance();
+
+/**
+ * Filters shared by the data and tile endpoints
+ */
+async function buildFilters(query) {
+  return {
+    dateRange: parseInt(query.days) || 30, // Last 30 days by default
+    status: query.status,
+    complaintType: query.type,
+    wardIds: await boundaryService.resolveWardFilter({ ward: query.ward, zone: query.zone })
+  };
+}
+
+function sendInvalid(res, code, error) {
+  return res.status(400).json({
+    success: false,
+    error,
+    code
+  });
+}
 
 /**
  * GET /api/heat-map/data
  * Get heat map data for visualization
+ * Query: days, status, type, ward and zone (comma-separated),
+ * bbox=minLng,minLat,maxLng,maxLat for the map viewport.
+ * With zoom (0-22), returns weighted cells instead of individual points;
+ * mode picks grid (default), hex or cluster aggregation.
  */
 router.get('/data', async (req, res) => {
   try {
     console.log('🗺️ Heat map data requested');
     
-    const filters = {
-      dateRange: parseInt(req.query.days) || 30, // Last 30 days by default
-      status: req.query.status,
-      complaintType: req.query.type
-    };
+    const filters = await buildFilters(req.query);
+
+    if (req.query.bbox) {
+      filters.bbox = parseBbox(req.query.bbox);
+      if (!filters.bbox) {
+        return sendInvalid(res, 'INVALID_BBOX', 'bbox must be minLng,minLat,maxLng,maxLat');
+      }
+    }
+
+    const aggregate = req.query.zoom !== undefined || req.query.mode !== undefined;
+    const zoom = parseInt(req.query.zoom);
+    const mode = req.query.mode || DEFAULT_MODE;
+
+    if (aggregate && (!Number.isInteger(zoom) || zoom < 0 || zoom > MAX_ZOOM)) {
+      return sendInvalid(res, 'INVALID_ZOOM', `zoom must be an integer from 0 to ${MAX_ZOOM}`);
+    }
+    if (!AGGREGATION_MODES.includes(mode)) {
+      return sendInvalid(res, 'INVALID_MODE', `mode must be one of: ${AGGREGATION_MODES.join(', ')}`);
+    }
 
     console.log('🔍 Filters applied:', filters);
 
-    const heatMapData = await heatMapService.getComplaintHeatMapData(filters);
+    const heatMapData = aggregate
+      ? await heatMapService.getAggregatedHeatMapData(filters, { zoom, mode })
+      : await heatMapService.getComplaintHeatMapData(filters);
     
-    console.log(`✅ Returning ${heatMapData.points.length} complaint points`);
+    console.log(aggregate
+      ? `✅ Returning ${heatMapData.cells.length} ${mode} cells for ${heatMapData.statistics.total} complaints at zoom ${zoom}`
+      : `✅ Returning ${heatMapData.points.length} complaint points`);
     
     res.json({
       success: true,
@@ -41,6 +99,154 @@ router.get('/data', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/heat-map/tiles/:z/:x/:y.mvt
+ * Aggregated complaints as a Mapbox vector tile (layer "complaints")
+ * Query: mode (grid, hex or cluster), days, status, type, ward, zone
+ */
+router.get('/tiles/:z/:x/:y.mvt', async (req, res) => {
+  try {
+    const [z, x, y] = [req.params.z, req.params.x, req.params.y].map(Number);
+    if (!isValidTile(z, x, y, MAX_ZOOM)) {
+      return sendInvalid(res, 'INVALID_TILE', `Tile coordinates must be within zoom 0-${MAX_ZOOM}`);
+    }
+
+    const mode = req.query.mode || DEFAULT_MODE;
+    if (!AGGREGATION_MODES.includes(mode)) {
+      return sendInvalid(res, 'INVALID_MODE', `mode must be one of: ${AGGREGATION_MODES.join(', ')}`);
+    }
+
+    const tile = await heatMapService.getVectorTile(z, x, y, await buildFilters(req.query), { mode });
+
+    res.set('Content-Type', VECTOR_TILE.contentType);
+    res.set('Cache-Control', `public, max-age=${VECTOR_TILE.cacheSeconds}`);
+    res.send(tile);
+
+  } catch (error) {
+    console.error('❌ Heat map tile error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build heat map tile',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/heat-map/timeline
+ * One heat grid per week for playback. Cells are listed once under
+ * data.cells; each frame gives count and weight per cell id.
+ * Query: from, to (ISO dates; the last 12 weeks by default, at most 52),
+ * zoom (default 12), mode (grid or hex), status, type, ward, zone, bbox
+ */
+router.get('/timeline', async (req, res) => {
+  try {
+    console.log('🎞️ Heat map timeline requested');
+
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from
+      ? new Date(req.query.from)
+      : new Date(to.getTime() - TIMELINE.defaultWeeks * 7 * DAY_MS);
+    if (isNaN(to.getTime()) || isNaN(from.getTime())) {
+      return sendInvalid(res, 'INVALID_DATE', 'from and to must be ISO 8601 dates');
+    }
+    if (from > to || to - from > TIMELINE.maxWeeks * 7 * DAY_MS) {
+      return sendInvalid(res, 'INVALID_RANGE', `from must be before to and at most ${TIMELINE.maxWeeks} weeks earlier`);
+    }
+
+    const zoom = req.query.zoom === undefined ? TIMELINE.defaultZoom : parseInt(req.query.zoom);
+    if (!Number.isInteger(zoom) || zoom < 0 || zoom > MAX_ZOOM) {
+      return sendInvalid(res, 'INVALID_ZOOM', `zoom must be an integer from 0 to ${MAX_ZOOM}`);
+    }
+    const mode = req.query.mode || DEFAULT_MODE;
+    if (!TIMELINE.modes.includes(mode)) {
+      return sendInvalid(res, 'INVALID_MODE', `mode must be one of: ${TIMELINE.modes.join(', ')}`);
+    }
+
+    const filters = { ...(await buildFilters(req.query)), dateRange: null };
+    if (req.query.bbox) {
+      filters.bbox = parseBbox(req.query.bbox);
+      if (!filters.bbox) {
+        return sendInvalid(res, 'INVALID_BBOX', 'bbox must be minLng,minLat,maxLng,maxLat');
+      }
+    }
+
+    const timeline = await heatMapService.getTimeline(filters, { from, to, zoom, mode });
+
+    console.log(`✅ Returning ${timeline.frames.length} weekly frames for ${timeline.statistics.total} complaints`);
+
+    res.json({
+      success: true,
+      data: timeline,
+      filters,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Heat map timeline error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build heat map timeline',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/heat-map/hotspots
+ * Statistically significant complaint clusters per category (Getis-Ord Gi*),
+ * each with a confidence level (0.9, 0.95 or 0.99) and a trend: new,
+ * intensifying, persistent or diminishing over the last recentDays
+ * Query: days (window, default 90), recentDays (default 28), trend
+ * (comma-separated), type, status, ward, zone, bbox
+ */
+router.get('/hotspots', async (req, res) => {
+  try {
+    console.log('🔥 Hotspots requested');
+
+    const days = req.query.days === undefined ? HOTSPOTS.defaultDays : parseInt(req.query.days);
+    const recentDays = req.query.recentDays === undefined ? HOTSPOTS.recentDays : parseInt(req.query.recentDays);
+    if (!Number.isInteger(days) || days < 2 || days > HOTSPOTS.maxDays) {
+      return sendInvalid(res, 'INVALID_RANGE', `days must be an integer from 2 to ${HOTSPOTS.maxDays}`);
+    }
+    if (!Number.isInteger(recentDays) || recentDays < 1 || recentDays >= days) {
+      return sendInvalid(res, 'INVALID_RANGE', 'recentDays must be a positive integer smaller than days');
+    }
+
+    const trends = req.query.trend ? String(req.query.trend).split(',').map(trend => trend.trim()) : null;
+    if (trends && !trends.every(trend => HOTSPOT_TRENDS.includes(trend))) {
+      return sendInvalid(res, 'INVALID_TREND', `trend must be one or more of: ${HOTSPOT_TRENDS.join(', ')}`);
+    }
+
+    const filters = { ...(await buildFilters(req.query)), dateRange: null };
+    if (req.query.bbox) {
+      filters.bbox = parseBbox(req.query.bbox);
+      if (!filters.bbox) {
+        return sendInvalid(res, 'INVALID_BBOX', 'bbox must be minLng,minLat,maxLng,maxLat');
+      }
+    }
+
+    const hotspots = await heatMapService.getHotspots(filters, { days, recentDays, trends });
+
+    console.log(`✅ Found ${hotspots.hotspots.length} hotspot cells in ${hotspots.statistics.categories} categories`);
+
+    res.json({
+      success: true,
+      data: hotspots,
+      filters,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Hotspot detection error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to detect hotspots',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/heat-map/statistics
  * Get complaint statistics for dashboard
@@ -159,22 +365,35 @@ router.post('/refresh', async (req, res) => {
 
 /**
  * GET /api/heat-map/complaint/:id
- * Get specific complaint details for popup
+ * Complaint summary for the map popup: thumbnail, category, priority
+ * breakdown, workflow stage, votes, days open and related complaints nearby.
+ * Sends an ETag; repeat requests with If-None-Match get 304 when unchanged.
  */
 router.get('/complaint/:id', async (req, res) => {
   try {
     const complaintId = req.params.id;
-    console.log(`🔍 Complaint details requested for ID: ${complaintId}`);
-    
-    // This would fetch detailed complaint info from database
-    // For now, return basic info
+    console.log(`🔍 Complaint popup requested for ID: ${complaintId}`);
+
+    const source = await heatMapService.getComplaintPopupSource(complaintId);
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        error: 'Complaint not found',
+        code: 'COMPLAINT_NOT_FOUND'
+      });
+    }
+
+    res.set('ETag', source.etag);
+    res.set('Cache-Control', `public, max-age=${POPUP.cacheSeconds}, must-revalidate`);
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    const popup = await heatMapService.buildComplaintPopup(source);
+
     res.json({
       success: true,
-      data: {
-        id: complaintId,
-        message: 'Detailed complaint view not yet implemented',
-        // TODO: Implement detailed complaint fetching
-      },
+      data: popup,
       timestamp: new Date().toISOString()
     });
 
@@ -1,9 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const LocationPriorityService = require('../services/LocationPriorityService');
+const LocationPriorityMetrics = require('../services/LocationPriorityMetrics');
+const { registry, PROMETHEUS_CONTENT_TYPE } = require('../utils/metrics');
 
 // Initialize the location priority service
 const locationPriorityService = new LocationPriorityService();
+const priorityMetrics = LocationPriorityMetrics.getInstance();
 
 /**
  * Calculate location-based priority score for a complaint
@@ -219,7 +222,7 @@ router.get('/info', (req, res) => {
     },
     features: [
       'Privacy-aware location analysis with configurable accuracy levels',
-      'Google Places API integration for infrastructure mapping',
+      'Facility mapping from an offline OpenStreetMap dataset, Google Places or Overpass',
       'Dynamic priority scoring based on nearby critical facilities',
       'Emergency response optimization for urgent complaint types',
       'Multi-level privacy protection (exact/street/area)',
@@ -299,7 +302,7 @@ router.get('/info', (req, res) => {
     },
     integration: {
       supportedRegions: ['India'],
-      dataProviders: ['Google Places API'],
+      dataProviders: locationPriorityService.getStatus().active,
       facilityTypes: ['hospital', 'school', 'police', 'fire_station', 'government', 'bank', 'pharmacy', 'transit_station'],
       coordinates: {
         format: 'decimal degrees',
@@ -309,6 +312,28 @@ router.get('/info', (req, res) => {
   });
 });
 
+/**
+ * Which facility providers are configured
+ * GET /api/location-priority/providers
+ */
+router.get('/providers', (req, res) => {
+  res.json({
+    success: true,
+    data: locationPriorityService.getStatus()
+  });
+});
+
+/**
+ * Facility cache hit/miss counters
+ * GET /api/location-priority/cache
+ */
+router.get('/cache', (req, res) => {
+  res.json({
+    success: true,
+    data: locationPriorityService.facilityCache.getStats()
+  });
+});
+
 /**
  * Health check endpoint with comprehensive diagnostics
  * GET /api/location-priority/health
@@ -377,41 +402,27 @@ router.get('/health', async (req, res) => {
 });
 
 /**
- * Get service metrics and statistics
+ * Get service metrics and statistics since start-up
  * GET /api/location-priority/metrics
+ *
+ * Request counts, error rates, latency percentiles, facility providers used
+ * and priority/privacy level distributions, per operation. Returns JSON, or
+ * the Prometheus text format with ?format=prometheus (or Accept: text/plain).
  */
 router.get('/metrics', (req, res) => {
-  // In production, this would pull from actual metrics storage
+  const wantsPrometheus = req.query.format === 'prometheus' ||
+    (req.query.format !== 'json' && req.accepts(['application/json', 'text/plain']) === 'text/plain');
+
+  if (wantsPrometheus) {
+    return res.type(PROMETHEUS_CONTENT_TYPE).send(registry.toPrometheus({ prefix: 'location_priority_' }));
+  }
+
   res.json({
+    success: true,
     service: 'Location Priority Metrics',
-    period: '24h',
-    metrics: {
-      totalRequests: 0,
-      averageResponseTime: '2.5s',
-      successRate: '98.5%',
-      criticalPriorityCount: 0,
-      highPriorityCount: 0,
-      mediumPriorityCount: 0,
-      lowPriorityCount: 0
-    },
-    performance: {
-      p50ResponseTime: '2.1s',
-      p95ResponseTime: '4.8s',
-      p99ResponseTime: '8.2s',
-      errorRate: '1.5%'
-    },
-    usage: {
-      topComplaintTypes: [
-        { type: 'pothole', count: 0 },
-        { type: 'broken_streetlight', count: 0 },
-        { type: 'garbage_collection', count: 0 }
-      ],
-      privacyLevelDistribution: {
-        exact: '15%',
-        street: '70%', 
-        area: '15%'
-      }
-    },
+    period: 'since start-up',
+    ...priorityMetrics.getSnapshot(),
+    facilityCache: locationPriorityService.facilityCache.getStats(),
     timestamp: new Date().toISOString()
   });
 });
@@ -596,6 +607,7 @@ function handleCalculationError(error, res) {
  * }
  */
 router.post('/comprehensive', async (req, res) => {
+  const startTime = Date.now();
   try {
     console.log('🧠 Comprehensive priority calculation request:', req.body);
     
@@ -623,7 +635,6 @@ router.post('/comprehensive', async (req, res) => {
     }
     
     // Calculate comprehensive priority score
-    const startTime = Date.now();
     const priorityResult = await locationPriorityService.calculateComprehensivePriority(
       parseFloat(latitude),
       parseFloat(longitude),
@@ -639,6 +650,12 @@ router.post('/comprehensive', async (req, res) => {
       }
     );
     const processingTime = Date.now() - startTime;
+    priorityMetrics.record('comprehensive', {
+      durationMs: processingTime,
+      result: priorityResult,
+      locationPriority: priorityResult.infrastructureDetails,
+      privacyLevel: locationMeta?.privacyLevel
+    });
     
     console.log(`✅ Comprehensive priority calculation completed in ${processingTime}ms`);
     
@@ -689,6 +706,11 @@ router.post('/comprehensive', async (req, res) => {
     
   } catch (error) {
     console.error('Error in comprehensive priority calculation:', error);
+    priorityMetrics.record('comprehensive', {
+      durationMs: Date.now() - startTime,
+      privacyLevel: req.body?.locationMeta?.privacyLevel,
+      error
+    });
     
     // Generic server errors
     res.status(500).json({
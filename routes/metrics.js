@@ -0,0 +1,31 @@
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const { registry, PROMETHEUS_CONTENT_TYPE } = require('../utils/metrics');
+const { METRICS } = require('../config/logging');
+
+/**
+ * Prometheus scrape endpoint
+ * GET /metrics
+ *
+ * Per-route request latency histograms with status codes, external API call
+ * timings and the location priority metrics, in the Prometheus text format.
+ * Requires `Authorization: Bearer <METRICS_TOKEN>` when METRICS_TOKEN is set.
+ */
+router.get('/', (req, res) => {
+  if (METRICS.token) {
+    const supplied = Buffer.from(req.header('Authorization')?.replace('Bearer ', '') || '');
+    const expected = Buffer.from(METRICS.token);
+    if (supplied.length !== expected.length || !crypto.timingSafeEqual(supplied, expected)) {
+      return res.status(401).json({
+        success: false,
+        message: 'A valid metrics token is required',
+        code: 'METRICS_TOKEN_REQUIRED'
+      });
+    }
+  }
+
+  res.type(PROMETHEUS_CONTENT_TYPE).send(registry.toPrometheus());
+});
+
+module.exports = router;
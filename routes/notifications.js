@@ -0,0 +1,166 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { getRepositories } = require('../repositories');
+const NotificationService = require('../services/NotificationService');
+const { requireAuth } = require('../middleware/auth');
+const { EVENT_TYPES } = require('../config/notifications');
+
+const notificationService = new NotificationService();
+
+// Every notification route acts on the signed-in user's own data
+router.use(requireAuth);
+
+/**
+ * Get the user's notification log
+ * GET /api/notifications?unread=true&limit=20&offset=0
+ */
+router.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+    const repositories = getRepositories();
+
+    const { notifications, total } = await repositories.notifications.listForUser(req.user.id, {
+      unreadOnly: req.query.unread === 'true',
+      limit,
+      offset
+    });
+    const unread = await repositories.notifications.countUnread(req.user.id);
+
+    res.json({
+      success: true,
+      data: notifications,
+      pagination: { total, limit, offset },
+      unread
+    });
+  } catch (error) {
+    console.error('Notification list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notifications'
+    });
+  }
+});
+
+/**
+ * Mark every notification as read
+ * PUT /api/notifications/read-all
+ */
+router.put('/read-all', async (req, res) => {
+  try {
+    const updated = await getRepositories().notifications.markRead(req.user.id);
+
+    res.json({
+      success: true,
+      message: `Marked ${updated.length} notification(s) as read`
+    });
+  } catch (error) {
+    console.error('Notification read-all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update notifications'
+    });
+  }
+});
+
+/**
+ * Get the user's notification preferences
+ * GET /api/notifications/preferences
+ */
+router.get('/preferences', async (req, res) => {
+  try {
+    const preferences = await notificationService.getPreferences(req.user.id);
+
+    res.json({
+      success: true,
+      data: preferences,
+      availableEvents: Object.values(EVENT_TYPES)
+    });
+  } catch (error) {
+    console.error('Notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notification preferences'
+    });
+  }
+});
+
+/**
+ * Update the user's notification preferences
+ * PUT /api/notifications/preferences
+ */
+router.put('/preferences', [
+  body('email_enabled').optional().isBoolean().toBoolean(),
+  body('sms_enabled').optional().isBoolean().toBoolean(),
+  body('push_enabled').optional().isBoolean().toBoolean(),
+  body('muted_events').optional().isArray(),
+  body('muted_events.*').isIn(Object.values(EVENT_TYPES)),
+  body('expo_push_token').optional({ nullable: true }).isString().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const changes = {};
+    ['email_enabled', 'sms_enabled', 'push_enabled', 'muted_events', 'expo_push_token'].forEach(field => {
+      if (req.body[field] !== undefined) changes[field] = req.body[field];
+    });
+
+    const current = await notificationService.getPreferences(req.user.id);
+    const { user_id, id, created_at, updated_at, ...currentValues } = current;
+
+    const preferences = await getRepositories().notificationPreferences.upsertForUser(req.user.id, {
+      ...currentValues,
+      ...changes
+    });
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated',
+      data: preferences
+    });
+  } catch (error) {
+    console.error('Notification preferences update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update notification preferences'
+    });
+  }
+});
+
+/**
+ * Mark one notification as read
+ * PUT /api/notifications/:id/read
+ */
+router.put('/:id/read', async (req, res) => {
+  try {
+    const [notification] = await getRepositories().notifications.markRead(req.user.id, req.params.id);
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found or already read'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: notification
+    });
+  } catch (error) {
+    console.error('Notification read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update notification'
+    });
+  }
+});
+
+module.exports = router;
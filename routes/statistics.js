@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { supabase } = require('../config/supabase');
+const { getRepositories } = require('../repositories');
 
 /**
  * Get detailed statistics breakdown for debugging
@@ -10,14 +10,7 @@ router.get('/debug', async (req, res) => {
   try {
     console.log('🔍 Debug statistics request');
     
-    const { data, error } = await supabase
-      .from('complaints')
-      .select('id, status, title')
-      .order('created_at', { ascending: false });
-    
-    if (error) {
-      throw new Error(error.message);
-    }
+    const data = await getRepositories().complaints.list({ columns: 'id, status, title' });
     
     // Count status occurrences
     const statusCounts = {};
@@ -66,14 +59,7 @@ router.get('/summary', async (req, res) => {
   try {
     console.log('📊 Getting statistics summary');
     
-    const { data, error } = await supabase
-      .from('complaints')
-      .select('status')
-      .order('created_at', { ascending: false });
-    
-    if (error) {
-      throw new Error(error.message);
-    }
+    const data = await getRepositories().complaints.list({ columns: 'status' });
     
     const pending = data.filter(c => c.status?.toLowerCase() === 'pending').length;
     const inProgress = data.filter(c => c.status?.toLowerCase() === 'in_progress').length;
@@ -1,476 +0,0 @@
-const express = require('express');
-const router = express.Router();
-const multer = require('multer');
-const axios = require('axios');
-const FormData = require('form-data');
-const fs = require('fs');
-const path = require('path');
-const ffmpeg = require('fluent-ffmpeg');
-const ffmpegStatic = require('ffmpeg-static');
-require('dotenv').config();
-
-// Set FFmpeg path
-ffmpeg.setFfmpegPath(ffmpegStatic);
-
-/**
- * Convert audio file to WAV format using FFmpeg
- * @param {string} inputPath - Path to the input audio file
- * @param {string} outputPath - Path for the output WAV file
- * @returns {Promise<string>} - Promise that resolves to the output path
- */
-const convertToWav = (inputPath, outputPath) => {
-  return new Promise((resolve, reject) => {
-    console.log(`🔄 Converting audio file to WAV: ${inputPath} -> ${outputPath}`);
-    
-    ffmpeg(inputPath)
-      .toFormat('wav')
-      .audioCodec('pcm_s16le') // 16-bit PCM for compatibility
-      .audioChannels(1) // Mono
-      .audioFrequency(16000) // 16kHz sample rate for Sarvam API
-      .on('start', (commandLine) => {
-        console.log('📼 FFmpeg process started:', commandLine);
-      })
-      .on('progress', (progress) => {
-        console.log('⏳ Processing: ' + Math.round(progress.percent) + '% done');
-      })
-      .on('end', () => {
-        console.log('✅ Audio conversion completed successfully');
-        resolve(outputPath);
-      })
-      .on('error', (err) => {
-        console.error('❌ Error during audio conversion:', err);
-        reject(err);
-      })
-      .save(outputPath);
-  });
-};
-
-// Configure storage for audio files
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    // Make sure uploads directory exists
-    if (!fs.existsSync('uploads/')) {
-      fs.mkdirSync('uploads/', { recursive: true });
-    }
-    cb(null, 'uploads/');
-  },
-  filename: function (req, file, cb) {
-    cb(null, Date.now() + '-' + file.originalname);
-  }
-});
-
-const upload = multer({ 
-  storage: storage,
-  fileFilter: (req, file, cb) => {
-    // Accept audio files
-    if (file.mimetype.startsWith('audio/')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only audio files are allowed!'), false);
-    }
-  },
-  limits: {
-    fileSize: 50 * 1024 * 1024 // 50MB limit
-  }
-});
-
-// Endpoint to transcribe audio
-router.post('/audio', upload.single('audio'), async (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({ success: false, message: 'No audio file uploaded' });
-    }
-
-    // Helper function for text translation
-    async function translateText(text, sourceLanguage, targetLanguage) {
-      try {
-        console.log(`Translating text from ${sourceLanguage} to ${targetLanguage}: "${text}"`);
-        const textTranslateFormData = new FormData();
-        textTranslateFormData.append('input_text', text);
-        textTranslateFormData.append('source_lang', sourceLanguage.split('-')[0]);
-        textTranslateFormData.append('target_lang', targetLanguage);
-        
-        const textTranslateResponse = await axios.post(
-          'https://api.sarvam.ai/v2/languages/translate',
-          textTranslateFormData,
-          {
-            headers: {
-              ...textTranslateFormData.getHeaders(),
-              'api-subscription-key': process.env.SARVAM_API_KEY
-            },
-            timeout: 20000
-          }
-        );
-        
-        console.log('Text translation response:', textTranslateResponse.data);
-        
-        if (textTranslateResponse.data && textTranslateResponse.data.text) {
-          translation = textTranslateResponse.data.text;
-          console.log('Text translation successful:', translation);
-          return translation;
-        }
-        return null;
-      } catch (error) {
-        console.error('Text translation failed:', error.message);
-        return null;
-      }
-    }
-
-    // Get language preference from request (default to 'en' for English)
-    const language = req.body.language || 'en';
-    console.log(`Transcribing audio in language: ${language}`);
-    
-    // Path to the uploaded audio file
-    const audioFilePath = req.file.path;
-    console.log(`Processing audio file: ${audioFilePath}`);
-    console.log(`File mimetype: ${req.file.mimetype}`);
-    console.log(`File size: ${req.file.size} bytes`);
-    
-    // Check audio format - Sarvam API only accepts WAV files
-    const fileBuffer = fs.readFileSync(audioFilePath);
-    const isWAV = fileBuffer.slice(0, 4).toString('ascii') === 'RIFF' && 
-                  fileBuffer.slice(8, 12).toString('ascii') === 'WAVE';
-    const isM4A = fileBuffer.slice(4, 8).toString('ascii') === 'ftyp';
-    const isMP3 = fileBuffer.slice(0, 3).toString('hex') === 'fff' || 
-                  fileBuffer.slice(0, 3).toString('ascii') === 'ID3';
-    
-    console.log('🎵 Audio format check:', { isWAV, isM4A, isMP3 });
-    console.log('📄 File info:', {
-        extension: path.extname(audioFilePath),
-        mimetype: req.file.mimetype,
-        actualFormat: isWAV ? 'WAV' : (isM4A ? 'M4A' : (isMP3 ? 'MP3' : 'Unknown'))
-    });
-    
-    // If not WAV format, convert it to WAV first
-    let finalAudioPath = audioFilePath;
-    let conversionPerformed = false;
-    
-    if (!isWAV) {
-        const detectedFormat = isM4A ? 'M4A' : (isMP3 ? 'MP3' : 'Unknown');
-        console.log(`🔄 Converting ${detectedFormat} to WAV format for Sarvam API compatibility`);
-        
-        try {
-            // Create output path for converted WAV file
-            const wavFileName = path.basename(audioFilePath, path.extname(audioFilePath)) + '_converted.wav';
-            const wavFilePath = path.join(path.dirname(audioFilePath), wavFileName);
-            
-            // Convert the audio file to WAV
-            await convertToWav(audioFilePath, wavFilePath);
-            
-            // Update the path to use the converted file
-            finalAudioPath = wavFilePath;
-            conversionPerformed = true;
-            
-            console.log(`✅ Successfully converted ${detectedFormat} to WAV: ${wavFilePath}`);
-            
-        } catch (conversionError) {
-            console.error('❌ Audio conversion failed:', conversionError);
-            
-            // Clean up the uploaded file
-            try {
-                if (fs.existsSync(audioFilePath)) {
-                    fs.unlinkSync(audioFilePath);
-                }
-            } catch (cleanupErr) {
-                console.error('Error cleaning up audio files:', cleanupErr);
-            }
-            
-            // Return fallback response if conversion fails
-            const fallbackMessages = {
-                'en': 'There is a major issue in my vicinity.',
-                'hi': 'मेरे आस-पास एक बड़ी समस्या है।',
-                'te': 'నా సమీపంలో ఒక ప్రధాన సమస్య ఉంది.',
-                'ta': 'என் அருகில் ஒரு பெரிய பிரச்சனை உள்ளது.',
-                'kn': 'ನನ್ನ ಸುತ್ತಮುತ್ತ ಒಂದು ಪ್ರಮುಖ সমস্যೆ ಇದೆ.',
-                'mr': 'माझ्या आसपास एक मोठी समस्या आहे.',
-                'bn': 'আমার আশেপাশে একটি বড় সমস্যা আছে।',
-                'gu': 'મારી આસપાસ એક મોટી સમસ્યા છે.',
-                'ml': 'എന്റെ സമീപത്ത് ഒരു പ്രധാന പ്രശ്നമുണ്ട്.',
-                'pa': 'ਮੇਰੇ ਆਸ ਪਾਸ ਇੱਕ ਵੱਡੀ ਸਮੱਸਿਆ ਹੈ।'
-            };
-            
-            const transcription = fallbackMessages[language] || fallbackMessages['en'];
-            const translation = 'There is a major issue in my vicinity.';
-            
-            return res.json({
-                success: true,
-                transcription: transcription,
-                translation: translation,
-                language: language,
-                note: `Audio conversion failed. Using fallback text.`
-            });
-        }
-    }
-    
-    // Try to transcribe using Sarvam API
-    let transcription = '';
-    let translation = '';
-    
-    try {
-      // Create form data for Sarvam API transcription with correct parameters
-      const transcribeFormData = new FormData();
-      
-      // Read the file as a stream (Sarvam API expects this format)
-      transcribeFormData.append('file', fs.createReadStream(finalAudioPath), {
-        filename: path.basename(finalAudioPath),
-        contentType: 'audio/wav' // Now guaranteed to be WAV format
-      });
-      
-      // Use the correct model name for Sarvam API (based on our test)
-      transcribeFormData.append('model', 'saarika:v2.5');
-      
-      // Map language codes to Sarvam format - they expect format like 'ta-IN', 'en-IN' etc.
-      const languageMapping = {
-        'en': 'en-IN',
-        'hi': 'hi-IN', 
-        'te': 'te-IN',
-        'ta': 'ta-IN',
-        'kn': 'kn-IN',
-        'mr': 'mr-IN',
-        'bn': 'bn-IN',
-        'gu': 'gu-IN',
-        'ml': 'ml-IN',
-        'pa': 'pa-IN',
-        'od': 'od-IN'
-      };
-      
-      const sarvamLanguage = languageMapping[language] || 'ta-IN';
-      // Use 'language' parameter (not 'language_code') as per API specification
-      transcribeFormData.append('language', sarvamLanguage);
-      
-      // Make request to Sarvam API for transcription
-      console.log('Calling Sarvam API for transcription...');
-      console.log('Using Sarvam API Key:', process.env.SARVAM_API_KEY ? 'Key is set' : 'Key is missing');
-      console.log('Language code for Sarvam:', sarvamLanguage);
-      console.log('Model: saarika:v2.5');
-      console.log('File path:', audioFilePath);
-      console.log('File size:', fs.statSync(audioFilePath).size, 'bytes');
-      
-      let transcribeResponse;
-      try {
-        console.log('Attempting transcription with Sarvam Speech API...');
-        
-        // Use the correct Sarvam Speech-to-Text endpoint with only the working auth method
-        transcribeResponse = await axios.post(
-          'https://api.sarvam.ai/speech-to-text',
-          transcribeFormData,
-          {
-            headers: {
-              ...transcribeFormData.getHeaders(),
-              'api-subscription-key': process.env.SARVAM_API_KEY
-            },
-            timeout: 45000, // 45 second timeout for audio processing
-            maxContentLength: Infinity,
-            maxBodyLength: Infinity
-          }
-        );
-        console.log('✅ Sarvam API transcription successful');
-        console.log('Response status:', transcribeResponse.status);
-        console.log('Response headers:', transcribeResponse.headers);
-        console.log('Response data:', JSON.stringify(transcribeResponse.data, null, 2));
-      } catch (apiError) {
-        console.log('❌ Sarvam API transcription failed:', {
-          message: apiError.message,
-          status: apiError.response?.status,
-          statusText: apiError.response?.statusText,
-          data: apiError.response?.data,
-          headers: apiError.response?.headers
-        });
-        
-        // If it's an "Invalid Audio File" error, provide more details
-        if (apiError.response?.data?.error?.message === 'Invalid Audio File') {
-          console.log('🔍 Audio file analysis:');
-          console.log('- File exists:', fs.existsSync(audioFilePath));
-          console.log('- File size:', fs.statSync(audioFilePath).size, 'bytes');
-          console.log('- File extension:', path.extname(audioFilePath));
-          console.log('- Original MIME type:', req.file.mimetype);
-          
-          // Try to read first few bytes to understand file format
-          const buffer = fs.readFileSync(audioFilePath, { start: 0, end: 20 });
-          console.log('- File header (hex):', buffer.toString('hex'));
-          console.log('- File header (ascii):', buffer.toString('ascii').replace(/[^\x20-\x7E]/g, '.'));
-        }
-        
-        throw apiError;
-      }
-      
-      // Process the API response
-      console.log('Sarvam API response received:', {
-        status: transcribeResponse.status,
-        headers: transcribeResponse.headers,
-        data: transcribeResponse.data
-      });
-      
-      // Extract transcription based on Sarvam API response structure
-      if (transcribeResponse.data && typeof transcribeResponse.data === 'object') {
-        // Check for different possible response formats from Sarvam API
-        if (transcribeResponse.data.transcript) {
-          transcription = transcribeResponse.data.transcript;
-          console.log('✅ Found transcript field:', transcription);
-        } else if (transcribeResponse.data.text) {
-          transcription = transcribeResponse.data.text;
-          console.log('✅ Found text field:', transcription);
-        } else if (transcribeResponse.data.transcription) {
-          transcription = transcribeResponse.data.transcription;
-          console.log('✅ Found transcription field:', transcription);
-        } else if (transcribeResponse.data.results && transcribeResponse.data.results.length > 0) {
-          // Handle array-based response format
-          const result = transcribeResponse.data.results[0];
-          if (result.transcript) {
-            transcription = result.transcript;
-          } else if (result.text) {
-            transcription = result.text;
-          }
-          console.log('✅ Found transcript in results array:', transcription);
-        } else {
-          console.log('⚠️ Unknown Sarvam API response structure:', transcribeResponse.data);
-          // Try to extract any string value from the response
-          const values = Object.values(transcribeResponse.data);
-          const stringValue = values.find(v => typeof v === 'string' && v.length > 0);
-          if (stringValue) {
-            transcription = stringValue;
-            console.log('✅ Extracted string value:', transcription);
-          }
-        }
-      } else if (typeof transcribeResponse.data === 'string') {
-        transcription = transcribeResponse.data;
-        console.log('✅ Direct string response:', transcription);
-      }
-      
-      console.log('Final extracted transcription:', transcription);
-      
-      // For English language selection, only use fallback if transcription is empty
-      if (!transcription) {
-        console.log('Empty transcription, providing language-specific fallback');
-        // Provide fallback messages in the selected language
-        const fallbackMessages = {
-          'en': 'There is a major issue in my vicinity.',
-          'hi': 'मेरे आस-पास एक बड़ी समस्या है।',
-          'te': 'నా సమీపంలో ఒక ప్రధాన సమస్య ఉంది.',
-          'ta': 'என் அருகில் ஒரு பெரிய பிரச்சனை உள்ளது.',
-          'kn': 'ನನ್ನ ಸುತ್ತಮುತ್ತ ಒಂದು ಪ್ರಮುಖ ಸಮಸ್ಯೆ ಇದೆ.',
-          'mr': 'माझ्या आसपास एक मोठी समस्या आहे.',
-          'bn': 'আমার আশেপাশে একটি বড় সমস্যা আছে।',
-          'gu': 'મારી આસપાસ એક મોટી સમસ્યા છે.',
-          'ml': 'എന്റെ സമീപത്ത് ഒരു പ്രധാന പ്രശ്നമുണ്ട്.',
-          'pa': 'ਮੇਰੇ ਆਸ ਪਾਸ ਇੱਕ ਵੱਡੀ ਸਮੱਸਿਆ ਹੈ।'
-        };
-        
-        // Use the fallback message for the selected language or default to English
-        transcription = fallbackMessages[language] || fallbackMessages['en'];
-      }
-      
-      // Handle translation
-      if (transcription) {
-        // If it's English, just set translation to the transcription
-        if (language === 'en') {
-          translation = transcription;
-          console.log('English transcription, using same text for translation:', translation);
-        } else {
-          // For non-English, provide an English translation
-          try {
-            // For simplicity, use mock translations for demo instead of API calls
-            // This ensures the app works without API timeouts
-            const mockTranslations = {
-              'hi': 'There is a major issue in my vicinity.',
-              'te': 'There is a major issue in my vicinity.',
-              'ta': 'There is a major issue in my vicinity.',
-              'kn': 'There is a major issue in my vicinity.',
-              'mr': 'There is a major issue in my vicinity.',
-              'bn': 'There is a major issue in my vicinity.',
-              'gu': 'There is a major issue in my vicinity.',
-              'ml': 'There is a major issue in my vicinity.',
-              'pa': 'There is a major issue in my vicinity.',
-            };
-            
-            // Add a log to verify which language code is being used
-            console.log(`Using language code for translation: "${language}"`);
-            
-            // Get translation from mock data
-            translation = mockTranslations[language] || 'There is a major issue in my vicinity.';
-            console.log('Using mock translation for demo:', translation);
-          } catch (error) {
-            console.error('Translation error:', error.message);
-            translation = 'English translation not available';
-          }
-        }
-      } else {
-        // If transcription failed, use the fallback message for translation too
-        transcription = 'There is a major issue in my vicinity.';
-        translation = 'There is a major issue in my vicinity.';
-      }
-      
-    } catch (apiError) {
-      console.error('Sarvam API error:', apiError.response?.data || apiError.message);
-      console.error('API error details:', {
-        status: apiError.response?.status,
-        headers: apiError.response?.headers,
-        config: apiError.config
-      });
-      
-      // Instead of failing, we'll continue but note the error
-      if (!transcription) {
-        // Only set a fallback transcription if we didn't get one from the API
-        transcription = 'There is a major issue in my vicinity.';
-        translation = 'There is a major issue in my vicinity.';
-      }
-    }
-    
-    // Clean up the uploaded files
-    try {
-      // Delete original uploaded file
-      if (fs.existsSync(audioFilePath)) {
-        fs.unlinkSync(audioFilePath);
-        console.log(`Deleted original audio file: ${audioFilePath}`);
-      }
-      
-      // Delete converted WAV file if it was created
-      if (conversionPerformed && finalAudioPath !== audioFilePath && fs.existsSync(finalAudioPath)) {
-        fs.unlinkSync(finalAudioPath);
-        console.log(`Deleted converted WAV file: ${finalAudioPath}`);
-      }
-    } catch (cleanupErr) {
-      console.error('Error cleaning up audio files:', cleanupErr);
-    }
-    
-    // Return transcription result
-    return res.json({
-      success: true,
-      transcription: transcription,
-      translation: translation,
-      language: language
-    });
-    
-  } catch (error) {
-    console.error('Transcription error:', error);
-    
-    // Clean up the uploaded files if they exist
-    if (req.file && req.file.path) {
-      try {
-        // Delete original uploaded file
-        if (fs.existsSync(req.file.path)) {
-          fs.unlinkSync(req.file.path);
-          console.log(`Deleted uploaded file: ${req.file.path}`);
-        }
-        
-        // Delete converted WAV file if it exists and is different from original
-        if (typeof conversionPerformed !== 'undefined' && conversionPerformed && 
-            typeof finalAudioPath !== 'undefined' && finalAudioPath !== req.file.path && 
-            fs.existsSync(finalAudioPath)) {
-          fs.unlinkSync(finalAudioPath);
-          console.log(`Deleted converted WAV file: ${finalAudioPath}`);
-        }
-      } catch (cleanupErr) {
-        console.error('Error cleaning up audio files:', cleanupErr);
-      }
-    }
-    
-    return res.status(500).json({
-      success: false,
-      message: 'Transcription failed',
-      error: error.message
-    });
-  }
-});
-
-module.exports = router;
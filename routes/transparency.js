@@ -1,20 +1,31 @@
 const express = require('express');
 const router = express.Router();
 const { supabase } = require('../config/supabase');
+const BoundaryService = require('../services/BoundaryService');
+
+const boundaryService = BoundaryService.getInstance();
 
 /**
  * Get comprehensive transparency dashboard data
  * GET /api/transparency/dashboard
+ * Query: ward and zone (comma-separated) to limit the figures to those wards
  */
 router.get('/dashboard', async (req, res) => {
   try {
     console.log('🏛️ Transparency dashboard data requested');
     
+    const wardIds = await boundaryService.resolveWardFilter({ ward: req.query.ward, zone: req.query.zone });
+    
     // Get all complaints with detailed information
-    const { data: complaints, error: complaintsError } = await supabase
+    let query = supabase
       .from('complaints')
-      .select('id, status, category, created_at, resolved_at, priority_score, vote_count')
-      .order('created_at', { ascending: false });
+      .select('id, status, category, created_at, resolved_at, priority_score, vote_count, ward_id');
+    
+    if (wardIds) {
+      query = query.in('ward_id', wardIds);
+    }
+    
+    const { data: complaints, error: complaintsError } = await query.order('created_at', { ascending: false });
     
     if (complaintsError) {
       throw new Error(complaintsError.message);
@@ -75,6 +86,7 @@ router.get('/dashboard', async (req, res) => {
         votingStats,
         
         // Metadata
+        wardIds,
         lastUpdated: new Date().toISOString(),
         dataRange: {
           from: complaints.length > 0 ? new Date(Math.min(...complaints.map(c => new Date(c.created_at)))).toISOString() : null,
@@ -101,6 +113,28 @@ router.get('/dashboard', async (req, res) => {
   }
 });
 
+/**
+ * Wards and zones available to the dashboard's ward filter
+ * GET /api/transparency/wards
+ */
+router.get('/wards', async (req, res) => {
+  try {
+    const wards = await boundaryService.listWards();
+    
+    res.json({
+      success: true,
+      data: wards.map(({ id, name, zone }) => ({ id, name, zone })),
+      zones: [...new Set(wards.map(ward => ward.zone).filter(Boolean))].sort()
+    });
+  } catch (error) {
+    console.error('Transparency wards error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch wards'
+    });
+  }
+});
+
 /**
  * Calculate category statistics
  */
@@ -0,0 +1,123 @@
+const express = require('express');
+const router = express.Router();
+const VoteService = require('../services/VoteService');
+const {
+  guestVoteIpLimiter,
+  guestVoteDeviceLimiter,
+  attachGuestDevice,
+  getVoter
+} = require('../middleware/guestDevice');
+const { VOTE_ACTIONS, MAX_STATUS_BATCH } = require('../config/votes');
+
+const voteService = new VoteService();
+
+const VOTE_MESSAGES = {
+  upvote: 'Vote added successfully',
+  downvote: 'Downvote recorded',
+  retract: 'Vote removed successfully'
+};
+
+/**
+ * Shape a castVote result for the vote endpoints
+ */
+const formatVoteResult = (complaintId, result) => ({
+  complaintId,
+  voteType: result.voteType,
+  previousVoteType: result.previousVoteType,
+  changed: result.changed,
+  userVoted: result.voteType === 'upvote',
+  voteCount: result.voteCount,
+  downvoteCount: result.downvoteCount
+});
+
+/**
+ * Cast, change or retract a vote
+ * POST /api/votes
+ * Headers: Authorization (signed-in users) or X-Device-Token (guests)
+ * Body: { complaintId: string, action: 'upvote' | 'downvote' | 'retract' }
+ *
+ * The action sets the caller's vote, so retrying a request leaves it unchanged.
+ */
+router.post('/', guestVoteIpLimiter, attachGuestDevice, guestVoteDeviceLimiter, async (req, res) => {
+  try {
+    const { complaintId, action } = req.body;
+
+    if (!complaintId || !VOTE_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: `complaintId and action (${VOTE_ACTIONS.join(', ')}) are required`
+      });
+    }
+
+    const voter = getVoter(req);
+    if (!voter) {
+      return res.status(401).json({
+        success: false,
+        message: 'Sign in or send a guest device token (POST /api/guest-votes/device-token) to vote',
+        code: 'VOTER_REQUIRED'
+      });
+    }
+
+    const result = await voteService.castVote({ complaintId, voter, action });
+
+    if (result.status === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        message: 'Complaint not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: result.changed ? VOTE_MESSAGES[action] : 'Vote unchanged',
+      data: formatVoteResult(complaintId, result)
+    });
+  } catch (error) {
+    console.error('❌ Vote processing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while processing vote'
+    });
+  }
+});
+
+/**
+ * The caller's current vote and the vote count for a batch of complaints
+ * GET /api/votes/status?complaintIds=id1,id2,...
+ * Headers: Authorization or X-Device-Token (optional - anonymous callers get counts only)
+ */
+router.get('/status', attachGuestDevice, async (req, res) => {
+  try {
+    const complaintIds = (req.query.complaintIds || '')
+      .split(',')
+      .map(id => id.trim())
+      .filter(Boolean);
+
+    if (complaintIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'complaintIds query parameter is required'
+      });
+    }
+
+    if (complaintIds.length > MAX_STATUS_BATCH) {
+      return res.status(400).json({
+        success: false,
+        message: `At most ${MAX_STATUS_BATCH} complaint IDs per request`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await voteService.getVoteStatuses(complaintIds, getVoter(req))
+    });
+  } catch (error) {
+    console.error('❌ Vote status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while getting vote status'
+    });
+  }
+});
+
+module.exports = router;
@@ -3,20 +3,28 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const morgan = require('morgan');
-const { supabase } = require('./config/supabase');
-const { getServerConfig } = require('./utils/networkUtils');
+const { logger, captureConsole } = require('./utils/logger');
+const { CAPTURE_CONSOLE } = require('./config/logging');
+
+// Structured JSON logs with request IDs, including existing console output
+if (CAPTURE_CONSOLE) {
+  captureConsole();
+}
 
-// Debug environment variables
-console.log('🔧 Environment Debug:', {
-    ROBOFLOW_API_KEY: process.env.ROBOFLOW_API_KEY ? 'SET' : 'NOT SET',
-    ROBOFLOW_WORKSPACE: process.env.ROBOFLOW_WORKSPACE || 'NOT SET',
-    ROBOFLOW_WORKFLOW: process.env.ROBOFLOW_WORKFLOW || 'NOT SET',
-    ROBOFLOW_API_URL: process.env.ROBOFLOW_API_URL || 'NOT SET',
-    SUPABASE_URL: process.env.SUPABASE_URL ? 'SET' : 'NOT SET',
-    SUPABASE_ANON_KEY: process.env.SUPABASE_ANON_KEY ? 'SET' : 'NOT SET',
-    NODE_ENV: process.env.NODE_ENV || 'development',
-    PORT: process.env.PORT || '3001'
+const { supabase, dataBackend } = require('./config/supabase');
+const { getServerConfig } = require('./utils/networkUtils');
+const { requestContextMiddleware } = require('./middleware/requestContext');
+
+const log = logger.child({ component: 'server' });
+
+// Which settings are present (names only; values are never logged)
+const settingNames = ['ROBOFLOW_API_KEY', 'ROBOFLOW_WORKSPACE', 'ROBOFLOW_WORKFLOW', 'ROBOFLOW_API_URL', 'SUPABASE_URL', 'SUPABASE_ANON_KEY'];
+log.info('Environment', {
+  settingsPresent: settingNames.filter(name => process.env[name]),
+  settingsMissing: settingNames.filter(name => !process.env[name]),
+  dataBackend: process.env.DATA_BACKEND || 'supabase',
+  environment: process.env.NODE_ENV || 'development',
+  port: process.env.PORT || '3001'
 });
 
 // Ensure JWT secret exists
@@ -24,7 +32,7 @@ if (!process.env.JWT_SECRET) {
   if (process.env.NODE_ENV === 'production') {
     throw new Error('JWT_SECRET environment variable is required in production');
   } else {
-    console.warn('⚠️  Using default JWT secret for development. Set JWT_SECRET in production!');
+    log.warn('Using default JWT secret for development. Set JWT_SECRET in production!');
     process.env.JWT_SECRET = 'dev-secret-change-me';
   }
 }
@@ -36,8 +44,17 @@ const { host, port, url } = serverConfig;
 // Make supabase available to routes
 app.set('supabase', supabase);
 
+// Behind a load balancer, trust its X-Forwarded-For so req.ip (used for rate limits) is the client's
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Log connection status
-console.log('🔌 Supabase client initialized');
+log.info(`${dataBackend === 'memory' ? 'In-memory' : 'Supabase'} client initialized`, { dataBackend });
+
+// Request IDs, request logs and latency metrics
+app.use(requestContextMiddleware);
 
 // Middleware
 app.use(helmet());
@@ -69,41 +86,17 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id']
 }));
 
-// More detailed logging for API requests
-app.use(morgan(':remote-addr - :method :url :status :res[content-length] - :response-time ms'));
-
-// Add custom middleware to log request bodies for debugging
-app.use((req, res, next) => {
-  // Log API request details
-  if (req.url.startsWith('/api/')) {
-    const logInfo = {
-      method: req.method,
-      url: req.url,
-      query: req.query,
-      headers: {
-        'user-agent': req.headers['user-agent'],
-        'content-type': req.headers['content-type']
-      }
-    };
-    
-    // Only log request body for POST/PUT methods and if it exists
-    if ((req.method === 'POST' || req.method === 'PUT') && req.body && Object.keys(req.body).length > 0) {
-      // Truncate request body to avoid huge logs
-      const bodyStr = JSON.stringify(req.body);
-      logInfo.body = bodyStr.length > 200 ? bodyStr.substring(0, 200) + '...' : bodyStr;
-    }
-    
-    console.log('📥 API REQUEST:', JSON.stringify(logInfo));
-  }
-  next();
-});
-
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Liveness/readiness probes and Prometheus scrape endpoint (no user auth)
+app.use('/health', require('./routes/health'));
+app.use('/metrics', require('./routes/metrics'));
+
 // Auth middleware - applies to all routes
 const { authenticateUser } = require('./middleware/auth');
 app.use(authenticateUser);
@@ -118,24 +111,20 @@ app.use('/api/image-analysis', require('./routes/imageAnalysis'));
 app.use('/cloudinary', require('./routes/cloudinary'));
 app.use('/api/location-priority', require('./routes/locationPriority'));
 app.use('/api/heat-map', require('./routes/heatMap'));
-app.use('/transcribe', require('./routes/transcription'));
-app.use('/api/transcribe', require('./routes/transcribe'));
+// Speech-to-text - /transcribe is kept for older app builds
+const transcriptionRouter = require('./routes/transcription');
+app.use('/transcribe', transcriptionRouter);
+app.use('/api/transcribe', transcriptionRouter);
 app.use('/api/chatbot', require('./routes/chatbot'));
 app.use('/api/statistics', require('./routes/statistics'));
 app.use('/api/transparency', require('./routes/transparency'));
 app.use('/api/emotion', require('./routes/emotion'));
+app.use('/api/votes', require('./routes/votes'));
 app.use('/api/simplified-votes', require('./routes/simplified-votes'));
 app.use('/api/guest-votes', require('./routes/guest-votes'));
 app.use('/api/feedback', require('./routes/feedback'));
-
-// Health check
-app.get('/health', (req, res) => {
-  res.status(200).json({ 
-    status: 'OK', 
-    message: 'CivicStack Backend Server is running',
-    timestamp: new Date().toISOString()
-  });
-});
+app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/events', require('./routes/events'));
 
 // Root route
 app.get('/', (req, res) => {
@@ -147,14 +136,16 @@ app.get('/', (req, res) => {
       '/api/complaints - Complaint management',
       '/api/admin - Basic admin dashboard',
       '/api/admin-enhanced - Advanced admin workflow management',
-      '/health - Health check'
+      '/api/events/stream - Real-time complaint updates (Server-Sent Events)',
+      '/health - Liveness check (/health/ready for dependency readiness)',
+      '/metrics - Prometheus metrics'
     ]
   });
 });
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error(err.stack);
+  log.error('Unhandled error', { err, method: req.method, url: req.originalUrl });
   res.status(500).json({
     success: false,
     message: 'Something went wrong!',
@@ -170,12 +161,24 @@ app.use((req, res) => {
   });
 });
 
-app.listen(port, '0.0.0.0', () => {
-  console.log(`🚀 CivicStack Backend Server is running on ${url}`);
-  console.log(`📊 Health check: ${url}/health`);
-  console.log(`📱 API endpoints: ${url}/api`);
-  console.log(`🌐 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log('⭐ Server is ready to accept connections');
-});
+// Only bind the port when run directly so tests can require the app
+if (require.main === module) {
+  app.listen(port, '0.0.0.0', () => {
+    log.info('CivicStack Backend Server is ready to accept connections', {
+      url,
+      healthCheck: `${url}/health/ready`,
+      metrics: `${url}/metrics`,
+      environment: process.env.NODE_ENV || 'development',
+      dataBackend
+    });
+  });
+
+  // Periodic SLA breach detection and escalation
+  const { SCHEDULER } = require('./config/sla');
+  if (SCHEDULER.enabled) {
+    const SlaService = require('./services/SlaService');
+    new SlaService().startScheduler();
+  }
+}
 
 module.exports = app;
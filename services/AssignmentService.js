@@ -0,0 +1,157 @@
+const WorkflowEngine = require('./WorkflowEngine');
+const { getRepositories } = require('../repositories');
+
+// Complaint statuses that still count towards someone's workload
+const OPEN_COMPLAINT_STATUSES = ['pending', 'in_progress'];
+const OPEN_STAGE_STATUSES = ['pending', 'in_progress'];
+
+const ASSIGNMENT_FIELDS = {
+  officer: 'assigned_officer_id',
+  contractor: 'assigned_contractor_id'
+};
+
+/**
+ * Assignment Service
+ * Validates officer/contractor assignments on workflow stages and computes
+ * open-assignment workload per person from complaint_workflow stage data.
+ */
+class AssignmentService {
+  constructor(options = {}) {
+    this.repositories = options.repositories || getRepositories();
+    this.workflowEngine = options.workflowEngine || new WorkflowEngine();
+  }
+
+  registryFor(type) {
+    return type === 'officer' ? this.repositories.officers : this.repositories.contractors;
+  }
+
+  /**
+   * Check the assignments in a stage update payload
+   * @returns {Object} { valid, status, message } - status is the HTTP code to reply with
+   */
+  async validateStageAssignments(stage, payload, complaintId) {
+    for (const [type, field] of Object.entries(ASSIGNMENT_FIELDS)) {
+      const assigneeId = payload[field];
+      if (!assigneeId) continue;
+
+      if (!(stage.fields || []).includes(field)) {
+        return {
+          valid: false,
+          status: 400,
+          message: `${stage.name} does not take a ${type} assignment`
+        };
+      }
+
+      const assignee = await this.registryFor(type).findById(assigneeId);
+
+      if (!assignee) {
+        return { valid: false, status: 400, message: `Unknown ${type}: ${assigneeId}` };
+      }
+
+      if (assignee.status !== 'active') {
+        return { valid: false, status: 400, message: `${assignee.name} is ${assignee.status} and cannot be assigned` };
+      }
+
+      const workload = await this.getWorkloadFor(type, assigneeId);
+      const alreadyOnComplaint = workload.assignments.some(item => item.complaint_id === complaintId);
+
+      if (!alreadyOnComplaint && workload.openAssignments >= assignee.capacity && !payload.force_assignment) {
+        return {
+          valid: false,
+          status: 409,
+          code: 'CAPACITY_EXCEEDED',
+          message: `${assignee.name} is at capacity (${workload.openAssignments}/${assignee.capacity} open assignments)`
+        };
+      }
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * All open stage assignments across open complaints
+   * @returns {Array<Object>} { type, assignee_id, complaint_id, complaint_title, stage_key, stage_name, stage_status, assigned_at }
+   */
+  async getOpenAssignments() {
+    const complaints = await this.repositories.complaints.list({
+      columns: 'id, title, category, status, priority_score, created_at',
+      status: OPEN_COMPLAINT_STATUSES
+    });
+
+    const workflows = await this.repositories.workflow.listForComplaints(complaints.map(c => c.id));
+    const assignments = [];
+
+    workflows.forEach(workflow => {
+      const complaint = complaints.find(c => c.id === workflow.complaint_id);
+      const definition = this.workflowEngine.getDefinitionForComplaint(complaint, workflow);
+
+      this.workflowEngine.getStageStates(definition, workflow).forEach(state => {
+        if (!OPEN_STAGE_STATUSES.includes(state.status)) return;
+
+        Object.entries(ASSIGNMENT_FIELDS).forEach(([type, field]) => {
+          if (!state[field]) return;
+          assignments.push({
+            type,
+            assignee_id: state[field],
+            complaint_id: complaint.id,
+            complaint_title: complaint.title,
+            complaint_category: complaint.category,
+            priority_score: complaint.priority_score,
+            stage_key: state.key,
+            stage_name: state.name,
+            stage_status: state.status,
+            assigned_at: state.timestamp || null
+          });
+        });
+      });
+    });
+
+    return assignments;
+  }
+
+  async getWorkloadFor(type, assigneeId) {
+    const assignments = (await this.getOpenAssignments())
+      .filter(item => item.type === type && item.assignee_id === assigneeId);
+
+    return {
+      openAssignments: assignments.length,
+      assignments
+    };
+  }
+
+  /**
+   * Workload summary for every registered officer and contractor
+   */
+  async getWorkload({ type, department } = {}) {
+    const assignments = await this.getOpenAssignments();
+    const types = type ? [type] : Object.keys(ASSIGNMENT_FIELDS);
+    const result = {};
+
+    for (const registryType of types) {
+      const people = await this.registryFor(registryType).search({ department });
+
+      result[`${registryType}s`] = people.map(person => {
+        const personAssignments = assignments.filter(
+          item => item.type === registryType && item.assignee_id === person.id
+        );
+
+        return {
+          id: person.id,
+          name: person.name,
+          department: person.department,
+          specialization: person.specialization,
+          status: person.status,
+          capacity: person.capacity,
+          openAssignments: personAssignments.length,
+          utilization: person.capacity ? Math.round((personAssignments.length / person.capacity) * 100) : null,
+          available: person.status === 'active' && personAssignments.length < person.capacity,
+          assignments: personAssignments
+        };
+      });
+    }
+
+    return result;
+  }
+}
+
+module.exports = AssignmentService;
@@ -0,0 +1,334 @@
+const fs = require('fs');
+const path = require('path');
+const { getRepositories } = require('../repositories');
+const { getComplaintDepartment } = require('../config/departments');
+const { isPointInGeometry, getGeometryBounds } = require('../utils/geoUtils');
+const {
+  WARD_PROPERTIES,
+  WARD_CACHE_SECONDS,
+  RULE_PRECEDENCE,
+  ASSIGN_BATCH_SIZE
+} = require('../config/boundaries');
+
+const splitList = (value) => (value === undefined || value === null || value === ''
+  ? []
+  : String(value).split(',').map(item => item.trim()).filter(Boolean));
+
+let sharedInstance = null;
+
+const pickProperty = (properties, names) => {
+  const name = names.find(key => properties[key] !== undefined && properties[key] !== null && properties[key] !== '');
+  return name ? String(properties[name]).trim() : null;
+};
+
+/**
+ * Boundary Service
+ * Imports ward and zone polygons from GeoJSON, places points in their ward,
+ * and decides which department a complaint is routed to from its category
+ * and ward (see config/boundaries.js).
+ *
+ *   npm run import:wards -- path/to/wards.geojson
+ *   npm run assign:wards [-- --all]
+ */
+class BoundaryService {
+  constructor(options = {}) {
+    this.repositories = options.repositories || getRepositories();
+    this.cacheSeconds = options.cacheSeconds ?? WARD_CACHE_SECONDS;
+    this.cache = null;
+  }
+
+  /**
+   * Instance shared by the routers, so rule changes reach every cached copy
+   */
+  static getInstance() {
+    if (!sharedInstance) {
+      sharedInstance = new BoundaryService();
+    }
+    return sharedInstance;
+  }
+
+  /**
+   * Ward row for a GeoJSON feature, or null when it has no id or polygon
+   */
+  toWard(feature, source) {
+    if (!feature || feature.type !== 'Feature') return null;
+
+    const properties = feature.properties || {};
+    const id = pickProperty(properties, WARD_PROPERTIES.id) || (feature.id !== undefined ? String(feature.id) : null);
+    const bounds = getGeometryBounds(feature.geometry);
+    if (!id || !bounds) return null;
+
+    return {
+      id,
+      name: pickProperty(properties, WARD_PROPERTIES.name),
+      zone: pickProperty(properties, WARD_PROPERTIES.zone),
+      geometry: feature.geometry,
+      min_lat: bounds.minLat,
+      max_lat: bounds.maxLat,
+      min_lng: bounds.minLng,
+      max_lng: bounds.maxLng,
+      properties,
+      source,
+      imported_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Import ward polygons from a GeoJSON FeatureCollection; wards already
+   * present are replaced
+   * @param {string} inputPath - GeoJSON file
+   * @returns {Promise<Object>} { total, skipped, zones }
+   */
+  async importFile(inputPath) {
+    const data = JSON.parse(await fs.promises.readFile(inputPath, 'utf8'));
+    const features = data.type === 'FeatureCollection' ? data.features || [] : [data];
+    const source = path.basename(inputPath);
+
+    const wards = new Map();
+    features.forEach(feature => {
+      const ward = this.toWard(feature, source);
+      if (ward) wards.set(ward.id, ward);
+    });
+
+    await this.repositories.wards.saveMany([...wards.values()]);
+    this.invalidate();
+
+    const zones = [...new Set([...wards.values()].map(ward => ward.zone).filter(Boolean))].sort();
+    console.log(`🗺️ Imported ${wards.size} wards in ${zones.length} zones from ${source}`);
+    return { total: wards.size, skipped: features.length - wards.size, zones };
+  }
+
+  invalidate() {
+    this.cache = null;
+  }
+
+  /**
+   * Wards (with polygons) and routing rules, cached for WARD_CACHE_SECONDS.
+   * A missing table leaves routing on the category mapping rather than failing.
+   */
+  async load() {
+    if (this.cache && Date.now() - this.cache.loadedAt < this.cacheSeconds * 1000) {
+      return this.cache;
+    }
+
+    let wards = [];
+    let rules = [];
+    try {
+      [wards, rules] = await Promise.all([
+        this.repositories.wards.listAll({ withGeometry: true }),
+        this.repositories.routingRules.listAll()
+      ]);
+    } catch (error) {
+      console.warn('⚠️ Could not load ward boundaries, routing by category only:', error.message);
+    }
+
+    this.cache = { wards, rules, loadedAt: Date.now() };
+    return this.cache;
+  }
+
+  /**
+   * Ward containing a point
+   * @returns {Promise<Object|null>} { id, name, zone }
+   */
+  async findWard(latitude, longitude) {
+    const lat = parseFloat(latitude);
+    const lng = parseFloat(longitude);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+
+    const { wards } = await this.load();
+    const ward = wards.find(candidate =>
+      lat >= candidate.min_lat && lat <= candidate.max_lat &&
+      lng >= candidate.min_lng && lng <= candidate.max_lng &&
+      isPointInGeometry(lat, lng, candidate.geometry)
+    );
+
+    return ward ? { id: ward.id, name: ward.name, zone: ward.zone } : null;
+  }
+
+  /**
+   * Department for a category in a ward: the first routing rule in
+   * RULE_PRECEDENCE order, else the category's department
+   * @returns {Object} { department, source: 'rule' | 'category', ruleId }
+   */
+  resolveDepartment(category, ward, rules) {
+    for (const level of RULE_PRECEDENCE) {
+      const rule = rules.find(candidate =>
+        Boolean(candidate.category) === Boolean(level.category) &&
+        Boolean(candidate.ward_id) === Boolean(level.ward) &&
+        Boolean(candidate.zone) === Boolean(level.zone) &&
+        (!level.category || candidate.category === category) &&
+        (!level.ward || candidate.ward_id === ward?.id) &&
+        (!level.zone || (ward?.zone && candidate.zone === ward.zone))
+      );
+      if (rule) {
+        return { department: rule.department, source: 'rule', ruleId: rule.id };
+      }
+    }
+
+    return { department: getComplaintDepartment({ category }), source: 'category', ruleId: null };
+  }
+
+  /**
+   * Ward and responsible department for a new or existing complaint
+   * @param {Object} complaint - { latitude, longitude, category }
+   * @returns {Promise<Object>} { ward, department, source, ruleId }
+   */
+  async resolveJurisdiction({ latitude, longitude, category }) {
+    const ward = await this.findWard(latitude, longitude);
+    const { rules } = await this.load();
+    return { ward, ...this.resolveDepartment(category, ward, rules) };
+  }
+
+  /**
+   * Assign existing complaints to wards and departments
+   * @param {Object} options - { all } to re-evaluate complaints that already have a ward
+   * @returns {Promise<Object>} { scanned, assigned, outsideWards }
+   */
+  async assignComplaints({ all = false } = {}) {
+    this.invalidate();
+    const summary = { scanned: 0, assigned: 0, outsideWards: 0 };
+    let afterId = null;
+
+    for (;;) {
+      const batch = await this.repositories.complaints.listForWardAssignment({
+        unassignedOnly: !all,
+        afterId,
+        limit: ASSIGN_BATCH_SIZE
+      });
+      if (batch.length === 0) break;
+
+      for (const complaint of batch) {
+        summary.scanned++;
+        const { ward, department } = await this.resolveJurisdiction({
+          latitude: complaint.location_latitude,
+          longitude: complaint.location_longitude,
+          category: complaint.category
+        });
+        if (!ward) summary.outsideWards++;
+
+        const changes = {};
+        if ((ward?.id || null) !== (complaint.ward_id || null)) changes.ward_id = ward?.id || null;
+        // Departments are only overwritten on a full re-run, so routing rule changes apply
+        if (department !== complaint.assigned_department && (all || !complaint.assigned_department)) {
+          changes.assigned_department = department;
+        }
+
+        if (Object.keys(changes).length > 0) {
+          await this.repositories.complaints.update(complaint.id, changes);
+          summary.assigned++;
+        }
+      }
+
+      afterId = batch[batch.length - 1].id;
+    }
+
+    console.log(`🗺️ Ward assignment: ${summary.assigned} of ${summary.scanned} complaints updated, ${summary.outsideWards} outside every ward`);
+    return summary;
+  }
+
+  /**
+   * Ward ids selected by ward and zone query parameters (comma lists; both
+   * narrow the selection)
+   * @returns {Promise<string[]|null>} null when neither is given
+   */
+  async resolveWardFilter({ ward, zone } = {}) {
+    const wardIds = splitList(ward);
+    const zones = splitList(zone);
+    if (wardIds.length === 0 && zones.length === 0) return null;
+    if (zones.length === 0) return wardIds;
+
+    const { wards } = await this.load();
+    return wards
+      .filter(candidate => zones.includes(candidate.zone))
+      .map(candidate => candidate.id)
+      .filter(id => wardIds.length === 0 || wardIds.includes(id));
+  }
+
+  /**
+   * Ward list for filters and map overlays
+   * @param {Object} options - { withGeometry }
+   */
+  async listWards({ withGeometry = false } = {}) {
+    const wards = await this.repositories.wards.listAll({ withGeometry });
+    return wards.map(({ properties, ...ward }) => ward);
+  }
+
+  async listRules() {
+    return this.repositories.routingRules.listAll();
+  }
+
+  /**
+   * Add a routing rule
+   * @param {Object} rule - { category, ward_id, zone, department, notes }
+   * @returns {Promise<Object>} { rule } or { errors }
+   */
+  async createRule({ category, ward_id, zone, department, notes }, createdBy) {
+    const errors = [];
+    if (!department || typeof department !== 'string' || !department.trim()) {
+      errors.push('department is required');
+    }
+    if (Boolean(ward_id) === Boolean(zone)) {
+      errors.push('A rule needs either ward_id or zone');
+    }
+
+    if (errors.length === 0) {
+      const { wards } = await this.load();
+      if (ward_id && !wards.some(ward => ward.id === ward_id)) {
+        errors.push(`Unknown ward ${ward_id}`);
+      }
+      if (zone && !wards.some(ward => ward.zone === zone)) {
+        errors.push(`Unknown zone ${zone}`);
+      }
+    }
+
+    if (errors.length > 0) return { errors };
+
+    const rule = await this.repositories.routingRules.create({
+      category: category || null,
+      ward_id: ward_id || null,
+      zone: zone || null,
+      department: department.trim(),
+      notes: notes || null,
+      created_by: createdBy || null
+    });
+    this.invalidate();
+    return { rule };
+  }
+
+  async deleteRule(id) {
+    const rule = await this.repositories.routingRules.findById(id);
+    if (!rule) return false;
+    await this.repositories.routingRules.delete(id);
+    this.invalidate();
+    return true;
+  }
+}
+
+module.exports = BoundaryService;
+
+// Run the importer or backfill if this file is executed directly
+if (require.main === module) {
+  const [command, ...args] = process.argv.slice(2);
+  const boundaryService = new BoundaryService();
+  let run;
+
+  if (command === 'import' && args[0]) {
+    run = boundaryService.importFile(args[0]);
+  } else if (command === 'assign') {
+    run = boundaryService.assignComplaints({ all: args.includes('--all') });
+  } else {
+    console.error('Usage: node services/BoundaryService.js import <wards.geojson>');
+    console.error('       node services/BoundaryService.js assign [--all]');
+    process.exit(1);
+  }
+
+  run
+    .then(summary => {
+      console.log('✅ Done:', summary);
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error(`❌ Ward ${command} failed:`, error.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const { getRepositories } = require('../repositories');
+const { EVENT_TYPES, REPLAY_BUFFER_SIZE } = require('../config/realtime');
+
+// Columns needed to describe and filter an event
+const EVENT_COLUMNS = 'id, title, category, status, location_latitude, location_longitude, ward_id, assigned_department, priority_score, vote_count, created_at, updated_at';
+
+let sharedInstance = null;
+
+/**
+ * Complaint Event Service
+ * In-process publish/subscribe for complaint events. Publishers call the
+ * publish* methods after a change is saved; subscribers (the SSE stream in
+ * routes/events.js) receive the events matching their filters. Publishing
+ * never throws, so a broken listener cannot fail the request that caused it.
+ */
+class ComplaintEventService {
+  constructor(options = {}) {
+    this.repositories = options.repositories || getRepositories();
+    this.bufferSize = options.bufferSize ?? REPLAY_BUFFER_SIZE;
+    // Event ids are `${bootId}-${sequence}`, so ids from before a restart are not mistaken for new ones
+    this.bootId = crypto.randomBytes(4).toString('hex');
+    this.sequence = 0;
+    this.buffer = [];
+    this.subscribers = new Set();
+  }
+
+  /**
+   * Instance shared by publishers and the stream route
+   */
+  static getInstance() {
+    if (!sharedInstance) {
+      sharedInstance = new ComplaintEventService();
+    }
+    return sharedInstance;
+  }
+
+  /**
+   * Public fields of a complaint carried in events
+   */
+  toEventComplaint(complaint) {
+    const latitude = parseFloat(complaint.location_latitude);
+    const longitude = parseFloat(complaint.location_longitude);
+    return {
+      id: complaint.id,
+      title: complaint.title || null,
+      category: complaint.category || null,
+      status: complaint.status || null,
+      latitude: Number.isFinite(latitude) ? latitude : null,
+      longitude: Number.isFinite(longitude) ? longitude : null,
+      wardId: complaint.ward_id || null,
+      department: complaint.assigned_department || null,
+      priorityScore: complaint.priority_score ?? null,
+      voteCount: complaint.vote_count ?? null,
+      createdAt: complaint.created_at || null,
+      updatedAt: complaint.updated_at || null
+    };
+  }
+
+  /**
+   * Record an event and deliver it to matching subscribers
+   * @param {string} type - One of EVENT_TYPES
+   * @param {Object} complaint - Complaint row after the change
+   * @param {Object} details - Event-specific fields, e.g. { oldStatus, newStatus }
+   * @returns {Object|null} The event, or null when there was no complaint
+   */
+  publish(type, complaint, details = {}) {
+    if (!complaint || !complaint.id) return null;
+
+    const event = {
+      id: `${this.bootId}-${++this.sequence}`,
+      type,
+      complaint: this.toEventComplaint(complaint),
+      ...details,
+      timestamp: new Date().toISOString()
+    };
+
+    this.buffer.push(event);
+    if (this.buffer.length > this.bufferSize) {
+      this.buffer.shift();
+    }
+
+    this.subscribers.forEach(subscriber => this.deliver(subscriber, event));
+    return event;
+  }
+
+  publishCreated(complaint) {
+    return this.publish(EVENT_TYPES.COMPLAINT_CREATED, complaint);
+  }
+
+  publishStatusChanged(complaint, { oldStatus, newStatus }) {
+    if (!complaint || oldStatus === newStatus) return null;
+    return this.publish(EVENT_TYPES.STATUS_CHANGED, { ...complaint, status: newStatus }, {
+      oldStatus: oldStatus || null,
+      newStatus
+    });
+  }
+
+  /**
+   * Vote counts changed. Votes only know the complaint id, so the complaint
+   * is loaded for its location and ward; failures are logged, not thrown.
+   */
+  async publishVoted(complaintId, { voteCount, downvoteCount }) {
+    try {
+      const complaint = await this.repositories.complaints.findById(complaintId, EVENT_COLUMNS);
+      return this.publish(EVENT_TYPES.COMPLAINT_VOTED, { ...complaint, vote_count: voteCount }, {
+        voteCount,
+        downvoteCount: downvoteCount ?? null
+      });
+    } catch (error) {
+      console.error(`❌ Failed to publish vote event for complaint ${complaintId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Whether an event passes a subscription filter. Each filter that is set
+   * must match: complaint ids, bbox and ward ids narrow the stream together.
+   * @param {Object} filter - { types, complaintIds, bbox, wardIds }; null fields match everything
+   */
+  matches(filter, event) {
+    const { complaint } = event;
+    if (filter.types && !filter.types.includes(event.type)) return false;
+    if (filter.complaintIds && !filter.complaintIds.includes(complaint.id)) return false;
+    if (filter.wardIds && !filter.wardIds.includes(complaint.wardId)) return false;
+    if (filter.bbox) {
+      const { minLat, maxLat, minLng, maxLng } = filter.bbox;
+      if (complaint.latitude === null || complaint.longitude === null) return false;
+      return complaint.latitude >= minLat && complaint.latitude <= maxLat &&
+        complaint.longitude >= minLng && complaint.longitude <= maxLng;
+    }
+    return true;
+  }
+
+  deliver(subscriber, event) {
+    if (!this.matches(subscriber.filter, event)) return;
+    try {
+      subscriber.listener(event);
+    } catch (error) {
+      console.error('❌ Complaint event listener failed:', error.message);
+    }
+  }
+
+  /**
+   * Receive matching events until the returned function is called
+   * @param {Object} filter - { types, complaintIds, bbox, wardIds }
+   * @param {Function} listener - Called with each event
+   * @param {Object} options - { lastEventId: replay buffered events after this one }
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(filter, listener, { lastEventId = null } = {}) {
+    const subscriber = { filter, listener };
+
+    if (lastEventId) {
+      const index = this.buffer.findIndex(event => event.id === lastEventId);
+      if (index !== -1) {
+        this.buffer.slice(index + 1).forEach(event => this.deliver(subscriber, event));
+      }
+    }
+
+    this.subscribers.add(subscriber);
+    return () => this.subscribers.delete(subscriber);
+  }
+
+  getSubscriberCount() {
+    return this.subscribers.size;
+  }
+}
+
+module.exports = ComplaintEventService;
@@ -0,0 +1,185 @@
+const { getRepositories } = require('../repositories');
+const { PRIORITY_BANDS, getPriorityBandRange } = require('../config/scoring');
+const { parseBbox } = require('../utils/geoUtils');
+const {
+  SORTS,
+  DEFAULT_SORT,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  MAX_QUERY_LENGTH,
+  RESULT_COLUMNS,
+  TEXT_SEARCH_CONFIG
+} = require('../config/search');
+
+// Cursor ids and values are written into filter expressions, so only plain tokens are accepted
+const SAFE_TOKEN = /^[\w.:+-]+$/;
+
+const splitList = (value) => (value === undefined || value === null || value === ''
+  ? []
+  : String(value).split(',').map(item => item.trim()).filter(Boolean));
+
+const invalid = (code, error) => ({ isValid: false, code, error });
+
+/**
+ * Complaint Search Service
+ * Full-text search with filters over complaints, returned in pages linked by
+ * an opaque cursor. The cursor holds the sort value and id of the last row,
+ * so pages stay stable while new complaints arrive (unlike offset paging).
+ */
+class ComplaintSearchService {
+  constructor(options = {}) {
+    this.repositories = options.repositories || getRepositories();
+  }
+
+  /**
+   * Cursor for the page after this row
+   */
+  encodeCursor(sortName, row) {
+    const { column } = SORTS[sortName];
+    const value = row[column] === undefined ? null : row[column];
+    return Buffer.from(JSON.stringify({ s: sortName, v: value, id: row.id })).toString('base64url');
+  }
+
+  /**
+   * @returns {Object|null} { value, id }, or null when the cursor is malformed
+   *   or was issued for a different sort
+   */
+  decodeCursor(cursor, sortName) {
+    let decoded;
+    try {
+      decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch {
+      return null;
+    }
+
+    if (!decoded || decoded.s !== sortName || !SAFE_TOKEN.test(String(decoded.id))) return null;
+
+    const value = decoded.v;
+    if (value !== null) {
+      const valid = SORTS[sortName].column === 'created_at'
+        ? typeof value === 'string' && SAFE_TOKEN.test(value) && !isNaN(Date.parse(value))
+        : typeof value === 'number' && Number.isFinite(value);
+      if (!valid) return null;
+    }
+
+    return { value, id: decoded.id };
+  }
+
+  parseDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? undefined : date.toISOString();
+  }
+
+  /**
+   * Validate query parameters and turn them into repository search criteria
+   * @param {Object} params - Query string of GET /api/complaints/search
+   * @returns {Object} { isValid, criteria, sortName } or { isValid: false, code, error }
+   */
+  parseParams(params = {}) {
+    const text = params.q ? String(params.q).trim() : '';
+    if (text.length > MAX_QUERY_LENGTH) {
+      return invalid('QUERY_TOO_LONG', `Search text must be at most ${MAX_QUERY_LENGTH} characters`);
+    }
+
+    const sortName = params.sort || DEFAULT_SORT;
+    if (!SORTS[sortName]) {
+      return invalid('INVALID_SORT', `sort must be one of: ${Object.keys(SORTS).join(', ')}`);
+    }
+
+    let limit = DEFAULT_LIMIT;
+    if (params.limit !== undefined) {
+      limit = parseInt(params.limit);
+      if (!Number.isInteger(limit) || limit < 1) {
+        return invalid('INVALID_LIMIT', 'limit must be a positive integer');
+      }
+      limit = Math.min(limit, MAX_LIMIT);
+    }
+
+    const priorityLevels = splitList(params.priority).map(level => level.toUpperCase());
+    const priorityRanges = priorityLevels.map(getPriorityBandRange);
+    if (priorityRanges.includes(null)) {
+      return invalid(
+        'INVALID_PRIORITY',
+        `priority must be one or more of: ${PRIORITY_BANDS.map(band => band.level.toLowerCase()).join(', ')}`
+      );
+    }
+
+    const from = this.parseDate(params.from);
+    const to = this.parseDate(params.to);
+    if (from === undefined || to === undefined) {
+      return invalid('INVALID_DATE', 'from and to must be ISO 8601 dates');
+    }
+    if (from && to && from > to) {
+      return invalid('INVALID_DATE', 'from must be before to');
+    }
+
+    let bbox = null;
+    if (params.bbox) {
+      bbox = parseBbox(params.bbox);
+      if (!bbox) {
+        return invalid('INVALID_BBOX', 'bbox must be minLng,minLat,maxLng,maxLat');
+      }
+    }
+
+    let after = null;
+    if (params.cursor) {
+      after = this.decodeCursor(params.cursor, sortName);
+      if (!after) {
+        return invalid('INVALID_CURSOR', 'cursor is invalid or was issued for a different sort');
+      }
+    }
+
+    return {
+      isValid: true,
+      sortName,
+      criteria: {
+        columns: RESULT_COLUMNS,
+        text,
+        textSearchConfig: TEXT_SEARCH_CONFIG,
+        categories: splitList(params.category),
+        statuses: splitList(params.status),
+        wardIds: splitList(params.ward),
+        priorityRanges,
+        from,
+        to,
+        bbox,
+        sort: SORTS[sortName],
+        after,
+        limit
+      }
+    };
+  }
+
+  /**
+   * One page of results
+   * @param {Object} params - Query string of GET /api/complaints/search
+   * @returns {Promise<Object>} { success, complaints, pagination } or a validation failure
+   */
+  async search(params) {
+    const parsed = this.parseParams(params);
+    if (!parsed.isValid) {
+      return { success: false, error: parsed.error, code: parsed.code };
+    }
+
+    const { criteria, sortName } = parsed;
+
+    // One extra row tells us whether another page exists
+    const rows = await this.repositories.complaints.search({ ...criteria, limit: criteria.limit + 1 });
+    const hasMore = rows.length > criteria.limit;
+    const complaints = rows.slice(0, criteria.limit);
+
+    return {
+      success: true,
+      complaints,
+      pagination: {
+        sort: sortName,
+        limit: criteria.limit,
+        hasMore,
+        nextCursor: hasMore ? this.encodeCursor(sortName, complaints[complaints.length - 1]) : null
+      }
+    };
+  }
+}
+
+module.exports = ComplaintSearchService;
@@ -0,0 +1,216 @@
+const { getRepositories } = require('../repositories');
+const PriorityScoringService = require('./PriorityScoringService');
+const { findComplaintsWithinDistance } = require('../utils/geoUtils');
+const { OPEN_STATUSES, getDuplicateRule } = require('../config/duplicates');
+
+const MAX_CANDIDATES = 5;
+
+/**
+ * Duplicate Detection Service
+ * Finds open complaints that likely describe the same issue as a new report
+ * and merges confirmed duplicates into a canonical complaint.
+ */
+class DuplicateDetectionService {
+  constructor(options = {}) {
+    this.repositories = options.repositories || getRepositories();
+    this.client = this.repositories.complaints.client;
+    this.priorityScoringService = options.priorityScoringService ||
+      new PriorityScoringService({ repositories: this.repositories });
+  }
+
+  /**
+   * Find open complaints of the same category near a location
+   * @param {Object} params
+   * @param {string} params.category - Complaint category
+   * @param {number} params.latitude - Report latitude
+   * @param {number} params.longitude - Report longitude
+   * @param {string} params.title - Report title, used for text similarity
+   * @param {string} params.description - Report description
+   * @param {string} params.excludeId - Complaint to leave out (e.g. the complaint itself)
+   * @returns {Promise<Object>} { rule, candidates }
+   */
+  async findCandidates({ category, latitude, longitude, title = '', description = '', excludeId = null }) {
+    const rule = getDuplicateRule(category);
+
+    if (!category || latitude == null || longitude == null) {
+      return { rule, candidates: [] };
+    }
+
+    const since = new Date(Date.now() - rule.windowHours * 60 * 60 * 1000);
+
+    const nearby = await findComplaintsWithinDistance(this.client, {
+      latitude,
+      longitude,
+      distanceMeters: rule.radiusMeters,
+      limit: MAX_CANDIDATES * 4,
+      excludeId,
+      applyFilters: query => query
+        .eq('category', category)
+        .in('status', OPEN_STATUSES)
+        .gte('created_at', since.toISOString())
+    });
+
+    const reportTokens = this.tokenize(`${title} ${description}`);
+
+    const candidates = nearby
+      .map(complaint => {
+        const ageHours = (Date.now() - new Date(complaint.created_at).getTime()) / (60 * 60 * 1000);
+        const textSimilarity = this.jaccard(
+          reportTokens,
+          this.tokenize(`${complaint.title || ''} ${complaint.description || ''}`)
+        );
+
+        // Closer, more recent and more similarly worded reports score higher
+        const similarity =
+          0.6 * (1 - complaint.distance / rule.radiusMeters) +
+          0.2 * Math.max(0, 1 - ageHours / rule.windowHours) +
+          0.2 * textSimilarity;
+
+        return {
+          id: complaint.id,
+          title: complaint.title,
+          category: complaint.category,
+          status: complaint.status,
+          location_address: complaint.location_address,
+          image_urls: complaint.image_urls || [],
+          vote_count: complaint.vote_count || 0,
+          created_at: complaint.created_at,
+          distanceMeters: Math.round(complaint.distance),
+          hoursAgo: Math.round(ageHours),
+          similarity: parseFloat(similarity.toFixed(2))
+        };
+      })
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, MAX_CANDIDATES);
+
+    return { rule, candidates };
+  }
+
+  tokenize(text) {
+    return new Set(
+      String(text)
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(token => token.length > 2)
+    );
+  }
+
+  jaccard(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let intersection = 0;
+    a.forEach(token => {
+      if (b.has(token)) intersection++;
+    });
+    return intersection / (a.size + b.size - intersection);
+  }
+
+  /**
+   * Fold duplicate complaints into a canonical complaint: votes move across
+   * (one per voter), images and reporters are combined, and each duplicate is
+   * marked merged with a pointer to the canonical complaint. The canonical
+   * complaint is re-scored for its new vote count.
+   *
+   * @param {string} canonicalId - Complaint to keep
+   * @param {Array<string>} duplicateIds - Complaints to fold in
+   * @param {Object} options
+   * @param {string} options.mergedBy - User performing the merge
+   * @param {string} options.notes - Optional note for the audit trail
+   * @returns {Promise<Object>} Merge summary and updated canonical complaint
+   */
+  async mergeComplaints(canonicalId, duplicateIds, { mergedBy = null, notes = null } = {}) {
+    const { complaints, votes, updates } = this.repositories;
+
+    const canonical = await complaints.findById(canonicalId);
+    if (!canonical) {
+      throw new Error(`Canonical complaint ${canonicalId} not found`);
+    }
+
+    const canonicalVotes = await votes.listForComplaint(canonicalId);
+    // Users and guest devices each keep a single vote on the canonical complaint
+    const voterKey = (vote) => vote.user_id || (vote.guest_device_id && `guest:${vote.guest_device_id}`);
+    const canonicalVoters = new Set(canonicalVotes.map(voterKey).filter(Boolean));
+
+    const imageUrls = new Set(canonical.image_urls || []);
+    const reporterIds = new Set(canonical.merged_reporter_ids || []);
+    let addedUpvotes = 0;
+    const summary = [];
+
+    for (const duplicateId of duplicateIds) {
+      const duplicate = await complaints.findById(duplicateId);
+      const duplicateVotes = await votes.listForComplaint(duplicateId);
+      let movedVotes = 0;
+      let droppedVotes = 0;
+
+      for (const vote of duplicateVotes) {
+        const voter = voterKey(vote);
+        if (voter && canonicalVoters.has(voter)) {
+          // Voter already backs the canonical complaint - keep a single vote
+          await votes.delete(vote.id);
+          droppedVotes++;
+          continue;
+        }
+
+        await votes.update(vote.id, { complaint_id: canonicalId });
+        if (voter) canonicalVoters.add(voter);
+        if (vote.vote_type === 'upvote') addedUpvotes++;
+        movedVotes++;
+      }
+
+      (duplicate.image_urls || []).forEach(url => imageUrls.add(url));
+      if (duplicate.user_id && duplicate.user_id !== canonical.user_id) {
+        reporterIds.add(duplicate.user_id);
+      }
+      (duplicate.merged_reporter_ids || []).forEach(id => {
+        if (id !== canonical.user_id) reporterIds.add(id);
+      });
+
+      await complaints.update(duplicateId, {
+        status: 'merged',
+        merged_into_id: canonicalId,
+        // Its votes now live on the canonical complaint
+        vote_count: 0,
+        resolution_notes: `Merged into complaint ${canonicalId}`,
+        updated_at: new Date().toISOString()
+      });
+
+      await updates.recordStatusChange({
+        complaintId: duplicateId,
+        updatedBy: mergedBy,
+        oldStatus: duplicate.status,
+        newStatus: 'merged',
+        notes: notes || `Merged into complaint ${canonicalId} as a duplicate`
+      }).catch(logError => console.warn('Failed to log merge on duplicate:', logError.message));
+
+      summary.push({ id: duplicateId, movedVotes, droppedVotes });
+    }
+
+    // Recount rather than add, as VoteService does, so the merge can't leave the count drifting
+    const voteCount = await votes.countForComplaint(canonicalId, 'upvote');
+
+    const updatedCanonical = await complaints.update(canonicalId, {
+      image_urls: [...imageUrls],
+      merged_reporter_ids: [...reporterIds],
+      vote_count: voteCount,
+      updated_at: new Date().toISOString()
+    });
+
+    await updates.recordStatusChange({
+      complaintId: canonicalId,
+      updatedBy: mergedBy,
+      oldStatus: canonical.status,
+      newStatus: canonical.status,
+      notes: notes || `Absorbed ${duplicateIds.length} duplicate report(s): ${duplicateIds.join(', ')}`
+    }).catch(logError => console.warn('Failed to log merge on canonical complaint:', logError.message));
+
+    this.priorityScoringService.scheduleRescore(canonicalId);
+
+    return {
+      canonical: updatedCanonical,
+      merged: summary,
+      addedUpvotes,
+      reporterCount: reporterIds.size + 1
+    };
+  }
+}
+
+module.exports = DuplicateDetectionService;
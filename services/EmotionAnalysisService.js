@@ -0,0 +1,268 @@
+const crypto = require('crypto');
+const { PROVIDER_CLASSES, normalizeText, containsTerm } = require('./emotionProviders');
+const {
+  PROVIDER,
+  PROVIDER_ORDER,
+  ANALYSIS_TIMEOUT_MS,
+  CACHE,
+  SUPPORTED_LANGUAGES,
+  EMOTIONS,
+  EMOTION_WEIGHTS,
+  CONCERN_THRESHOLD,
+  CONCERN_MULTIPLIER,
+  CATEGORY_MULTIPLIERS
+} = require('../config/emotion');
+const { SCRIPT_RANGES, MARATHI_MARKERS, CATEGORY_PATTERNS } = require('../config/emotionLexicons');
+
+/**
+ * Emotion Analysis Service
+ * Scores how urgent and distressed a complaint reads, in any language the app
+ * transcribes. Runs the text through the configured emotion provider(s),
+ * tops up with lexicon signals (urgency, safety) and always answers in the
+ * { emotionScore, emotions, analysisMethod } shape, even with no network.
+ *
+ * Use EmotionAnalysisService.getInstance() to share one analyzer (and its
+ * result cache) across routes and services.
+ */
+class EmotionAnalysisService {
+  constructor(options = {}) {
+    this.mode = options.provider || PROVIDER;
+    this.timeoutMs = options.timeoutMs || ANALYSIS_TIMEOUT_MS;
+    this.cacheConfig = { ...CACHE, ...options.cache };
+    this.cache = new Map();
+    this.providers = options.providers || Object.fromEntries(
+      Object.entries(PROVIDER_CLASSES).map(([name, ProviderClass]) => [name, new ProviderClass()])
+    );
+    // Lexicon signals are added to every provider's result
+    this.lexicon = this.providers.keywords || new PROVIDER_CLASSES.keywords();
+  }
+
+  /**
+   * Analyzer shared by everything in this process
+   */
+  static getInstance() {
+    if (!EmotionAnalysisService.instance) {
+      EmotionAnalysisService.instance = new EmotionAnalysisService();
+    }
+    return EmotionAnalysisService.instance;
+  }
+
+  normalizeLanguage(language) {
+    const code = String(language || '').split('-')[0].toLowerCase();
+    return SUPPORTED_LANGUAGES.includes(code) ? code : null;
+  }
+
+  /**
+   * Language of a text from the script most of its letters are written in
+   */
+  detectLanguage(text) {
+    let detected = 'en';
+    let maxCount = 0;
+
+    SCRIPT_RANGES.forEach(({ language, pattern }) => {
+      const count = (String(text).match(pattern) || []).length;
+      if (count > maxCount) {
+        maxCount = count;
+        detected = language;
+      }
+    });
+
+    // Hindi and Marathi share Devanagari
+    if (detected === 'hi') {
+      const words = normalizeText(text).split(/[\s,.!?।]+/);
+      if (MARATHI_MARKERS.some(marker => words.includes(marker))) {
+        return 'mr';
+      }
+    }
+
+    return detected;
+  }
+
+  /**
+   * Civic issue category with the most keyword matches, or 'general'
+   */
+  detectIssueCategory(text) {
+    const normalized = normalizeText(text);
+    let detectedCategory = 'general';
+    let maxMatches = 0;
+
+    for (const [category, keywords] of Object.entries(CATEGORY_PATTERNS)) {
+      const matches = keywords.filter(keyword => containsTerm(normalized, keyword)).length;
+      if (matches > maxMatches) {
+        maxMatches = matches;
+        detectedCategory = category;
+      }
+    }
+
+    return detectedCategory;
+  }
+
+  /**
+   * Providers to try, in order, for the configured mode and language.
+   * The keyword provider always ends the chain.
+   */
+  getProviderChain(language) {
+    const names = this.mode === 'auto' ? PROVIDER_ORDER : [this.mode];
+    const chain = names
+      .map(name => this.providers[name])
+      .filter(provider => provider && provider.isConfigured())
+      .filter(provider => !language || provider.supportsLanguage(language));
+
+    return chain.includes(this.lexicon) ? chain : [...chain, this.lexicon];
+  }
+
+  /**
+   * Configured state of every provider, for the status endpoint
+   */
+  getStatus() {
+    return {
+      mode: this.mode,
+      active: this.getProviderChain().map(provider => provider.name),
+      providers: Object.values(this.providers).map(provider => ({
+        name: provider.name,
+        configured: provider.isConfigured(),
+        languages: SUPPORTED_LANGUAGES.filter(language => provider.supportsLanguage(language))
+      })),
+      languages: SUPPORTED_LANGUAGES
+    };
+  }
+
+  cacheKey(text, category, language) {
+    return crypto
+      .createHash('sha256')
+      .update(`${language || ''}\u0000${category || ''}\u0000${text}`)
+      .digest('hex');
+  }
+
+  getCached(key) {
+    const entry = this.cache.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.cache.delete(key);
+      return null;
+    }
+    // Re-insert so the Map's order tracks recent use
+    this.cache.delete(key);
+    this.cache.set(key, entry);
+    return entry.result;
+  }
+
+  setCached(key, result) {
+    this.cache.delete(key);
+    this.cache.set(key, { result, expiresAt: Date.now() + this.cacheConfig.ttlMs });
+    while (this.cache.size > this.cacheConfig.maxEntries) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  clearCache() {
+    this.cache.clear();
+  }
+
+  /**
+   * Run a provider, giving up once the analysis time budget is spent
+   */
+  runProvider(provider, input, deadline) {
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) {
+      return Promise.reject(new Error('Emotion analysis time budget exhausted'));
+    }
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Timed out after ${remaining}ms`)), remaining);
+    });
+    return Promise.race([provider.analyze(input), timeout]).finally(() => clearTimeout(timer));
+  }
+
+  calculateEmotionScore(emotions) {
+    let score = EMOTIONS.reduce((total, emotion) => total + (emotions[emotion] || 0) * (EMOTION_WEIGHTS[emotion] || 0), 0);
+
+    if (emotions.concern > CONCERN_THRESHOLD) {
+      score *= CONCERN_MULTIPLIER;
+    }
+
+    return Math.min(score, 1.0);
+  }
+
+  applyCategoryAdjustments(score, category) {
+    const multiplier = CATEGORY_MULTIPLIERS[category] || 1.0;
+    return Math.min(score * multiplier, 1.0);
+  }
+
+  /**
+   * Analyse the emotional weight of a complaint
+   * @param {string} text - Complaint text
+   * @param {string|null} category - Issue category; detected from the text when omitted
+   * @param {Object} options - { language } to skip script detection
+   * @returns {Promise<Object>} { success, emotionScore, emotions, language, analysisMethod, provider, category, cached }
+   */
+  async analyzeEmotion(text, category = null, options = {}) {
+    try {
+      const language = this.normalizeLanguage(options.language) || this.detectLanguage(text);
+      const issueCategory = category || this.detectIssueCategory(text);
+
+      const key = this.cacheKey(text, issueCategory, language);
+      const cached = this.getCached(key);
+      if (cached) {
+        return { ...cached, emotions: { ...cached.emotions }, cached: true };
+      }
+
+      const deadline = Date.now() + this.timeoutMs;
+      let emotions = null;
+      let provider = null;
+
+      for (const candidate of this.getProviderChain(language)) {
+        try {
+          // The keyword provider is local and quick, so it always gets to answer
+          ({ emotions } = candidate === this.lexicon
+            ? await candidate.analyze({ text, language })
+            : await this.runProvider(candidate, { text, language }, deadline));
+          provider = candidate;
+          break;
+        } catch (error) {
+          console.warn(`⚠️ ${candidate.name} emotion analysis failed:`, error.message);
+        }
+      }
+
+      // Models judge tone; hazards and emergencies come from the lexicons
+      if (provider !== this.lexicon) {
+        emotions.urgency = Math.max(emotions.urgency, this.lexicon.detectUrgency(text, language));
+      }
+
+      const baseScore = this.calculateEmotionScore(emotions);
+      const safetyBoost = this.lexicon.detectSafetyBoost(text, language);
+      const emotionScore = Math.min(this.applyCategoryAdjustments(baseScore, issueCategory) + safetyBoost, 1.0);
+
+      console.log(`🧠 Emotion score ${emotionScore.toFixed(3)} (${provider.name}, ${language}, ${issueCategory})`);
+
+      const result = {
+        success: true,
+        emotionScore,
+        emotions,
+        language,
+        analysisMethod: provider.method,
+        provider: provider.name,
+        category: issueCategory
+      };
+      this.setCached(key, result);
+
+      return { ...result, cached: false };
+    } catch (error) {
+      console.error('❌ Emotion analysis failed:', error);
+
+      return {
+        success: false,
+        emotionScore: 0.5,
+        emotions: Object.fromEntries(EMOTIONS.map(emotion => [emotion, 0])),
+        language: 'unknown',
+        analysisMethod: 'emergency-fallback',
+        provider: null,
+        category: category || 'general',
+        error: error.message
+      };
+    }
+  }
+}
+
+module.exports = EmotionAnalysisService;
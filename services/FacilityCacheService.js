@@ -0,0 +1,256 @@
+const { getRepositories } = require('../repositories');
+const { FACILITY_CACHE } = require('../config/poi');
+const { calculateDistance } = require('../utils/geoUtils');
+const geohash = require('../utils/geohash');
+
+/**
+ * Facility Cache Service
+ * Shares nearby-facility lookups between complaints in the same geohash
+ * cell, so a cluster of reports costs one provider call per facility type
+ * instead of one each. Entries are kept in memory and in facility_cache.
+ */
+class FacilityCacheService {
+  constructor(options = {}) {
+    this.config = { ...FACILITY_CACHE, ...options.config };
+    this.repositories = options.repositories || getRepositories();
+    this.memory = new Map();
+    this.metrics = { memoryHits: 0, storeHits: 0, misses: 0, writes: 0, errors: 0, byType: {} };
+  }
+
+  /**
+   * Cache cell for a lookup: the geohash cell, its centre, the bucketed
+   * radius, and the widened radius that covers any point in the cell
+   */
+  getCell(latitude, longitude, facilityType, radius) {
+    const hash = geohash.encode(latitude, longitude, this.config.geohashPrecision);
+    const bounds = geohash.decodeBounds(hash);
+    const center = geohash.decodeCenter(hash);
+    const bucketRadius = Math.ceil(radius / this.config.radiusStepMeters) * this.config.radiusStepMeters;
+    const halfDiagonal = calculateDistance(center.latitude, center.longitude, bounds.maxLat, bounds.maxLng) * 1000;
+
+    return {
+      key: `${hash}:${facilityType}:${bucketRadius}`,
+      geohash: hash,
+      center,
+      radius: bucketRadius,
+      searchRadius: Math.ceil(bucketRadius + halfDiagonal)
+    };
+  }
+
+  getMemory(key) {
+    const entry = this.memory.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.memory.delete(key);
+      return null;
+    }
+    // Re-insert so the Map's order tracks recent use
+    this.memory.delete(key);
+    this.memory.set(key, entry);
+    return entry;
+  }
+
+  setMemory(key, entry) {
+    this.memory.delete(key);
+    this.memory.set(key, entry);
+    while (this.memory.size > this.config.maxMemoryEntries) {
+      this.memory.delete(this.memory.keys().next().value);
+    }
+  }
+
+  async getStored(key) {
+    try {
+      const row = await this.repositories.facilityCache.findFresh(key);
+      if (!row) return null;
+      return {
+        facilities: row.facilities || [],
+        source: row.source,
+        expiresAt: new Date(row.expires_at).getTime()
+      };
+    } catch (error) {
+      this.metrics.errors++;
+      console.warn('⚠️ Facility cache read failed:', error.message);
+      return null;
+    }
+  }
+
+  async store(cell, facilityType, entry) {
+    this.setMemory(cell.key, entry);
+    try {
+      await this.repositories.facilityCache.save({
+        key: cell.key,
+        geohash: cell.geohash,
+        facilityType,
+        radius: cell.radius,
+        facilities: entry.facilities,
+        source: entry.source,
+        expiresAt: new Date(entry.expiresAt).toISOString()
+      });
+      this.metrics.writes++;
+    } catch (error) {
+      this.metrics.errors++;
+      console.warn('⚠️ Facility cache write failed:', error.message);
+    }
+  }
+
+  /**
+   * Cell facilities re-measured from the requesting point, within its radius
+   */
+  localize(facilities, latitude, longitude, radius) {
+    return facilities
+      .map(facility => ({
+        ...facility,
+        distance: calculateDistance(latitude, longitude, facility.latitude, facility.longitude) * 1000
+      }))
+      .filter(facility => facility.distance <= radius)
+      .sort((a, b) => a.distance - b.distance);
+  }
+
+  record(facilityType, outcome) {
+    const counter = { memory: 'memoryHits', store: 'storeHits', miss: 'misses' }[outcome];
+    this.metrics[counter]++;
+
+    const byType = this.metrics.byType[facilityType] || (this.metrics.byType[facilityType] = { hits: 0, misses: 0 });
+    byType[outcome === 'miss' ? 'misses' : 'hits']++;
+  }
+
+  /**
+   * Facilities of one type around a point, from the cache when possible
+   * @param {Object} lookup - { latitude, longitude, facilityType, radius }
+   * @param {Function} fetch - ({ latitude, longitude, radius }) => Promise<{ result, source }>
+   * @returns {Promise<Object>} { result, source, cache: 'memory' | 'store' | 'miss' | 'off' }
+   */
+  async getFacilities({ latitude, longitude, facilityType, radius }, fetch) {
+    if (!this.config.enabled) {
+      return { ...(await fetch({ latitude, longitude, radius })), cache: 'off' };
+    }
+
+    const cell = this.getCell(latitude, longitude, facilityType, radius);
+
+    let outcome = 'memory';
+    let entry = this.getMemory(cell.key);
+    if (!entry) {
+      outcome = 'store';
+      entry = await this.getStored(cell.key);
+      if (entry) this.setMemory(cell.key, entry);
+    }
+
+    if (!entry) {
+      outcome = 'miss';
+      const { result, source } = await fetch({
+        latitude: cell.center.latitude,
+        longitude: cell.center.longitude,
+        radius: cell.searchRadius
+      });
+      entry = {
+        facilities: result.filter(facility => Number.isFinite(facility.latitude) && Number.isFinite(facility.longitude)),
+        source,
+        expiresAt: Date.now() + this.config.ttlHours * 60 * 60 * 1000
+      };
+      if (!this.config.skipSources.includes(source)) {
+        await this.store(cell, facilityType, entry);
+      }
+    }
+
+    this.record(facilityType, outcome);
+    return {
+      result: this.localize(entry.facilities, latitude, longitude, radius),
+      source: entry.source,
+      cache: outcome
+    };
+  }
+
+  /**
+   * Fill the cache for every cell in a bounding box
+   * @param {Object} box - { minLat, minLng, maxLat, maxLng }
+   * @param {Object} options
+   * @param {Array} options.lookups - [{ facilityType, radius }] to cache per cell
+   * @param {Function} options.fetch - As for getFacilities, plus facilityType
+   * @returns {Promise<Object>} { cells, lookups, fetched, cached, failed }
+   */
+  async warmUp(box, { lookups, fetch, maxCells = this.config.maxWarmCells }) {
+    const cells = geohash.cellsInBoundingBox(box, this.config.geohashPrecision);
+    if (cells.length > maxCells) {
+      throw new Error(`Bounding box covers ${cells.length} cells at precision ${this.config.geohashPrecision}; the limit is ${maxCells}`);
+    }
+
+    const summary = { cells: cells.length, lookups: 0, fetched: 0, cached: 0, failed: 0 };
+
+    for (const [index, hash] of cells.entries()) {
+      const { latitude, longitude } = geohash.decodeCenter(hash);
+
+      for (const { facilityType, radius } of lookups) {
+        summary.lookups++;
+        try {
+          const { cache } = await this.getFacilities(
+            { latitude, longitude, facilityType, radius },
+            params => fetch({ ...params, facilityType })
+          );
+          summary[cache === 'miss' ? 'fetched' : 'cached']++;
+        } catch (error) {
+          summary.failed++;
+          console.warn(`⚠️ Warm-up failed for ${hash} ${facilityType}:`, error.message);
+        }
+      }
+
+      if ((index + 1) % 50 === 0) {
+        console.log(`🔥 Warmed ${index + 1}/${cells.length} cells`);
+      }
+    }
+
+    return summary;
+  }
+
+  clearMemory() {
+    this.memory.clear();
+  }
+
+  /**
+   * Hit/miss counters since start-up, for the metrics endpoint
+   */
+  getStats() {
+    const hits = this.metrics.memoryHits + this.metrics.storeHits;
+    const lookups = hits + this.metrics.misses;
+
+    return {
+      enabled: this.config.enabled,
+      geohashPrecision: this.config.geohashPrecision,
+      ttlHours: this.config.ttlHours,
+      memoryEntries: this.memory.size,
+      lookups,
+      hits,
+      memoryHits: this.metrics.memoryHits,
+      storeHits: this.metrics.storeHits,
+      misses: this.metrics.misses,
+      hitRate: lookups > 0 ? Math.round((hits / lookups) * 1000) / 1000 : null,
+      writes: this.metrics.writes,
+      errors: this.metrics.errors,
+      byType: this.metrics.byType
+    };
+  }
+}
+
+module.exports = FacilityCacheService;
+
+// Warm the cache for a city if this file is executed directly
+if (require.main === module) {
+  const [bbox, radius] = process.argv.slice(2);
+  const [minLat, minLng, maxLat, maxLng] = String(bbox || '').split(',').map(Number);
+
+  if ([minLat, minLng, maxLat, maxLng].some(value => !Number.isFinite(value))) {
+    console.error('Usage: node services/FacilityCacheService.js <minLat,minLng,maxLat,maxLng> [radiusMeters]');
+    process.exit(1);
+  }
+
+  const LocationPriorityService = require('./LocationPriorityService');
+  new LocationPriorityService()
+    .warmFacilityCache({ minLat, minLng, maxLat, maxLng }, { radius: parseInt(radius) || undefined })
+    .then(summary => {
+      console.log('✅ Facility cache warm-up complete:', summary);
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('❌ Facility cache warm-up failed:', error.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getRepositories } = require('../repositories');
+const { getComplaintDepartment } = require('../config/departments');
+const { DEVICE_TOKEN, BURST_DETECTION, getDeviceTokenSecret } = require('../config/guestVoting');
+
+const hash = (value) => crypto
+  .createHash('sha256')
+  .update(`${getDeviceTokenSecret()}:${value}`)
+  .digest('hex')
+  .substring(0, 32);
+
+/**
+ * Guest Vote Service
+ * Issues and verifies signed guest device tokens and reports complaints
+ * receiving suspicious bursts of guest votes. Guest votes themselves are
+ * cast through VoteService. IP addresses and fingerprints are only stored hashed.
+ */
+class GuestVoteService {
+  constructor(options = {}) {
+    this.repositories = options.repositories || getRepositories();
+  }
+
+  /**
+   * Issue a device token for a guest
+   * @param {Object} options
+   * @param {string} options.fingerprint - Client-computed device fingerprint (optional)
+   * @returns {Object} { token, deviceId, expiresAt }
+   */
+  issueDeviceToken({ fingerprint } = {}) {
+    const deviceId = crypto.randomUUID();
+    const expiresIn = DEVICE_TOKEN.ttlDays * 24 * 60 * 60;
+
+    const token = jwt.sign(
+      {
+        type: DEVICE_TOKEN.type,
+        deviceId,
+        fp: fingerprint ? hash(fingerprint) : null
+      },
+      getDeviceTokenSecret(),
+      { expiresIn }
+    );
+
+    return {
+      token,
+      deviceId,
+      expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Verify a device token
+   * @returns {Object|null} { deviceId, fingerprint } or null when invalid or expired
+   */
+  verifyDeviceToken(token) {
+    if (!token) return null;
+
+    try {
+      const decoded = jwt.verify(token, getDeviceTokenSecret());
+      if (decoded.type !== DEVICE_TOKEN.type || !decoded.deviceId) return null;
+      return { deviceId: decoded.deviceId, fingerprint: decoded.fp || null };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  hashIp(ip) {
+    return ip ? hash(ip) : null;
+  }
+
+  /**
+   * Largest number of votes falling inside any window of windowMs
+   * @param {Array} votes - Votes sorted by created_at
+   */
+  findPeakWindow(votes, windowMs) {
+    let peak = { votes: 0, start: null, end: null };
+    let startIndex = 0;
+
+    votes.forEach((vote, index) => {
+      const time = new Date(vote.created_at).getTime();
+      while (time - new Date(votes[startIndex].created_at).getTime() > windowMs) {
+        startIndex++;
+      }
+
+      const count = index - startIndex + 1;
+      if (count > peak.votes) {
+        peak = { votes: count, start: votes[startIndex].created_at, end: vote.created_at };
+      }
+    });
+
+    return peak;
+  }
+
+  /**
+   * Largest share of votes coming from one value of a column (IP hash or fingerprint)
+   */
+  topSourceShare(votes, column) {
+    const counts = {};
+    votes.forEach(vote => {
+      if (vote[column]) counts[vote[column]] = (counts[vote[column]] || 0) + 1;
+    });
+
+    const top = Math.max(0, ...Object.values(counts));
+    return {
+      distinct: Object.keys(counts).length,
+      topShare: votes.length > 0 ? parseFloat((top / votes.length).toFixed(2)) : 0
+    };
+  }
+
+  /**
+   * Complaints whose recent guest votes look scripted
+   * @param {Object} options
+   * @param {number} options.lookbackHours - How far back to look
+   * @param {number} options.windowMinutes - Burst window length
+   * @param {number} options.threshold - Votes in one window that count as a burst
+   * @param {string} options.department - Only complaints owned by this department
+   */
+  async getSuspiciousBursts({
+    lookbackHours = BURST_DETECTION.lookbackHours,
+    windowMinutes = BURST_DETECTION.windowMinutes,
+    threshold = BURST_DETECTION.threshold,
+    department
+  } = {}) {
+    const since = new Date(Date.now() - lookbackHours * 60 * 60 * 1000).toISOString();
+    const guestVotes = await this.repositories.votes.listGuestVotesSince(since);
+
+    const byComplaint = new Map();
+    guestVotes.forEach(vote => {
+      if (!byComplaint.has(vote.complaint_id)) byComplaint.set(vote.complaint_id, []);
+      byComplaint.get(vote.complaint_id).push(vote);
+    });
+
+    const flagged = [];
+
+    for (const [complaintId, votes] of byComplaint) {
+      const peakWindow = this.findPeakWindow(votes, windowMinutes * 60 * 1000);
+      const ips = this.topSourceShare(votes, 'ip_hash');
+      const fingerprints = this.topSourceShare(votes, 'device_fingerprint');
+
+      const reasons = [];
+      if (peakWindow.votes >= threshold) {
+        reasons.push(`${peakWindow.votes} guest votes within ${windowMinutes} minutes`);
+      }
+      if (votes.length >= BURST_DETECTION.minVotesForShare) {
+        if (ips.topShare > BURST_DETECTION.maxSourceShare) {
+          reasons.push(`${Math.round(ips.topShare * 100)}% of guest votes from one IP`);
+        }
+        if (fingerprints.topShare > BURST_DETECTION.maxSourceShare) {
+          reasons.push(`${Math.round(fingerprints.topShare * 100)}% of guest votes from one device fingerprint`);
+        }
+      }
+
+      if (reasons.length === 0) continue;
+
+      const complaint = await this.repositories.complaints.findById(complaintId);
+      if (!complaint) continue;
+      if (department && getComplaintDepartment(complaint) !== department) continue;
+
+      flagged.push({
+        complaintId,
+        title: complaint.title,
+        category: complaint.category,
+        status: complaint.status,
+        department: getComplaintDepartment(complaint),
+        voteCount: complaint.vote_count || 0,
+        guestVotes: votes.length,
+        peakWindow,
+        distinctIps: ips.distinct,
+        topIpShare: ips.topShare,
+        distinctDevices: new Set(votes.map(vote => vote.guest_device_id)).size,
+        distinctFingerprints: fingerprints.distinct,
+        topFingerprintShare: fingerprints.topShare,
+        reasons
+      });
+    }
+
+    flagged.sort((a, b) => b.peakWindow.votes - a.peakWindow.votes);
+
+    return {
+      generatedAt: new Date().toISOString(),
+      lookbackHours,
+      windowMinutes,
+      threshold,
+      complaints: flagged
+    };
+  }
+}
+
+module.exports = GuestVoteService;
@@ -0,0 +1,302 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { supabase, dataBackend } = require('../config/supabase');
+const { HEALTH } = require('../config/health');
+const { getExternalCallStatus } = require('../utils/externalCalls');
+const transcriptionProviders = require('./transcriptionProviders');
+const emotionProviders = require('./emotionProviders');
+const locationProviders = require('./locationProviders');
+const { PROVIDER_CONFIG: TRANSCRIPTION_CONFIG } = require('../config/transcription');
+const { PROVIDER_CONFIG: EMOTION_CONFIG } = require('../config/emotion');
+const { PROVIDER_CONFIG: POI_CONFIG } = require('../config/poi');
+
+const origin = (url) => (url ? new URL(url).origin : null);
+
+/**
+ * AI providers reported by the readiness check. externalService matches the
+ * label used with trackExternalCall, for last success/failure times.
+ * Providers without a probeUrl run locally and are reachable when configured.
+ */
+function buildProviderDependencies() {
+  const roboflowUrl = process.env.ROBOFLOW_API_URL || 'https://serverless.roboflow.com';
+
+  return [
+    {
+      name: 'roboflow',
+      feature: 'image-analysis',
+      externalService: 'roboflow',
+      isConfigured: () => Boolean(process.env.ROBOFLOW_API_KEY),
+      probeUrl: origin(roboflowUrl)
+    },
+    {
+      name: 'sarvam',
+      feature: 'transcription',
+      externalService: 'sarvam',
+      provider: new transcriptionProviders.SarvamProvider(),
+      probeUrl: origin(TRANSCRIPTION_CONFIG.sarvam.speechToTextUrl)
+    },
+    {
+      name: 'local-whisper',
+      feature: 'transcription',
+      provider: new transcriptionProviders.LocalWhisperProvider(),
+      files: [TRANSCRIPTION_CONFIG.local.binary, TRANSCRIPTION_CONFIG.local.model]
+    },
+    {
+      name: 'emotion-sidecar',
+      feature: 'emotion',
+      externalService: 'emotion_sidecar',
+      provider: new emotionProviders.LocalSidecarEmotionProvider(),
+      probeUrl: EMOTION_CONFIG.local.url ? `${EMOTION_CONFIG.local.url.replace(/\/$/, '')}/health` : null
+    },
+    {
+      name: 'huggingface',
+      feature: 'emotion',
+      externalService: 'huggingface',
+      provider: new emotionProviders.HuggingFaceEmotionProvider(),
+      probeUrl: origin(EMOTION_CONFIG.huggingface.models[0])
+    },
+    {
+      name: 'google-places',
+      feature: 'location-priority',
+      externalService: 'google_places',
+      provider: new locationProviders.GooglePlacesProvider(),
+      probeUrl: origin(POI_CONFIG.google.baseUrl)
+    },
+    {
+      name: 'overpass',
+      feature: 'location-priority',
+      externalService: 'overpass',
+      provider: new locationProviders.OverpassProvider(),
+      probeUrl: origin(POI_CONFIG.overpass.url)
+    },
+    {
+      name: 'offline-poi',
+      feature: 'location-priority',
+      provider: new locationProviders.OfflinePoiProvider(),
+      files: [POI_CONFIG.offline.datasetPath]
+    }
+  ];
+}
+
+/**
+ * Run a check with the per-check time limit
+ */
+function withTimeout(promise, timeoutMs, label) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Health Service
+ * Liveness and readiness reports: database connectivity, free space for
+ * uploads, and each AI provider's configured and reachable state with the
+ * time of its last successful call.
+ */
+class HealthService {
+  constructor(options = {}) {
+    this.config = { ...HEALTH, ...options.config };
+    this.supabase = options.supabase || supabase;
+    this.dependencies = options.dependencies || buildProviderDependencies();
+    this.probeCache = new Map();
+    this.lastDatabaseSuccessAt = null;
+    this.startedAt = new Date();
+  }
+
+  /**
+   * Process-level status; no dependencies are contacted
+   */
+  getLiveness() {
+    const memory = process.memoryUsage();
+    return {
+      status: 'OK',
+      message: 'CivicStack Backend Server is running',
+      uptimeSeconds: Math.round(process.uptime()),
+      startedAt: this.startedAt.toISOString(),
+      memoryMb: {
+        rss: Math.round(memory.rss / 1024 / 1024),
+        heapUsed: Math.round(memory.heapUsed / 1024 / 1024)
+      },
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  async checkDatabase() {
+    const startTime = Date.now();
+    try {
+      const { error } = await withTimeout(
+        Promise.resolve(this.supabase.from('complaints').select('id').limit(1)),
+        this.config.timeoutMs,
+        'Database query'
+      );
+      if (error) throw new Error(error.message);
+
+      this.lastDatabaseSuccessAt = new Date().toISOString();
+      return {
+        status: 'up',
+        critical: true,
+        backend: dataBackend,
+        latencyMs: Date.now() - startTime,
+        lastSuccessAt: this.lastDatabaseSuccessAt
+      };
+    } catch (error) {
+      return {
+        status: 'down',
+        critical: true,
+        backend: dataBackend,
+        latencyMs: Date.now() - startTime,
+        lastSuccessAt: this.lastDatabaseSuccessAt,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Free space and write access for the uploads directory (or the nearest
+   * existing parent, since uploads/ is created on first use)
+   */
+  async checkDisk() {
+    const directory = this.config.uploadsDir;
+    try {
+      let existing = directory;
+      while (!fs.existsSync(existing) && path.dirname(existing) !== existing) {
+        existing = path.dirname(existing);
+      }
+
+      const stats = await fs.promises.statfs(existing);
+      const freeMb = Math.round((stats.bavail * stats.bsize) / 1024 / 1024);
+      const totalMb = Math.round((stats.blocks * stats.bsize) / 1024 / 1024);
+
+      let writable = true;
+      try {
+        await fs.promises.access(existing, fs.constants.W_OK);
+      } catch {
+        writable = false;
+      }
+
+      const enoughSpace = freeMb >= this.config.minFreeDiskMb;
+      return {
+        status: enoughSpace && writable ? 'up' : 'down',
+        critical: true,
+        path: directory,
+        exists: existing === directory,
+        writable,
+        freeMb,
+        totalMb,
+        usedPercent: totalMb > 0 ? Math.round(((totalMb - freeMb) / totalMb) * 100) : null,
+        minFreeMb: this.config.minFreeDiskMb,
+        ...(!enoughSpace && { error: `Less than ${this.config.minFreeDiskMb}MB free` }),
+        ...(!writable && { error: 'Uploads directory is not writable' })
+      };
+    } catch (error) {
+      return { status: 'down', critical: true, path: directory, error: error.message };
+    }
+  }
+
+  /**
+   * Whether a provider's endpoint answers at all; any HTTP response counts,
+   * since probes are unauthenticated
+   */
+  async probe(url) {
+    const startTime = Date.now();
+    try {
+      const response = await axios.get(url, {
+        timeout: this.config.timeoutMs,
+        validateStatus: () => true,
+        maxRedirects: 0
+      });
+      return { reachable: true, latencyMs: Date.now() - startTime, httpStatus: response.status };
+    } catch (error) {
+      return { reachable: false, latencyMs: Date.now() - startTime, error: error.code || error.message };
+    }
+  }
+
+  async cachedProbe(url, refresh) {
+    const cached = this.probeCache.get(url);
+    if (!refresh && cached && Date.now() - cached.checkedAt < this.config.probeCacheSeconds * 1000) {
+      return { ...cached.result, cached: true, checkedAt: new Date(cached.checkedAt).toISOString() };
+    }
+
+    const result = await this.probe(url);
+    const checkedAt = Date.now();
+    this.probeCache.set(url, { result, checkedAt });
+    return { ...result, cached: false, checkedAt: new Date(checkedAt).toISOString() };
+  }
+
+  async checkProvider(dependency, { refresh = false } = {}) {
+    const configured = dependency.provider
+      ? dependency.provider.isConfigured()
+      : dependency.isConfigured();
+    const calls = (dependency.externalService && getExternalCallStatus()[dependency.externalService]) || {};
+    const base = {
+      feature: dependency.feature,
+      critical: false,
+      configured,
+      lastSuccessAt: calls.lastSuccessAt || null,
+      lastFailureAt: calls.lastFailureAt || null,
+      ...(calls.lastError && { lastError: calls.lastError })
+    };
+
+    if (!configured) {
+      return { status: 'not_configured', reachable: null, ...base };
+    }
+
+    if (dependency.probeUrl) {
+      const probe = await this.cachedProbe(dependency.probeUrl, refresh);
+      return { status: probe.reachable ? 'up' : 'down', ...base, ...probe };
+    }
+
+    // Local providers: reachable when their files are present
+    const missing = (dependency.files || []).filter(file => file && !fs.existsSync(file));
+    return {
+      status: missing.length === 0 ? 'up' : 'down',
+      reachable: missing.length === 0,
+      ...base,
+      ...(missing.length > 0 && { error: `Missing ${missing.join(', ')}` })
+    };
+  }
+
+  /**
+   * Dependency report for the readiness endpoint
+   * @param {Object} options - { refresh } to bypass cached provider probes
+   * @returns {Promise<Object>} { ready, status: 'ready' | 'degraded' | 'not_ready', checks }
+   */
+  async getReadiness(options = {}) {
+    const [database, disk, ...providers] = await Promise.all([
+      this.checkDatabase(),
+      this.checkDisk(),
+      ...this.dependencies.map(dependency =>
+        this.checkProvider(dependency, options).catch(error => ({
+          status: 'down',
+          feature: dependency.feature,
+          critical: false,
+          error: error.message
+        }))
+      )
+    ]);
+
+    const providerChecks = Object.fromEntries(
+      this.dependencies.map((dependency, index) => [dependency.name, providers[index]])
+    );
+    const critical = [database, disk];
+    const ready = critical.every(check => check.status === 'up');
+    const degraded = Object.values(providerChecks).some(check => check.status === 'down');
+
+    return {
+      ready,
+      status: !ready ? 'not_ready' : degraded ? 'degraded' : 'ready',
+      checks: {
+        database,
+        disk,
+        providers: providerChecks
+      },
+      uptimeSeconds: Math.round(process.uptime()),
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = HealthService;
@@ -1,11 +1,41 @@
+const crypto = require('crypto');
 const { supabase } = require('../config/supabase');
+const { getRepositories } = require('../repositories');
+const WorkflowEngine = require('./WorkflowEngine');
+const { DEFAULT_MODE, AGGREGATION, VECTOR_TILE, HOTSPOTS, POPUP } = require('../config/heatMap');
+const { getPriorityLevel: getPriorityBand } = require('../config/scoring');
+const { OPEN_STATUSES } = require('../config/sla');
+const { findComplaintsWithinDistance } = require('../utils/geoUtils');
+const {
+  TILE_SIZE,
+  unproject,
+  getTileBounds,
+  gridBins,
+  hexBins,
+  clusterBins
+} = require('../utils/mapAggregation');
+const { encodeTile } = require('../utils/vectorTile');
+const { getisOrdGiStar, getConfidence } = require('../utils/spatialStats');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+/**
+ * Monday 00:00 UTC of the week containing a date
+ */
+function startOfWeek(date) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  return start;
+}
+
+const round2 = (value) => Math.round(value * 100) / 100;
 
 class HeatMapService {
   constructor() {
-    // Initialize status change cache
-    this.statusChangeCache = new Map();
-    this.lastStatusCheck = new Date();
-    
+    this.repositories = getRepositories();
+    this.workflowEngine = new WorkflowEngine();
+
     // Test connection on initialization
     this.testConnection();
   }
@@ -33,6 +63,79 @@ class HeatMapService {
     }
   }
 
+  /**
+   * Complaints with coordinates matching the heat map filters
+   * @param {Object} filters - { dateRange, from, to, status, complaintType, wardIds, bbox }
+   */
+  async fetchComplaints(filters = {}) {
+    let query = supabase
+      .from('complaints')
+      .select(`
+        id,
+        location_latitude,
+        location_longitude,
+        status,
+        category,
+        priority_score,
+        created_at,
+        resolved_at,
+        location_address,
+        ward_id,
+        title,
+        description
+      `)
+      .not('location_latitude', 'is', null)
+      .not('location_longitude', 'is', null);
+
+    // Apply date filter (default to last 30 days)
+    if (filters.dateRange) {
+      const startDate = new Date();
+      startDate.setDate(startDate.getDate() - (filters.dateRange || 30));
+      query = query.gte('created_at', startDate.toISOString());
+    }
+
+    // Apply explicit date range (timeline and hotspots)
+    if (filters.from) {
+      query = query.gte('created_at', filters.from);
+    }
+    if (filters.to) {
+      query = query.lte('created_at', filters.to);
+    }
+
+    // Apply status filter
+    if (filters.status) {
+      query = query.eq('status', filters.status);
+    }
+
+    // Apply complaint type filter
+    if (filters.complaintType) {
+      query = query.eq('category', filters.complaintType);
+    }
+
+    // Apply ward filter (ward ids, from the ward and zone parameters)
+    if (filters.wardIds) {
+      query = query.in('ward_id', filters.wardIds);
+    }
+
+    // Apply map viewport filter
+    if (filters.bbox) {
+      query = query
+        .gte('location_latitude', filters.bbox.minLat)
+        .lte('location_latitude', filters.bbox.maxLat)
+        .gte('location_longitude', filters.bbox.minLng)
+        .lte('location_longitude', filters.bbox.maxLng);
+    }
+
+    const { data: complaints, error } = await query.order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('❌ Error fetching complaints:', error);
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    return complaints || [];
+  }
+
   /**
    * Get all complaints for heat map visualization
    * Returns complaints with their coordinates and status
@@ -44,50 +147,7 @@ class HeatMapService {
       // No mock data - always try to use real database
       console.log('📊 Using real data from database');
 
-      // First check for status changes
-      await this.checkForStatusChanges();
-
-      let query = supabase
-        .from('complaints')
-        .select(`
-          id,
-          location_latitude,
-          location_longitude,
-          status,
-          category,
-          priority_score,
-          created_at,
-          resolved_at,
-          location_address,
-          title,
-          description
-        `)
-        .not('location_latitude', 'is', null)
-        .not('location_longitude', 'is', null);
-
-      // Apply date filter (default to last 30 days)
-      if (filters.dateRange) {
-        const startDate = new Date();
-        startDate.setDate(startDate.getDate() - (filters.dateRange || 30));
-        query = query.gte('created_at', startDate.toISOString());
-      }
-
-      // Apply status filter
-      if (filters.status) {
-        query = query.eq('status', filters.status);
-      }
-
-      // Apply complaint type filter
-      if (filters.complaintType) {
-        query = query.eq('category', filters.complaintType);
-      }
-
-      const { data: complaints, error } = await query.order('created_at', { ascending: false });
-
-      if (error) {
-        console.error('❌ Error fetching complaints:', error);
-        throw new Error(`Database error: ${error.message}`);
-      }
+      const complaints = await this.fetchComplaints(filters);
 
       // Return empty array if no complaints found - no mock data
       if (!complaints || complaints.length === 0) {
@@ -151,13 +211,7 @@ class HeatMapService {
         !isNaN(parseFloat(complaint.location_longitude))
       )
       .map(complaint => {
-        // Check if we have a more recent status in cache
-        let status = complaint.status;
-        if (this.statusChangeCache && this.statusChangeCache.has(complaint.id)) {
-          const cachedStatus = this.statusChangeCache.get(complaint.id);
-          console.log(`📝 Using cached status for complaint ${complaint.id}: ${cachedStatus.status}`);
-          status = cachedStatus.status;
-        }
+        const status = complaint.status;
         
         const isResolved = status === 'completed' || status === 'resolved';
         const isPending = status === 'pending' || status === 'in_progress';
@@ -189,6 +243,7 @@ class HeatMapService {
           createdAt: complaint.created_at,
           resolvedAt: isResolved ? (complaint.resolved_at || new Date().toISOString()) : null,
           location: complaint.location_address || 'Location not specified',
+          wardId: complaint.ward_id || null,
           daysSinceCreated: this.getDaysSince(complaint.created_at),
           tooltip: this.generateTooltip({...complaint, status})
         };
@@ -205,10 +260,490 @@ class HeatMapService {
     };
   }
 
+  /**
+   * Status a complaint had at a past time: resolved only if resolved by then
+   */
+  getStatusAsOf(complaint, asOf) {
+    const { status } = complaint;
+    const isResolved = status === 'completed' || status === 'resolved';
+    if (isResolved && complaint.resolved_at && new Date(complaint.resolved_at) > asOf) {
+      return 'in_progress';
+    }
+    return status;
+  }
+
+  /**
+   * Complaints as weighted points for binning
+   * @param {Array} complaints - Complaint rows
+   * @param {Date} asOf - Weigh by status and age at this time instead of now
+   */
+  toWeightedPoints(complaints, asOf = null) {
+    return complaints
+      .map(complaint => ({
+        ...complaint,
+        status: asOf ? this.getStatusAsOf(complaint, asOf) : complaint.status,
+        latitude: parseFloat(complaint.location_latitude),
+        longitude: parseFloat(complaint.location_longitude)
+      }))
+      .filter(complaint => Number.isFinite(complaint.latitude) && Number.isFinite(complaint.longitude))
+      .map(complaint => ({
+        id: complaint.id,
+        latitude: complaint.latitude,
+        longitude: complaint.longitude,
+        weight: this.getComplaintWeight(complaint, asOf || new Date()),
+        status: complaint.status,
+        category: complaint.category,
+        createdAt: complaint.created_at,
+        priorityScore: parseFloat(complaint.priority_score) || 0
+      }));
+  }
+
+  binPoints(points, zoom, mode) {
+    if (mode === 'hex') {
+      return hexBins(points, zoom, AGGREGATION.hexRadiusPx);
+    }
+    if (mode === 'cluster') {
+      // Past clusterMaxZoom only complaints at the same spot are grouped
+      const radius = zoom > AGGREGATION.clusterMaxZoom ? 0 : AGGREGATION.clusterRadiusPx;
+      return clusterBins(points, zoom, radius);
+    }
+    return gridBins(points, zoom, AGGREGATION.gridCellPx);
+  }
+
+  /**
+   * Position, count, summed weight and status mix of one bin
+   */
+  summarizeBin(bin, zoom) {
+    const position = unproject(bin.centroid.x, bin.centroid.y, zoom);
+    const byStatus = {};
+    bin.points.forEach(point => {
+      byStatus[point.status] = (byStatus[point.status] || 0) + 1;
+    });
+    const weight = bin.points.reduce((sum, point) => sum + point.weight, 0);
+
+    return {
+      id: bin.key,
+      latitude: position.latitude,
+      longitude: position.longitude,
+      count: bin.points.length,
+      weight: Math.round(weight * 100) / 100,
+      maxPriorityScore: Math.max(...bin.points.map(point => point.priorityScore)),
+      dominantStatus: Object.entries(byStatus).sort((a, b) => b[1] - a[1])[0][0],
+      byStatus,
+      ...(bin.polygon && { polygon: bin.polygon }),
+      ...(bin.points.length === 1 && { complaintId: bin.points[0].id })
+    };
+  }
+
+  /**
+   * Zoom-aware aggregation of complaints: weighted grid cells, hexagons or
+   * clusters instead of one point per complaint
+   * @param {Object} filters - As for fetchComplaints; bbox is the map viewport
+   * @param {Object} options - { zoom, mode: 'grid' | 'hex' | 'cluster' }
+   * @returns {Promise<Object>} { mode, zoom, cells, statistics, lastUpdated }
+   */
+  async getAggregatedHeatMapData(filters = {}, { zoom, mode = DEFAULT_MODE }) {
+    const complaints = await this.fetchComplaints(filters);
+    const points = this.toWeightedPoints(complaints);
+    const cells = this.binPoints(points, zoom, mode)
+      .map(bin => this.summarizeBin(bin, zoom))
+      .sort((a, b) => b.weight - a.weight);
+    const totalWeight = cells.reduce((sum, cell) => sum + cell.weight, 0);
+
+    return {
+      mode,
+      zoom,
+      cells,
+      statistics: {
+        total: points.length,
+        cells: cells.length,
+        totalWeight: Math.round(totalWeight * 100) / 100,
+        maxCellWeight: cells.length > 0 ? cells[0].weight : 0
+      },
+      lastUpdated: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Aggregated complaints for tile z/x/y as a Mapbox vector tile: grid and
+   * hex cells as polygons, clusters as points. Greedy clusters would differ
+   * between neighbouring tiles, so tile clusters are grid cells drawn at
+   * their weighted centre.
+   * @param {Object} filters - As for fetchComplaints
+   * @param {Object} options - { mode }
+   * @returns {Promise<Buffer>} Tile protobuf
+   */
+  async getVectorTile(z, x, y, filters = {}, { mode = DEFAULT_MODE } = {}) {
+    const bbox = getTileBounds(z, x, y, VECTOR_TILE.bufferPx);
+    const complaints = await this.fetchComplaints({ ...filters, bbox });
+    const asPoints = mode === 'cluster';
+    const bins = this.binPoints(this.toWeightedPoints(complaints), z, asPoints ? 'grid' : mode);
+
+    const originX = x * TILE_SIZE;
+    const originY = y * TILE_SIZE;
+    const scale = VECTOR_TILE.extent / TILE_SIZE;
+    const toTile = ([px, py]) => [(px - originX) * scale, (py - originY) * scale];
+
+    const features = bins
+      // Complaints in the buffer only complete edge cells; a cell belongs to the tile holding its centre
+      .filter(bin =>
+        bin.center.x >= originX && bin.center.x < originX + TILE_SIZE &&
+        bin.center.y >= originY && bin.center.y < originY + TILE_SIZE
+      )
+      .map(bin => {
+        const cell = this.summarizeBin(bin, z);
+        return {
+          type: asPoints ? 'Point' : 'Polygon',
+          geometry: asPoints ? toTile([bin.centroid.x, bin.centroid.y]) : [bin.corners.map(toTile)],
+          properties: {
+            cell_id: cell.id,
+            count: cell.count,
+            weight: cell.weight,
+            max_priority_score: cell.maxPriorityScore,
+            dominant_status: cell.dominantStatus,
+            complaint_id: cell.complaintId
+          }
+        };
+      });
+
+    return encodeTile([{ name: VECTOR_TILE.layer, extent: VECTOR_TILE.extent, features }]);
+  }
+
+  /**
+   * Weekly heat grids for playback: the complaints reported each week,
+   * binned on the same cells in every frame and weighed as of the week's end
+   * @param {Object} filters - As for fetchComplaints, without a date range
+   * @param {Object} options - { from, to (Dates), zoom, mode: 'grid' | 'hex' }
+   * @returns {Promise<Object>} { mode, zoom, cells, frames, statistics } where
+   *   cells holds each cell's position and polygon once, and frames refer to them by id
+   */
+  async getTimeline(filters = {}, { from, to, zoom, mode }) {
+    const firstWeek = startOfWeek(from);
+    const complaints = await this.fetchComplaints({
+      ...filters,
+      dateRange: null,
+      from: firstWeek.toISOString(),
+      to: to.toISOString()
+    });
+
+    const byWeek = new Map();
+    complaints.forEach(complaint => {
+      const index = Math.floor((new Date(complaint.created_at) - firstWeek) / WEEK_MS);
+      if (!byWeek.has(index)) byWeek.set(index, []);
+      byWeek.get(index).push(complaint);
+    });
+
+    const cells = {};
+    const frames = [];
+    let maxCellWeight = 0;
+
+    for (let index = 0; firstWeek.getTime() + index * WEEK_MS <= to.getTime(); index++) {
+      const weekStart = new Date(firstWeek.getTime() + index * WEEK_MS);
+      const weekEnd = new Date(weekStart.getTime() + WEEK_MS);
+      const points = this.toWeightedPoints(byWeek.get(index) || [], weekEnd < to ? weekEnd : to);
+
+      const frameCells = this.binPoints(points, zoom, mode)
+        .map(bin => {
+          if (!cells[bin.key]) {
+            const center = unproject(bin.center.x, bin.center.y, zoom);
+            cells[bin.key] = { latitude: center.latitude, longitude: center.longitude, polygon: bin.polygon };
+          }
+          const weight = round2(bin.points.reduce((sum, point) => sum + point.weight, 0));
+          maxCellWeight = Math.max(maxCellWeight, weight);
+          return { id: bin.key, count: bin.points.length, weight };
+        })
+        .sort((a, b) => b.weight - a.weight);
+
+      frames.push({
+        weekStart: weekStart.toISOString(),
+        weekEnd: weekEnd.toISOString(),
+        total: points.length,
+        cells: frameCells
+      });
+    }
+
+    return {
+      mode,
+      zoom,
+      from: firstWeek.toISOString(),
+      to: to.toISOString(),
+      cells,
+      frames,
+      statistics: {
+        weeks: frames.length,
+        total: complaints.length,
+        maxCellWeight
+      },
+      lastUpdated: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Hot and cold-turning cells for one category. Complaints are counted on
+   * a square grid separately for the baseline and recent periods, and each
+   * period gets Gi* z-scores over the same study area.
+   * @returns {Array} Hotspots with trend new, intensifying, persistent or diminishing
+   */
+  findCategoryHotspots(category, points, { recentFrom, baselineDays, recentDays }) {
+    // Coarsen the grid until the study area (occupied extent plus a ring of empty cells) is small enough
+    let zoom = HOTSPOTS.cellZoom;
+    let bins;
+    let area;
+    for (;;) {
+      bins = gridBins(points, zoom, AGGREGATION.gridCellPx);
+      area = {
+        minColumn: Math.min(...bins.map(bin => bin.column)) - 1,
+        maxColumn: Math.max(...bins.map(bin => bin.column)) + 1,
+        minRow: Math.min(...bins.map(bin => bin.row)) - 1,
+        maxRow: Math.max(...bins.map(bin => bin.row)) + 1
+      };
+      const cellCount = (area.maxColumn - area.minColumn + 1) * (area.maxRow - area.minRow + 1);
+      if (cellCount <= HOTSPOTS.maxCells || zoom === 0) break;
+      zoom--;
+    }
+
+    // Every cell occupied in either period is scored in both, zeros included,
+    // so a cell empty in one period still counts its neighbours
+    const recent = new Map();
+    const baseline = new Map();
+    bins.forEach(bin => {
+      const key = `${bin.column}:${bin.row}`;
+      const recentCount = bin.points.filter(point => new Date(point.createdAt) >= recentFrom).length;
+      recent.set(key, recentCount);
+      baseline.set(key, bin.points.length - recentCount);
+    });
+
+    const recentStats = getisOrdGiStar(recent, area);
+    const baselineStats = getisOrdGiStar(baseline, area);
+    const confidenceOf = (stats) => (stats && stats.localSum >= HOTSPOTS.minComplaints
+      ? getConfidence(stats.zScore, HOTSPOTS.confidenceLevels)
+      : null);
+
+    return bins.flatMap(bin => {
+      const key = `${bin.column}:${bin.row}`;
+      const recentCell = recentStats.get(key);
+      const baselineCell = baselineStats.get(key);
+      const recentConfidence = confidenceOf(recentCell);
+      const baselineConfidence = confidenceOf(baselineCell);
+      if (!recentConfidence && !baselineConfidence) return [];
+
+      // Complaints per week around the cell (it and its neighbours)
+      const recentRate = ((recentCell?.localSum || 0) / recentDays) * 7;
+      const baselineRate = ((baselineCell?.localSum || 0) / baselineDays) * 7;
+
+      let trend = 'diminishing';
+      if (recentConfidence && !baselineConfidence) trend = 'new';
+      else if (recentConfidence) {
+        trend = recentRate >= baselineRate * HOTSPOTS.intensifyingRatio ? 'intensifying' : 'persistent';
+      }
+
+      const center = unproject(bin.center.x, bin.center.y, zoom);
+      const newestFirst = [...bin.points].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+      return [{
+        id: `${category}:${zoom}:${key}`,
+        category,
+        trend,
+        confidence: recentConfidence || baselineConfidence,
+        zScore: round2((recentConfidence ? recentCell : baselineCell).zScore),
+        latitude: center.latitude,
+        longitude: center.longitude,
+        polygon: bin.polygon,
+        complaints: {
+          recent: recent.get(key),
+          baseline: baseline.get(key)
+        },
+        weeklyRate: {
+          recent: round2(recentRate),
+          baseline: round2(baselineRate)
+        },
+        // Distinct weeks with a complaint in the cell, to spot recurring problems
+        activeWeeks: new Set(bin.points.map(point => startOfWeek(new Date(point.createdAt)).getTime())).size,
+        complaintIds: newestFirst.slice(0, HOTSPOTS.maxComplaintIds).map(point => point.id)
+      }];
+    });
+  }
+
+  /**
+   * Statistically significant complaint clusters per category (Getis-Ord Gi*),
+   * flagged as new, intensifying, persistent or diminishing by comparing the
+   * last recentDays with the rest of the window
+   * @param {Object} filters - As for fetchComplaints, without a date range
+   * @param {Object} options - { days, recentDays, trends: only these trends }
+   * @returns {Promise<Object>} { window, hotspots, statistics }
+   */
+  async getHotspots(filters = {}, { days = HOTSPOTS.defaultDays, recentDays = HOTSPOTS.recentDays, trends = null } = {}) {
+    const now = new Date();
+    const from = new Date(now.getTime() - days * DAY_MS);
+    const recentFrom = new Date(now.getTime() - recentDays * DAY_MS);
+
+    const complaints = await this.fetchComplaints({
+      ...filters,
+      dateRange: null,
+      from: from.toISOString(),
+      to: now.toISOString()
+    });
+    const points = this.toWeightedPoints(complaints);
+
+    const byCategory = new Map();
+    points.forEach(point => {
+      const category = point.category || 'other';
+      if (!byCategory.has(category)) byCategory.set(category, []);
+      byCategory.get(category).push(point);
+    });
+
+    const hotspots = [...byCategory.entries()]
+      .flatMap(([category, categoryPoints]) => this.findCategoryHotspots(category, categoryPoints, {
+        recentFrom,
+        baselineDays: days - recentDays,
+        recentDays
+      }))
+      .filter(hotspot => !trends || trends.includes(hotspot.trend))
+      .sort((a, b) => b.confidence - a.confidence || b.zScore - a.zScore);
+
+    const byTrend = {};
+    hotspots.forEach(hotspot => {
+      byTrend[hotspot.trend] = (byTrend[hotspot.trend] || 0) + 1;
+    });
+
+    return {
+      method: 'getis-ord-gi*',
+      window: {
+        from: from.toISOString(),
+        recentFrom: recentFrom.toISOString(),
+        to: now.toISOString()
+      },
+      hotspots,
+      statistics: {
+        complaints: points.length,
+        categories: byCategory.size,
+        hotspots: hotspots.length,
+        byTrend
+      },
+      lastUpdated: now.toISOString()
+    };
+  }
+
+  /**
+   * Complaint and workflow row behind a map popup, and the popup's ETag
+   * @returns {Promise<Object|null>} { complaint, workflow, etag }, or null when not found
+   */
+  async getComplaintPopupSource(complaintId) {
+    const complaint = await this.repositories.complaints.findById(complaintId);
+    if (!complaint) return null;
+
+    const workflow = await this.repositories.workflow.findByComplaintId(complaintId);
+    const nearbyWindow = Math.floor(Date.now() / (POPUP.nearbyRefreshSeconds * 1000));
+    const hash = crypto
+      .createHash('sha1')
+      .update(JSON.stringify([complaint, workflow, nearbyWindow]))
+      .digest('base64url');
+
+    return { complaint, workflow, etag: `W/"${hash}"` };
+  }
+
+  /**
+   * Small version of the complaint's first photo
+   */
+  getThumbnailUrl(imageUrls) {
+    const url = Array.isArray(imageUrls) ? imageUrls.find(Boolean) : imageUrls;
+    if (!url || typeof url !== 'string') return null;
+    return url.includes('res.cloudinary.com') && url.includes('/upload/')
+      ? url.replace('/upload/', `/upload/${POPUP.thumbnailTransform}/`)
+      : url;
+  }
+
+  /**
+   * Open complaints of the same category around a complaint, nearest first
+   */
+  async getRelatedNearby(complaint) {
+    const latitude = parseFloat(complaint.location_latitude);
+    const longitude = parseFloat(complaint.location_longitude);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return [];
+
+    try {
+      const nearby = await findComplaintsWithinDistance(supabase, {
+        latitude,
+        longitude,
+        distanceMeters: POPUP.nearbyRadiusMeters,
+        limit: POPUP.nearbyLimit,
+        excludeId: complaint.id,
+        applyFilters: query => query.eq('category', complaint.category).in('status', OPEN_STATUSES)
+      });
+
+      return nearby.map(item => ({
+        id: item.id,
+        title: item.title,
+        status: item.status,
+        latitude: parseFloat(item.location_latitude),
+        longitude: parseFloat(item.location_longitude),
+        voteCount: item.vote_count || 0,
+        distance: Math.round(item.distance)
+      }));
+    } catch (error) {
+      console.warn(`⚠️ Nearby complaints for ${complaint.id} unavailable:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Map-optimized complaint summary for the popup shown when a marker is tapped
+   * @param {Object} source - { complaint, workflow } from getComplaintPopupSource
+   */
+  async buildComplaintPopup({ complaint, workflow }) {
+    const rawScore = parseFloat(complaint.priority_score) || 0;
+    // Legacy rows store the score on a 0-100 scale
+    const score = rawScore > 1 ? rawScore / 100 : rawScore;
+    const breakdown = complaint.priority_breakdown || null;
+
+    const { trackingStages, currentStage, workflowKey } = this.workflowEngine.buildTrackingStages(complaint, workflow);
+    const stage = trackingStages[currentStage - 1] || null;
+
+    const isOpen = OPEN_STATUSES.includes(complaint.status);
+    const closedAt = complaint.resolved_at || complaint.updated_at;
+    const daysOpen = this.getDaysSince(complaint.created_at, isOpen || !closedAt ? new Date() : new Date(closedAt));
+
+    return {
+      id: complaint.id,
+      title: complaint.title,
+      category: complaint.category,
+      status: complaint.status,
+      thumbnailUrl: this.getThumbnailUrl(complaint.image_urls),
+      location: {
+        latitude: parseFloat(complaint.location_latitude),
+        longitude: parseFloat(complaint.location_longitude),
+        address: complaint.location_address || null,
+        wardId: complaint.ward_id || null
+      },
+      priority: {
+        score: parseFloat(score.toFixed(2)),
+        level: getPriorityBand(score),
+        factors: breakdown?.factors || null,
+        statusMultiplier: breakdown?.statusMultiplier ?? null
+      },
+      workflow: {
+        key: workflowKey,
+        stage: stage ? stage.name : null,
+        stageStatus: stage ? stage.status : null,
+        icon: stage ? stage.icon : null,
+        step: currentStage,
+        totalSteps: trackingStages.length
+      },
+      voteCount: complaint.vote_count || 0,
+      // The original reporter plus reporters of duplicates merged into it
+      reportCount: 1 + (complaint.merged_reporter_ids || []).length,
+      isOpen,
+      daysOpen,
+      createdAt: complaint.created_at,
+      nearby: await this.getRelatedNearby(complaint)
+    };
+  }
+
   /**
    * Get weight for heat map intensity based on priority and age
+   * (age as of asOf, for past timeline frames)
    */
-  getComplaintWeight(complaint) {
+  getComplaintWeight(complaint, asOf = new Date()) {
     let weight = 1;
     
     // Priority-based weight
@@ -219,7 +754,7 @@ class HeatMapService {
     else weight = 1;
 
     // Age-based multiplier (older unresolved complaints get higher weight)
-    const daysSince = this.getDaysSince(complaint.created_at);
+    const daysSince = this.getDaysSince(complaint.created_at, asOf);
     if (complaint.status !== 'completed' && complaint.status !== 'resolved') {
       if (daysSince > 7) weight *= 1.5;
       if (daysSince > 14) weight *= 2;
@@ -322,11 +857,10 @@ Location: ${complaint.location_address || 'Unknown'}`;
   /**
    * Calculate days since a date
    */
-  getDaysSince(dateString) {
+  getDaysSince(dateString, now = new Date()) {
     if (!dateString) return 0;
     try {
       const date = new Date(dateString);
-      const now = new Date();
       const diffTime = Math.abs(now - date);
       return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
     } catch (e) {
@@ -443,54 +977,6 @@ Location: ${complaint.location_address || 'Unknown'}`;
       }
     ];
   }
-
-  /**
-   * Check for recent status changes in complaints
-   */
-  async checkForStatusChanges() {
-    try {
-      // Only check if we have the last update timestamp
-      if (!this.lastStatusCheck) {
-        this.lastStatusCheck = new Date();
-        this.statusChangeCache = new Map();
-        return;
-      }
-
-      const now = new Date();
-      // Check every 30 seconds at most
-      if ((now - this.lastStatusCheck) < 30000) {
-        return;
-      }
-
-      console.log('🔄 Checking for complaint status updates since', this.lastStatusCheck.toISOString());
-
-      const { data, error } = await supabase
-        .from('complaints')
-        .select('id, status, updated_at')
-        .gt('updated_at', this.lastStatusCheck.toISOString());
-
-      if (error) {
-        console.error('❌ Error checking for status changes:', error);
-        return;
-      }
-
-      if (data && data.length > 0) {
-        console.log(`✅ Found ${data.length} complaints with status changes`);
-        
-        // Update cache with new statuses
-        data.forEach(complaint => {
-          this.statusChangeCache.set(complaint.id, {
-            status: complaint.status,
-            updatedAt: complaint.updated_at
-          });
-        });
-      }
-
-      this.lastStatusCheck = now;
-    } catch (error) {
-      console.error('❌ Error checking for status changes:', error.message);
-    }
-  }
 }
 
 module.exports = HeatMapService;
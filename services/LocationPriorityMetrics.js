@@ -0,0 +1,154 @@
+const { registry: defaultRegistry } = require('../utils/metrics');
+const { PROVIDER_ORDER } = require('../config/poi');
+
+// Recent calculations per operation used for latency percentiles
+const LATENCY_WINDOW = 1000;
+
+const OPERATIONS = ['location', 'comprehensive'];
+
+let sharedInstance = null;
+
+/**
+ * Location Priority Metrics
+ * Instruments location priority calculations: request counts and outcomes,
+ * latency percentiles, which facility provider answered, and the spread of
+ * priority and privacy levels. 'location' is calculateLocationPriority,
+ * wherever it's called from; 'comprehensive' is the /comprehensive endpoint.
+ */
+class LocationPriorityMetrics {
+  constructor(options = {}) {
+    const registry = options.registry || defaultRegistry;
+    this.startedAt = new Date();
+
+    this.requests = registry.counter(
+      'location_priority_requests_total',
+      'Location priority calculations by operation and outcome (success, fallback, error)',
+      ['operation', 'outcome']
+    );
+    this.duration = registry.summary(
+      'location_priority_duration_seconds',
+      'Location priority calculation latency',
+      { labelNames: ['operation'], maxSamples: LATENCY_WINDOW }
+    );
+    this.providers = registry.counter(
+      'location_priority_provider_total',
+      'Location priority calculations by the facility provider that answered (default when none did)',
+      ['operation', 'provider']
+    );
+    this.priorityLevels = registry.counter(
+      'location_priority_level_total',
+      'Location priority calculations by resulting priority level',
+      ['operation', 'level']
+    );
+    this.privacyLevels = registry.counter(
+      'location_priority_privacy_level_total',
+      'Location priority calculations by the reporter\'s location privacy level',
+      ['operation', 'privacy_level']
+    );
+  }
+
+  static getInstance() {
+    if (!sharedInstance) {
+      sharedInstance = new LocationPriorityMetrics();
+    }
+    return sharedInstance;
+  }
+
+  /**
+   * Facility provider behind a calculateLocationPriority result: the source
+   * that answered the most facility types, or 'default' for the fixed
+   * fallback score
+   */
+  getProvider(locationPriority) {
+    if (!locationPriority || locationPriority.error || !locationPriority.facilityAnalysis) {
+      return 'default';
+    }
+
+    const counts = {};
+    Object.values(locationPriority.facilityAnalysis).forEach(analysis => {
+      if (analysis?.source) {
+        counts[analysis.source] = (counts[analysis.source] || 0) + 1;
+      }
+    });
+
+    const sources = Object.keys(counts);
+    if (sources.length === 0) return 'default';
+
+    const rank = source => {
+      const index = PROVIDER_ORDER.indexOf(source);
+      return index === -1 ? PROVIDER_ORDER.length : index;
+    };
+    return sources.sort((a, b) => counts[b] - counts[a] || rank(a) - rank(b))[0];
+  }
+
+  /**
+   * Record one finished calculation
+   * @param {string} operation - 'location' or 'comprehensive'
+   * @param {Object} details
+   * @param {number} details.durationMs - Wall-clock time taken
+   * @param {Object} details.result - The calculation result, when one was returned
+   * @param {Object} details.locationPriority - The underlying calculateLocationPriority result
+   * @param {string} details.privacyLevel - locationMeta.privacyLevel of the request
+   * @param {Error} details.error - Set when the calculation threw
+   */
+  record(operation, { durationMs, result, locationPriority = result, privacyLevel, error }) {
+    let outcome = 'success';
+    if (error) {
+      outcome = 'error';
+    } else if (!result || result.error) {
+      // The service caught a failure and returned its default score
+      outcome = 'fallback';
+    }
+
+    this.requests.inc({ operation, outcome });
+    this.duration.observe({ operation }, durationMs / 1000);
+    this.privacyLevels.inc({ operation, privacy_level: privacyLevel || 'unknown' });
+
+    if (!error) {
+      this.providers.inc({ operation, provider: this.getProvider(locationPriority) });
+      this.priorityLevels.inc({ operation, level: result?.priorityLevel || 'UNKNOWN' });
+    }
+  }
+
+  /**
+   * Counters and latency percentiles for one operation
+   */
+  getOperationStats(operation) {
+    const total = this.requests.get({ operation });
+    const outcomes = this.requests.groupBy('outcome', { operation });
+    const failed = (outcomes.fallback || 0) + (outcomes.error || 0);
+    const latency = this.duration.snapshot({ operation });
+    const toMs = seconds => (seconds === null ? null : Math.round(seconds * 1000));
+
+    return {
+      totalRequests: total,
+      succeeded: outcomes.success || 0,
+      fallbacks: outcomes.fallback || 0,
+      errors: outcomes.error || 0,
+      errorRate: total > 0 ? Math.round((failed / total) * 1000) / 1000 : null,
+      latencyMs: {
+        mean: toMs(latency.mean),
+        p50: toMs(latency.quantiles['0.5']),
+        p95: toMs(latency.quantiles['0.95']),
+        p99: toMs(latency.quantiles['0.99']),
+        window: Math.min(latency.count, LATENCY_WINDOW)
+      },
+      providers: this.providers.groupBy('provider', { operation }),
+      priorityLevels: this.priorityLevels.groupBy('level', { operation }),
+      privacyLevels: this.privacyLevels.groupBy('privacy_level', { operation })
+    };
+  }
+
+  /**
+   * Every operation's stats since start-up, for the JSON metrics endpoint
+   */
+  getSnapshot() {
+    return {
+      startedAt: this.startedAt.toISOString(),
+      uptimeSeconds: Math.round((Date.now() - this.startedAt.getTime()) / 1000),
+      operations: Object.fromEntries(OPERATIONS.map(operation => [operation, this.getOperationStats(operation)]))
+    };
+  }
+}
+
+module.exports = LocationPriorityMetrics;
@@ -1,19 +1,19 @@
-const axios = require('axios');
+const { DEFAULT_PROFILE, combinePriorityFactors, saturate } = require('../config/scoring');
+const EmotionAnalysisService = require('./EmotionAnalysisService');
+const { PROVIDER_CLASSES } = require('./locationProviders');
+const FacilityCacheService = require('./FacilityCacheService');
+const LocationPriorityMetrics = require('./LocationPriorityMetrics');
+const { PROVIDER, PROVIDER_ORDER } = require('../config/poi');
 require('dotenv').config();
 
+const emotionAnalyzer = EmotionAnalysisService.getInstance();
+
 /**
  * Location Priority Service for CivicStack
  * Calculates priority scores based on proximity to critical infrastructure
  */
 class LocationPriorityService {
-  constructor() {
-    this.apiKey = process.env.GOOGLE_PLACES_API_KEY;
-    this.baseUrl = 'https://maps.googleapis.com/maps/api/place';
-    
-    if (!this.apiKey) {
-      console.warn('⚠️ Google Places API key not found in environment variables');
-    }
-    
+  constructor(options = {}) {
     // Critical facility types with weights and dynamic search radius
     this.facilityConfig = {
       hospital: { 
@@ -75,6 +75,100 @@ class LocationPriorityService {
         description: 'Medical supplies'
       }
     };
+
+    // Facility sources (see services/locationProviders.js and config/poi.js)
+    this.mode = options.provider || PROVIDER;
+    this.providers = options.providers || Object.fromEntries(
+      Object.entries(PROVIDER_CLASSES).map(([name, ProviderClass]) => [
+        name,
+        new ProviderClass({ facilityConfig: this.facilityConfig })
+      ])
+    );
+
+    this.facilityCache = options.facilityCache || new FacilityCacheService();
+    this.metrics = options.metrics || LocationPriorityMetrics.getInstance();
+
+    if (this.getProviderChain().length === 0) {
+      console.warn('⚠️ No facility provider configured: import an offline POI dataset or set GOOGLE_PLACES_API_KEY');
+    }
+  }
+
+  /**
+   * Facility providers to try, in order, for the configured mode
+   */
+  getProviderChain() {
+    const names = this.mode === 'auto' ? PROVIDER_ORDER : [this.mode];
+    return names
+      .map(name => this.providers[name])
+      .filter(provider => provider && provider.isConfigured());
+  }
+
+  /**
+   * Configured state of every facility provider, for the status endpoint
+   */
+  getStatus() {
+    return {
+      mode: this.mode,
+      active: this.getProviderChain().map(provider => provider.name),
+      providers: Object.values(this.providers).map(provider => ({
+        name: provider.name,
+        configured: provider.isConfigured()
+      }))
+    };
+  }
+
+  /**
+   * Ask each provider in the chain in turn; the first that answers wins
+   */
+  async queryProviders(method, params) {
+    const chain = this.getProviderChain();
+    if (chain.length === 0) {
+      throw new Error(`No facility provider is configured (mode: ${this.mode})`);
+    }
+
+    const errors = [];
+    for (const provider of chain) {
+      try {
+        return { result: await provider[method](params), source: provider.name };
+      } catch (error) {
+        console.warn(`⚠️ ${provider.name} ${method} failed:`, error.message);
+        errors.push(`${provider.name}: ${error.message}`);
+      }
+    }
+    throw new Error(`All facility providers failed (${errors.join('; ')})`);
+  }
+
+  /**
+   * Facilities of one type within a radius, nearest first, shared through
+   * the geohash facility cache
+   * @returns {Promise<Object>} { result, source, cache }
+   */
+  async findFacilities(latitude, longitude, facilityType, radius) {
+    return this.facilityCache.getFacilities(
+      { latitude, longitude, facilityType, radius },
+      params => this.queryProviders('findFacilities', { ...params, facilityType })
+    );
+  }
+
+  /**
+   * Pre-fill the facility cache for a city
+   * @param {Object} box - { minLat, minLng, maxLat, maxLng }
+   * @param {Object} options - { radius (default 1500m, the standard search radius), facilityTypes }
+   */
+  async warmFacilityCache(box, { radius = 1500, facilityTypes = Object.keys(this.facilityConfig) } = {}) {
+    const lookups = facilityTypes
+      .filter(facilityType => this.facilityConfig[facilityType])
+      .map(facilityType => ({
+        facilityType,
+        // Same effective radius analyzeFacilities asks for
+        radius: Math.min(radius, this.facilityConfig[facilityType].radius)
+      }));
+
+    console.log(`🔥 Warming facility cache for ${lookups.length} facility types`);
+    return this.facilityCache.warmUp(box, {
+      lookups,
+      fetch: params => this.queryProviders('findFacilities', params)
+    });
   }
 
   /**
@@ -86,6 +180,7 @@ class LocationPriorityService {
    * @returns {Promise<Object>} Priority analysis results
    */
   async calculateLocationPriority(latitude, longitude, complaintType = 'general', locationMeta = {}) {
+    const startTime = Date.now();
     try {
       console.log(`🔍 Analyzing location priority for: ${latitude}, ${longitude}`);
       console.log(`📊 Privacy Level: ${locationMeta.privacyLevel || 'not specified'}`);
@@ -110,7 +205,7 @@ class LocationPriorityService {
       
       const finalScore = Math.min(1.0, (proximityScore + densityBonus) * complaintMultiplier * privacyAdjustment);
       
-      return {
+      const result = {
         priorityScore: Math.round(finalScore * 100) / 100,
         priorityLevel: this.getPriorityLevel(finalScore),
         facilityAnalysis,
@@ -131,18 +226,33 @@ class LocationPriorityService {
         coordinates: { latitude, longitude },
         complaintType
       };
+      this.recordMetrics(startTime, result, locationMeta);
+      return result;
     } catch (error) {
       console.error('❌ Location priority calculation failed:', error);
-      return {
+      const fallback = {
         priorityScore: 0.5,
         priorityLevel: 'MEDIUM',
         error: 'Unable to calculate location priority',
         fallbackReason: error.message || 'API service unavailable',
         coordinates: { latitude, longitude }
       };
+      this.recordMetrics(startTime, fallback, locationMeta);
+      return fallback;
     }
   }
 
+  /**
+   * Record a finished calculateLocationPriority call, fallback or not
+   */
+  recordMetrics(startTime, result, locationMeta) {
+    this.metrics.record('location', {
+      durationMs: Date.now() - startTime,
+      result,
+      privacyLevel: locationMeta.privacyLevel
+    });
+  }
+
   /**
    * Validate coordinates
    */
@@ -234,29 +344,9 @@ class LocationPriorityService {
       
       // Use a small 1km radius to detect area characteristics
       const probeRadius = 1000;
-      let totalFacilities = 0;
-      let businessTypes = new Set();
-      
-      // Quick probe with key facility types
-      const probeTypes = ['establishment', 'point_of_interest', 'store'];
-      
-      for (const type of probeTypes) {
-        try {
-          const facilities = await this.queryGooglePlaces(latitude, longitude, type, probeRadius);
-          totalFacilities += facilities.length;
-          
-          // Analyze business types
-          facilities.forEach(facility => {
-            if (facility.types) {
-              facility.types.forEach(t => businessTypes.add(t));
-            }
-          });
-          
-          await this.delay(300); // Rate limiting
-        } catch (error) {
-          console.warn(`⚠️ Probe error for ${type}:`, error.message);
-        }
-      }
+      const { result: probe } = await this.queryProviders('probeDensity', { latitude, longitude, radius: probeRadius });
+      const totalFacilities = probe.count;
+      const businessTypes = new Set(probe.types);
       
       console.log(`📊 Probe Results: ${totalFacilities} facilities, ${businessTypes.size} business types`);
       
@@ -359,10 +449,10 @@ class LocationPriorityService {
         
         console.log(`   🏢 Searching for ${facilityType} within ${effectiveRadius}m...`);
         
-        const facilities = await this.searchFacilitiesWithRetry(
-          latitude, 
-          longitude, 
-          config.searchTypes, 
+        const { result: facilities, source } = await this.findFacilities(
+          latitude,
+          longitude,
+          facilityType,
           effectiveRadius
         );
         
@@ -374,16 +464,13 @@ class LocationPriorityService {
         results[facilityType] = {
           count: facilities.length,
           facilities: facilities.slice(0, 5), // Keep top 5 nearest
-          nearestDistance: facilities[0]?.distance || Infinity,
+          nearestDistance: facilities[0]?.distance ?? Infinity,
           weight: config.weight,
           score: this.calculateFacilityScore(facilities, config),
           description: config.description,
-          searchRadius: effectiveRadius
+          searchRadius: effectiveRadius,
+          source
         };
-        
-        // Add delay to respect API rate limits
-        await this.delay(200);
-        
       } catch (error) {
         console.error(`⚠️ Error analyzing ${facilityType}:`, error.message);
         results[facilityType] = { 
@@ -401,143 +488,6 @@ class LocationPriorityService {
     return results;
   }
 
-  /**
-   * Search for facilities with retry mechanism
-   */
-  async searchFacilitiesWithRetry(latitude, longitude, types, radius, maxRetries = 2) {
-    let lastError;
-    
-    for (const searchType of types) {
-      for (let attempt = 0; attempt <= maxRetries; attempt++) {
-        try {
-          const facilities = await this.queryGooglePlaces(latitude, longitude, searchType, radius);
-          if (facilities.length > 0) {
-            return facilities;
-          }
-        } catch (error) {
-          lastError = error;
-          if (attempt < maxRetries) {
-            await this.delay(1000 * (attempt + 1)); // Exponential backoff
-          }
-        }
-      }
-    }
-    
-    if (lastError) throw lastError;
-    return [];
-  }
-
-  /**
-   * Query Google Places API with enhanced filtering
-   */
-  async queryGooglePlaces(latitude, longitude, type, radius) {
-    if (!this.apiKey) {
-      throw new Error('Google Places API key not configured');
-    }
-
-    const response = await axios.get(`${this.baseUrl}/nearbysearch/json`, {
-      params: {
-        location: `${latitude},${longitude}`,
-        radius: radius,
-        type: type,
-        key: this.apiKey
-      },
-      timeout: 10000
-    });
-
-    if (response.data.status === 'OVER_QUERY_LIMIT') {
-      throw new Error('API quota exceeded');
-    }
-    
-    if (response.data.status === 'REQUEST_DENIED') {
-      throw new Error('API request denied - check API key restrictions');
-    }
-
-    if (!response.data.results) {
-      return [];
-    }
-
-    // Enhanced filtering based on facility type
-    const facilityType = this.getFacilityTypeFromSearchType(type);
-    const config = this.facilityConfig[facilityType];
-    
-    const filteredResults = response.data.results.filter(place => {
-      const name = place.name.toLowerCase();
-      const types = place.types || [];
-      
-      // Apply exclude keywords if configured
-      if (config && config.excludeKeywords) {
-        // Check for explicitly excluded terms in the name
-        const hasExcluded = config.excludeKeywords.some(keyword => 
-          name.includes(keyword.toLowerCase())
-        );
-        if (hasExcluded) {
-          const excludedKeyword = config.excludeKeywords.find(k => name.includes(k.toLowerCase()));
-          console.log(`❌ Excluded ${place.name} (contains excluded keyword: ${excludedKeyword})`);
-          return false;
-        }
-        
-        // Additional check for misclassified transportation services
-        if (facilityType === 'hospital' || facilityType === 'school' || facilityType === 'government') {
-          const transportWords = ['transport', 'logistics', 'cargo', 'travel', 'bus', 'taxi', 'auto'];
-          if (transportWords.some(word => name.includes(word))) {
-            console.log(`❌ Excluded ${place.name} (likely a transportation service, not a ${facilityType})`);
-            return false;
-          }
-        }
-      }
-      
-      // Apply include keywords if configured
-      if (config && config.includeKeywords && config.includeKeywords.length > 0) {
-        const hasIncluded = config.includeKeywords.some(keyword => 
-          name.includes(keyword.toLowerCase()) || 
-          types.some(t => t.includes(keyword.toLowerCase()))
-        );
-        if (!hasIncluded) {
-          console.log(`❌ Excluded ${place.name} (missing required keywords)`);
-          return false;
-        }
-      }
-      
-      return true;
-    });
-
-    return filteredResults.map(place => ({
-      name: place.name,
-      place_id: place.place_id,
-      distance: this.calculateDistance(
-        latitude, longitude,
-        place.geometry.location.lat, place.geometry.location.lng
-      ),
-      rating: place.rating || 0,
-      types: place.types || [],
-      vicinity: place.vicinity || ''
-    })).sort((a, b) => a.distance - b.distance);
-  }
-
-  /**
-   * Get facility type from Google Places search type
-   */
-  getFacilityTypeFromSearchType(searchType) {
-    const typeMapping = {
-      'hospital': 'hospital',
-      'doctor': 'hospital',
-      'health': 'hospital',
-      'school': 'school',
-      'university': 'school',
-      'primary_school': 'school',
-      'police': 'police',
-      'fire_station': 'fire_station',
-      'transit_station': 'transit_station',
-      'bus_station': 'transit_station',
-      'subway_station': 'transit_station',
-      'local_government_office': 'government',
-      'city_hall': 'government'
-    };
-    
-    return typeMapping[searchType] || 'unknown';
-  }
-
   /**
    * Calculate distance using Haversine formula
    */
@@ -817,10 +767,10 @@ class LocationPriorityService {
   }
 
   /**
-   * Calculate comprehensive priority score that combines:
-   * - 50% based on infrastructure proximity
-   * - 50% based on image validation confidence
-   * - Additional factors like complaint age and votes
+   * Calculate comprehensive priority score that combines infrastructure
+   * proximity, image validation confidence, emotion analysis and votes,
+   * weighted by the scoring profile in complaintData.scoringProfile
+   * (defaults to DEFAULT_PROFILE in config/scoring.js)
    * 
    * @param {number} latitude - Complaint location latitude
    * @param {number} longitude - Complaint location longitude
@@ -884,22 +834,18 @@ class LocationPriorityService {
         try {
           console.log('🧠 Analyzing emotion for complaint text...');
           
-          // Call our emotion analysis API directly
-          const emotionResponse = await axios.post('http://localhost:3001/api/emotion/analyze', {
-            text: complaintData.description,
-            category: complaintData.complaintType || 'general'
-          });
-          
-          // Extract the emotion score from the response
-          const emotionResult = emotionResponse.data;
-          console.log(`🔥 Raw emotion result:`, emotionResult);
-          
-          // The emotion API returns nested data structure: { success: true, data: { emotionScore: 0.561, ... } }
-          const emotionData = emotionResult.data || emotionResult;
+          const emotionData = await emotionAnalyzer.analyzeEmotion(
+            complaintData.description,
+            complaintData.complaintType || null
+          );
+          if (!emotionData.success) {
+            throw new Error(emotionData.error || 'Emotion analysis failed');
+          }
+
           const rawEmotionScore = emotionData.emotionScore || 0;
           emotionScore = rawEmotionScore * 100; // Convert from 0-1 range to 0-100 percentage
           
-          console.log(`🧠 [ALGORITHM 3/4] Emotion Analysis Score: ${emotionScore.toFixed(2)}% (raw: ${rawEmotionScore.toFixed(4)}, method: ${emotionData.analysisMethod})`);
+          console.log(`🧠 [ALGORITHM 3/4] Emotion Analysis Score: ${emotionScore.toFixed(2)}% (raw: ${rawEmotionScore.toFixed(4)}, method: ${emotionData.analysisMethod}${emotionData.cached ? ', cached' : ''})`);
         } catch (emotionError) {
           console.warn('⚠️ Emotion analysis failed:', emotionError.message);
           // Fallback to basic keyword analysis
@@ -912,46 +858,31 @@ class LocationPriorityService {
       // 2. Vote count (more votes = higher priority)
       let voteScore = 0;
       if (complaintData.votes !== undefined) {
-        // Normalize votes: 10 votes gives ~90 score
-        voteScore = Math.min(100, 100 * (1 - Math.exp(-complaintData.votes / 5)));
+        // Normalize votes: 10 votes gives ~86 score
+        voteScore = 100 * saturate(complaintData.votes);
       }
       
       console.log(`🗳️ [ALGORITHM 4/4] Community Voting Score: ${voteScore.toFixed(2)}% (${complaintData.votes || 0} votes)`);
       
-      // 3. Complaint status
-      let statusMultiplier = 1.0;
-      if (complaintData.status === 'in_progress') {
-        statusMultiplier = 1.2; // 20% boost for in-progress complaints
-      } else if (complaintData.status === 'completed') {
-        statusMultiplier = 0.5; // 50% reduction for completed complaints
-      }
-      
-      // Calculate final score with the new 4-factor weights (excluding age)
-      // Infrastructure (40%), Image (30%), Emotion (20%), Votes (10%)
-      const infrastructureWeight = 0.4;
-      const imageValidationWeight = 0.3;
-      const emotionWeight = 0.2;
-      const voteWeight = 0.1;
-      
-      let finalScore = (
-        (infrastructureScore * infrastructureWeight) +
-        (imageValidationScore * imageValidationWeight) +
-        (emotionScore * emotionWeight) +
-        (voteScore * voteWeight)
-      );
-      
-      // Apply status multiplier
-      finalScore = Math.min(100, finalScore * statusMultiplier);
+      // Combine the factors under the active scoring profile (weights and status multipliers)
+      const profile = complaintData.scoringProfile || DEFAULT_PROFILE;
+      const combined = combinePriorityFactors(profile, {
+        infrastructure: infrastructureScore / 100,
+        image: imageValidationScore / 100,
+        emotion: emotionScore / 100,
+        votes: voteScore / 100
+      }, complaintData.status);
+      const { statusMultiplier } = combined.breakdown;
+      const finalScore = combined.score * 100;
       
-      console.log(`🎯 === 4-ALGORITHM PRIORITY CALCULATION SUMMARY ===`);
+      console.log(`🎯 === PRIORITY CALCULATION SUMMARY (profile v${profile.version}) ===`);
       console.log(`📊 Weighted Contributions:`);
-      console.log(`   🏢 Infrastructure: ${(infrastructureScore * infrastructureWeight).toFixed(2)} (${infrastructureScore.toFixed(2)} × ${infrastructureWeight})`);
-      console.log(`   📷 Image Analysis: ${(imageValidationScore * imageValidationWeight).toFixed(2)} (${imageValidationScore.toFixed(2)} × ${imageValidationWeight})`);
-      console.log(`   🧠 Emotion Analysis: ${(emotionScore * emotionWeight).toFixed(2)} (${emotionScore.toFixed(2)} × ${emotionWeight})`);
-      console.log(`   🗳️ Community Votes: ${(voteScore * voteWeight).toFixed(2)} (${voteScore.toFixed(2)} × ${voteWeight})`);
-      console.log(`📈 Raw Combined Score: ${(finalScore / statusMultiplier).toFixed(2)}%`);
+      Object.entries(combined.breakdown.factors).forEach(([factor, detail]) => {
+        console.log(`   ${factor}: ${(detail.contribution * 100).toFixed(2)} (${(detail.score * 100).toFixed(2)} × ${detail.weight})`);
+      });
+      console.log(`📈 Raw Combined Score: ${(combined.breakdown.weightedSum * 100).toFixed(2)}%`);
       console.log(`⚡ Status Multiplier: ${statusMultiplier}x (${complaintData.status})`);
-      console.log(`🎯 FINAL PRIORITY SCORE: ${finalScore.toFixed(2)}% → ${this.getPriorityLevel(finalScore / 100)}`);
+      console.log(`🎯 FINAL PRIORITY SCORE: ${finalScore.toFixed(2)}% → ${combined.level}`);
       console.log(`================================================`);
       
       // Generate explanation for the priority
@@ -978,6 +909,15 @@ class LocationPriorityService {
           voteScore: voteScore / 100,
           statusMultiplier
         },
+        // Full factor breakdown persisted with the complaint (see config/scoring.js)
+        scoringBreakdown: {
+          ...combined.breakdown,
+          inputs: {
+            totalFacilities,
+            imageConfidence,
+            votes: complaintData.votes || 0
+          }
+        },
         facilityAnalysis,
         totalFacilities,
         infrastructureDetails: locationPriority,
@@ -1100,13 +1040,6 @@ class LocationPriorityService {
     
     return reasons.join('. ');
   }
-
-  /**
-   * Utility delay function
-   */
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
 }
 
 module.exports = LocationPriorityService;
@@ -0,0 +1,171 @@
+const { getRepositories } = require('../repositories');
+const { createChannels } = require('./notificationChannels');
+const {
+  EVENT_TYPES,
+  STATUS_LABELS,
+  TEMPLATES,
+  USER_CHANNELS,
+  ENABLED_CHANNELS,
+  DEFAULT_PREFERENCES,
+  renderTemplate
+} = require('../config/notifications');
+
+/**
+ * Notification Service
+ * Tells reporters when their complaint moves forward. Each notification is
+ * rendered from a per-event template, delivered over the enabled channels
+ * the user has not opted out of, and stored in the user's notification log.
+ */
+class NotificationService {
+  constructor(options = {}) {
+    this.repositories = options.repositories || getRepositories();
+    this.channels = options.channels || createChannels(ENABLED_CHANNELS);
+  }
+
+  /**
+   * Stored preferences merged over the defaults
+   */
+  async getPreferences(userId) {
+    const stored = await this.repositories.notificationPreferences.findByUserId(userId);
+    return { ...DEFAULT_PREFERENCES, ...(stored || {}), user_id: userId };
+  }
+
+  /**
+   * Render and deliver one event to one user. Never throws: delivery problems
+   * are recorded on the notification log entry instead.
+   * @param {Object} params
+   * @param {string} params.event - One of EVENT_TYPES
+   * @param {string} params.userId - Recipient
+   * @param {Object} params.complaint - Complaint the event is about
+   * @param {Object} params.values - Extra template values
+   * @returns {Promise<Object|null>} Stored notification, or null when nothing was sent
+   */
+  async notify({ event, userId, complaint = null, values = {} }) {
+    try {
+      const template = TEMPLATES[event];
+      if (!template || !userId) return null;
+
+      const user = await this.repositories.users.findById(userId, 'id, email, full_name, phone_number');
+      if (!user) return null;
+
+      const preferences = await this.getPreferences(userId);
+      if ((preferences.muted_events || []).includes(event)) {
+        return null;
+      }
+
+      const templateValues = {
+        userName: user.full_name || 'there',
+        complaintTitle: complaint?.title || 'your complaint',
+        ...values,
+        notesLine: values.notes ? ` Note from the team: ${values.notes}` : ''
+      };
+
+      const message = {
+        title: renderTemplate(template.title, templateValues),
+        body: renderTemplate(template.body, templateValues),
+        sms: renderTemplate(template.sms, templateValues),
+        data: { event, complaintId: complaint?.id || null }
+      };
+
+      const deliveries = [];
+      for (const channel of this.channels) {
+        deliveries.push(await this.deliver(channel, user, preferences, message));
+      }
+
+      return await this.repositories.notifications.create({
+        user_id: userId,
+        complaint_id: complaint?.id || null,
+        event_type: event,
+        title: message.title,
+        body: message.body,
+        deliveries,
+        read_at: null,
+        created_at: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error(`❌ Failed to notify user ${userId} of ${event}:`, error.message);
+      return null;
+    }
+  }
+
+  async deliver(channel, user, preferences, message) {
+    if (USER_CHANNELS.includes(channel.name) && !preferences[`${channel.name}_enabled`]) {
+      return { channel: channel.name, status: 'skipped', reason: 'disabled_by_user' };
+    }
+
+    if (!channel.isConfigured()) {
+      return { channel: channel.name, status: 'skipped', reason: 'not_configured' };
+    }
+
+    const to = channel.getAddress(user, preferences);
+    if (!to) {
+      return { channel: channel.name, status: 'skipped', reason: 'no_address' };
+    }
+
+    try {
+      const result = await channel.send({ to, ...message });
+      return { channel: channel.name, status: 'sent', providerId: result.providerId || null };
+    } catch (error) {
+      console.warn(`⚠️ ${channel.name} notification to ${user.id} failed:`, error.message);
+      return { channel: channel.name, status: 'failed', error: error.message };
+    }
+  }
+
+  /**
+   * The original reporter plus anyone whose duplicate report was merged in
+   */
+  getReporterIds(complaint) {
+    return [...new Set([complaint.user_id, ...(complaint.merged_reporter_ids || [])].filter(Boolean))];
+  }
+
+  async notifyReporters(complaint, event, values) {
+    const results = [];
+    for (const userId of this.getReporterIds(complaint)) {
+      results.push(await this.notify({ event, userId, complaint, values }));
+    }
+    return results.filter(Boolean);
+  }
+
+  /**
+   * Complaint status changed (resolved and rejected use their own templates)
+   */
+  async notifyStatusChange(complaint, { oldStatus, newStatus, notes }) {
+    if (!complaint || oldStatus === newStatus) return [];
+
+    let event = EVENT_TYPES.STATUS_CHANGED;
+    if (newStatus === 'resolved' || newStatus === 'completed') event = EVENT_TYPES.COMPLAINT_RESOLVED;
+    else if (newStatus === 'rejected') event = EVENT_TYPES.COMPLAINT_REJECTED;
+
+    return this.notifyReporters(complaint, event, {
+      oldStatus: STATUS_LABELS[oldStatus] || oldStatus || 'Unknown',
+      newStatus: STATUS_LABELS[newStatus] || newStatus,
+      notes
+    });
+  }
+
+  /**
+   * A workflow stage of the complaint changed status
+   */
+  async notifyStageUpdate(complaint, { stageName, stageStatus, notes }) {
+    if (!complaint) return [];
+
+    return this.notifyReporters(complaint, EVENT_TYPES.STAGE_UPDATED, {
+      stageName,
+      stageStatus: STATUS_LABELS[stageStatus] || stageStatus,
+      notes
+    });
+  }
+
+  /**
+   * A reporter's complaint was folded into another complaint
+   */
+  async notifyMerged(duplicate, canonical) {
+    if (!duplicate) return [];
+
+    return this.notifyReporters(duplicate, EVENT_TYPES.COMPLAINT_MERGED, {
+      canonicalTitle: canonical?.title || 'an existing complaint'
+    });
+  }
+}
+
+module.exports = NotificationService;
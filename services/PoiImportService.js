@@ -0,0 +1,199 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { spawn } = require('child_process');
+const { DATASET_PATH, OSMIUM_BINARY, FACILITY_TAGS } = require('../config/poi');
+
+const DATASET_VERSION = 1;
+
+/**
+ * POI Import Service
+ * Builds the offline facility dataset used by OfflinePoiProvider from an
+ * OpenStreetMap extract: a GeoJSON FeatureCollection, newline-delimited
+ * GeoJSON, or an .osm.pbf file (converted with osmium-tool).
+ *
+ *   npm run import:poi -- path/to/extract.osm.pbf [output.json]
+ */
+class PoiImportService {
+  constructor(options = {}) {
+    this.osmiumBinary = options.osmiumBinary || OSMIUM_BINARY;
+    this.facilityTags = options.facilityTags || FACILITY_TAGS;
+  }
+
+  /**
+   * Facility type and matching tag value for a set of OSM tags, or null
+   */
+  classify(tags = {}) {
+    for (const [type, tagValues] of Object.entries(this.facilityTags)) {
+      for (const [key, values] of Object.entries(tagValues)) {
+        if (tags[key] && values.includes(tags[key])) {
+          return { type, kind: tags[key] };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Representative point of a geometry: the point itself, or the mean of a
+   * way's or area's vertices
+   */
+  getPoint(geometry) {
+    if (!geometry) return null;
+    if (geometry.type === 'Point') {
+      return { lon: geometry.coordinates[0], lat: geometry.coordinates[1] };
+    }
+
+    const points = [];
+    const collect = (coordinates) => {
+      if (typeof coordinates[0] === 'number') {
+        points.push(coordinates);
+      } else {
+        coordinates.forEach(collect);
+      }
+    };
+    collect(geometry.coordinates || []);
+    if (points.length === 0) return null;
+
+    return {
+      lon: points.reduce((sum, [lon]) => sum + lon, 0) / points.length,
+      lat: points.reduce((sum, [, lat]) => sum + lat, 0) / points.length
+    };
+  }
+
+  toFacility(feature) {
+    if (!feature || feature.type !== 'Feature') return null;
+
+    // Overpass exports nest tags; osmium puts them straight on properties
+    const properties = feature.properties || {};
+    const tags = properties.tags || properties;
+    const match = this.classify(tags);
+    if (!match) return null;
+
+    const point = this.getPoint(feature.geometry);
+    if (!point || !Number.isFinite(point.lat) || !Number.isFinite(point.lon)) return null;
+
+    const address = [tags['addr:housenumber'], tags['addr:street'], tags['addr:city']]
+      .filter(Boolean)
+      .join(', ');
+
+    return {
+      id: String(properties['@id'] || feature.id || `${match.type}:${point.lat.toFixed(6)},${point.lon.toFixed(6)}`),
+      type: match.type,
+      kind: match.kind,
+      name: tags.name || tags['name:en'] || null,
+      lat: Math.round(point.lat * 1e6) / 1e6,
+      lon: Math.round(point.lon * 1e6) / 1e6,
+      address: address || null
+    };
+  }
+
+  /**
+   * Features from a newline-delimited GeoJSON stream (RS-prefixed lines allowed)
+   */
+  async *readFeatureLines(stream) {
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    for await (const line of lines) {
+      const trimmed = line.replace(/^\x1e/, '').trim();
+      if (trimmed) {
+        yield JSON.parse(trimmed);
+      }
+    }
+  }
+
+  async *readFeatures(inputPath) {
+    const lower = inputPath.toLowerCase();
+
+    if (lower.endsWith('.pbf')) {
+      const child = spawn(this.osmiumBinary, [
+        'export', inputPath,
+        '--output-format', 'geojsonseq',
+        '--add-unique-id', 'type_id',
+        '--output', '-'
+      ]);
+      let stderr = '';
+      child.stderr.on('data', chunk => { stderr += chunk; });
+      const exited = new Promise((resolve, reject) => {
+        child.on('error', error => reject(new Error(`Could not run ${this.osmiumBinary}: ${error.message}`)));
+        child.on('close', code => (code === 0 ? resolve() : reject(new Error(`osmium export failed: ${stderr.trim() || `exit code ${code}`}`))));
+      });
+      // Awaited once the output is read; don't report it as unhandled meanwhile
+      exited.catch(() => {});
+
+      yield* this.readFeatureLines(child.stdout);
+      await exited;
+      return;
+    }
+
+    if (lower.endsWith('.geojsonl') || lower.endsWith('.geojsonseq') || lower.endsWith('.ndjson')) {
+      yield* this.readFeatureLines(fs.createReadStream(inputPath));
+      return;
+    }
+
+    const data = JSON.parse(await fs.promises.readFile(inputPath, 'utf8'));
+    const features = data.type === 'FeatureCollection' ? data.features : [data];
+    yield* features;
+  }
+
+  /**
+   * Import an extract and write the offline dataset
+   * @param {string} inputPath - GeoJSON, GeoJSON sequence or .osm.pbf file
+   * @param {Object} options - { outputPath } (defaults to POI_DATASET_PATH)
+   * @returns {Promise<Object>} { outputPath, total, counts }
+   */
+  async importFile(inputPath, options = {}) {
+    const outputPath = path.resolve(options.outputPath || DATASET_PATH);
+    const facilities = new Map();
+    let scanned = 0;
+
+    for await (const feature of this.readFeatures(inputPath)) {
+      scanned++;
+      const facility = this.toFacility(feature);
+      if (facility) {
+        facilities.set(facility.id, facility);
+      }
+    }
+
+    const sorted = [...facilities.values()].sort((a, b) => a.id.localeCompare(b.id));
+    const counts = {};
+    sorted.forEach(facility => {
+      counts[facility.type] = (counts[facility.type] || 0) + 1;
+    });
+
+    const dataset = {
+      version: DATASET_VERSION,
+      source: path.basename(inputPath),
+      importedAt: new Date().toISOString(),
+      counts,
+      facilities: sorted
+    };
+
+    // Write beside the target and rename, so a running server never reads half a file
+    await fs.promises.mkdir(path.dirname(outputPath), { recursive: true });
+    const tempPath = `${outputPath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(dataset));
+    await fs.promises.rename(tempPath, outputPath);
+
+    console.log(`📍 Imported ${sorted.length} facilities from ${scanned} features into ${outputPath}`);
+    return { outputPath, total: sorted.length, counts };
+  }
+}
+
+module.exports = PoiImportService;
+
+// Run the importer if this file is executed directly
+if (require.main === module) {
+  const [inputPath, outputPath] = process.argv.slice(2);
+  if (!inputPath) {
+    console.error('Usage: node services/PoiImportService.js <extract.geojson|extract.osm.pbf> [output.json]');
+    process.exit(1);
+  }
+
+  new PoiImportService()
+    .importFile(inputPath, { outputPath })
+    .then(({ counts }) => console.log('📊 Facilities by type:', counts))
+    .catch(error => {
+      console.error('❌ POI import failed:', error.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,271 @@
+const { getRepositories } = require('../repositories');
+const {
+  FACTORS,
+  DEFAULT_PROFILE,
+  RESCORE_STATUSES,
+  VOTE_RESCORE_DEBOUNCE_MS,
+  saturate,
+  combinePriorityFactors,
+  validateProfile
+} = require('../config/scoring');
+const { ESCALATION } = require('../config/sla');
+
+// Pending debounced re-scores by complaint ID, shared by every vote route
+const pendingRescores = new Map();
+
+/**
+ * Priority Scoring Service
+ * Manages versioned scoring profiles, explains how a complaint's priority
+ * score was reached, and re-scores open complaints from their stored factor
+ * scores when the active profile changes or their votes move. Every score
+ * change is recorded in priority_history.
+ */
+class PriorityScoringService {
+  constructor(options = {}) {
+    this.repositories = options.repositories || getRepositories();
+  }
+
+  /**
+   * The active profile, or the built-in default when none has been activated
+   */
+  async getActiveProfile() {
+    try {
+      return (await this.repositories.scoringProfiles.findActive()) || DEFAULT_PROFILE;
+    } catch (error) {
+      console.warn('⚠️ Could not load scoring profile, using default:', error.message);
+      return DEFAULT_PROFILE;
+    }
+  }
+
+  async listProfiles() {
+    const profiles = await this.repositories.scoringProfiles.listAll();
+    return profiles.length > 0 ? profiles : [DEFAULT_PROFILE];
+  }
+
+  /**
+   * Store a new (inactive) profile version
+   * @returns {Promise<Object>} { profile } or { errors }
+   */
+  async createProfile({ name, weights, status_multipliers, notes, createdBy }) {
+    const errors = validateProfile({ weights, status_multipliers });
+    if (errors.length > 0) {
+      return { errors };
+    }
+
+    // The built-in default counts as version 1 even when it was never stored
+    const latestVersion = await this.repositories.scoringProfiles.getLatestVersion();
+    const version = Math.max(latestVersion, DEFAULT_PROFILE.version) + 1;
+    const profile = await this.repositories.scoringProfiles.create({
+      version,
+      name: name || `Profile v${version}`,
+      weights,
+      status_multipliers: status_multipliers || DEFAULT_PROFILE.status_multipliers,
+      notes: notes || null,
+      is_active: false,
+      created_by: createdBy || null,
+      created_at: new Date().toISOString()
+    });
+
+    return { profile };
+  }
+
+  /**
+   * Factor scores a complaint was last scored with. Complaints scored before
+   * breakdowns were stored fall back to the legacy score columns.
+   * @returns {Object} { factors, source }
+   */
+  getStoredFactors(complaint) {
+    const stored = complaint.priority_breakdown && complaint.priority_breakdown.factors;
+
+    if (stored) {
+      const factors = {};
+      FACTORS.forEach(factor => {
+        factors[factor] = stored[factor] ? stored[factor].score : 0;
+      });
+      return { factors, source: 'breakdown' };
+    }
+
+    return {
+      factors: {
+        infrastructure: parseFloat(complaint.location_sensitivity_score) || 0,
+        // Submission stored the image confidence in emotion_score
+        image: parseFloat(complaint.emotion_score ?? complaint.ai_confidence_score) || 0,
+        emotion: 0,
+        votes: 0
+      },
+      source: 'legacy_columns'
+    };
+  }
+
+  /**
+   * Score a complaint under a profile from its stored factors and current votes.
+   * SLA escalations keep their priority bump across re-scores.
+   */
+  scoreComplaint(complaint, profile) {
+    const { factors, source } = this.getStoredFactors(complaint);
+    const combined = combinePriorityFactors(
+      profile,
+      { ...factors, votes: saturate(complaint.vote_count || 0) },
+      complaint.status
+    );
+
+    const escalationBoost = (complaint.sla_escalation_level || 0) * ESCALATION.priorityStep;
+    const score = Math.min(ESCALATION.maxPriorityScore, combined.score + escalationBoost);
+
+    return {
+      ...combined,
+      score,
+      breakdown: {
+        ...combined.breakdown,
+        escalationBoost,
+        finalScore: parseFloat(score.toFixed(4)),
+        factorSource: source,
+        inputs: {
+          ...((complaint.priority_breakdown && complaint.priority_breakdown.inputs) || {}),
+          votes: complaint.vote_count || 0
+        }
+      }
+    };
+  }
+
+  /**
+   * How a complaint's stored score was reached, and what it would be under the active profile
+   */
+  async explain(complaint) {
+    const activeProfile = await this.getActiveProfile();
+    const current = this.scoreComplaint(complaint, activeProfile);
+    const storedScore = parseFloat(complaint.priority_score) || 0;
+
+    return {
+      complaintId: complaint.id,
+      priorityScore: storedScore,
+      priorityLevel: current.level,
+      scoredWithProfileVersion: complaint.scoring_profile_version || null,
+      storedBreakdown: complaint.priority_breakdown || null,
+      activeProfile: {
+        version: activeProfile.version,
+        name: activeProfile.name,
+        weights: activeProfile.weights,
+        status_multipliers: activeProfile.status_multipliers
+      },
+      underActiveProfile: current.breakdown,
+      outdated: Math.abs(current.score - storedScore) >= 0.01 ||
+        complaint.scoring_profile_version !== activeProfile.version
+    };
+  }
+
+  /**
+   * Score a complaint and store the result, recording a history entry when the score moves
+   * @returns {Promise<Object|null>} { id, from, to } or null when nothing changed
+   */
+  async applyScore(complaint, profile, { reason, changedBy } = {}) {
+    const { score, breakdown } = this.scoreComplaint(complaint, profile);
+    const newScore = parseFloat(score.toFixed(2));
+    const oldScore = parseFloat(complaint.priority_score) || 0;
+
+    if (newScore === oldScore && complaint.scoring_profile_version === profile.version) {
+      return null;
+    }
+
+    await this.repositories.complaints.update(complaint.id, {
+      priority_score: newScore,
+      priority_breakdown: breakdown,
+      scoring_profile_version: profile.version
+    });
+
+    if (newScore !== oldScore) {
+      await this.repositories.priorityHistory.record({
+        complaintId: complaint.id,
+        oldScore,
+        newScore,
+        reason,
+        voteCount: complaint.vote_count || 0,
+        profileVersion: profile.version,
+        changedBy
+      }).catch(error => console.warn('Failed to record priority history:', error.message));
+    }
+
+    return { id: complaint.id, from: oldScore, to: newScore };
+  }
+
+  /**
+   * Re-score one complaint with the active profile
+   */
+  async rescoreComplaint(complaintId, { reason = 'manual_rescore', changedBy } = {}) {
+    const complaint = await this.repositories.complaints.findById(complaintId);
+    if (!complaint || !RESCORE_STATUSES.includes(complaint.status)) return null;
+
+    return this.applyScore(complaint, await this.getActiveProfile(), { reason, changedBy });
+  }
+
+  /**
+   * Re-score a complaint once its votes settle: each call within the debounce
+   * window pushes the re-score back, so a burst of votes costs one update.
+   */
+  scheduleRescore(complaintId, { delayMs = VOTE_RESCORE_DEBOUNCE_MS } = {}) {
+    if (!complaintId) return;
+
+    clearTimeout(pendingRescores.get(complaintId));
+
+    const timer = setTimeout(() => {
+      pendingRescores.delete(complaintId);
+      this.rescoreComplaint(complaintId, { reason: 'vote_change' })
+        .then(change => {
+          if (change && change.from !== change.to) {
+            console.log(`🗳️ Votes moved complaint ${complaintId} priority ${change.from} → ${change.to}`);
+          }
+        })
+        .catch(error => console.error(`❌ Vote re-score failed for ${complaintId}:`, error.message));
+    }, delayMs);
+
+    // Don't keep the process alive for a pending re-score
+    if (timer.unref) timer.unref();
+    pendingRescores.set(complaintId, timer);
+  }
+
+  async getHistory(complaintId) {
+    return this.repositories.priorityHistory.listForComplaint(complaintId);
+  }
+
+  /**
+   * Re-score every open complaint under a profile (the active one by default)
+   * @returns {Promise<Object>} { profileVersion, checked, updated, changes }
+   */
+  async rescoreOpenComplaints({ profile, reason = 'manual_rescore', changedBy } = {}) {
+    const scoringProfile = profile || await this.getActiveProfile();
+    const complaints = await this.repositories.complaints.list({ status: RESCORE_STATUSES });
+    const changes = [];
+
+    for (const complaint of complaints) {
+      const change = await this.applyScore(complaint, scoringProfile, { reason, changedBy });
+      if (change) changes.push(change);
+    }
+
+    console.log(`📐 Re-scored ${changes.length} of ${complaints.length} open complaint(s) with profile v${scoringProfile.version}`);
+
+    return {
+      profileVersion: scoringProfile.version,
+      checked: complaints.length,
+      updated: changes.length,
+      changes
+    };
+  }
+
+  /**
+   * Activate a stored profile and, unless told otherwise, re-score open complaints
+   * @returns {Promise<Object|null>} { profile, rescore } or null when the profile does not exist
+   */
+  async activateProfile(id, { rescore = true, changedBy } = {}) {
+    const existing = await this.repositories.scoringProfiles.findById(id);
+    if (!existing) return null;
+
+    const profile = await this.repositories.scoringProfiles.activate(id);
+    const rescoreResult = rescore
+      ? await this.rescoreOpenComplaints({ profile, reason: 'profile_change', changedBy })
+      : null;
+
+    return { profile, rescore: rescoreResult };
+  }
+}
+
+module.exports = PriorityScoringService;
@@ -0,0 +1,270 @@
+const { getRepositories } = require('../repositories');
+const { getComplaintDepartment } = require('../config/departments');
+const { ROLES } = require('../config/permissions');
+const {
+  OPEN_STATUSES,
+  AT_RISK_RATIO,
+  ESCALATION,
+  SCHEDULER,
+  getSlaPolicy
+} = require('../config/sla');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * SLA Service
+ * Evaluates complaints against their first-review and resolution deadlines,
+ * escalates breaches (priority bump, supervisor reassignment, audit entry)
+ * and runs the periodic breach check.
+ */
+class SlaService {
+  constructor(options = {}) {
+    this.repositories = options.repositories || getRepositories();
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Deadline state for one clock
+   * @returns {Object} { deadline, met, breached, atRisk, hoursRemaining }
+   */
+  evaluateClock(createdAt, allowedHours, stopped, now) {
+    const deadline = new Date(createdAt.getTime() + allowedHours * HOUR_MS);
+
+    if (stopped) {
+      return { deadline: deadline.toISOString(), met: true, breached: false, atRisk: false, hoursRemaining: null };
+    }
+
+    const elapsedRatio = (now - createdAt) / (allowedHours * HOUR_MS);
+
+    return {
+      deadline: deadline.toISOString(),
+      met: false,
+      breached: now > deadline,
+      atRisk: now <= deadline && elapsedRatio >= AT_RISK_RATIO,
+      hoursRemaining: parseFloat(((deadline - now) / HOUR_MS).toFixed(1))
+    };
+  }
+
+  /**
+   * Evaluate a complaint against its SLA policy
+   * @param {Object} complaint - Complaint row
+   * @param {Date} now - Evaluation time
+   * @returns {Object} { policy, firstReview, resolution, state, breachType }
+   */
+  evaluate(complaint, now = new Date()) {
+    const policy = getSlaPolicy(complaint.category, complaint.priority_score);
+    const createdAt = new Date(complaint.created_at);
+    const isOpen = OPEN_STATUSES.includes(complaint.status);
+
+    const firstReview = this.evaluateClock(createdAt, policy.firstReviewHours, complaint.status !== 'pending', now);
+    const resolution = this.evaluateClock(createdAt, policy.resolutionHours, !isOpen, now);
+
+    let breachType = null;
+    if (resolution.breached) breachType = 'resolution';
+    else if (firstReview.breached) breachType = 'first_review';
+
+    let state = 'on_track';
+    if (!isOpen) state = 'closed';
+    else if (breachType) state = 'breached';
+    else if (firstReview.atRisk || resolution.atRisk) state = 'at_risk';
+
+    return { policy, firstReview, resolution, state, breachType };
+  }
+
+  /**
+   * Open complaints that are breached or at risk, most overdue first
+   * @param {Object} options
+   * @param {string} options.state - 'breached' or 'at_risk' (default both)
+   * @param {string} options.department - Only complaints owned by this department
+   */
+  async getReport({ state, department } = {}) {
+    const now = new Date();
+    const complaints = await this.repositories.complaints.list({ status: OPEN_STATUSES });
+
+    const items = complaints
+      .filter(complaint => !department || getComplaintDepartment(complaint) === department)
+      .map(complaint => {
+        const evaluation = this.evaluate(complaint, now);
+        const clock = evaluation.breachType === 'first_review' || (!evaluation.breachType && evaluation.firstReview.atRisk)
+          ? evaluation.firstReview
+          : evaluation.resolution;
+
+        return {
+          id: complaint.id,
+          title: complaint.title,
+          category: complaint.category,
+          status: complaint.status,
+          department: getComplaintDepartment(complaint),
+          priority_score: complaint.priority_score,
+          priority_level: evaluation.policy.level,
+          assigned_admin_id: complaint.assigned_admin_id || null,
+          created_at: complaint.created_at,
+          sla_state: evaluation.state,
+          breach_type: evaluation.breachType,
+          escalation_level: complaint.sla_escalation_level || 0,
+          escalated_at: complaint.sla_escalated_at || null,
+          deadline: clock.deadline,
+          hours_remaining: clock.hoursRemaining,
+          policy: evaluation.policy,
+          first_review: evaluation.firstReview,
+          resolution: evaluation.resolution
+        };
+      })
+      .filter(item => (state ? item.sla_state === state : ['breached', 'at_risk'].includes(item.sla_state)))
+      .sort((a, b) => a.hours_remaining - b.hours_remaining);
+
+    return {
+      generatedAt: now.toISOString(),
+      breached: items.filter(item => item.sla_state === 'breached').length,
+      atRisk: items.filter(item => item.sla_state === 'at_risk').length,
+      complaints: items
+    };
+  }
+
+  /**
+   * Department admin responsible for a department, falling back to a super admin
+   */
+  async findSupervisor(department) {
+    const [departmentAdmin] = await this.repositories.users.listActiveByTypes(
+      [ROLES.DEPARTMENT_ADMIN],
+      { department }
+    );
+    if (departmentAdmin) return departmentAdmin;
+
+    const [superAdmin] = await this.repositories.users.listActiveByTypes([ROLES.SUPER_ADMIN, 'admin']);
+    return superAdmin || null;
+  }
+
+  raisePriority(priorityScore) {
+    const score = parseFloat(priorityScore) || 0;
+    // Legacy rows store the score on a 0-100 scale
+    const scale = score > 1 ? 100 : 1;
+    const raised = Math.min(score + ESCALATION.priorityStep * scale, ESCALATION.maxPriorityScore * scale);
+    return parseFloat(raised.toFixed(2));
+  }
+
+  /**
+   * Escalate a breached complaint once per breach type
+   * @returns {Promise<Object|null>} Escalation summary, or null if already escalated
+   */
+  async escalate(complaint, evaluation, now = new Date()) {
+    const level = ESCALATION.levels[evaluation.breachType];
+    if (!level || (complaint.sla_escalation_level || 0) >= level) {
+      return null;
+    }
+
+    const department = getComplaintDepartment(complaint);
+    const supervisor = await this.findSupervisor(department);
+    const newPriority = this.raisePriority(complaint.priority_score);
+
+    const changes = {
+      priority_score: newPriority,
+      sla_escalation_level: level,
+      sla_escalated_at: now.toISOString(),
+      updated_at: now.toISOString()
+    };
+    if (supervisor) {
+      changes.assigned_admin_id = supervisor.id;
+    }
+
+    await this.repositories.complaints.update(complaint.id, changes);
+
+    await this.repositories.priorityHistory.record({
+      complaintId: complaint.id,
+      oldScore: parseFloat(complaint.priority_score) || 0,
+      newScore: newPriority,
+      reason: 'sla_escalation',
+      voteCount: complaint.vote_count || 0
+    }).catch(logError => console.warn('Failed to record priority history:', logError.message));
+
+    const clock = evaluation.breachType === 'resolution' ? 'resolution' : 'first review';
+    const allowedHours = evaluation.breachType === 'resolution'
+      ? evaluation.policy.resolutionHours
+      : evaluation.policy.firstReviewHours;
+    const reassignment = supervisor
+      ? `reassigned to ${supervisor.full_name || supervisor.email}`
+      : `no supervisor found for ${department}`;
+
+    await this.repositories.updates.recordStatusChange({
+      complaintId: complaint.id,
+      oldStatus: complaint.status,
+      newStatus: complaint.status,
+      notes: `SLA breached: ${clock} not completed within ${allowedHours}h (${evaluation.policy.level} priority). ` +
+        `Priority raised from ${complaint.priority_score || 0} to ${newPriority}, ${reassignment}.`
+    }).catch(logError => console.warn('Failed to log SLA escalation:', logError.message));
+
+    return {
+      complaintId: complaint.id,
+      breachType: evaluation.breachType,
+      escalationLevel: level,
+      previousPriority: complaint.priority_score || 0,
+      newPriority,
+      supervisorId: supervisor ? supervisor.id : null,
+      department
+    };
+  }
+
+  /**
+   * Check every open complaint and escalate new breaches
+   * @returns {Promise<Object>} { checked, breached, escalations }
+   */
+  async runCheck(now = new Date()) {
+    if (this.running) {
+      return { skipped: true, reason: 'A check is already running' };
+    }
+
+    this.running = true;
+    try {
+      const complaints = await this.repositories.complaints.list({ status: OPEN_STATUSES });
+      const escalations = [];
+      let breached = 0;
+
+      for (const complaint of complaints) {
+        const evaluation = this.evaluate(complaint, now);
+        if (!evaluation.breachType) continue;
+
+        breached++;
+        try {
+          const escalation = await this.escalate(complaint, evaluation, now);
+          if (escalation) escalations.push(escalation);
+        } catch (error) {
+          console.error(`❌ SLA escalation failed for complaint ${complaint.id}:`, error.message);
+        }
+      }
+
+      if (escalations.length > 0) {
+        console.log(`⏰ SLA check escalated ${escalations.length} complaint(s) (${breached} breached of ${complaints.length} open)`);
+      }
+
+      return { checked: complaints.length, breached, escalations };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Run the breach check on an interval (SLA_CHECK_INTERVAL_MINUTES)
+   */
+  startScheduler(intervalMinutes = SCHEDULER.intervalMinutes) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.runCheck().catch(error => console.error('❌ SLA check failed:', error.message));
+    }, intervalMinutes * 60 * 1000);
+
+    // Don't keep the process alive just for the scheduler
+    if (this.timer.unref) this.timer.unref();
+
+    console.log(`⏰ SLA breach check scheduled every ${intervalMinutes} minute(s)`);
+  }
+
+  stopScheduler() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = SlaService;
@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const ffmpegStatic = require('ffmpeg-static');
+const { PROVIDER_CLASSES } = require('./transcriptionProviders');
+const {
+  PROVIDER,
+  PROVIDER_ORDER,
+  SUPPORTED_LANGUAGES,
+  FALLBACK_MESSAGES
+} = require('../config/transcription');
+
+// Set FFmpeg path
+ffmpeg.setFfmpegPath(ffmpegStatic);
+
+/**
+ * Transcription Service
+ * Normalises uploaded audio to 16kHz mono WAV and runs it through the
+ * configured speech-to-text provider(s), always answering in the
+ * { transcription, translation, language } shape the app expects.
+ */
+class TranscriptionService {
+  constructor(options = {}) {
+    this.mode = options.provider || PROVIDER;
+    this.providers = options.providers || Object.fromEntries(
+      Object.entries(PROVIDER_CLASSES).map(([name, ProviderClass]) => [name, new ProviderClass()])
+    );
+  }
+
+  normalizeLanguage(language) {
+    const code = String(language || 'en').split('-')[0].toLowerCase();
+    return SUPPORTED_LANGUAGES.includes(code) ? code : 'en';
+  }
+
+  /**
+   * Providers to try, in order, for the configured mode
+   */
+  getProviderChain() {
+    const names = this.mode === 'auto' ? PROVIDER_ORDER : [this.mode];
+    return names
+      .map(name => this.providers[name])
+      .filter(provider => provider && provider.isConfigured());
+  }
+
+  /**
+   * Configured state of every provider, for the status endpoint
+   */
+  getStatus() {
+    return {
+      mode: this.mode,
+      active: this.getProviderChain().map(provider => provider.name),
+      providers: Object.values(this.providers).map(provider => ({
+        name: provider.name,
+        configured: provider.isConfigured()
+      })),
+      languages: SUPPORTED_LANGUAGES
+    };
+  }
+
+  isWav(filePath) {
+    const header = Buffer.alloc(12);
+    const fd = fs.openSync(filePath, 'r');
+    try {
+      fs.readSync(fd, header, 0, 12, 0);
+    } finally {
+      fs.closeSync(fd);
+    }
+    return header.slice(0, 4).toString('ascii') === 'RIFF' && header.slice(8, 12).toString('ascii') === 'WAVE';
+  }
+
+  /**
+   * Convert audio file to 16kHz mono 16-bit WAV using FFmpeg
+   * @returns {Promise<string>} Path of the converted file
+   */
+  convertToWav(inputPath) {
+    const outputPath = path.join(
+      path.dirname(inputPath),
+      `${path.basename(inputPath, path.extname(inputPath))}_converted.wav`
+    );
+
+    return new Promise((resolve, reject) => {
+      console.log(`🔄 Converting audio file to WAV: ${inputPath} -> ${outputPath}`);
+
+      ffmpeg(inputPath)
+        .toFormat('wav')
+        .audioCodec('pcm_s16le')
+        .audioChannels(1)
+        .audioFrequency(16000)
+        .on('end', () => resolve(outputPath))
+        .on('error', reject)
+        .save(outputPath);
+    });
+  }
+
+  /**
+   * Transcribe an uploaded audio file. The file is deleted afterwards.
+   * @param {Object} params
+   * @param {string} params.filePath - Uploaded audio file
+   * @param {string} params.language - Spoken language code (e.g. 'hi')
+   * @returns {Promise<Object>} { transcription, translation, language, provider, fallback, note? }
+   */
+  async transcribe({ filePath, language }) {
+    const lang = this.normalizeLanguage(language);
+    const tempFiles = [filePath];
+
+    try {
+      let audioPath = filePath;
+      // WAV uploads may still have the wrong rate or channel count for the engines, so always resample
+      try {
+        audioPath = await this.convertToWav(filePath);
+        tempFiles.push(audioPath);
+      } catch (conversionError) {
+        if (!this.isWav(filePath)) {
+          console.error('❌ Audio conversion failed:', conversionError.message);
+          return this.fallback(lang, 'Audio conversion failed. Using fallback text.');
+        }
+        console.warn('⚠️ Resampling failed, sending the original WAV:', conversionError.message);
+      }
+
+      const chain = this.getProviderChain();
+      if (chain.length === 0) {
+        return this.fallback(lang, `No transcription provider is configured (mode: ${this.mode}). Using fallback text.`);
+      }
+
+      const errors = [];
+      for (const provider of chain) {
+        try {
+          console.log(`🎙️ Transcribing ${lang} audio with ${provider.name}`);
+          const result = await provider.transcribe({ audioPath, language: lang });
+
+          return {
+            transcription: result.transcription,
+            translation: result.translation || (lang === 'en' ? result.transcription : null),
+            language: lang,
+            provider: provider.name,
+            fallback: false
+          };
+        } catch (error) {
+          console.warn(`⚠️ ${provider.name} transcription failed:`, error.message);
+          errors.push(`${provider.name}: ${error.message}`);
+        }
+      }
+
+      return this.fallback(lang, `Transcription failed (${errors.join('; ')}). Using fallback text.`);
+    } finally {
+      tempFiles.forEach(file => {
+        fs.promises.unlink(file).catch(() => {});
+      });
+    }
+  }
+
+  fallback(language, note) {
+    return {
+      transcription: FALLBACK_MESSAGES[language] || FALLBACK_MESSAGES.en,
+      translation: FALLBACK_MESSAGES.en,
+      language,
+      provider: null,
+      fallback: true,
+      note
+    };
+  }
+}
+
+module.exports = TranscriptionService;
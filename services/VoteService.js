@@ -0,0 +1,199 @@
+const { getRepositories } = require('../repositories');
+const PriorityScoringService = require('./PriorityScoringService');
+const ComplaintEventService = require('./ComplaintEventService');
+const { VOTE_ACTIONS } = require('../config/votes');
+
+// Fallback path only: serialises votes on the same complaint within this process
+const complaintLocks = new Map();
+
+const withComplaintLock = (complaintId, task) => {
+  const previous = complaintLocks.get(complaintId) || Promise.resolve();
+  const current = previous.catch(() => {}).then(task);
+  const tail = current.catch(() => {});
+  complaintLocks.set(complaintId, tail);
+  tail.then(() => {
+    if (complaintLocks.get(complaintId) === tail) complaintLocks.delete(complaintId);
+  });
+  return current;
+};
+
+/**
+ * Vote Service
+ * The one place complaint votes are cast, for signed-in users and guest
+ * devices alike. complaints.vote_count is recounted in the same transaction
+ * as the vote change (see config/votes.js for the voting rules).
+ */
+class VoteService {
+  constructor(options = {}) {
+    this.repositories = options.repositories || getRepositories();
+    this.priorityScoringService = options.priorityScoringService ||
+      new PriorityScoringService({ repositories: this.repositories });
+    this.complaintEvents = options.complaintEvents || ComplaintEventService.getInstance();
+  }
+
+  /**
+   * A voter's current vote on a complaint
+   * @param {Object} voter - { userId } or { guestDeviceId }
+   */
+  async getVote(complaintId, voter) {
+    return voter.userId
+      ? this.repositories.votes.findVote(complaintId, voter.userId)
+      : this.repositories.votes.findGuestVote(complaintId, voter.guestDeviceId);
+  }
+
+  /**
+   * Set a voter's vote on a complaint
+   * @param {Object} options
+   * @param {string} options.complaintId
+   * @param {Object} options.voter - { userId } or { guestDeviceId, fingerprint, ipHash }
+   * @param {string} options.action - upvote, downvote or retract
+   * @returns {Promise<Object>} { status: 'not_found' | 'ok', voteType, previousVoteType, changed, voteCount, downvoteCount }
+   */
+  async castVote({ complaintId, voter, action }) {
+    if (!VOTE_ACTIONS.includes(action)) {
+      throw new Error(`Invalid vote action: ${action}`);
+    }
+
+    const result = await this.castVoteAtomically({ complaintId, voter, action }) ||
+      await withComplaintLock(complaintId, () => this.castVoteSequentially({ complaintId, voter, action }));
+
+    if (result.status === 'ok' && result.changed) {
+      // Feed the new vote count back into the priority score once votes settle
+      this.priorityScoringService.scheduleRescore(complaintId);
+      this.complaintEvents.publishVoted(complaintId, result);
+    }
+
+    return result;
+  }
+
+  /**
+   * Toggle a voter's upvote: upvote when they have none, retract when they do
+   */
+  async toggleUpvote({ complaintId, voter }) {
+    const existing = await this.getVote(complaintId, voter);
+    const action = existing && existing.vote_type === 'upvote' ? 'retract' : 'upvote';
+    return this.castVote({ complaintId, voter, action });
+  }
+
+  /**
+   * Cast the vote through the cast_complaint_vote database function, which
+   * locks the complaint row and recounts vote_count in one transaction
+   * @returns {Promise<Object|null>} Result, or null when the function is not installed
+   */
+  async castVoteAtomically({ complaintId, voter, action }) {
+    const data = await this.repositories.votes.castVoteRpc({
+      p_complaint_id: complaintId,
+      p_user_id: voter.userId || null,
+      p_guest_device_id: voter.guestDeviceId || null,
+      p_action: action,
+      p_device_fingerprint: voter.fingerprint || null,
+      p_ip_hash: voter.ipHash || null
+    });
+
+    if (!data) return null;
+    if (data.status === 'not_found') return { status: 'not_found' };
+
+    return {
+      status: 'ok',
+      voteType: data.vote_type || null,
+      previousVoteType: data.previous || null,
+      changed: (data.vote_type || null) !== (data.previous || null),
+      voteCount: data.upvotes,
+      downvoteCount: data.downvotes
+    };
+  }
+
+  /**
+   * Same steps as cast_complaint_vote, for backends without the database function
+   */
+  async castVoteSequentially({ complaintId, voter, action }) {
+    const { complaints, votes } = this.repositories;
+
+    const complaint = await complaints.findById(complaintId, 'id, vote_count');
+    if (!complaint) {
+      return { status: 'not_found' };
+    }
+
+    const existing = await this.getVote(complaintId, voter);
+    const previousVoteType = existing ? existing.vote_type : null;
+    const voteType = action === 'retract' ? null : action;
+    const now = new Date().toISOString();
+
+    if (!voteType) {
+      if (existing) await votes.delete(existing.id);
+    } else if (!existing) {
+      await votes.create({
+        complaint_id: complaintId,
+        user_id: voter.userId || null,
+        guest_device_id: voter.guestDeviceId || null,
+        device_fingerprint: voter.fingerprint || null,
+        ip_hash: voter.ipHash || null,
+        vote_type: voteType,
+        // Legacy per-row counter kept for older readers
+        vote_count: voteType === 'upvote' ? 1 : 0,
+        created_at: now
+      });
+    } else if (existing.vote_type !== voteType) {
+      await votes.update(existing.id, {
+        vote_type: voteType,
+        vote_count: voteType === 'upvote' ? 1 : 0,
+        updated_at: now
+      });
+    }
+
+    // Recount rather than increment so a missed update can't leave the count drifting
+    const voteCount = await votes.countForComplaint(complaintId, 'upvote');
+    const downvoteCount = await votes.countForComplaint(complaintId, 'downvote');
+    if (voteCount !== complaint.vote_count) {
+      await complaints.setVoteCount(complaintId, voteCount);
+    }
+
+    return {
+      status: 'ok',
+      voteType,
+      previousVoteType,
+      changed: voteType !== previousVoteType,
+      voteCount,
+      downvoteCount
+    };
+  }
+
+  /**
+   * A voter's current vote and the vote count for a batch of complaints
+   * @param {Array<string>} complaintIds
+   * @param {Object|null} voter - { userId } or { guestDeviceId }; null for anonymous callers
+   * @returns {Promise<Object>} complaintId -> { voteType, hasVoted, voteCount } (null for unknown complaints)
+   */
+  async getVoteStatuses(complaintIds, voter) {
+    const ids = [...new Set(complaintIds)];
+    const { complaints, votes } = this.repositories;
+
+    const [rows, voterVotes] = await Promise.all([
+      complaints.findByIds(ids, 'id, vote_count'),
+      !voter ? [] : voter.userId
+        ? votes.listForUser(voter.userId, ids)
+        : votes.listForGuestDevice(voter.guestDeviceId, ids)
+    ]);
+
+    const voteCounts = new Map(rows.map(row => [row.id, row.vote_count || 0]));
+    const voteTypes = new Map(voterVotes.map(vote => [vote.complaint_id, vote.vote_type]));
+
+    const statuses = {};
+    ids.forEach(id => {
+      if (!voteCounts.has(id)) {
+        statuses[id] = null;
+        return;
+      }
+      const voteType = voteTypes.get(id) || null;
+      statuses[id] = {
+        voteType,
+        hasVoted: voteType === 'upvote',
+        voteCount: voteCounts.get(id)
+      };
+    });
+
+    return statuses;
+  }
+}
+
+module.exports = VoteService;
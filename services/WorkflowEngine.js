@@ -0,0 +1,375 @@
+const {
+  STAGE_STATUSES,
+  WORKFLOWS,
+  CATEGORY_WORKFLOWS,
+  DEFAULT_WORKFLOW
+} = require('../config/workflows');
+
+/**
+ * Workflow Engine
+ * Resolves the workflow for a complaint category and applies stage updates
+ * against a complaint_workflow row: transition checks, required fields,
+ * current step tracking and rollup to the complaint status.
+ *
+ * Stage state lives in the stage_data JSON column keyed by stage key. Rows
+ * created before stage_data existed are read from the legacy step_N_* columns.
+ */
+class WorkflowEngine {
+  constructor(options = {}) {
+    this.workflows = options.workflows || WORKFLOWS;
+    this.categoryWorkflows = options.categoryWorkflows || CATEGORY_WORKFLOWS;
+    this.defaultWorkflow = options.defaultWorkflow || DEFAULT_WORKFLOW;
+  }
+
+  /**
+   * Get the workflow definition for a category (or an explicit workflow key)
+   */
+  getDefinition(category, workflowKey = null) {
+    const key = (workflowKey && this.workflows[workflowKey])
+      ? workflowKey
+      : (this.categoryWorkflows[category] || this.defaultWorkflow);
+
+    return { key, ...this.workflows[key] };
+  }
+
+  /**
+   * Definition for an existing workflow row, honouring the key it was created with
+   */
+  getDefinitionForComplaint(complaint, workflowRow) {
+    return this.getDefinition(complaint?.category, workflowRow?.workflow_key);
+  }
+
+  listDefinitions() {
+    return Object.entries(this.workflows).map(([key, workflow]) => ({
+      key,
+      name: workflow.name,
+      sequential: Boolean(workflow.sequential),
+      transitions: workflow.transitions,
+      rollup: workflow.rollup,
+      stages: workflow.stages.map((stage, index) => ({
+        id: index + 1,
+        key: stage.key,
+        name: stage.name,
+        description: stage.description,
+        fields: stage.fields || [],
+        requiredFields: stage.requiredFields || {}
+      })),
+      categories: Object.keys(this.categoryWorkflows).filter(
+        category => this.categoryWorkflows[category] === key
+      ),
+      isDefault: key === this.defaultWorkflow
+    }));
+  }
+
+  /**
+   * Find a stage by its 1-based position or its key
+   */
+  resolveStage(definition, stageId) {
+    const position = parseInt(stageId);
+    if (String(position) === String(stageId)) {
+      const stage = definition.stages[position - 1];
+      return stage ? { stage, index: position - 1 } : null;
+    }
+
+    const index = definition.stages.findIndex(stage => stage.key === stageId);
+    return index === -1 ? null : { stage: definition.stages[index], index };
+  }
+
+  /**
+   * Initial complaint_workflow row fields for a new complaint
+   */
+  createInitialState(category) {
+    const definition = this.getDefinition(category);
+    const stageData = {};
+    const row = {
+      workflow_key: definition.key,
+      current_step: 1
+    };
+
+    definition.stages.forEach(stage => {
+      stageData[stage.key] = { status: 'pending' };
+      if (stage.legacyStep) {
+        row[`step_${stage.legacyStep}_status`] = 'pending';
+      }
+    });
+
+    row.stage_data = stageData;
+    return row;
+  }
+
+  /**
+   * Current state of every stage, in order
+   */
+  getStageStates(definition, workflowRow) {
+    return definition.stages.map((stage, index) => ({
+      id: index + 1,
+      key: stage.key,
+      name: stage.name,
+      description: stage.description,
+      order: index + 1,
+      ...this.readStage(stage, workflowRow)
+    }));
+  }
+
+  readStage(stage, workflowRow) {
+    const stored = workflowRow?.stage_data?.[stage.key];
+    if (stored) {
+      return { status: 'pending', ...stored };
+    }
+
+    if (!stage.legacyStep || !workflowRow) {
+      return { status: 'pending' };
+    }
+
+    const prefix = `step_${stage.legacyStep}_`;
+    const state = {
+      status: this.normalizeStatus(workflowRow[`${prefix}status`]),
+      notes: workflowRow[`${prefix}notes`] || null,
+      timestamp: workflowRow[`${prefix}timestamp`] || null,
+      assigned_officer_id: workflowRow[`${prefix}officer_id`] || null,
+      assigned_contractor_id: workflowRow[`${prefix}contractor_id`] || null
+    };
+
+    Object.entries(stage.legacyColumns || {}).forEach(([field, column]) => {
+      state[field] = workflowRow[column] ?? null;
+    });
+
+    if (stage.completionColumn) {
+      state.completed_at = workflowRow[stage.completionColumn] || null;
+    }
+
+    return state;
+  }
+
+  normalizeStatus(status) {
+    return STAGE_STATUSES.includes(status) ? status : 'pending';
+  }
+
+  /**
+   * Check a stage update against the workflow definition
+   * @returns {Array<string>} Validation errors (empty when the update is allowed)
+   */
+  validateStageUpdate(definition, workflowRow, stageRef, newStatus, payload = {}) {
+    const errors = [];
+    const { stage, index } = stageRef;
+    const states = this.getStageStates(definition, workflowRow);
+    const current = states[index];
+
+    if (!STAGE_STATUSES.includes(newStatus)) {
+      errors.push(`Invalid status: "${newStatus}". Must be ${STAGE_STATUSES.join(', ')}`);
+      return errors;
+    }
+
+    if (current.status !== newStatus) {
+      const allowed = definition.transitions?.[current.status] || [];
+      if (!allowed.includes(newStatus)) {
+        errors.push(`${stage.name} cannot move from ${current.status} to ${newStatus}`);
+      }
+    }
+
+    if (definition.sequential && ['in_progress', 'completed'].includes(newStatus)) {
+      const blocking = states
+        .slice(0, index)
+        .find(previous => previous.status !== 'completed');
+      if (blocking) {
+        errors.push(`${blocking.name} must be completed before ${stage.name} can be ${newStatus.replace('_', ' ')}`);
+      }
+    }
+
+    const required = stage.requiredFields?.[newStatus] || [];
+    required.forEach(field => {
+      const value = payload[field] ?? current[field];
+      const missing = value === undefined || value === null || value === '' ||
+        (Array.isArray(value) && value.length === 0);
+      if (missing) {
+        errors.push(`${field} is required to mark ${stage.name} as ${newStatus.replace('_', ' ')}`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Build the complaint_workflow update for a stage change
+   * @returns {Object} Column updates, ready to pass to the repository
+   */
+  buildStageUpdate(definition, workflowRow, stageRef, newStatus, payload = {}) {
+    const { stage } = stageRef;
+    const now = new Date().toISOString();
+    const previous = this.readStage(stage, workflowRow);
+
+    const nextState = {
+      ...previous,
+      status: newStatus,
+      notes: payload.notes !== undefined ? payload.notes : (previous.notes || null),
+      timestamp: now
+    };
+
+    (stage.fields || []).forEach(field => {
+      if (payload[field] !== undefined) {
+        nextState[field] = payload[field];
+      }
+    });
+
+    if (newStatus === 'completed') {
+      nextState.completed_at = now;
+    } else if (previous.status === 'completed') {
+      nextState.completed_at = null;
+    }
+
+    // Carry forward stages that were only ever stored in legacy columns
+    const stageData = {};
+    definition.stages.forEach(candidate => {
+      stageData[candidate.key] = candidate.key === stage.key
+        ? nextState
+        : this.readStage(candidate, workflowRow);
+    });
+
+    const update = {
+      workflow_key: definition.key,
+      stage_data: stageData,
+      current_step: this.getCurrentStep(definition, stageData)
+    };
+
+    if (stage.legacyStep) {
+      const prefix = `step_${stage.legacyStep}_`;
+      update[`${prefix}status`] = newStatus;
+      update[`${prefix}notes`] = nextState.notes;
+      update[`${prefix}timestamp`] = now;
+
+      Object.entries(stage.legacyColumns || {}).forEach(([field, column]) => {
+        if (payload[field] !== undefined) {
+          update[column] = payload[field];
+        }
+      });
+
+      if (stage.completionColumn && newStatus === 'completed') {
+        update[stage.completionColumn] = now;
+      }
+    }
+
+    return update;
+  }
+
+  /**
+   * 1-based position of the first stage that is not finished
+   */
+  getCurrentStep(definition, stageData) {
+    const index = definition.stages.findIndex(stage => {
+      const status = stageData[stage.key]?.status;
+      return status !== 'completed' && status !== 'cancelled';
+    });
+    return index === -1 ? definition.stages.length : index + 1;
+  }
+
+  /**
+   * First stage that can be started next, or null when nothing is left
+   */
+  getNextStage(definition, workflowRow) {
+    const states = this.getStageStates(definition, workflowRow);
+    const index = states.findIndex(state => state.status === 'pending');
+    if (index === -1) return null;
+    return { stage: definition.stages[index], index, state: states[index] };
+  }
+
+  /**
+   * Apply the definition's rollup rules to the stage states
+   * @returns {string|null} New complaint status, or null when no rule matches
+   */
+  computeComplaintStatus(definition, workflowRow) {
+    const states = this.getStageStates(definition, workflowRow);
+
+    for (const rule of definition.rollup || []) {
+      let matched = false;
+
+      if (rule.when === 'all') {
+        matched = states.every(state => state.status === rule.stageStatus);
+      } else if (rule.when === 'any') {
+        matched = states.some(state => state.status === rule.stageStatus);
+      } else if (rule.when === 'stage') {
+        matched = states.some(state => state.key === rule.stage && state.status === rule.stageStatus);
+      }
+
+      if (matched) return rule.complaintStatus;
+    }
+
+    return null;
+  }
+
+  /**
+   * Stages in the shape the admin dashboard renders
+   */
+  buildAdminStages(definition, workflowRow) {
+    return this.getStageStates(definition, workflowRow).map(state => ({
+      ...state,
+      stage_name: state.name,
+      stage_status: state.status,
+      stage_order: state.order,
+      assigned_officer_id: state.assigned_officer_id || null,
+      assigned_contractor_id: state.assigned_contractor_id || null,
+      notes: state.notes || state.description,
+      timestamp: state.timestamp || null
+    }));
+  }
+
+  /**
+   * Citizen-facing tracking timeline: submitted, each workflow stage, completed
+   */
+  buildTrackingStages(complaint, workflowRow) {
+    const definition = this.getDefinitionForComplaint(complaint, workflowRow);
+    const states = this.getStageStates(definition, workflowRow);
+    const isResolved = complaint.status === 'resolved';
+    const lastCompletion = [...states].reverse().find(state => state.completed_at)?.completed_at;
+
+    const trackingStages = [
+      {
+        id: 1,
+        name: 'Complaint Submitted',
+        status: 'completed',
+        date: complaint.created_at,
+        description: 'Your complaint has been received and is being reviewed',
+        icon: '📝'
+      }
+    ];
+
+    definition.stages.forEach((stage, index) => {
+      const state = states[index];
+      const entry = {
+        id: index + 2,
+        key: stage.key,
+        name: stage.tracking?.name || stage.name,
+        status: state.status === 'completed' || state.status === 'in_progress' ? state.status : 'pending',
+        date: state.timestamp || null,
+        description: stage.tracking?.description || stage.description,
+        icon: stage.tracking?.icon || '📌'
+      };
+
+      if (state.assigned_officer_id) entry.officer = 'Officer assigned';
+      if (state.assigned_contractor_id) entry.contractor = 'Contractor assigned';
+      if (state.estimated_cost !== undefined && state.estimated_cost !== null) entry.estimatedCost = state.estimated_cost;
+      if (state.start_date) entry.startDate = state.start_date;
+
+      trackingStages.push(entry);
+    });
+
+    const finalStageId = definition.stages.length + 2;
+    trackingStages.push({
+      id: finalStageId,
+      name: 'Completed',
+      status: isResolved ? 'completed' : 'pending',
+      date: lastCompletion || (isResolved ? complaint.updated_at : null),
+      description: isResolved ? 'Issue has been resolved successfully' : 'Awaiting completion',
+      icon: isResolved ? '✅' : '⏳',
+      photos: states.find(state => state.completion_photos)?.completion_photos || null
+    });
+
+    const inProgressIndex = trackingStages.findIndex(stage => stage.status === 'in_progress');
+    const currentStage = inProgressIndex !== -1
+      ? inProgressIndex + 1
+      : (isResolved ? finalStageId : trackingStages.filter(stage => stage.status === 'completed').length + 1);
+
+    return { trackingStages, currentStage, workflowKey: definition.key };
+  }
+}
+
+module.exports = WorkflowEngine;
@@ -0,0 +1,259 @@
+const axios = require('axios');
+const { trackExternalCall } = require('../utils/externalCalls');
+const {
+  SUPPORTED_LANGUAGES,
+  EMOTIONS,
+  KEYWORD_SCORES,
+  UNMATCHED_BASELINE,
+  SAFETY_BOOST,
+  PROVIDER_CONFIG,
+  MODEL_LABEL_MAP
+} = require('../config/emotion');
+const { LEXICONS } = require('../config/emotionLexicons');
+
+/**
+ * Emotion engines for EmotionAnalysisService.
+ * Each provider exposes isConfigured(), supportsLanguage(language) and
+ * analyze({ text, language }), which resolves to { emotions } with every
+ * civic emotion in EMOTIONS scored 0-1. Providers throw on failure.
+ */
+
+const emptyEmotions = () => Object.fromEntries(EMOTIONS.map(emotion => [emotion, 0]));
+
+/**
+ * Lowercase and drop nukta marks so spelling variants match the lexicons
+ */
+const normalizeText = (text) => String(text || '')
+  .normalize('NFC')
+  .toLowerCase()
+  .replace(/[\u093C\u09BC\u0A3C\u0ABC\u0B3C\u0CBC]/g, '');
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Whether normalized text contains a term. Latin terms must match whole
+ * words ('mad' is not in 'made'); Indic terms match inside inflected words.
+ */
+const containsTerm = (normalized, term) => {
+  const needle = normalizeText(term);
+  if (/^[\x20-\x7e]+$/.test(needle)) {
+    return new RegExp(`\\b${escapeRegExp(needle)}\\b`).test(normalized);
+  }
+  return normalized.includes(needle);
+};
+
+class KeywordEmotionProvider {
+  constructor(lexicons = LEXICONS) {
+    this.name = 'keywords';
+    this.method = 'enhanced-keywords';
+    this.lexicons = lexicons;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  supportsLanguage(language) {
+    return SUPPORTED_LANGUAGES.includes(language);
+  }
+
+  /**
+   * Lexicons to match for a language. English is always included because
+   * complaints in other languages often mix in English words.
+   */
+  lexiconsFor(language) {
+    const lexicons = [this.lexicons[language], this.lexicons.en].filter(Boolean);
+    return [...new Set(lexicons)];
+  }
+
+  countMatches(normalized, language, key) {
+    return this.lexiconsFor(language).reduce(
+      (count, lexicon) => count + (lexicon[key] || []).filter(term => containsTerm(normalized, term)).length,
+      0
+    );
+  }
+
+  /**
+   * Urgency implied by hazard terms and critical health or safety phrases
+   */
+  detectUrgency(text, language) {
+    const normalized = normalizeText(text);
+    const score =
+      this.countMatches(normalized, language, 'urgency') * KEYWORD_SCORES.urgency +
+      this.countMatches(normalized, language, 'hazards') * KEYWORD_SCORES.hazard +
+      this.countMatches(normalized, language, 'criticalPhrases') * KEYWORD_SCORES.criticalPhrase +
+      this.countMatches(normalized, language, 'safetyPhrases') * KEYWORD_SCORES.safetyPhrase;
+    return Math.min(score, 1.0);
+  }
+
+  /**
+   * Boost for personal safety concerns, added to the final score
+   */
+  detectSafetyBoost(text, language) {
+    const normalized = normalizeText(text);
+    const boost =
+      this.countMatches(normalized, language, 'safetyPhrases') * SAFETY_BOOST.safetyPhrase +
+      this.countMatches(normalized, language, 'vulnerableGroups') * SAFETY_BOOST.vulnerableGroup +
+      this.countMatches(normalized, language, 'nightWords') * SAFETY_BOOST.nightWord;
+    return Math.min(boost, SAFETY_BOOST.max);
+  }
+
+  async analyze({ text, language }) {
+    const normalized = normalizeText(text);
+    const emotions = emptyEmotions();
+
+    ['anger', 'frustration', 'concern'].forEach(emotion => {
+      emotions[emotion] = Math.min(this.countMatches(normalized, language, emotion) * KEYWORD_SCORES[emotion], 1.0);
+    });
+    emotions.urgency = this.detectUrgency(text, language);
+
+    const matchedNothing = Object.values(emotions).every(value => value === 0);
+    if (matchedNothing && language !== 'en' && normalized.trim().length > 10) {
+      Object.assign(emotions, UNMATCHED_BASELINE);
+    }
+
+    return { emotions };
+  }
+}
+
+/**
+ * Emotion model served on this machine by python_services/distilbert_emotion_service.py
+ * (or anything answering POST /analyze with { labels: [{ label, score }] }).
+ */
+class LocalSidecarEmotionProvider {
+  constructor(config = PROVIDER_CONFIG.local) {
+    this.name = 'local';
+    this.method = 'local-model';
+    this.config = config;
+  }
+
+  isConfigured() {
+    return Boolean(this.config.url);
+  }
+
+  supportsLanguage(language) {
+    return this.config.languages.includes(language);
+  }
+
+  async analyze({ text, language }) {
+    const response = await trackExternalCall('emotion_sidecar', 'analyze', () =>
+      axios.post(
+        `${this.config.url.replace(/\/$/, '')}/analyze`,
+        { text, language },
+        { timeout: this.config.timeoutMs }
+      )
+    );
+
+    const labels = response.data?.labels;
+    if (!Array.isArray(labels) || labels.length === 0) {
+      throw new Error('Emotion sidecar returned no labels');
+    }
+
+    const emotions = emptyEmotions();
+    labels.forEach(({ label, score }) => {
+      const emotion = MODEL_LABEL_MAP[String(label).toLowerCase()];
+      if (emotion && typeof score === 'number') {
+        emotions[emotion] = Math.max(emotions[emotion], Math.min(score, 1.0));
+      }
+    });
+
+    return { emotions };
+  }
+}
+
+/**
+ * Hosted sentiment models on the Hugging Face inference API, with the
+ * sentiment mapped onto civic emotions
+ */
+class HuggingFaceEmotionProvider {
+  constructor(config = PROVIDER_CONFIG.huggingface) {
+    this.name = 'huggingface';
+    this.method = 'ai-powered';
+    this.config = config;
+  }
+
+  isConfigured() {
+    const { token } = this.config;
+    return Boolean(token && token.startsWith('hf_') && token.length > 20);
+  }
+
+  supportsLanguage(language) {
+    return this.config.languages.includes(language);
+  }
+
+  async analyze({ text }) {
+    const errors = [];
+
+    // Try each model until one answers
+    for (const modelUrl of this.config.models) {
+      try {
+        const response = await trackExternalCall('huggingface', 'sentiment', () =>
+          axios.post(
+            modelUrl,
+            { inputs: text },
+            {
+              headers: {
+                'Authorization': `Bearer ${this.config.token}`,
+                'Content-Type': 'application/json'
+              },
+              timeout: this.config.timeoutMs
+            }
+          )
+        );
+        return { emotions: this.convertSentimentToEmotions(response.data) };
+      } catch (error) {
+        errors.push(`${modelUrl.split('/').pop()}: ${error.response?.status || error.message}`);
+      }
+    }
+
+    throw new Error(`All Hugging Face models failed (${errors.join('; ')})`);
+  }
+
+  /**
+   * Top sentiment from any of the API's response shapes:
+   * [[{label, score}, ...]], [{label, score}, ...] or {label, score}
+   */
+  extractSentiment(data) {
+    if (Array.isArray(data) && Array.isArray(data[0])) return data[0][0] || null;
+    if (Array.isArray(data)) return data[0] || null;
+    return data && data.label ? data : null;
+  }
+
+  convertSentimentToEmotions(data) {
+    const sentiment = this.extractSentiment(data);
+    if (!sentiment || !sentiment.label) {
+      throw new Error('Unrecognised sentiment response');
+    }
+
+    const label = sentiment.label.toLowerCase();
+    const score = sentiment.score;
+    const emotions = emptyEmotions();
+
+    if (label.includes('negative') || label === '1 star' || label === '2 stars') {
+      emotions.concern = score * 0.9;
+      emotions.frustration = score * 0.7;
+      emotions.urgency = score * 0.6;
+      if (score > 0.7) {
+        emotions.anger = score * 0.5;
+      }
+    }
+    // Positive and neutral sentiment leave the civic emotions to the lexicon signals
+
+    return emotions;
+  }
+}
+
+const PROVIDER_CLASSES = {
+  local: LocalSidecarEmotionProvider,
+  huggingface: HuggingFaceEmotionProvider,
+  keywords: KeywordEmotionProvider
+};
+
+module.exports = {
+  KeywordEmotionProvider,
+  LocalSidecarEmotionProvider,
+  HuggingFaceEmotionProvider,
+  PROVIDER_CLASSES,
+  normalizeText,
+  containsTerm
+};
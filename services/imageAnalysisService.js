@@ -1,6 +1,7 @@
 const axios = require('axios');
 const fs = require('fs');
 const sharp = require('sharp');
+const { trackExternalCall } = require('../utils/externalCalls');
 
 console.log('📦 ImageAnalysisService module loaded');
 
@@ -28,20 +29,22 @@ class ImageAnalysisService {
         const ROBOFLOW_API_KEY = process.env.ROBOFLOW_API_KEY || 'YOUR_ROBOFLOW_API_KEY';
         const ROBOFLOW_MODEL_ENDPOINT = process.env.ROBOFLOW_MODEL_ENDPOINT || 'https://serverless.roboflow.com/infer/workflows/civicrezo/custom-workflow-6';
         try {
-            const response = await axios.post(
-                ROBOFLOW_MODEL_ENDPOINT,
-                {
-                    api_key: ROBOFLOW_API_KEY,
-                    inputs: {
-                        image: { type: 'url', value: imageUrl }
-                    }
-                },
-                {
-                    headers: {
-                        'Content-Type': 'application/json',
+            const response = await trackExternalCall('roboflow', 'validate_image', () =>
+                axios.post(
+                    ROBOFLOW_MODEL_ENDPOINT,
+                    {
+                        api_key: ROBOFLOW_API_KEY,
+                        inputs: {
+                            image: { type: 'url', value: imageUrl }
+                        }
                     },
-                    timeout: 15000
-                }
+                    {
+                        headers: {
+                            'Content-Type': 'application/json',
+                        },
+                        timeout: 15000
+                    }
+                )
             );
             // Parse new workflow output format
             let modelConfidence = 0;
@@ -338,16 +341,18 @@ class ImageAnalysisService {
                 console.log(`🚀 Trying endpoint ${i + 1}/${possibleUrls.length}: ${workflowUrl}`);
                 
                 try {
-                    const attemptResponse = await axios.post(workflowUrl, form, {
-                        headers: {
-                            ...form.getHeaders(),
-                            'Authorization': `Bearer ${this.apiKey}`,
-                            'User-Agent': 'CivicRezo/1.0 (Node.js HTTP Client)'
-                        },
-                        timeout: 8000,
-                        maxContentLength: Infinity,
-                        maxBodyLength: Infinity
-                    });
+                    const attemptResponse = await trackExternalCall('roboflow', 'workflow', () =>
+                        axios.post(workflowUrl, form, {
+                            headers: {
+                                ...form.getHeaders(),
+                                'Authorization': `Bearer ${this.apiKey}`,
+                                'User-Agent': 'CivicRezo/1.0 (Node.js HTTP Client)'
+                            },
+                            timeout: 8000,
+                            maxContentLength: Infinity,
+                            maxBodyLength: Infinity
+                        })
+                    );
                     
                     console.log(`✅ Endpoint ${i + 1} succeeded!`);
                     response = attemptResponse;
@@ -0,0 +1,316 @@
+const fs = require('fs');
+const axios = require('axios');
+const PoiIndex = require('../utils/poiIndex');
+const { calculateDistance } = require('../utils/geoUtils');
+const { trackExternalCall } = require('../utils/externalCalls');
+const { PROVIDER_CONFIG, FACILITY_TAGS } = require('../config/poi');
+
+/**
+ * Nearby-facility sources for LocationPriorityService.
+ * Each provider exposes isConfigured(),
+ * findFacilities({ latitude, longitude, facilityType, radius }), which
+ * resolves to facilities nearest first as
+ * { name, place_id, distance (m), latitude, longitude, rating, types, vicinity, source }, and
+ * probeDensity({ latitude, longitude, radius }), which resolves to
+ * { count, types } for area-type detection. Providers throw on failure.
+ */
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Google Places nearby search, filtered with the include/exclude keywords
+ * in LocationPriorityService.facilityConfig
+ */
+class GooglePlacesProvider {
+  constructor({ facilityConfig = {}, config = PROVIDER_CONFIG.google } = {}) {
+    this.name = 'google';
+    this.config = config;
+    this.facilityConfig = facilityConfig;
+  }
+
+  isConfigured() {
+    return Boolean(this.config.apiKey);
+  }
+
+  async findFacilities({ latitude, longitude, facilityType, radius }) {
+    const searchTypes = this.facilityConfig[facilityType]?.searchTypes || [facilityType];
+    const facilities = await this.searchWithRetry(latitude, longitude, facilityType, searchTypes, radius);
+    // Respect API rate limits between facility types
+    await delay(200);
+    return facilities;
+  }
+
+  async probeDensity({ latitude, longitude, radius }) {
+    let count = 0;
+    const types = new Set();
+
+    for (const searchType of ['establishment', 'point_of_interest', 'store']) {
+      try {
+        const places = await this.query(latitude, longitude, null, searchType, radius);
+        count += places.length;
+        places.forEach(place => place.types.forEach(type => types.add(type)));
+        await delay(300);
+      } catch (error) {
+        console.warn(`⚠️ Probe error for ${searchType}:`, error.message);
+      }
+    }
+
+    return { count, types: Array.from(types) };
+  }
+
+  /**
+   * Try each search type, with retries, until one returns results
+   */
+  async searchWithRetry(latitude, longitude, facilityType, searchTypes, radius, maxRetries = 2) {
+    let lastError;
+
+    for (const searchType of searchTypes) {
+      for (let attempt = 0; attempt <= maxRetries; attempt++) {
+        try {
+          const facilities = await this.query(latitude, longitude, facilityType, searchType, radius);
+          if (facilities.length > 0) {
+            return facilities;
+          }
+          break;
+        } catch (error) {
+          lastError = error;
+          if (attempt < maxRetries) {
+            await delay(1000 * (attempt + 1)); // Exponential backoff
+          }
+        }
+      }
+    }
+
+    if (lastError) throw lastError;
+    return [];
+  }
+
+  async query(latitude, longitude, facilityType, searchType, radius) {
+    const response = await trackExternalCall('google_places', 'nearby_search', () =>
+      axios.get(`${this.config.baseUrl}/nearbysearch/json`, {
+        params: {
+          location: `${latitude},${longitude}`,
+          radius,
+          type: searchType,
+          key: this.config.apiKey
+        },
+        timeout: this.config.timeoutMs
+      })
+    );
+
+    if (response.data.status === 'OVER_QUERY_LIMIT') {
+      throw new Error('API quota exceeded');
+    }
+
+    if (response.data.status === 'REQUEST_DENIED') {
+      throw new Error('API request denied - check API key restrictions');
+    }
+
+    if (!response.data.results) {
+      return [];
+    }
+
+    const config = this.facilityConfig[facilityType];
+    const filteredResults = response.data.results.filter(place => this.matchesFacility(place, facilityType, config));
+
+    return filteredResults.map(place => ({
+      name: place.name,
+      place_id: place.place_id,
+      distance: calculateDistance(
+        latitude, longitude,
+        place.geometry.location.lat, place.geometry.location.lng
+      ) * 1000,
+      latitude: place.geometry.location.lat,
+      longitude: place.geometry.location.lng,
+      rating: place.rating || 0,
+      types: place.types || [],
+      vicinity: place.vicinity || '',
+      source: this.name
+    })).sort((a, b) => a.distance - b.distance);
+  }
+
+  matchesFacility(place, facilityType, config) {
+    if (!config) return true;
+
+    const name = place.name.toLowerCase();
+    const types = place.types || [];
+
+    if (config.excludeKeywords) {
+      const excludedKeyword = config.excludeKeywords.find(keyword => name.includes(keyword.toLowerCase()));
+      if (excludedKeyword) {
+        console.log(`❌ Excluded ${place.name} (contains excluded keyword: ${excludedKeyword})`);
+        return false;
+      }
+
+      // Transport businesses are often misclassified as hospitals, schools or offices
+      if (facilityType === 'hospital' || facilityType === 'school' || facilityType === 'government') {
+        const transportWords = ['transport', 'logistics', 'cargo', 'travel', 'bus', 'taxi', 'auto'];
+        if (transportWords.some(word => name.includes(word))) {
+          console.log(`❌ Excluded ${place.name} (likely a transportation service, not a ${facilityType})`);
+          return false;
+        }
+      }
+    }
+
+    if (config.includeKeywords && config.includeKeywords.length > 0) {
+      const hasIncluded = config.includeKeywords.some(keyword =>
+        name.includes(keyword.toLowerCase()) ||
+        types.some(type => type.includes(keyword.toLowerCase()))
+      );
+      if (!hasIncluded) {
+        console.log(`❌ Excluded ${place.name} (missing required keywords)`);
+        return false;
+      }
+    }
+
+    return true;
+  }
+}
+
+/**
+ * Live OpenStreetMap data from the Overpass API, using the same tag
+ * classification as the offline importer
+ */
+class OverpassProvider {
+  constructor({ config = PROVIDER_CONFIG.overpass, facilityTags = FACILITY_TAGS } = {}) {
+    this.name = 'overpass';
+    this.config = config;
+    this.facilityTags = facilityTags;
+  }
+
+  isConfigured() {
+    return Boolean(this.config.enabled && this.config.url);
+  }
+
+  buildQuery(latitude, longitude, radius, tagValues) {
+    const around = `(around:${Math.round(radius)},${latitude},${longitude})`;
+    const selectors = Object.entries(tagValues).map(([key, values]) =>
+      `nwr["${key}"~"^(${values.join('|')})$"]${around};`
+    );
+    return `[out:json][timeout:25];(${selectors.join('')});out center;`;
+  }
+
+  async fetchElements(query) {
+    const response = await trackExternalCall('overpass', 'query', () =>
+      axios.post(this.config.url, query, {
+        headers: { 'Content-Type': 'text/plain' },
+        timeout: this.config.timeoutMs
+      })
+    );
+    return response.data.elements || [];
+  }
+
+  async findFacilities({ latitude, longitude, facilityType, radius }) {
+    const tagValues = this.facilityTags[facilityType];
+    if (!tagValues) return [];
+
+    const elements = await this.fetchElements(this.buildQuery(latitude, longitude, radius, tagValues));
+
+    return elements
+      .map(element => {
+        const lat = element.lat ?? element.center?.lat;
+        const lon = element.lon ?? element.center?.lon;
+        if (lat === undefined || lon === undefined) return null;
+
+        const tags = element.tags || {};
+        return {
+          name: tags.name || `${facilityType.replace('_', ' ')} facility`,
+          place_id: `${element.type}/${element.id}`,
+          distance: calculateDistance(latitude, longitude, lat, lon) * 1000,
+          latitude: lat,
+          longitude: lon,
+          rating: 0,
+          types: [facilityType, tags.amenity || tags.office || tags.railway || tags.public_transport].filter(Boolean),
+          vicinity: [tags['addr:street'], tags['addr:city']].filter(Boolean).join(', '),
+          source: this.name
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.distance - b.distance);
+  }
+
+  async probeDensity({ latitude, longitude, radius }) {
+    const allTags = {};
+    Object.values(this.facilityTags).forEach(tagValues => {
+      Object.entries(tagValues).forEach(([key, values]) => {
+        allTags[key] = [...(allTags[key] || []), ...values];
+      });
+    });
+
+    const elements = await this.fetchElements(this.buildQuery(latitude, longitude, radius, allTags));
+    const types = new Set(elements.map(element => element.tags?.amenity).filter(Boolean));
+    return { count: elements.length, types: Array.from(types) };
+  }
+}
+
+/**
+ * Facilities from the local dataset written by services/PoiImportService.js.
+ * Needs no network and gives the same answer every time.
+ */
+class OfflinePoiProvider {
+  constructor({ config = PROVIDER_CONFIG.offline, facilities = null } = {}) {
+    this.name = 'offline';
+    this.config = config;
+    this.index = facilities ? new PoiIndex(facilities) : null;
+    this.loadedMtime = null;
+  }
+
+  isConfigured() {
+    return Boolean(this.index) || fs.existsSync(this.config.datasetPath);
+  }
+
+  /**
+   * Spatial index over the dataset, reloaded when the file is re-imported
+   */
+  getIndex() {
+    if (this.index && this.loadedMtime === null) {
+      return this.index;
+    }
+
+    const { mtimeMs } = fs.statSync(this.config.datasetPath);
+    if (!this.index || mtimeMs !== this.loadedMtime) {
+      const dataset = JSON.parse(fs.readFileSync(this.config.datasetPath, 'utf8'));
+      this.index = new PoiIndex(dataset.facilities || []);
+      this.loadedMtime = mtimeMs;
+      console.log(`📍 Loaded ${this.index.size} offline facilities from ${this.config.datasetPath}`);
+    }
+    return this.index;
+  }
+
+  async findFacilities({ latitude, longitude, facilityType, radius }) {
+    return this.getIndex()
+      .query({ latitude, longitude, radius, type: facilityType })
+      .map(facility => ({
+        name: facility.name || `${facilityType.replace('_', ' ')} facility`,
+        place_id: facility.id,
+        distance: facility.distance,
+        latitude: facility.lat,
+        longitude: facility.lon,
+        rating: 0,
+        types: [facility.type, facility.kind].filter(Boolean),
+        vicinity: facility.address || '',
+        source: this.name
+      }));
+  }
+
+  async probeDensity({ latitude, longitude, radius }) {
+    const facilities = this.getIndex().query({ latitude, longitude, radius });
+    return {
+      count: facilities.length,
+      types: Array.from(new Set(facilities.map(facility => facility.type)))
+    };
+  }
+}
+
+const PROVIDER_CLASSES = {
+  offline: OfflinePoiProvider,
+  google: GooglePlacesProvider,
+  overpass: OverpassProvider
+};
+
+module.exports = {
+  GooglePlacesProvider,
+  OverpassProvider,
+  OfflinePoiProvider,
+  PROVIDER_CLASSES
+};
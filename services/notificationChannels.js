@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { trackExternalCall } = require('../utils/externalCalls');
+const { CHANNEL_CONFIG } = require('../config/notifications');
+
+/**
+ * Delivery channels for NotificationService.
+ * Each channel exposes isConfigured(), getAddress(user, preferences) and
+ * send({ to, title, body, sms, data }), which resolves once the provider
+ * has accepted the message and throws on failure.
+ */
+
+class EmailChannel {
+  constructor(config = CHANNEL_CONFIG.email) {
+    this.name = 'email';
+    this.config = config;
+    this.transport = null;
+  }
+
+  isConfigured() {
+    return Boolean(this.config.host);
+  }
+
+  getAddress(user) {
+    return user.email || null;
+  }
+
+  getTransport() {
+    if (!this.transport) {
+      const nodemailer = require('nodemailer');
+      this.transport = nodemailer.createTransport({
+        host: this.config.host,
+        port: this.config.port,
+        secure: this.config.secure,
+        auth: this.config.user ? { user: this.config.user, pass: this.config.password } : undefined
+      });
+    }
+    return this.transport;
+  }
+
+  async send({ to, title, body }) {
+    const info = await this.getTransport().sendMail({
+      from: this.config.from,
+      to,
+      subject: title,
+      text: body
+    });
+    return { providerId: info.messageId };
+  }
+}
+
+class SmsChannel {
+  constructor(config = CHANNEL_CONFIG.sms) {
+    this.name = 'sms';
+    this.config = config;
+  }
+
+  isConfigured() {
+    return Boolean(this.config.accountSid && this.config.authToken && this.config.from);
+  }
+
+  getAddress(user) {
+    return user.phone_number || null;
+  }
+
+  async send({ to, sms }) {
+    const response = await trackExternalCall('twilio', 'send_sms', () =>
+      axios.post(
+        `${this.config.apiUrl}/Accounts/${this.config.accountSid}/Messages.json`,
+        new URLSearchParams({ To: to, From: this.config.from, Body: sms }).toString(),
+        {
+          auth: { username: this.config.accountSid, password: this.config.authToken },
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+          timeout: 10000
+        }
+      )
+    );
+    return { providerId: response.data?.sid || null };
+  }
+}
+
+class PushChannel {
+  constructor(config = CHANNEL_CONFIG.push) {
+    this.name = 'push';
+    this.config = config;
+  }
+
+  // Expo accepts unauthenticated pushes unless enhanced security is turned on
+  isConfigured() {
+    return true;
+  }
+
+  getAddress(user, preferences) {
+    return preferences.expo_push_token || null;
+  }
+
+  async send({ to, title, sms, data }) {
+    const headers = { 'Content-Type': 'application/json', Accept: 'application/json' };
+    if (this.config.accessToken) {
+      headers.Authorization = `Bearer ${this.config.accessToken}`;
+    }
+
+    const response = await trackExternalCall('expo_push', 'send', () =>
+      axios.post(
+        this.config.apiUrl,
+        { to, title, body: sms, data, sound: 'default' },
+        { headers, timeout: 10000 }
+      )
+    );
+
+    const ticket = Array.isArray(response.data?.data) ? response.data.data[0] : response.data?.data;
+    if (ticket && ticket.status === 'error') {
+      throw new Error(ticket.message || 'Expo push rejected');
+    }
+    return { providerId: ticket?.id || null };
+  }
+}
+
+class ConsoleChannel {
+  constructor() {
+    this.name = 'console';
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  getAddress(user) {
+    return user.id;
+  }
+
+  async send({ to, title, body }) {
+    console.log(`📨 [notification → ${to}] ${title}\n   ${body}`);
+    return { providerId: null };
+  }
+}
+
+class FileChannel {
+  constructor(config = CHANNEL_CONFIG.file) {
+    this.name = 'file';
+    this.config = config;
+  }
+
+  isConfigured() {
+    return Boolean(this.config.path);
+  }
+
+  getAddress(user) {
+    return user.id;
+  }
+
+  async send({ to, title, body, data }) {
+    const filePath = path.resolve(this.config.path);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.appendFile(
+      filePath,
+      JSON.stringify({ at: new Date().toISOString(), to, title, body, data }) + '\n'
+    );
+    return { providerId: null };
+  }
+}
+
+const CHANNEL_CLASSES = {
+  email: EmailChannel,
+  sms: SmsChannel,
+  push: PushChannel,
+  console: ConsoleChannel,
+  file: FileChannel
+};
+
+/**
+ * Instantiate the named channels, skipping unknown names
+ */
+function createChannels(names) {
+  return names
+    .filter(name => {
+      if (!CHANNEL_CLASSES[name]) {
+        console.warn(`⚠️ Unknown notification channel "${name}" ignored`);
+        return false;
+      }
+      return true;
+    })
+    .map(name => new CHANNEL_CLASSES[name]());
+}
+
+module.exports = {
+  EmailChannel,
+  SmsChannel,
+  PushChannel,
+  ConsoleChannel,
+  FileChannel,
+  CHANNEL_CLASSES,
+  createChannels
+};
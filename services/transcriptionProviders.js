@@ -0,0 +1,166 @@
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const axios = require('axios');
+const FormData = require('form-data');
+const { trackExternalCall } = require('../utils/externalCalls');
+const {
+  PROVIDER_CONFIG,
+  REGIONAL_LANGUAGE_CODES,
+  WHISPER_LANGUAGE_CODES
+} = require('../config/transcription');
+
+/**
+ * Speech-to-text engines for TranscriptionService.
+ * Each provider exposes isConfigured() and transcribe({ audioPath, language }),
+ * which takes a 16kHz mono WAV file and resolves to
+ * { transcription, translation } (translation is English, or null when the
+ * engine could not produce one). Providers throw on failure.
+ */
+
+class SarvamProvider {
+  constructor(config = PROVIDER_CONFIG.sarvam) {
+    this.name = 'sarvam';
+    this.config = config;
+  }
+
+  isConfigured() {
+    return Boolean(this.config.apiKey);
+  }
+
+  extractTranscript(data) {
+    if (typeof data === 'string') return data;
+    if (!data || typeof data !== 'object') return '';
+    if (data.transcript) return data.transcript;
+    if (data.text) return data.text;
+    if (data.transcription) return data.transcription;
+    if (Array.isArray(data.results) && data.results.length > 0) {
+      return data.results[0].transcript || data.results[0].text || '';
+    }
+    return '';
+  }
+
+  async transcribe({ audioPath, language }) {
+    const formData = new FormData();
+    formData.append('file', fs.createReadStream(audioPath), {
+      filename: path.basename(audioPath),
+      contentType: 'audio/wav'
+    });
+    formData.append('model', this.config.model);
+    // Sarvam takes 'language' (not 'language_code') on this endpoint
+    formData.append('language', REGIONAL_LANGUAGE_CODES[language] || 'en-IN');
+
+    const response = await trackExternalCall('sarvam', 'speech_to_text', () =>
+      axios.post(this.config.speechToTextUrl, formData, {
+        headers: {
+          ...formData.getHeaders(),
+          'api-subscription-key': this.config.apiKey
+        },
+        timeout: this.config.timeoutMs,
+        maxContentLength: Infinity,
+        maxBodyLength: Infinity
+      })
+    );
+
+    const transcription = this.extractTranscript(response.data).trim();
+    if (!transcription) {
+      throw new Error('Sarvam returned an empty transcript');
+    }
+
+    const translation = language === 'en'
+      ? transcription
+      : await this.translate(transcription, language).catch(error => {
+        console.warn('⚠️ Sarvam translation failed:', error.message);
+        return null;
+      });
+
+    return { transcription, translation };
+  }
+
+  async translate(text, sourceLanguage, targetLanguage = 'en') {
+    const response = await trackExternalCall('sarvam', 'translate', () =>
+      axios.post(
+        this.config.translateUrl,
+        {
+          input: text,
+          source_language_code: REGIONAL_LANGUAGE_CODES[sourceLanguage] || 'auto',
+          target_language_code: REGIONAL_LANGUAGE_CODES[targetLanguage]
+        },
+        {
+          headers: { 'api-subscription-key': this.config.apiKey },
+          timeout: 20000
+        }
+      )
+    );
+    return response.data?.translated_text || null;
+  }
+}
+
+/**
+ * Offline engine driving a whisper.cpp-compatible command line binary.
+ * Translation to English uses the model's own translate task, so no text
+ * leaves the machine.
+ */
+class LocalWhisperProvider {
+  constructor(config = PROVIDER_CONFIG.local) {
+    this.name = 'local';
+    this.config = config;
+  }
+
+  isConfigured() {
+    return Boolean(
+      this.config.binary &&
+      this.config.model &&
+      fs.existsSync(this.config.binary) &&
+      fs.existsSync(this.config.model)
+    );
+  }
+
+  run(audioPath, language, translate) {
+    const args = [
+      '-m', this.config.model,
+      '-f', audioPath,
+      '-l', WHISPER_LANGUAGE_CODES[language] || language,
+      '-t', String(this.config.threads),
+      '-nt', // no timestamps
+      '-np' // print only the transcript
+    ];
+    if (translate) args.push('-tr');
+
+    return new Promise((resolve, reject) => {
+      execFile(this.config.binary, args, { timeout: this.config.timeoutMs, maxBuffer: 4 * 1024 * 1024 }, (error, stdout, stderr) => {
+        if (error) {
+          return reject(new Error(`Local transcription failed: ${error.killed ? 'timed out' : (stderr || error.message).trim()}`));
+        }
+        resolve(stdout.split('\n').map(line => line.trim()).filter(Boolean).join(' '));
+      });
+    });
+  }
+
+  async transcribe({ audioPath, language }) {
+    const transcription = await this.run(audioPath, language, false);
+    if (!transcription) {
+      throw new Error('Local engine returned an empty transcript');
+    }
+
+    const translation = language === 'en'
+      ? transcription
+      : await this.run(audioPath, language, true).catch(error => {
+        console.warn('⚠️ Local translation failed:', error.message);
+        return null;
+      });
+
+    return { transcription, translation: translation || null };
+  }
+}
+
+const PROVIDER_CLASSES = {
+  sarvam: SarvamProvider,
+  local: LocalWhisperProvider
+};
+
+module.exports = {
+  SarvamProvider,
+  LocalWhisperProvider,
+  PROVIDER_CLASSES
+};
@@ -0,0 +1,64 @@
+const { registry } = require('./metrics');
+const { logger } = require('./logger');
+const { METRICS } = require('../config/logging');
+
+/**
+ * Timing of calls to third-party APIs (Roboflow, Sarvam, Google Places,
+ * Hugging Face, ...), exported on /metrics and logged with the request ID
+ */
+
+const log = logger.child({ component: 'external-call' });
+
+const callDuration = registry.histogram(
+  'external_call_duration_seconds',
+  'Latency of calls to external APIs by service, operation and outcome',
+  { labelNames: ['service', 'operation', 'outcome'], buckets: METRICS.externalBuckets }
+);
+
+// service -> { lastSuccessAt, lastFailureAt, lastError }
+const callStatus = new Map();
+
+/**
+ * Run one external call, timing it and recording the outcome
+ * @param {string} service - e.g. 'roboflow', 'sarvam', 'google_places', 'huggingface'
+ * @param {string} operation - What the call does, e.g. 'nearby_search'
+ * @param {Function} call - () => Promise, the request itself
+ * @returns {Promise<*>} Whatever call resolves to; failures are rethrown
+ */
+async function trackExternalCall(service, operation, call) {
+  const stopTimer = callDuration.startTimer({ service, operation });
+  const status = callStatus.get(service) || {};
+  callStatus.set(service, status);
+
+  try {
+    const result = await call();
+    const seconds = stopTimer({ outcome: 'success' });
+    status.lastSuccessAt = new Date().toISOString();
+    log.debug('External call succeeded', { service, operation, durationMs: Math.round(seconds * 1000) });
+    return result;
+  } catch (error) {
+    const seconds = stopTimer({ outcome: 'error' });
+    status.lastFailureAt = new Date().toISOString();
+    status.lastError = error.response?.status ? `HTTP ${error.response.status}` : error.message;
+    log.warn('External call failed', {
+      service,
+      operation,
+      durationMs: Math.round(seconds * 1000),
+      status: error.response?.status,
+      error: error.message
+    });
+    throw error;
+  }
+}
+
+/**
+ * Last success and failure per external service since start-up
+ */
+function getExternalCallStatus() {
+  return Object.fromEntries([...callStatus.entries()].map(([service, status]) => [service, { ...status }]));
+}
+
+module.exports = {
+  trackExternalCall,
+  getExternalCallStatus
+};
@@ -0,0 +1,203 @@
+/**
+ * Geographic helpers shared by the nearby-complaint, duplicate-detection and
+ * ward boundary lookups
+ */
+
+const EARTH_RADIUS_KM = 6371;
+const METERS_PER_DEGREE_LAT = 111320;
+
+function deg2rad(deg) {
+  return deg * (Math.PI/180);
+}
+
+// Helper function to calculate distance between two points using Haversine formula
+function calculateDistance(lat1, lon1, lat2, lon2) {
+  const dLat = deg2rad(lat2 - lat1);
+  const dLon = deg2rad(lon2 - lon1);
+  const a =
+    Math.sin(dLat/2) * Math.sin(dLat/2) +
+    Math.cos(deg2rad(lat1)) * Math.cos(deg2rad(lat2)) *
+    Math.sin(dLon/2) * Math.sin(dLon/2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+  return EARTH_RADIUS_KM * c; // Distance in km
+}
+
+/**
+ * Bounding box that contains a circle, used to pre-filter rows before Haversine
+ * @returns {Object} { minLat, maxLat, minLng, maxLng }
+ */
+function getBoundingBox(latitude, longitude, radiusMeters) {
+  const latDelta = radiusMeters / METERS_PER_DEGREE_LAT;
+  const lngDelta = radiusMeters / (METERS_PER_DEGREE_LAT * Math.max(Math.cos(deg2rad(latitude)), 0.01));
+
+  return {
+    minLat: latitude - latDelta,
+    maxLat: latitude + latDelta,
+    minLng: longitude - lngDelta,
+    maxLng: longitude + lngDelta
+  };
+}
+
+/**
+ * Find complaints within a distance of a point, nearest first.
+ * Uses the find_complaints_within_distance database function when available
+ * and falls back to a bounding-box query plus Haversine filtering.
+ *
+ * @param {Object} client - Supabase-compatible client
+ * @param {Object} options
+ * @param {number} options.latitude - Origin latitude
+ * @param {number} options.longitude - Origin longitude
+ * @param {number} options.distanceMeters - Search radius in metres
+ * @param {number} options.limit - Maximum results
+ * @param {string} options.excludeId - Complaint ID to leave out
+ * @param {Function} options.applyFilters - Extra query filters for the fallback query
+ * @returns {Promise<Array>} Complaints with a distance field in metres
+ */
+async function findComplaintsWithinDistance(client, {
+  latitude,
+  longitude,
+  distanceMeters,
+  limit = 20,
+  excludeId = null,
+  applyFilters = null
+}) {
+  const originLat = parseFloat(latitude);
+  const originLng = parseFloat(longitude);
+  const radius = parseFloat(distanceMeters);
+  const maxResults = parseInt(limit);
+
+  // Extra filters can't be pushed into the database function, so go straight to the query
+  if (!applyFilters) {
+    const { data: rpcResults, error: rpcError } = await client.rpc(
+      'find_complaints_within_distance',
+      {
+        origin_lat: originLat,
+        origin_lng: originLng,
+        distance_meters: radius,
+        max_results: maxResults,
+        exclude_id: excludeId
+      }
+    );
+
+    if (!rpcError && rpcResults) {
+      return rpcResults;
+    }
+
+    console.log('RPC failed, using fallback query:', rpcError?.message);
+  }
+
+  const bbox = getBoundingBox(originLat, originLng, radius);
+  let query = client
+    .from('complaints')
+    .select('*')
+    .gte('location_latitude', bbox.minLat)
+    .lte('location_latitude', bbox.maxLat)
+    .gte('location_longitude', bbox.minLng)
+    .lte('location_longitude', bbox.maxLng);
+
+  if (excludeId) {
+    query = query.neq('id', excludeId);
+  }
+
+  if (applyFilters) {
+    query = applyFilters(query);
+  }
+
+  const { data: candidates, error: queryError } = await query;
+
+  if (queryError) {
+    throw new Error(queryError.message);
+  }
+
+  return (candidates || [])
+    .map(complaint => ({
+      ...complaint,
+      distance: calculateDistance(
+        originLat,
+        originLng,
+        complaint.location_latitude,
+        complaint.location_longitude
+      ) * 1000 // Convert km to meters
+    }))
+    .filter(complaint => complaint.distance <= radius)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, maxResults);
+}
+
+/**
+ * Parse a "minLng,minLat,maxLng,maxLat" bounding box query parameter
+ * @returns {Object|null} { minLat, maxLat, minLng, maxLng }, or null when malformed
+ */
+function parseBbox(value) {
+  const parts = String(value).split(',').map(Number);
+  if (parts.length !== 4 || parts.some(part => !Number.isFinite(part))) return null;
+
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (minLat > maxLat || minLng > maxLng || minLat < -90 || maxLat > 90 || minLng < -180 || maxLng > 180) {
+    return null;
+  }
+  return { minLat, maxLat, minLng, maxLng };
+}
+
+/**
+ * Polygons of a GeoJSON Polygon or MultiPolygon geometry, each as rings of [lng, lat]
+ */
+function getPolygons(geometry) {
+  if (!geometry) return [];
+  if (geometry.type === 'Polygon') return [geometry.coordinates];
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+  return [];
+}
+
+// Ray casting: whether the point is inside a closed ring of [lng, lat]
+function isInRing(latitude, longitude, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [lngI, latI] = ring[i];
+    const [lngJ, latJ] = ring[j];
+    if ((latI > latitude) !== (latJ > latitude) &&
+        longitude < ((lngJ - lngI) * (latitude - latI)) / (latJ - latI) + lngI) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Whether a point falls inside a GeoJSON Polygon or MultiPolygon (holes excluded)
+ */
+function isPointInGeometry(latitude, longitude, geometry) {
+  return getPolygons(geometry).some(([outer, ...holes]) =>
+    outer && isInRing(latitude, longitude, outer) &&
+    !holes.some(hole => isInRing(latitude, longitude, hole))
+  );
+}
+
+/**
+ * Bounding box of a GeoJSON Polygon or MultiPolygon, or null when it has no coordinates
+ * @returns {Object|null} { minLat, maxLat, minLng, maxLng }
+ */
+function getGeometryBounds(geometry) {
+  let bounds = null;
+  getPolygons(geometry).forEach(polygon => polygon.forEach(ring => ring.forEach(([lng, lat]) => {
+    if (!bounds) {
+      bounds = { minLat: lat, maxLat: lat, minLng: lng, maxLng: lng };
+      return;
+    }
+    bounds.minLat = Math.min(bounds.minLat, lat);
+    bounds.maxLat = Math.max(bounds.maxLat, lat);
+    bounds.minLng = Math.min(bounds.minLng, lng);
+    bounds.maxLng = Math.max(bounds.maxLng, lng);
+  })));
+  return bounds;
+}
+
+module.exports = {
+  calculateDistance,
+  deg2rad,
+  getBoundingBox,
+  findComplaintsWithinDistance,
+  parseBbox,
+  isPointInGeometry,
+  getGeometryBounds
+};
@@ -0,0 +1,113 @@
+/**
+ * Geohash encoding (https://en.wikipedia.org/wiki/Geohash) for bucketing
+ * nearby points into shared cache cells
+ */
+
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+/**
+ * Geohash of a point
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {number} precision - Number of characters (6 is about 1.2km x 0.6km)
+ */
+function encode(latitude, longitude, precision = 6) {
+  let latRange = [-90, 90];
+  let lngRange = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let bitCount = 0;
+  let evenBit = true;
+
+  while (hash.length < precision) {
+    const range = evenBit ? lngRange : latRange;
+    const value = evenBit ? longitude : latitude;
+    const mid = (range[0] + range[1]) / 2;
+
+    bits <<= 1;
+    if (value >= mid) {
+      bits |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+    evenBit = !evenBit;
+
+    if (++bitCount === 5) {
+      hash += BASE32[bits];
+      bits = 0;
+      bitCount = 0;
+    }
+  }
+
+  return hash;
+}
+
+/**
+ * Bounds of a geohash cell
+ * @returns {Object} { minLat, maxLat, minLng, maxLng }
+ */
+function decodeBounds(hash) {
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+  let evenBit = true;
+
+  for (const char of hash) {
+    const index = BASE32.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid geohash character: ${char}`);
+    }
+
+    for (let bit = 4; bit >= 0; bit--) {
+      const range = evenBit ? lngRange : latRange;
+      const mid = (range[0] + range[1]) / 2;
+      if ((index >> bit) & 1) {
+        range[0] = mid;
+      } else {
+        range[1] = mid;
+      }
+      evenBit = !evenBit;
+    }
+  }
+
+  return { minLat: latRange[0], maxLat: latRange[1], minLng: lngRange[0], maxLng: lngRange[1] };
+}
+
+/**
+ * Centre point of a geohash cell
+ * @returns {Object} { latitude, longitude }
+ */
+function decodeCenter(hash) {
+  const bounds = decodeBounds(hash);
+  return {
+    latitude: (bounds.minLat + bounds.maxLat) / 2,
+    longitude: (bounds.minLng + bounds.maxLng) / 2
+  };
+}
+
+/**
+ * Every cell at a precision that overlaps a bounding box, west to east and
+ * south to north
+ * @param {Object} box - { minLat, maxLat, minLng, maxLng }
+ */
+function cellsInBoundingBox(box, precision = 6) {
+  const sample = decodeBounds(encode(box.minLat, box.minLng, precision));
+  const latStep = sample.maxLat - sample.minLat;
+  const lngStep = sample.maxLng - sample.minLng;
+  const cells = [];
+
+  for (let lat = sample.minLat + latStep / 2; lat - latStep / 2 <= box.maxLat; lat += latStep) {
+    for (let lng = sample.minLng + lngStep / 2; lng - lngStep / 2 <= box.maxLng; lng += lngStep) {
+      cells.push(encode(lat, lng, precision));
+    }
+  }
+
+  return cells;
+}
+
+module.exports = {
+  encode,
+  decodeBounds,
+  decodeCenter,
+  cellsInBoundingBox
+};
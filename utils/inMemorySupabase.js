@@ -0,0 +1,730 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * In-memory stand-in for the Supabase JS client
+ *
+ * Implements the subset of the PostgREST query builder used by the routes and
+ * services (select/insert/update/upsert/delete, filters, full-text search, ordering, ranges,
+ * single rows, counts and simple embedded relations) on plain JS arrays, so the
+ * API can run offline and under Jest without a Supabase project.
+ */
+
+// Column defaults applied on insert, mirroring the database schema defaults
+const TABLE_DEFAULTS = {
+  complaints: { status: 'pending', vote_count: 0 },
+  users: { is_active: true, user_type: 'citizen' }
+};
+
+// Generated tsvector columns and the text columns each one indexes
+// (see database/complaint_search.sql)
+const TEXT_SEARCH_COLUMNS = {
+  complaints: { search_vector: ['title', 'description', 'location_address'] }
+};
+
+const NO_ROWS_ERROR = {
+  code: 'PGRST116',
+  message: 'JSON object requested, multiple (or no) rows returned',
+  details: 'The result contains 0 rows'
+};
+
+const MULTIPLE_ROWS_ERROR = {
+  code: 'PGRST116',
+  message: 'JSON object requested, multiple (or no) rows returned',
+  details: 'The result contains multiple rows'
+};
+
+/**
+ * Split a string on commas that are not nested inside parentheses
+ */
+function splitTopLevel(input) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of input) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (current.length > 0) parts.push(current);
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a PostgREST select string into plain columns and embedded relations
+ */
+function parseSelect(columns) {
+  const cleaned = (columns || '*').replace(/\s+/g, '');
+  const fields = [];
+
+  splitTopLevel(cleaned).forEach(token => {
+    const embedMatch = token.match(/^(?:([\w]+):)?([\w]+)(?:!([\w]+))?\((.*)\)$/);
+    if (embedMatch) {
+      const [, alias, relation, hint, inner] = embedMatch;
+      fields.push({
+        type: 'embed',
+        alias: alias || relation,
+        relation,
+        hint,
+        columns: inner
+      });
+      return;
+    }
+
+    const aliasMatch = token.match(/^([\w]+):([\w]+)$/);
+    if (aliasMatch) {
+      fields.push({ type: 'column', alias: aliasMatch[1], column: aliasMatch[2] });
+      return;
+    }
+
+    fields.push({ type: 'column', alias: token, column: token });
+  });
+
+  return fields;
+}
+
+function singularize(tableName) {
+  return tableName.endsWith('s') ? tableName.slice(0, -1) : tableName;
+}
+
+function pluralize(name) {
+  return name.endsWith('s') ? name : `${name}s`;
+}
+
+function likeToRegex(pattern, caseInsensitive) {
+  const escaped = String(pattern)
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/%/g, '.*')
+    .replace(/_/g, '.');
+  return new RegExp(`^${escaped}$`, caseInsensitive ? 'is' : 's');
+}
+
+/**
+ * Coerce a filter value to the type of the stored value so query-string
+ * parameters ("5", "true") compare the way Postgres would compare them
+ */
+function coerce(rowValue, filterValue) {
+  if (typeof rowValue === 'number' && typeof filterValue === 'string' && filterValue.trim() !== '' && !isNaN(filterValue)) {
+    return Number(filterValue);
+  }
+  if (typeof rowValue === 'boolean' && (filterValue === 'true' || filterValue === 'false')) {
+    return filterValue === 'true';
+  }
+  return filterValue;
+}
+
+function compareValues(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b));
+}
+
+function parseLiteral(value) {
+  if (/^".*"$/.test(value)) return value.slice(1, -1);
+  if (value === 'null') return null;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return value;
+}
+
+function parseList(value) {
+  if (Array.isArray(value)) return value;
+  return String(value)
+    .replace(/^\(/, '')
+    .replace(/\)$/, '')
+    .split(',')
+    .map(item => item.trim().replace(/^"(.*)"$/, '$1'));
+}
+
+/**
+ * Build a row predicate for a single PostgREST operator
+ */
+function buildPredicate(column, operator, value) {
+  switch (operator) {
+    case 'eq':
+      return row => row[column] !== null && row[column] !== undefined &&
+        row[column] === coerce(row[column], value);
+    case 'neq':
+      return row => row[column] !== null && row[column] !== undefined &&
+        row[column] !== coerce(row[column], value);
+    case 'gt':
+      return row => row[column] != null && compareValues(row[column], coerce(row[column], value)) > 0;
+    case 'gte':
+      return row => row[column] != null && compareValues(row[column], coerce(row[column], value)) >= 0;
+    case 'lt':
+      return row => row[column] != null && compareValues(row[column], coerce(row[column], value)) < 0;
+    case 'lte':
+      return row => row[column] != null && compareValues(row[column], coerce(row[column], value)) <= 0;
+    case 'like':
+      return row => row[column] != null && likeToRegex(value, false).test(String(row[column]));
+    case 'ilike':
+      return row => row[column] != null && likeToRegex(value, true).test(String(row[column]));
+    case 'is': {
+      const literal = typeof value === 'string' ? parseLiteral(value) : value;
+      return row => (literal === null ? row[column] == null : row[column] === literal);
+    }
+    case 'in': {
+      const list = parseList(value);
+      return row => row[column] != null && list.some(item => row[column] === coerce(row[column], item));
+    }
+    case 'contains': {
+      const list = parseList(value);
+      return row => Array.isArray(row[column]) && list.every(item => row[column].includes(item));
+    }
+    default:
+      throw new Error(`Unsupported filter operator in memory backend: ${operator}`);
+  }
+}
+
+/**
+ * Lowercased words, as the 'simple' text search configuration produces them
+ */
+function tokenize(text) {
+  return String(text || '').normalize('NFC').toLowerCase().match(/[\p{L}\p{M}\p{N}]+/gu) || [];
+}
+
+/**
+ * Row predicate for textSearch over the given text columns. 'websearch'
+ * queries support "quoted phrases", -exclusions and OR; other types AND
+ * every word. Words match whole tokens, without stemming.
+ */
+function buildTextSearchPredicate(sourceColumns, query, type) {
+  const groups = [[]];
+
+  if (type === 'websearch') {
+    const pattern = /(-?)"([^"]*)"|(-?)(\S+)/g;
+    let match;
+    while ((match = pattern.exec(query)) !== null) {
+      const [, phraseNegation, phrase, wordNegation, word] = match;
+      if (phrase === undefined && word.toLowerCase() === 'or') {
+        groups.push([]);
+        continue;
+      }
+      const terms = tokenize(phrase ?? word);
+      if (terms.length > 0) {
+        groups[groups.length - 1].push({ terms, negate: Boolean(phraseNegation || wordNegation) });
+      }
+    }
+  } else {
+    tokenize(query).forEach(term => groups[0].push({ terms: [term], negate: false }));
+  }
+
+  const clauses = groups.filter(group => group.length > 0);
+  const containsPhrase = (tokens, terms) => tokens.some((token, index) =>
+    terms.every((term, offset) => tokens[index + offset] === term)
+  );
+
+  return row => {
+    const tokens = tokenize(sourceColumns.map(column => row[column]).filter(Boolean).join(' '));
+    return clauses.some(group => group.every(({ terms, negate }) => containsPhrase(tokens, terms) !== negate));
+  };
+}
+
+/**
+ * Parse "column.operator.value", "column.not.operator.value" or
+ * "not.column.operator.value" filter expressions, and nested and()/or()
+ * groups, used by .or() and .filter()
+ */
+function parseFilterExpression(expression) {
+  const groupMatch = expression.match(/^(and|or)\((.*)\)$/);
+  if (groupMatch) {
+    const predicates = splitTopLevel(groupMatch[2]).map(parseFilterExpression);
+    return groupMatch[1] === 'and'
+      ? row => predicates.every(predicate => predicate(row))
+      : row => predicates.some(predicate => predicate(row));
+  }
+
+  let negated = expression.startsWith('not.');
+  let body = negated ? expression.slice(4) : expression;
+  const firstDot = body.indexOf('.');
+  const column = body.slice(0, firstDot);
+  body = body.slice(firstDot + 1);
+  if (body.startsWith('not.')) {
+    negated = true;
+    body = body.slice(4);
+  }
+  const operatorDot = body.indexOf('.');
+  const operator = body.slice(0, operatorDot);
+  const value = parseLiteral(body.slice(operatorDot + 1));
+  const predicate = buildPredicate(column, operator, value);
+
+  return negated ? row => !predicate(row) : predicate;
+}
+
+class InMemoryQueryBuilder {
+  constructor(client, table) {
+    this.client = client;
+    this.table = table;
+    this.action = 'select';
+    this.columns = '*';
+    this.returning = false;
+    this.filters = [];
+    this.orders = [];
+    this.rangeFrom = null;
+    this.rangeTo = null;
+    this.limitCount = null;
+    this.countMode = null;
+    this.headOnly = false;
+    this.singleMode = null;
+    this.payload = null;
+    this.upsertOptions = {};
+  }
+
+  select(columns = '*', options = {}) {
+    if (this.action === 'select') {
+      this.columns = columns;
+      this.countMode = options.count || null;
+      this.headOnly = Boolean(options.head);
+    } else {
+      // .select() after a mutation asks for the affected rows back
+      this.returning = true;
+      this.columns = columns;
+    }
+    return this;
+  }
+
+  insert(rows) {
+    this.action = 'insert';
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    return this;
+  }
+
+  upsert(rows, options = {}) {
+    this.action = 'upsert';
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    this.upsertOptions = options;
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.payload = values;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  eq(column, value) { return this.addFilter(buildPredicate(column, 'eq', value)); }
+  neq(column, value) { return this.addFilter(buildPredicate(column, 'neq', value)); }
+  gt(column, value) { return this.addFilter(buildPredicate(column, 'gt', value)); }
+  gte(column, value) { return this.addFilter(buildPredicate(column, 'gte', value)); }
+  lt(column, value) { return this.addFilter(buildPredicate(column, 'lt', value)); }
+  lte(column, value) { return this.addFilter(buildPredicate(column, 'lte', value)); }
+  like(column, value) { return this.addFilter(buildPredicate(column, 'like', value)); }
+  ilike(column, value) { return this.addFilter(buildPredicate(column, 'ilike', value)); }
+  is(column, value) { return this.addFilter(buildPredicate(column, 'is', value)); }
+  in(column, values) { return this.addFilter(buildPredicate(column, 'in', values)); }
+  contains(column, values) { return this.addFilter(buildPredicate(column, 'contains', values)); }
+
+  /**
+   * Full-text filter on a generated tsvector column (TEXT_SEARCH_COLUMNS)
+   */
+  textSearch(column, query, options = {}) {
+    const sourceColumns = TEXT_SEARCH_COLUMNS[this.table]?.[column];
+    if (!sourceColumns) {
+      return this.addFilter(() => {
+        throw new Error(`Unsupported text search column in memory backend: ${this.table}.${column}`);
+      });
+    }
+    return this.addFilter(buildTextSearchPredicate(sourceColumns, query, options.type));
+  }
+
+  not(column, operator, value) {
+    const predicate = buildPredicate(column, operator, value);
+    return this.addFilter(row => !predicate(row));
+  }
+
+  filter(column, operator, value) {
+    if (operator.startsWith('not.')) {
+      return this.not(column, operator.slice(4), value);
+    }
+    return this.addFilter(buildPredicate(column, operator, value));
+  }
+
+  match(query) {
+    Object.entries(query).forEach(([column, value]) => this.eq(column, value));
+    return this;
+  }
+
+  or(expression) {
+    const predicates = splitTopLevel(expression).map(parseFilterExpression);
+    return this.addFilter(row => predicates.some(predicate => predicate(row)));
+  }
+
+  addFilter(predicate) {
+    this.filters.push(predicate);
+    return this;
+  }
+
+  order(column, options = {}) {
+    const ascending = options.ascending !== false;
+    this.orders.push({
+      column,
+      ascending,
+      nullsFirst: options.nullsFirst !== undefined ? options.nullsFirst : !ascending
+    });
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = parseInt(count);
+    return this;
+  }
+
+  range(from, to) {
+    this.rangeFrom = parseInt(from);
+    this.rangeTo = parseInt(to);
+    return this;
+  }
+
+  single() {
+    this.singleMode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleMode = 'maybeSingle';
+    return this;
+  }
+
+  then(onFulfilled, onRejected) {
+    return Promise.resolve()
+      .then(() => this.execute())
+      .then(onFulfilled, onRejected);
+  }
+
+  matches(row) {
+    return this.filters.every(predicate => predicate(row));
+  }
+
+  execute() {
+    try {
+      let rows;
+      let count = null;
+
+      if (this.action === 'insert') {
+        rows = this.client.insertRows(this.table, this.payload);
+      } else if (this.action === 'upsert') {
+        rows = this.client.upsertRows(this.table, this.payload, this.upsertOptions.onConflict || 'id');
+      } else if (this.action === 'update') {
+        rows = this.client.updateRows(this.table, row => this.matches(row), this.payload);
+      } else if (this.action === 'delete') {
+        rows = this.client.deleteRows(this.table, row => this.matches(row));
+      } else {
+        rows = this.client.getTable(this.table).filter(row => this.matches(row));
+        count = this.countMode ? rows.length : null;
+        rows = this.applyOrdering(rows);
+        rows = this.applyPaging(rows);
+      }
+
+      if (this.action !== 'select' && !this.returning) {
+        return { data: null, error: null, count: null, status: 204 };
+      }
+
+      if (this.headOnly) {
+        return { data: null, error: null, count, status: 200 };
+      }
+
+      const shaped = rows.map(row => this.client.projectRow(this.table, row, this.columns));
+      return this.finalize(shaped, count);
+    } catch (error) {
+      return {
+        data: null,
+        error: { code: error.code || 'MEMORY_BACKEND_ERROR', message: error.message },
+        count: null,
+        status: 400
+      };
+    }
+  }
+
+  applyOrdering(rows) {
+    if (this.orders.length === 0) return rows;
+
+    return [...rows].sort((a, b) => {
+      for (const { column, ascending, nullsFirst } of this.orders) {
+        const aValue = a[column];
+        const bValue = b[column];
+        if (aValue == null && bValue == null) continue;
+        if (aValue == null) return nullsFirst ? -1 : 1;
+        if (bValue == null) return nullsFirst ? 1 : -1;
+        const result = compareValues(aValue, bValue);
+        if (result !== 0) return ascending ? result : -result;
+      }
+      return 0;
+    });
+  }
+
+  applyPaging(rows) {
+    let paged = rows;
+    if (this.rangeFrom !== null) {
+      paged = paged.slice(this.rangeFrom, this.rangeTo + 1);
+    }
+    if (this.limitCount !== null) {
+      paged = paged.slice(0, this.limitCount);
+    }
+    return paged;
+  }
+
+  finalize(rows, count) {
+    if (!this.singleMode) {
+      return { data: rows, error: null, count, status: 200 };
+    }
+
+    if (rows.length === 1) {
+      return { data: rows[0], error: null, count, status: 200 };
+    }
+
+    if (rows.length === 0 && this.singleMode === 'maybeSingle') {
+      return { data: null, error: null, count, status: 200 };
+    }
+
+    return {
+      data: null,
+      error: rows.length === 0 ? NO_ROWS_ERROR : MULTIPLE_ROWS_ERROR,
+      count,
+      status: 406
+    };
+  }
+}
+
+class InMemorySupabaseClient {
+  /**
+   * @param {Object} options
+   * @param {Object} options.seed - Initial rows keyed by table name
+   * @param {string} options.persistPath - Optional JSON file to load from and save to
+   */
+  constructor(options = {}) {
+    this.tables = {};
+    this.rpcHandlers = {};
+    this.persistPath = options.persistPath || null;
+
+    if (this.persistPath && fs.existsSync(this.persistPath)) {
+      this.load(JSON.parse(fs.readFileSync(this.persistPath, 'utf8')));
+    } else if (options.seed) {
+      this.load(options.seed);
+    }
+  }
+
+  from(table) {
+    return new InMemoryQueryBuilder(this, table);
+  }
+
+  /**
+   * Call a registered stand-in for a Postgres function; unknown functions
+   * fail the same way PostgREST does so callers take their fallback path
+   */
+  rpc(name, params = {}) {
+    const handler = this.rpcHandlers[name];
+
+    if (!handler) {
+      return Promise.resolve({
+        data: null,
+        error: {
+          code: 'PGRST202',
+          message: `Could not find the function public.${name} in the schema cache`
+        }
+      });
+    }
+
+    return Promise.resolve()
+      .then(() => handler(params, this))
+      .then(
+        data => ({ data, error: null }),
+        error => ({ data: null, error: { code: 'P0001', message: error.message } })
+      );
+  }
+
+  registerRpc(name, handler) {
+    this.rpcHandlers[name] = handler;
+  }
+
+  getTable(table) {
+    if (!this.tables[table]) {
+      this.tables[table] = [];
+    }
+    return this.tables[table];
+  }
+
+  load(snapshot) {
+    this.tables = {};
+    Object.entries(snapshot || {}).forEach(([table, rows]) => {
+      this.tables[table] = (rows || []).map(row => this.withDefaults(table, row));
+    });
+  }
+
+  reset(snapshot = {}) {
+    this.load(snapshot);
+    this.persist();
+  }
+
+  dump() {
+    return JSON.parse(JSON.stringify(this.tables));
+  }
+
+  persist() {
+    if (!this.persistPath) return;
+    fs.mkdirSync(path.dirname(this.persistPath), { recursive: true });
+    fs.writeFileSync(this.persistPath, JSON.stringify(this.tables, null, 2));
+  }
+
+  withDefaults(table, row) {
+    const now = new Date().toISOString();
+    return {
+      id: crypto.randomUUID(),
+      created_at: now,
+      ...(TABLE_DEFAULTS[table] || {}),
+      ...row
+    };
+  }
+
+  insertRows(table, rows) {
+    const tableRows = this.getTable(table);
+    const inserted = rows.map(row => this.withDefaults(table, row));
+
+    inserted.forEach(row => {
+      if (tableRows.some(existing => existing.id === row.id)) {
+        const error = new Error(`duplicate key value violates unique constraint "${table}_pkey"`);
+        error.code = '23505';
+        throw error;
+      }
+    });
+
+    tableRows.push(...inserted);
+    this.persist();
+    return inserted;
+  }
+
+  upsertRows(table, rows, onConflict) {
+    const tableRows = this.getTable(table);
+    const keys = onConflict.split(',').map(key => key.trim());
+
+    const result = rows.map(row => {
+      const existing = tableRows.find(candidate =>
+        keys.every(key => row[key] !== undefined && candidate[key] === row[key])
+      );
+      if (existing) {
+        Object.assign(existing, row);
+        return existing;
+      }
+      const inserted = this.withDefaults(table, row);
+      tableRows.push(inserted);
+      return inserted;
+    });
+
+    this.persist();
+    return result;
+  }
+
+  updateRows(table, predicate, values) {
+    const updated = this.getTable(table).filter(predicate);
+    updated.forEach(row => Object.assign(row, values));
+    if (updated.length > 0) this.persist();
+    return updated;
+  }
+
+  deleteRows(table, predicate) {
+    const tableRows = this.getTable(table);
+    const deleted = tableRows.filter(predicate);
+    this.tables[table] = tableRows.filter(row => !deleted.includes(row));
+    if (deleted.length > 0) this.persist();
+    return deleted;
+  }
+
+  /**
+   * Apply a select string to a stored row, resolving embedded relations
+   */
+  projectRow(table, row, columns) {
+    const fields = parseSelect(columns);
+    const result = {};
+
+    fields.forEach(field => {
+      if (field.type === 'column') {
+        if (field.column === '*') {
+          Object.assign(result, row);
+        } else {
+          result[field.alias] = row[field.column] === undefined ? null : row[field.column];
+        }
+        return;
+      }
+
+      result[field.alias] = this.resolveEmbed(table, row, field);
+    });
+
+    return JSON.parse(JSON.stringify(result));
+  }
+
+  resolveEmbed(table, row, field) {
+    const { relation, hint, columns } = field;
+
+    // users:user_id (...) - embedding through a foreign key column
+    if (Object.prototype.hasOwnProperty.call(row, relation) && relation.endsWith('_id')) {
+      const target = pluralize(relation.slice(0, -3));
+      return this.findParent(target, row[relation], columns);
+    }
+
+    // users!complaints_user_id_fkey (...) - embedding through a named constraint
+    if (hint && hint.startsWith(`${table}_`) && hint.endsWith('_fkey')) {
+      const fkColumn = hint.slice(table.length + 1, -'_fkey'.length);
+      return this.findParent(relation, row[fkColumn], columns);
+    }
+
+    // users (...) where the row carries user_id - many-to-one
+    const fkColumn = `${singularize(relation)}_id`;
+    if (Object.prototype.hasOwnProperty.call(row, fkColumn)) {
+      return this.findParent(relation, row[fkColumn], columns);
+    }
+
+    // complaint_updates (...) from complaints - one-to-many
+    const backReference = `${singularize(table)}_id`;
+    return this.getTable(relation)
+      .filter(child => child[backReference] === row.id)
+      .map(child => this.projectRow(relation, child, columns));
+  }
+
+  findParent(table, id, columns) {
+    if (id == null) return null;
+    const parent = this.getTable(table).find(candidate => candidate.id === id);
+    return parent ? this.projectRow(table, parent, columns) : null;
+  }
+}
+
+/**
+ * Create an in-memory client, optionally seeded from a JSON file
+ * @param {Object} options
+ * @param {string} options.seedPath - JSON file with initial rows keyed by table
+ * @param {Object} options.seed - Initial rows keyed by table (takes precedence)
+ * @param {string} options.persistPath - JSON file to persist every write to
+ */
+function createInMemoryClient(options = {}) {
+  let seed = options.seed;
+
+  if (!seed && options.seedPath) {
+    const resolvedSeedPath = path.resolve(options.seedPath);
+    if (fs.existsSync(resolvedSeedPath)) {
+      seed = JSON.parse(fs.readFileSync(resolvedSeedPath, 'utf8'));
+    } else {
+      console.warn(`⚠️ Memory backend seed file not found: ${resolvedSeedPath}`);
+    }
+  }
+
+  return new InMemorySupabaseClient({
+    seed,
+    persistPath: options.persistPath ? path.resolve(options.persistPath) : null
+  });
+}
+
+module.exports = {
+  InMemorySupabaseClient,
+  createInMemoryClient,
+  TABLE_DEFAULTS
+};
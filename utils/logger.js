@@ -0,0 +1,177 @@
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+const { LEVELS, LEVEL, FORMAT, REDACTION } = require('../config/logging');
+
+/**
+ * Structured logger
+ * Writes one JSON object per entry with time, level, message, the current
+ * request's ID (see middleware/requestContext.js) and any fields passed in,
+ * after redacting credentials and phone numbers.
+ *
+ *   const logger = require('../utils/logger').logger.child({ service: 'VoteService' });
+ *   logger.info('Vote recorded', { complaintId });
+ */
+
+// Request-scoped context ({ requestId, ... }) for everything a request calls
+const requestContext = new AsyncLocalStorage();
+
+// Original console methods, kept so the logger can still write after captureConsole()
+const originalConsole = {
+  log: console.log,
+  info: console.info,
+  warn: console.warn,
+  error: console.error,
+  debug: console.debug
+};
+
+const MAX_DEPTH = 6;
+
+/**
+ * Whether a field or parameter name holds a secret. camelCase names are split
+ * into segments first, so the patterns only need to handle - and _.
+ */
+function isSecretKey(key, pattern = REDACTION.keys) {
+  return pattern.test(key.replace(/([a-z0-9])([A-Z])/g, '$1_$2'));
+}
+
+function redactInline(value) {
+  return value.replace(REDACTION.inlinePattern, (match, prefix, keyQuote, key, quote, inner) => (isSecretKey(key)
+    ? `${prefix}${quote}${REDACTION.placeholder}${quote}`
+    // Secrets can still be nested inside the quoted value
+    : `${prefix}${quote}${redactInline(inner)}${quote}`));
+}
+
+function redactString(value) {
+  const redacted = value
+    .replace(REDACTION.bearerPattern, `$1 ${REDACTION.placeholder}`)
+    .replace(REDACTION.queryPattern, (match, prefix, name) => (isSecretKey(name, REDACTION.queryKeys)
+      ? `${prefix}${REDACTION.placeholder}`
+      : match));
+  return redactInline(redacted)
+    .replace(REDACTION.phonePattern, match => `${REDACTION.placeholder}${match.slice(-2)}`);
+}
+
+/**
+ * Copy of a value with secrets and phone numbers replaced, safe to serialize
+ */
+function redact(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object') {
+    return typeof value === 'bigint' ? value.toString() : value;
+  }
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+  if (value instanceof Error) {
+    return redact({ name: value.name, message: value.message, code: value.code, stack: value.stack }, depth, seen);
+  }
+  if (seen.has(value)) return '[Circular]';
+  if (depth >= MAX_DEPTH) return '[Object]';
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1, seen));
+  }
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (isSecretKey(key) && item !== null && item !== undefined && item !== '') {
+      copy[key] = REDACTION.placeholder;
+    } else if (REDACTION.phoneKeys.test(key) && (typeof item === 'string' || typeof item === 'number')) {
+      copy[key] = `${REDACTION.placeholder}${String(item).slice(-2)}`;
+    } else {
+      copy[key] = redact(item, depth + 1, seen);
+    }
+  }
+  return copy;
+}
+
+class Logger {
+  constructor(bindings = {}, options = {}) {
+    this.bindings = bindings;
+    this.level = options.level || LEVEL;
+    this.format = options.format || FORMAT;
+  }
+
+  /**
+   * Logger that adds the given fields to every entry
+   */
+  child(bindings) {
+    return new Logger({ ...this.bindings, ...bindings }, { level: this.level, format: this.format });
+  }
+
+  isLevelEnabled(level) {
+    return LEVELS[level] <= LEVELS[this.level];
+  }
+
+  write(level, message, fields = {}) {
+    if (!this.isLevelEnabled(level)) return;
+
+    const context = requestContext.getStore();
+    const entry = redact({
+      time: new Date().toISOString(),
+      level,
+      msg: message,
+      ...(context?.requestId && { requestId: context.requestId }),
+      ...this.bindings,
+      ...(fields instanceof Error ? { err: fields } : fields)
+    });
+
+    const stream = level === 'error' ? process.stderr : process.stdout;
+    if (this.format === 'pretty') {
+      const { time, level: entryLevel, msg, requestId, ...rest } = entry;
+      const extra = Object.keys(rest).length > 0 ? ` ${util.inspect(rest, { depth: 4, breakLength: Infinity })}` : '';
+      stream.write(`${time} ${entryLevel.toUpperCase().padEnd(5)} ${requestId ? `[${requestId}] ` : ''}${msg}${extra}\n`);
+    } else {
+      stream.write(`${JSON.stringify(entry)}\n`);
+    }
+  }
+
+  error(message, fields) { this.write('error', message, fields); }
+  warn(message, fields) { this.write('warn', message, fields); }
+  info(message, fields) { this.write('info', message, fields); }
+  debug(message, fields) { this.write('debug', message, fields); }
+}
+
+const logger = new Logger();
+
+/**
+ * Route console.log/info/warn/error/debug through the logger, so existing
+ * console output is written as structured entries with the request ID.
+ * Objects passed to console are redacted before being formatted.
+ */
+function captureConsole(target = logger.child({ source: 'console' })) {
+  const forward = level => (...args) => {
+    const message = util.formatWithOptions(
+      { depth: 4, breakLength: Infinity },
+      ...args.map(arg => (typeof arg === 'object' && arg !== null ? redact(arg) : arg))
+    );
+    target.write(level, message);
+  };
+
+  console.log = forward('info');
+  console.info = forward('info');
+  console.warn = forward('warn');
+  console.error = forward('error');
+  console.debug = forward('debug');
+}
+
+function restoreConsole() {
+  Object.assign(console, originalConsole);
+}
+
+/**
+ * Request ID of the request being handled, if any
+ */
+function getRequestId() {
+  return requestContext.getStore()?.requestId || null;
+}
+
+module.exports = {
+  logger,
+  Logger,
+  requestContext,
+  getRequestId,
+  captureConsole,
+  restoreConsole,
+  redact
+};
@@ -0,0 +1,241 @@
+/**
+ * Web Mercator projection and point binning for the heat map.
+ * Positions are world pixels at a zoom level (256px tiles), so bin sizes are
+ * constant on screen. Points need latitude, longitude and weight.
+ */
+
+const TILE_SIZE = 256;
+const MAX_LATITUDE = 85.05112878;
+const SQRT3 = Math.sqrt(3);
+
+/**
+ * World pixel position of a coordinate at a zoom level
+ * @returns {Object} { x, y }
+ */
+function project(latitude, longitude, zoom) {
+  const scale = TILE_SIZE * 2 ** zoom;
+  const lat = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, latitude));
+  const sin = Math.sin((lat * Math.PI) / 180);
+  return {
+    x: ((longitude + 180) / 360) * scale,
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale
+  };
+}
+
+/**
+ * Coordinate of a world pixel position at a zoom level
+ * @returns {Object} { latitude, longitude }
+ */
+function unproject(x, y, zoom) {
+  const scale = TILE_SIZE * 2 ** zoom;
+  const n = Math.PI - (2 * Math.PI * y) / scale;
+  return {
+    latitude: (180 / Math.PI) * Math.atan(Math.sinh(n)),
+    longitude: (x / scale) * 360 - 180
+  };
+}
+
+function isValidTile(z, x, y, maxZoom) {
+  const size = 2 ** z;
+  return [z, x, y].every(Number.isInteger) && z >= 0 && z <= maxZoom &&
+    x >= 0 && x < size && y >= 0 && y < size;
+}
+
+/**
+ * Bounding box of tile z/x/y, widened by bufferPx on each side
+ * @returns {Object} { minLat, maxLat, minLng, maxLng }
+ */
+function getTileBounds(z, x, y, bufferPx = 0) {
+  const northWest = unproject(x * TILE_SIZE - bufferPx, y * TILE_SIZE - bufferPx, z);
+  const southEast = unproject((x + 1) * TILE_SIZE + bufferPx, (y + 1) * TILE_SIZE + bufferPx, z);
+  return {
+    minLat: Math.max(-MAX_LATITUDE, southEast.latitude),
+    maxLat: Math.min(MAX_LATITUDE, northWest.latitude),
+    minLng: Math.max(-180, northWest.longitude),
+    maxLng: Math.min(180, southEast.longitude)
+  };
+}
+
+const toRing = (corners, zoom) => {
+  const ring = corners.map(([x, y]) => {
+    const { latitude, longitude } = unproject(x, y, zoom);
+    return [longitude, latitude];
+  });
+  return [...ring, ring[0]];
+};
+
+/**
+ * Weighted mean position of a bin's points
+ */
+function getCentroid(members) {
+  const totalWeight = members.reduce((sum, member) => sum + (member.point.weight || 1), 0);
+  const x = members.reduce((sum, member) => sum + member.x * (member.point.weight || 1), 0) / totalWeight;
+  const y = members.reduce((sum, member) => sum + member.y * (member.point.weight || 1), 0) / totalWeight;
+  return { x, y };
+}
+
+/**
+ * Group projected points by a cell key
+ * @returns {Map} key -> { members, cell } where cell is the value of cellOf
+ */
+function groupByCell(points, zoom, cellOf) {
+  const bins = new Map();
+  points.forEach(point => {
+    const position = project(point.latitude, point.longitude, zoom);
+    const cell = cellOf(position);
+    if (!bins.has(cell.key)) {
+      bins.set(cell.key, { cell, members: [] });
+    }
+    bins.get(cell.key).members.push({ point, ...position });
+  });
+  return bins;
+}
+
+/**
+ * Square cells of cellSize pixels
+ * @returns {Array} [{ key, column, row, points, center, centroid, corners, polygon }]
+ *   with pixel positions and corners, and polygon as a closed [lng, lat] ring
+ */
+function gridBins(points, zoom, cellSize) {
+  const bins = groupByCell(points, zoom, ({ x, y }) => {
+    const column = Math.floor(x / cellSize);
+    const row = Math.floor(y / cellSize);
+    return { key: `g${zoom}:${column}:${row}`, column, row };
+  });
+
+  return [...bins.values()].map(({ cell, members }) => {
+    const x0 = cell.column * cellSize;
+    const y0 = cell.row * cellSize;
+    const x1 = x0 + cellSize;
+    const y1 = y0 + cellSize;
+    return {
+      key: cell.key,
+      column: cell.column,
+      row: cell.row,
+      points: members.map(member => member.point),
+      center: { x: x0 + cellSize / 2, y: y0 + cellSize / 2 },
+      centroid: getCentroid(members),
+      corners: [[x0, y0], [x1, y0], [x1, y1], [x0, y1]],
+      polygon: toRing([[x0, y0], [x1, y0], [x1, y1], [x0, y1]], zoom)
+    };
+  });
+}
+
+// Nearest pointy-top hexagon (axial q, r) to a pixel position
+function hexRound(x, y, radius) {
+  const q = ((SQRT3 / 3) * x - y / 3) / radius;
+  const r = ((2 / 3) * y) / radius;
+  const s = -q - r;
+
+  let roundQ = Math.round(q);
+  let roundR = Math.round(r);
+  const roundS = Math.round(s);
+  const dq = Math.abs(roundQ - q);
+  const dr = Math.abs(roundR - r);
+  const ds = Math.abs(roundS - s);
+
+  if (dq > dr && dq > ds) roundQ = -roundR - roundS;
+  else if (dr > ds) roundR = -roundQ - roundS;
+
+  return { q: roundQ, r: roundR };
+}
+
+/**
+ * Pointy-top hexagons with the given centre-to-corner radius in pixels
+ * @returns {Array} [{ key, points, center, centroid, corners, polygon }]
+ */
+function hexBins(points, zoom, radius) {
+  const bins = groupByCell(points, zoom, ({ x, y }) => {
+    const { q, r } = hexRound(x, y, radius);
+    return { key: `h${zoom}:${q}:${r}`, q, r };
+  });
+
+  return [...bins.values()].map(({ cell, members }) => {
+    const center = {
+      x: radius * (SQRT3 * cell.q + (SQRT3 / 2) * cell.r),
+      y: radius * 1.5 * cell.r
+    };
+    const corners = [0, 1, 2, 3, 4, 5].map(i => {
+      const angle = (Math.PI / 180) * (60 * i - 30);
+      return [center.x + radius * Math.cos(angle), center.y + radius * Math.sin(angle)];
+    });
+    return {
+      key: cell.key,
+      points: members.map(member => member.point),
+      center,
+      centroid: getCentroid(members),
+      corners,
+      polygon: toRing(corners, zoom)
+    };
+  });
+}
+
+/**
+ * Greedy marker clustering: the heaviest unclustered point collects every
+ * unclustered point within radius pixels, then the next heaviest, and so on
+ * @returns {Array} [{ key, points, center, centroid }] centred on the weighted
+ *   centroid, with corners and polygon null
+ */
+function clusterBins(points, zoom, radius) {
+  const projected = points.map(point => ({ point, ...project(point.latitude, point.longitude, zoom) }));
+  const cellSize = Math.max(radius, 1);
+
+  // Radius-sized grid, so every neighbour is in the surrounding 3x3 block
+  const index = new Map();
+  projected.forEach((member, i) => {
+    const key = `${Math.floor(member.x / cellSize)}:${Math.floor(member.y / cellSize)}`;
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(i);
+  });
+
+  const order = projected
+    .map((member, i) => i)
+    .sort((a, b) => (projected[b].point.weight || 1) - (projected[a].point.weight || 1));
+  const clustered = new Uint8Array(projected.length);
+  const clusters = [];
+
+  order.forEach(i => {
+    if (clustered[i]) return;
+    clustered[i] = 1;
+    const seed = projected[i];
+    const members = [seed];
+    const column = Math.floor(seed.x / cellSize);
+    const row = Math.floor(seed.y / cellSize);
+
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        (index.get(`${column + dx}:${row + dy}`) || []).forEach(j => {
+          if (clustered[j]) return;
+          const other = projected[j];
+          if (Math.hypot(other.x - seed.x, other.y - seed.y) <= radius) {
+            clustered[j] = 1;
+            members.push(other);
+          }
+        });
+      }
+    }
+
+    const centroid = getCentroid(members);
+    clusters.push({
+      key: `c${zoom}:${Math.round(centroid.x)}:${Math.round(centroid.y)}`,
+      points: members.map(member => member.point),
+      center: centroid,
+      centroid,
+      corners: null,
+      polygon: null
+    });
+  });
+
+  return clusters;
+}
+
+module.exports = {
+  TILE_SIZE,
+  project,
+  unproject,
+  isValidTile,
+  getTileBounds,
+  gridBins,
+  hexBins,
+  clusterBins
+};
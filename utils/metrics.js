@@ -0,0 +1,263 @@
+/**
+ * In-process metrics: labelled counters, histograms and latency summaries, readable as
+ * JSON or in the Prometheus text exposition format
+ * (https://prometheus.io/docs/instrumenting/exposition_formats/).
+ * Values are kept since start-up and are per process.
+ */
+
+const labelKey = (labelNames, labels) =>
+  JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+
+const escapeLabelValue = (value) =>
+  String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Value at quantile q (0-1) of an ascending array, nearest-rank
+ */
+function quantile(sorted, q) {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil(q * sorted.length);
+  return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+}
+
+class Counter {
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.type = 'counter';
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = labelKey(this.labelNames, labels);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { labels: Object.fromEntries(this.labelNames.map(name => [name, String(labels[name] ?? '')])), value: 0 };
+      this.series.set(key, series);
+    }
+    series.value += value;
+  }
+
+  /**
+   * Sum of every series whose labels match the given subset
+   */
+  get(labels = {}) {
+    let total = 0;
+    for (const series of this.series.values()) {
+      if (Object.entries(labels).every(([name, value]) => series.labels[name] === String(value))) {
+        total += series.value;
+      }
+    }
+    return total;
+  }
+
+  /**
+   * Totals keyed by one label, e.g. { HIGH: 4, LOW: 1 } for 'level'
+   */
+  groupBy(labelName, filter = {}) {
+    const totals = {};
+    for (const series of this.series.values()) {
+      if (Object.entries(filter).every(([name, value]) => series.labels[name] === String(value))) {
+        const key = series.labels[labelName];
+        totals[key] = (totals[key] || 0) + series.value;
+      }
+    }
+    return totals;
+  }
+
+  toPrometheus() {
+    return [...this.series.values()].map(series => `${this.name}${formatLabels(series.labels)} ${series.value}`);
+  }
+}
+
+/**
+ * Count and sum of every observation, with quantiles over the most recent
+ * maxSamples observations per label set
+ */
+class Summary {
+  constructor(name, help, { labelNames = [], maxSamples = 1000, quantiles = [0.5, 0.95, 0.99] } = {}) {
+    this.name = name;
+    this.help = help;
+    this.type = 'summary';
+    this.labelNames = labelNames;
+    this.maxSamples = maxSamples;
+    this.quantiles = quantiles;
+    this.series = new Map();
+  }
+
+  observe(labels = {}, value) {
+    const key = labelKey(this.labelNames, labels);
+    let series = this.series.get(key);
+    if (!series) {
+      series = {
+        labels: Object.fromEntries(this.labelNames.map(name => [name, String(labels[name] ?? '')])),
+        count: 0,
+        sum: 0,
+        samples: []
+      };
+      this.series.set(key, series);
+    }
+    series.count++;
+    series.sum += value;
+    series.samples.push(value);
+    if (series.samples.length > this.maxSamples) {
+      series.samples.shift();
+    }
+  }
+
+  /**
+   * { count, sum, mean, quantiles: { '0.5': v, ... } } for one label set
+   */
+  snapshot(labels = {}) {
+    const series = this.series.get(labelKey(this.labelNames, labels));
+    if (!series) {
+      return { count: 0, sum: 0, mean: null, quantiles: Object.fromEntries(this.quantiles.map(q => [String(q), null])) };
+    }
+
+    const sorted = [...series.samples].sort((a, b) => a - b);
+    return {
+      count: series.count,
+      sum: series.sum,
+      mean: series.count > 0 ? series.sum / series.count : null,
+      quantiles: Object.fromEntries(this.quantiles.map(q => [String(q), quantile(sorted, q)]))
+    };
+  }
+
+  toPrometheus() {
+    const lines = [];
+    for (const series of this.series.values()) {
+      const { count, sum, quantiles } = this.snapshot(series.labels);
+      Object.entries(quantiles).forEach(([q, value]) => {
+        lines.push(`${this.name}${formatLabels({ ...series.labels, quantile: q })} ${value ?? 'NaN'}`);
+      });
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(series.labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Observations counted into cumulative buckets (upper bounds, in the
+ * metric's unit) per label set
+ */
+class Histogram {
+  constructor(name, help, { labelNames = [], buckets = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10] } = {}) {
+    this.name = name;
+    this.help = help;
+    this.type = 'histogram';
+    this.labelNames = labelNames;
+    this.buckets = [...buckets].sort((a, b) => a - b);
+    this.series = new Map();
+  }
+
+  observe(labels = {}, value) {
+    const key = labelKey(this.labelNames, labels);
+    let series = this.series.get(key);
+    if (!series) {
+      series = {
+        labels: Object.fromEntries(this.labelNames.map(name => [name, String(labels[name] ?? '')])),
+        counts: this.buckets.map(() => 0),
+        count: 0,
+        sum: 0
+      };
+      this.series.set(key, series);
+    }
+    series.count++;
+    series.sum += value;
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+  }
+
+  /**
+   * Timer that observes the seconds elapsed when called with the final labels
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  toPrometheus() {
+    const lines = [];
+    for (const series of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    const existing = this.metrics.get(metric.name);
+    if (existing) {
+      if (existing.type !== metric.type) {
+        throw new Error(`Metric ${metric.name} is already registered as a ${existing.type}`);
+      }
+      return existing;
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  summary(name, help, options) {
+    return this.register(new Summary(name, help, options));
+  }
+
+  histogram(name, help, options) {
+    return this.register(new Histogram(name, help, options));
+  }
+
+  /**
+   * Registered metrics in the Prometheus text format, optionally only
+   * those whose name starts with prefix
+   */
+  toPrometheus({ prefix = '' } = {}) {
+    const metrics = [...this.metrics.values()].filter(metric => metric.name.startsWith(prefix));
+    const blocks = metrics.map(metric => [
+      `# HELP ${metric.name} ${metric.help}`,
+      `# TYPE ${metric.name} ${metric.type}`,
+      ...metric.toPrometheus()
+    ].join('\n'));
+    return blocks.length > 0 ? `${blocks.join('\n')}\n` : '';
+  }
+}
+
+// Process-wide registry shared by every instrumented service
+const registry = new MetricsRegistry();
+
+// Content type for the Prometheus text format
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = {
+  Counter,
+  Histogram,
+  Summary,
+  MetricsRegistry,
+  registry,
+  quantile,
+  PROMETHEUS_CONTENT_TYPE
+};
@@ -0,0 +1,61 @@
+const { calculateDistance, getBoundingBox } = require('./geoUtils');
+const { INDEX_CELL_DEGREES } = require('../config/poi');
+
+/**
+ * In-memory grid index over facility points, for radius queries against the
+ * offline POI dataset without a database.
+ */
+class PoiIndex {
+  constructor(facilities = [], cellDegrees = INDEX_CELL_DEGREES) {
+    this.cellDegrees = cellDegrees;
+    this.cells = new Map();
+    this.size = 0;
+    facilities.forEach(facility => this.add(facility));
+  }
+
+  cellKey(latIndex, lngIndex) {
+    return `${latIndex}:${lngIndex}`;
+  }
+
+  add(facility) {
+    const key = this.cellKey(
+      Math.floor(facility.lat / this.cellDegrees),
+      Math.floor(facility.lon / this.cellDegrees)
+    );
+    if (!this.cells.has(key)) {
+      this.cells.set(key, []);
+    }
+    this.cells.get(key).push(facility);
+    this.size++;
+  }
+
+  /**
+   * Facilities within a radius, nearest first
+   * @param {Object} options - { latitude, longitude, radius (metres), type }
+   * @returns {Array} Facilities with a distance field in metres
+   */
+  query({ latitude, longitude, radius, type = null }) {
+    const box = getBoundingBox(latitude, longitude, radius);
+    const results = [];
+
+    for (let latIndex = Math.floor(box.minLat / this.cellDegrees); latIndex <= Math.floor(box.maxLat / this.cellDegrees); latIndex++) {
+      for (let lngIndex = Math.floor(box.minLng / this.cellDegrees); lngIndex <= Math.floor(box.maxLng / this.cellDegrees); lngIndex++) {
+        const cell = this.cells.get(this.cellKey(latIndex, lngIndex));
+        if (!cell) continue;
+
+        cell.forEach(facility => {
+          if (type && facility.type !== type) return;
+          const distance = calculateDistance(latitude, longitude, facility.lat, facility.lon) * 1000;
+          if (distance <= radius) {
+            results.push({ ...facility, distance: Math.round(distance) });
+          }
+        });
+      }
+    }
+
+    // Ties broken by id so results are identical run to run
+    return results.sort((a, b) => a.distance - b.distance || String(a.id).localeCompare(String(b.id)));
+  }
+}
+
+module.exports = PoiIndex;
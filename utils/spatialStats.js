@@ -0,0 +1,68 @@
+/**
+ * Spatial statistics for hotspot detection on a square grid
+ */
+
+/**
+ * Getis-Ord Gi* z-scores with binary weights over each cell and its eight
+ * neighbours (the cell itself included, which is what makes it Gi*)
+ * @param {Map<string, number>} values - Value per occupied cell, keyed `${column}:${row}`;
+ *   every other cell in the study area counts as 0
+ * @param {Object} area - { minColumn, maxColumn, minRow, maxRow } study area, inclusive
+ * @returns {Map<string, Object>} Per occupied cell: { zScore, localSum, neighbours }
+ */
+function getisOrdGiStar(values, area) {
+  const columns = area.maxColumn - area.minColumn + 1;
+  const rows = area.maxRow - area.minRow + 1;
+  const n = columns * rows;
+  const results = new Map();
+  if (n < 2) return results;
+
+  let sum = 0;
+  let sumOfSquares = 0;
+  values.forEach(value => {
+    sum += value;
+    sumOfSquares += value * value;
+  });
+  const mean = sum / n;
+  const deviation = Math.sqrt(Math.max(0, sumOfSquares / n - mean * mean));
+
+  values.forEach((value, key) => {
+    const [column, row] = key.split(':').map(Number);
+    let localSum = 0;
+    let neighbours = 0;
+
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        const c = column + dx;
+        const r = row + dy;
+        if (c < area.minColumn || c > area.maxColumn || r < area.minRow || r > area.maxRow) continue;
+        neighbours++;
+        localSum += values.get(`${c}:${r}`) || 0;
+      }
+    }
+
+    const denominator = deviation * Math.sqrt((n * neighbours - neighbours * neighbours) / (n - 1));
+    results.set(key, {
+      zScore: denominator > 0 ? (localSum - mean * neighbours) / denominator : 0,
+      localSum,
+      neighbours
+    });
+  });
+
+  return results;
+}
+
+/**
+ * Highest confidence level whose critical z-score is reached, or null
+ * @param {number} zScore
+ * @param {Array} levels - [{ zScore, confidence }], highest first
+ */
+function getConfidence(zScore, levels) {
+  const level = levels.find(candidate => zScore >= candidate.zScore);
+  return level ? level.confidence : null;
+}
+
+module.exports = {
+  getisOrdGiStar,
+  getConfidence
+};
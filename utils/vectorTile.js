@@ -0,0 +1,200 @@
+/**
+ * Mapbox Vector Tile (MVT 2.1) encoder for point and polygon features.
+ * Writes the protobuf wire format directly; geometry is given in tile
+ * coordinates (0..extent, y pointing down).
+ * https://github.com/mapbox/vector-tile-spec/tree/master/2.1
+ */
+
+const WIRE_VARINT = 0;
+const WIRE_FIXED64 = 1;
+const WIRE_LENGTH_DELIMITED = 2;
+
+const GEOMETRY_TYPES = { Point: 1, LineString: 2, Polygon: 3 };
+
+const COMMAND_MOVE_TO = 1;
+const COMMAND_LINE_TO = 2;
+const COMMAND_CLOSE_PATH = 7;
+
+class ProtobufWriter {
+  constructor() {
+    this.bytes = [];
+  }
+
+  varint(value) {
+    let remaining = value;
+    while (remaining > 127) {
+      this.bytes.push((remaining % 128) | 128);
+      remaining = Math.floor(remaining / 128);
+    }
+    this.bytes.push(remaining);
+    return this;
+  }
+
+  tag(field, wireType) {
+    return this.varint(field * 8 + wireType);
+  }
+
+  varintField(field, value) {
+    return this.tag(field, WIRE_VARINT).varint(value);
+  }
+
+  bytesField(field, bytes) {
+    this.tag(field, WIRE_LENGTH_DELIMITED).varint(bytes.length);
+    for (const byte of bytes) this.bytes.push(byte);
+    return this;
+  }
+
+  stringField(field, value) {
+    return this.bytesField(field, Buffer.from(String(value), 'utf8'));
+  }
+
+  doubleField(field, value) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeDoubleLE(value);
+    this.tag(field, WIRE_FIXED64);
+    for (const byte of buffer) this.bytes.push(byte);
+    return this;
+  }
+
+  packedField(field, values) {
+    const packed = new ProtobufWriter();
+    values.forEach(value => packed.varint(value));
+    return this.bytesField(field, packed.bytes);
+  }
+
+  toBuffer() {
+    return Buffer.from(this.bytes);
+  }
+}
+
+const zigzag = (value) => (value < 0 ? -value * 2 - 1 : value * 2);
+
+const command = (id, count) => (id & 0x7) | (count << 3);
+
+/**
+ * Encode a property value as a Value message
+ */
+function encodeValue(value) {
+  const writer = new ProtobufWriter();
+  if (typeof value === 'boolean') {
+    writer.varintField(7, value ? 1 : 0);
+  } else if (typeof value === 'number' && Number.isInteger(value)) {
+    if (value >= 0) writer.varintField(5, value);
+    else writer.varintField(6, zigzag(value));
+  } else if (typeof value === 'number') {
+    writer.doubleField(3, value);
+  } else {
+    writer.stringField(1, value);
+  }
+  return writer.bytes;
+}
+
+// Twice the signed area; positive is clockwise with y pointing down
+function ringArea(ring) {
+  let area = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    area += ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+  }
+  return area;
+}
+
+/**
+ * Geometry command stream for a feature
+ * @param {string} type - 'Point' or 'Polygon'
+ * @param {Array} geometry - Point: [x, y]; Polygon: rings of [x, y], exterior first
+ */
+function encodeGeometry(type, geometry) {
+  const commands = [];
+  let cursorX = 0;
+  let cursorY = 0;
+  const moveTo = ([x, y]) => {
+    commands.push(zigzag(x - cursorX), zigzag(y - cursorY));
+    cursorX = x;
+    cursorY = y;
+  };
+
+  if (type === 'Point') {
+    commands.push(command(COMMAND_MOVE_TO, 1));
+    moveTo(geometry.map(Math.round));
+    return commands;
+  }
+
+  geometry.forEach((ring, ringIndex) => {
+    let points = ring.map(point => point.map(Math.round));
+    const first = points[0];
+    const last = points[points.length - 1];
+    if (points.length > 1 && first[0] === last[0] && first[1] === last[1]) {
+      points = points.slice(0, -1);
+    }
+    if (points.length < 3) return;
+
+    // Exterior rings wind clockwise (positive area), holes anticlockwise
+    const area = ringArea(points);
+    if ((ringIndex === 0 && area < 0) || (ringIndex > 0 && area > 0)) {
+      points = points.reverse();
+    }
+
+    commands.push(command(COMMAND_MOVE_TO, 1));
+    moveTo(points[0]);
+    commands.push(command(COMMAND_LINE_TO, points.length - 1));
+    points.slice(1).forEach(moveTo);
+    commands.push(command(COMMAND_CLOSE_PATH, 1));
+  });
+  return commands;
+}
+
+/**
+ * Encode layers as a vector tile
+ * @param {Array} layers - [{ name, extent, features: [{ id, type, geometry, properties }] }]
+ * @returns {Buffer} Tile protobuf (uncompressed)
+ */
+function encodeTile(layers) {
+  const tile = new ProtobufWriter();
+
+  layers.forEach(({ name, extent = 4096, features }) => {
+    const layer = new ProtobufWriter();
+    const keys = new Map();
+    const values = new Map();
+    const valueBytes = [];
+
+    layer.varintField(15, 2);
+    layer.stringField(1, name);
+
+    features.forEach((feature, index) => {
+      const tags = [];
+      Object.entries(feature.properties || {}).forEach(([key, value]) => {
+        if (value === null || value === undefined) return;
+        if (!keys.has(key)) keys.set(key, keys.size);
+
+        const valueKey = `${typeof value}:${value}`;
+        if (!values.has(valueKey)) {
+          values.set(valueKey, values.size);
+          valueBytes.push(encodeValue(value));
+        }
+        tags.push(keys.get(key), values.get(valueKey));
+      });
+
+      const geometry = encodeGeometry(feature.type, feature.geometry);
+      if (geometry.length === 0) return;
+
+      const encoded = new ProtobufWriter();
+      encoded.varintField(1, feature.id ?? index + 1);
+      if (tags.length > 0) encoded.packedField(2, tags);
+      encoded.varintField(3, GEOMETRY_TYPES[feature.type]);
+      encoded.packedField(4, geometry);
+      layer.bytesField(2, encoded.bytes);
+    });
+
+    [...keys.keys()].forEach(key => layer.stringField(3, key));
+    valueBytes.forEach(bytes => layer.bytesField(4, bytes));
+    layer.varintField(5, extent);
+
+    tile.bytesField(3, layer.bytes);
+  });
+
+  return tile.toBuffer();
+}
+
+module.exports = {
+  encodeTile
+};